@@ -0,0 +1,89 @@
+// Express app factory for the Blood Donation API.
+// Kept separate from server.js so tests can build the app without connecting to MongoDB or listening.
+
+const express = require("express");
+const cors = require("cors");
+
+const authRoutes = require("./routes/authRoutes");
+const donorRoutes = require("./routes/donorRoutes");
+const donationRoutes = require("./routes/donationRoutes");
+const institutionRoutes = require("./routes/institutionRoutes");
+const requestRoutes = require("./routes/requestRoutes");
+const { authLimiter, searchLimiter } = require("./middleware/rateLimiter");
+const contactRoutes = require("./routes/contactRoutes");
+const adminRoutes = require("./routes/adminRoutes");
+const notificationRoutes = require("./routes/notificationRoutes");
+const chatRoutes = require("./routes/chatRoutes");
+const userRoutes = require("./routes/userRoutes");
+const streamRoutes = require("./routes/streamRoutes");
+const pledgeRoutes = require("./routes/pledgeRoutes");
+const screeningRoutes = require("./routes/screeningRoutes");
+const deferralRoutes = require("./routes/deferralRoutes");
+const inventoryRoutes = require("./routes/inventoryRoutes");
+const eventRoutes = require("./routes/eventRoutes");
+const appointmentRoutes = require("./routes/appointmentRoutes");
+const verifyRoutes = require("./routes/verifyRoutes");
+
+const IMPORT_PATH = /^\/api\/admin\/import(\/|$)/;
+
+// TRUST_PROXY is passed to Express's "trust proxy" setting: a hop count (e.g. 1 behind one load balancer),
+// true/false, or a list of trusted addresses/subnets. With it set, req.ip (recorded in the audit log and
+// used by the rate limiters) is the client's address from X-Forwarded-For rather than the proxy's.
+const trustProxySetting = (value) => {
+  if (!value || value === "false") return false;
+  if (value === "true") return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+
+const createApp = () => {
+  const app = express();
+  app.set("trust proxy", trustProxySetting(process.env.TRUST_PROXY));
+
+  // Basic middlewares for JSON parsing and CORS.
+  app.use(cors());
+  // Bulk imports parse their own, larger bodies once the admin check has passed (see routes/importRoutes).
+  const jsonParser = express.json();
+  app.use((req, res, next) => (IMPORT_PATH.test(req.path) ? next() : jsonParser(req, res, next)));
+
+  // Rate limit auth endpoints, public search and document verification.
+  app.use("/api/auth", authLimiter);
+  app.use("/api/donors/search", searchLimiter);
+  app.use("/api/verify", searchLimiter);
+
+  // Simple root route to verify the API is running.
+  app.get("/", (req, res) => {
+    return res
+      .status(200)
+      .json({ success: true, message: "Blood Donation API Running..." });
+  });
+
+  // Mount feature routes.
+  app.use("/api/auth", authRoutes);
+  app.use("/api/donors", donorRoutes);
+  app.use("/api/donations", donationRoutes);
+  app.use("/api/institutions/:institutionId/inventory", inventoryRoutes);
+  app.use("/api/institutions", institutionRoutes);
+  app.use("/api/requests", requestRoutes);
+  app.use("/api/contact", contactRoutes);
+  app.use("/api/admin", adminRoutes);
+  app.use("/api/notifications", notificationRoutes);
+  app.use("/api/chats", chatRoutes);
+  app.use("/api/users", userRoutes);
+  app.use("/api/stream", streamRoutes);
+  app.use("/api/pledges", pledgeRoutes);
+  app.use("/api/screenings", screeningRoutes);
+  app.use("/api/deferrals", deferralRoutes);
+  app.use("/api/events", eventRoutes);
+  app.use("/api/appointments", appointmentRoutes);
+  app.use("/api/verify", verifyRoutes);
+
+  // Global error handler fallback (for unexpected errors).
+  app.use((err, req, res, next) => {
+    console.error("Unexpected error:", err);
+    return res.status(500).json({ success: false, message: "Internal server error." });
+  });
+
+  return app;
+};
+
+module.exports = createApp;
@@ -0,0 +1,57 @@
+// Jobs that remind donors of upcoming appointments and close out missed ones.
+// Reminders go out APPOINTMENT_REMINDER_HOURS before the slot; a booking still open
+// APPOINTMENT_NO_SHOW_GRACE_HOURS after the slot ends is recorded as a no-show.
+const Appointment = require("../models/Appointment");
+const Notification = require("../models/Notification");
+const { markNoShow } = require("../utils/appointments");
+
+const HOUR_MS = 60 * 60 * 1000;
+const reminderMs = () => Number(process.env.APPOINTMENT_REMINDER_HOURS || 24) * HOUR_MS;
+const noShowGraceMs = () => Number(process.env.APPOINTMENT_NO_SHOW_GRACE_HOURS || 2) * HOUR_MS;
+
+// Remind donors once about appointments starting within the reminder window.
+const sendAppointmentReminders = async (now = new Date()) => {
+  const upcoming = await Appointment.find({
+    status: "booked",
+    reminderSentAt: null,
+    startsAt: { $gt: now, $lte: new Date(now.getTime() + reminderMs()) },
+  }).populate("institution", "name");
+
+  let reminded = 0;
+  for (const appointment of upcoming) {
+    // Claim the reminder first so overlapping runs cannot send it twice.
+    const result = await Appointment.updateOne(
+      { _id: appointment._id, reminderSentAt: null },
+      { reminderSentAt: now }
+    );
+    if (result.modifiedCount === 0) continue;
+
+    reminded += 1;
+    await Notification.create({
+      user: appointment.user,
+      donor: appointment.donor,
+      type: "appointment_reminder",
+      title: "Upcoming donation appointment",
+      message: `Reminder: your appointment at ${appointment.institution?.name || "the blood bank"} is at ${appointment.startsAt.toISOString()}.`,
+      meta: { appointmentId: appointment._id, institutionId: appointment.institution?._id },
+    });
+  }
+
+  return { reminded };
+};
+
+// Record appointments that were never completed as no-shows.
+const markMissedAppointments = async (now = new Date()) => {
+  const missed = await Appointment.find({
+    status: "booked",
+    endsAt: { $lt: new Date(now.getTime() - noShowGraceMs()) },
+  });
+
+  let noShows = 0;
+  for (const appointment of missed) {
+    if (await markNoShow(appointment)) noShows += 1;
+  }
+  return { noShows };
+};
+
+module.exports = { sendAppointmentReminders, markMissedAppointments };
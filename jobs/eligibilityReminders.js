@@ -0,0 +1,190 @@
+// Job that reminds donors they can donate again once their donation interval (or deferral) is over.
+// A reminder goes out when the donor first becomes eligible, then every ELIGIBILITY_REMINDER_REPEAT_DAYS
+// while they have not donated, up to ELIGIBILITY_REMINDER_MAX per donation cycle. Donors whose last
+// donation is older than ELIGIBILITY_REMINDER_LOOKBACK_DAYS are left alone, as are donors who turned
+// eligibilityReminders off. Each reminder lists open requests the donor can give to and upcoming
+// donation events in their city, and is recorded as an EligibilityReminder.
+const BloodRequest = require("../models/BloodRequest");
+const DonationEvent = require("../models/DonationEvent");
+const Donor = require("../models/Donor");
+const EligibilityReminder = require("../models/EligibilityReminder");
+const Notification = require("../models/Notification");
+const { getMatchType } = require("../utils/bloodCompatibility");
+const { loadActiveRules } = require("../utils/eligibility");
+const { nextDeliveryTime } = require("../utils/donorAlerts");
+const { queueMessage } = require("../utils/outbound");
+const { appLink } = require("../utils/mailer");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How many requests and events a reminder lists.
+const LIST_LIMIT = 3;
+const repeatMs = () => Number(process.env.ELIGIBILITY_REMINDER_REPEAT_DAYS || 14) * DAY_MS;
+const maxPerCycle = () => Number(process.env.ELIGIBILITY_REMINDER_MAX || 3);
+const lookbackMs = () => Number(process.env.ELIGIBILITY_REMINDER_LOOKBACK_DAYS || 365) * DAY_MS;
+const eventWindowMs = () => Number(process.env.ELIGIBILITY_REMINDER_EVENT_DAYS || 30) * DAY_MS;
+
+const cityPattern = (city) => ({ $regex: `^${city.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`, $options: "i" });
+
+// Is another reminder due, given the latest one sent this cycle (or null)?
+const reminderDue = (latest, now = new Date()) =>
+  !latest || (latest.sequence < maxPerCycle() && now.getTime() - latest.sentAt.getTime() >= repeatMs());
+
+// Open, unexpired requests in the donor's city that the donor's blood group can give to, most urgent first.
+const openRequestsFor = async (donor, now) => {
+  if (!donor.address?.city) return [];
+  const requests = await BloodRequest.find({
+    isDeleted: false,
+    status: "open",
+    city: cityPattern(donor.address.city),
+    requiredDate: { $gte: now },
+  })
+    .sort({ requiredDate: 1 })
+    .limit(20);
+  return requests
+    .filter((r) => r.user.toString() !== donor.user.toString())
+    .filter((r) => getMatchType(donor.bloodGroup, r.bloodGroup, r.component))
+    .slice(0, LIST_LIMIT);
+};
+
+// Public events in the donor's city over the coming weeks that welcome the donor's blood group.
+const upcomingEventsFor = async (donor, now) => {
+  if (!donor.address?.city) return [];
+  return DonationEvent.find({
+    status: "scheduled",
+    isPublic: true,
+    startsAt: { $gt: now, $lte: new Date(now.getTime() + eventWindowMs()) },
+    "address.city": cityPattern(donor.address.city),
+    $or: [{ targetBloodGroups: { $size: 0 } }, { targetBloodGroups: donor.bloodGroup }],
+  })
+    .sort({ startsAt: 1 })
+    .limit(LIST_LIMIT);
+};
+
+const reminderText = (donor, { requests, events }) => {
+  const lines = [`Hi ${donor.fullName}, you can donate blood again. Thank you for coming back!`];
+  if (requests.length) {
+    lines.push("", `Patients in ${donor.address.city} who need your help:`);
+    for (const r of requests) {
+      const where = r.hospital ? `${r.hospital}, ${r.city}` : r.city;
+      lines.push(`- ${r.bloodGroup} at ${where} by ${r.requiredDate.toDateString()}: ${appLink(`/requests/${r._id}`)}`);
+    }
+  }
+  if (events.length) {
+    lines.push("", "Upcoming donation events near you:");
+    for (const e of events) {
+      lines.push(`- ${e.title} on ${e.startsAt.toDateString()}: ${appLink(`/events/${e._id}`)}`);
+    }
+  }
+  lines.push("", "You can turn these reminders off in your donor profile.");
+  return lines.join("\n");
+};
+
+// Remind one candidate donor if a reminder is due. Returns "reminded", "skipped" (not due yet) or null.
+const remindDonor = async (donor, { rules, now }) => {
+  if (!donor.isEligibleToDonate({ rules, on: now }).eligible) return null;
+
+  const cycleStart = donor.lastDonationDate;
+  const latest = await EligibilityReminder.findOne({ donor: donor._id, cycleStart }).sort({ sequence: -1 });
+  if (!reminderDue(latest, now)) return "skipped";
+
+  const requests = await openRequestsFor(donor, now);
+  const events = await upcomingEventsFor(donor, now);
+
+  // Claim this reminder first so overlapping runs cannot send it twice.
+  let reminder;
+  try {
+    reminder = await EligibilityReminder.create({
+      donor: donor._id,
+      user: donor.user,
+      cycleStart,
+      sequence: (latest?.sequence || 0) + 1,
+      channels: ["in_app"],
+      requests: requests.map((r) => r._id),
+      events: events.map((e) => e._id),
+      sentAt: now,
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  const message = reminderText(donor, { requests, events });
+  let notification;
+  try {
+    notification = await Notification.create({
+      user: donor.user,
+      donor: donor._id,
+      type: "eligibility_reminder",
+      title: "You can donate again",
+      message,
+      meta: {
+        reminderId: reminder._id,
+        requestIds: reminder.requests,
+        eventIds: reminder.events,
+      },
+    });
+  } catch (error) {
+    // Nothing reached the donor: give the claim back so the next run tries again.
+    await EligibilityReminder.deleteOne({ _id: reminder._id });
+    throw error;
+  }
+  reminder.notification = notification._id;
+
+  let outbound = null;
+  if (donor.contactPreference === "email" && donor.email) {
+    outbound = { channel: "email", to: donor.email, subject: "You can donate blood again" };
+  } else if (donor.contactPreference === "phone" && donor.phone) {
+    outbound = { channel: "sms", to: donor.phone };
+  }
+  try {
+    if (outbound) {
+      await queueMessage({
+        ...outbound,
+        body: message,
+        user: donor.user,
+        donor: donor._id,
+        type: "eligibility_reminder",
+        meta: { reminderId: reminder._id },
+        sendAfter: nextDeliveryTime(now, donor.alertPreferences),
+      });
+      reminder.channels.push(outbound.channel);
+    }
+  } finally {
+    // The in-app reminder went out either way, so keep the record of it.
+    await reminder.save();
+  }
+  return "reminded";
+};
+
+// Send due reminders to donors who are eligible again. Candidates are streamed from a cursor, and a
+// failure for one donor is logged and counted without stopping the rest. Returns { reminded, skipped, failed }.
+const sendEligibilityReminders = async (now = new Date()) => {
+  const rules = await loadActiveRules();
+  // Nobody is eligible again sooner than the shortest interval (90 days is the engine's fallback).
+  const shortestIntervalDays = Math.min(...rules.intervals.map((i) => i.minDays), 90);
+
+  const candidates = Donor.find({
+    isDeleted: false,
+    willingToDonate: true,
+    eligibilityReminders: { $ne: false },
+    lastDonationDate: {
+      $gte: new Date(now.getTime() - lookbackMs()),
+      $lte: new Date(now.getTime() - shortestIntervalDays * DAY_MS),
+    },
+  }).cursor();
+
+  const summary = { reminded: 0, skipped: 0, failed: 0 };
+  for await (const donor of candidates) {
+    try {
+      const outcome = await remindDonor(donor, { rules, now });
+      if (outcome) summary[outcome] += 1;
+    } catch (error) {
+      console.error(`Eligibility reminder error for donor ${donor._id}:`, error);
+      summary.failed += 1;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = { sendEligibilityReminders, reminderDue, reminderText };
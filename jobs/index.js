@@ -0,0 +1,66 @@
+// Registers every scheduled job with the scheduler. Required once by server.js.
+const { defineJob } = require("../utils/scheduler");
+const { dispatchDueMessages } = require("../utils/outbound");
+const { expireOverdueRequests, warnExpiringRequests } = require("./requestExpiry");
+const { purgeReadNotifications } = require("./notificationCleanup");
+const { expireUnits } = require("../utils/inventory");
+const { sendAppointmentReminders, markMissedAppointments } = require("./appointmentReminders");
+const { sendEligibilityReminders } = require("./eligibilityReminders");
+
+const MINUTE_MS = 60 * 1000;
+
+defineJob({
+  name: "expire-requests",
+  description: "Close open blood requests whose required date has passed.",
+  intervalMs: 15 * MINUTE_MS,
+  handler: () => expireOverdueRequests(),
+});
+
+defineJob({
+  name: "warn-expiring-requests",
+  description: "Notify owners before their open requests expire.",
+  intervalMs: 60 * MINUTE_MS,
+  handler: () => warnExpiringRequests(),
+});
+
+defineJob({
+  name: "purge-read-notifications",
+  description: "Delete old read notifications.",
+  intervalMs: 24 * 60 * MINUTE_MS,
+  handler: () => purgeReadNotifications(),
+});
+
+defineJob({
+  name: "dispatch-outbound-messages",
+  description: "Send queued email/SMS whose send time has come (e.g. after quiet hours).",
+  intervalMs: MINUTE_MS,
+  handler: () => dispatchDueMessages(),
+});
+
+defineJob({
+  name: "expire-inventory",
+  description: "Move inventory units past their expiry date out of stock.",
+  intervalMs: 60 * MINUTE_MS,
+  handler: () => expireUnits(),
+});
+
+defineJob({
+  name: "appointment-reminders",
+  description: "Remind donors of appointments in the next day.",
+  intervalMs: 15 * MINUTE_MS,
+  handler: () => sendAppointmentReminders(),
+});
+
+defineJob({
+  name: "appointment-no-shows",
+  description: "Mark booked appointments that were never completed as no-shows.",
+  intervalMs: 60 * MINUTE_MS,
+  handler: () => markMissedAppointments(),
+});
+
+defineJob({
+  name: "eligibility-reminders",
+  description: "Remind donors when they can donate again, pointing them to open requests and events nearby.",
+  intervalMs: Number(process.env.ELIGIBILITY_REMINDER_INTERVAL_HOURS || 24) * 60 * MINUTE_MS,
+  handler: () => sendEligibilityReminders(),
+});
@@ -0,0 +1,11 @@
+// Job that deletes read notifications older than NOTIFICATION_RETENTION_DAYS (default 30).
+const Notification = require("../models/Notification");
+
+const purgeReadNotifications = async (now = new Date()) => {
+  const days = Number(process.env.NOTIFICATION_RETENTION_DAYS || 30);
+  const cutoff = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+  const result = await Notification.deleteMany({ read: true, createdAt: { $lt: cutoff } });
+  return { deleted: result.deletedCount };
+};
+
+module.exports = { purgeReadNotifications };
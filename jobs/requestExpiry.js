@@ -0,0 +1,65 @@
+// Jobs that close out overdue blood requests and warn owners beforehand.
+// A request counts as overdue once its requiredDate is more than REQUEST_EXPIRY_GRACE_HOURS in the past
+// (requiredDate is often stored as midnight, so expiring exactly at requiredDate would be premature).
+const BloodRequest = require("../models/BloodRequest");
+const Notification = require("../models/Notification");
+
+const HOUR_MS = 60 * 60 * 1000;
+const graceMs = () => Number(process.env.REQUEST_EXPIRY_GRACE_HOURS || 24) * HOUR_MS;
+const warningMs = () => Number(process.env.REQUEST_EXPIRY_WARNING_HOURS || 24) * HOUR_MS;
+
+// Move overdue open requests to "expired" and notify their owners.
+const expireOverdueRequests = async (now = new Date()) => {
+  const overdue = await BloodRequest.find({
+    status: "open",
+    isDeleted: false,
+    requiredDate: { $lt: new Date(now.getTime() - graceMs()) },
+  });
+
+  let expired = 0;
+  for (const bloodRequest of overdue) {
+    // Re-check status in the update in case it changed since the find.
+    const result = await BloodRequest.updateOne(
+      { _id: bloodRequest._id, status: "open" },
+      { status: "expired", expiredAt: now, updatedAt: now }
+    );
+    if (result.modifiedCount === 0) continue;
+
+    expired += 1;
+    await Notification.create({
+      user: bloodRequest.user,
+      type: "request_expired",
+      title: "Your blood request expired",
+      message: `Your ${bloodRequest.bloodGroup} request in ${bloodRequest.city} passed its required date and was closed.`,
+      meta: { requestId: bloodRequest._id },
+    });
+  }
+
+  return { expired };
+};
+
+// Warn owners once when an open request is about to expire.
+const warnExpiringRequests = async (now = new Date()) => {
+  const expiringBefore = new Date(now.getTime() + warningMs() - graceMs());
+  const expiring = await BloodRequest.find({
+    status: "open",
+    isDeleted: false,
+    expiryWarnedAt: null,
+    requiredDate: { $gte: new Date(now.getTime() - graceMs()), $lt: expiringBefore },
+  });
+
+  for (const bloodRequest of expiring) {
+    await Notification.create({
+      user: bloodRequest.user,
+      type: "request_expiring",
+      title: "Your blood request is about to expire",
+      message: `Your ${bloodRequest.bloodGroup} request in ${bloodRequest.city} will close soon. Update the required date if you still need blood.`,
+      meta: { requestId: bloodRequest._id },
+    });
+    await BloodRequest.updateOne({ _id: bloodRequest._id }, { expiryWarnedAt: now });
+  }
+
+  return { warned: expiring.length };
+};
+
+module.exports = { expireOverdueRequests, warnExpiringRequests };
@@ -19,7 +19,7 @@ const auth = async (req, res, next) => {
     // Verify the token using the secret key.
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-    const user = await User.findById(decoded.id).select("role isActive");
+    const user = await User.findById(decoded.id).select("role isActive passwordChangedAt tokensValidAfter");
     if (!user) {
       return res.status(401).json({ success: false, message: "User not found. Please log in again." });
     }
@@ -28,6 +28,15 @@ const auth = async (req, res, next) => {
       return res.status(403).json({ success: false, message: "Account is disabled. Contact support." });
     }
 
+    // Reject tokens issued before the last password change or session revocation.
+    // JWT iat has second precision, so compare at whole seconds.
+    const cutoffMs = Math.max(user.passwordChangedAt?.getTime() || 0, user.tokensValidAfter?.getTime() || 0);
+    if (cutoffMs && decoded.iat < Math.floor(cutoffMs / 1000)) {
+      return res
+        .status(401)
+        .json({ success: false, message: "Session has been revoked. Please log in again." });
+    }
+
     // Attach user data to the request object for later middlewares/routes.
     req.user = { id: user._id.toString(), role: user.role, email: decoded.email };
     next();
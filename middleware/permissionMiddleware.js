@@ -0,0 +1,26 @@
+// Middleware factory that checks the authenticated user holds a permission.
+// For institution-scoped permissions pass getInstitutionId(req) to say which institution is involved.
+// Use after authMiddleware. Platform admins always pass.
+const mongoose = require("mongoose");
+const { hasPermission } = require("../utils/permissions");
+
+const requirePermission = (permission, getInstitutionId = null) => async (req, res, next) => {
+  try {
+    let institutionId = getInstitutionId ? getInstitutionId(req) : null;
+    if (institutionId && !mongoose.isValidObjectId(institutionId)) {
+      institutionId = null;
+    }
+
+    if (!(await hasPermission(req.user, permission, institutionId))) {
+      return res
+        .status(403)
+        .json({ success: false, message: "You do not have permission to perform this action." });
+    }
+
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+};
+
+module.exports = requirePermission;
@@ -1,10 +1,14 @@
 // Simple rate limiters for auth and public endpoints.
 const rateLimit = require("express-rate-limit");
 
+// Integration tests fire many requests from one IP; don't throttle them.
+const skip = () => process.env.NODE_ENV === "test";
+
 // Limit heavy or brute-force prone routes.
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 50,
+  skip,
   message: { success: false, message: "Too many requests. Please try again later." },
 });
 
@@ -12,6 +16,7 @@ const authLimiter = rateLimit({
 const searchLimiter = rateLimit({
   windowMs: 5 * 60 * 1000, // 5 minutes
   max: 100,
+  skip,
   message: { success: false, message: "Too many searches. Please slow down." },
 });
 
@@ -19,6 +24,7 @@ const searchLimiter = rateLimit({
 const messageLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
   max: 20,
+  skip,
   message: { success: false, message: "Too many messages. Please slow down." },
 });
 
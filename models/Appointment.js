@@ -0,0 +1,33 @@
+// Appointment is a donor's booking in an AppointmentSlot.
+// booked -> completed (with the recorded donation) | cancelled | no_show.
+const mongoose = require("mongoose");
+const { COMPONENTS } = require("../utils/bloodCompatibility");
+
+const appointmentSchema = new mongoose.Schema({
+  slot: { type: mongoose.Schema.Types.ObjectId, ref: "AppointmentSlot", required: true },
+  institution: { type: mongoose.Schema.Types.ObjectId, ref: "Institution", required: true },
+  donor: { type: mongoose.Schema.Types.ObjectId, ref: "Donor", required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }, // donor's account
+  // Copied from the slot so reminders and no-show checks can query by time.
+  startsAt: { type: Date, required: true },
+  endsAt: { type: Date, required: true },
+  donationType: { type: String, enum: COMPONENTS, default: "whole_blood" },
+  status: { type: String, enum: ["booked", "completed", "cancelled", "no_show"], default: "booked" },
+  rescheduleCount: { type: Number, default: 0 },
+  reminderSentAt: { type: Date, default: null },
+  donation: { type: mongoose.Schema.Types.ObjectId, ref: "Donation" },
+  completedAt: { type: Date },
+  completedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  cancelledAt: { type: Date },
+  cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  cancelReason: { type: String },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// A donor holds at most one upcoming booking at a time.
+appointmentSchema.index({ donor: 1 }, { unique: true, partialFilterExpression: { status: "booked" } });
+appointmentSchema.index({ institution: 1, startsAt: 1 });
+appointmentSchema.index({ status: 1, startsAt: 1 });
+appointmentSchema.index({ user: 1, startsAt: -1 });
+
+module.exports = mongoose.model("Appointment", appointmentSchema);
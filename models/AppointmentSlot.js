@@ -0,0 +1,20 @@
+// AppointmentSlot is a time window an institution opens for donor appointments.
+// booked is kept in step with live Appointments so capacity can be claimed atomically.
+const mongoose = require("mongoose");
+
+const appointmentSlotSchema = new mongoose.Schema({
+  institution: { type: mongoose.Schema.Types.ObjectId, ref: "Institution", required: true },
+  startsAt: { type: Date, required: true },
+  endsAt: { type: Date, required: true },
+  capacity: { type: Number, required: true, min: 1 },
+  booked: { type: Number, default: 0, min: 0 },
+  status: { type: String, enum: ["open", "cancelled"], default: "open" },
+  notes: { type: String },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+});
+
+appointmentSlotSchema.index({ institution: 1, startsAt: 1 });
+appointmentSlotSchema.index({ status: 1, startsAt: 1 });
+
+module.exports = mongoose.model("AppointmentSlot", appointmentSlotSchema);
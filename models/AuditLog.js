@@ -1,13 +1,31 @@
 // Simple audit log for admin/user actions (non-destructive).
+// Updates record field-level changes as { field, before, after } (see utils/audit).
 const mongoose = require("mongoose");
 
+const auditChangeSchema = new mongoose.Schema(
+  {
+    field: { type: String, required: true }, // dot path, e.g. "address.city"
+    before: { type: mongoose.Schema.Types.Mixed },
+    after: { type: mongoose.Schema.Types.Mixed },
+  },
+  { _id: false }
+);
+
 const auditLogSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
   action: { type: String, required: true },
   targetType: { type: String, required: true }, // e.g., "Donor", "Request", "Donation"
   targetId: { type: String },
   details: { type: Object },
+  changes: { type: [auditChangeSchema], default: undefined },
+  ip: { type: String },
+  userAgent: { type: String },
   createdAt: { type: Date, default: Date.now },
 });
 
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ user: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
 module.exports = mongoose.model("AuditLog", auditLogSchema);
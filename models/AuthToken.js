@@ -0,0 +1,45 @@
+// AuthToken stores single-use tokens for password resets and email verification.
+// Only a SHA-256 hash of the token is stored; the raw value is only ever emailed to the user.
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+const hashToken = (rawToken) => crypto.createHash("sha256").update(rawToken).digest("hex");
+
+const authTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  purpose: { type: String, enum: ["password_reset", "email_verification"], required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  // MongoDB removes expired tokens automatically via the TTL index.
+  expiresAt: { type: Date, required: true, expires: 0 },
+  usedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Issue a new token for a user, replacing any unused token with the same purpose.
+// Returns the raw token (to be sent to the user).
+authTokenSchema.statics.issue = async function (userId, purpose, ttlMs) {
+  await this.deleteMany({ user: userId, purpose, usedAt: null });
+
+  const rawToken = crypto.randomBytes(32).toString("hex");
+  await this.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(rawToken),
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+  return rawToken;
+};
+
+// Atomically mark a valid token as used. Returns the token document, or null if invalid/expired/used.
+authTokenSchema.statics.consume = function (rawToken, purpose) {
+  if (!rawToken || typeof rawToken !== "string") {
+    return Promise.resolve(null);
+  }
+  return this.findOneAndUpdate(
+    { tokenHash: hashToken(rawToken), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model("AuthToken", authTokenSchema);
@@ -9,21 +9,56 @@ const bloodRequestSchema = new mongoose.Schema({
     required: true,
     enum: ["A+", "A-", "B+", "B-", "AB+", "AB-", "O+", "O-"],
   },
+  // Which blood component is needed; drives ABO/Rh compatibility when matching donors.
+  component: {
+    type: String,
+    enum: ["red_cells", "whole_blood", "plasma", "platelets"],
+    default: "red_cells",
+  },
   city: { type: String, required: true },
   hospital: { type: String },
+  // Optional GeoJSON point of the hospital/patient, used for proximity matching.
+  location: {
+    type: { type: String, enum: ["Point"] },
+    coordinates: { type: [Number], default: undefined },
+  },
   patientName: { type: String },
   unitsNeeded: { type: Number, required: true, min: 1 },
+  // Rolled up from donations linked to this request (see utils/requestFulfilment).
+  unitsFulfilled: { type: Number, default: 0 },
   requiredDate: { type: Date, required: true },
   contactPhone: { type: String, required: true },
-  status: { type: String, enum: ["open", "fulfilled", "cancelled"], default: "open" },
+  // "expired" is set by the expire-requests job, never by users.
+  status: { type: String, enum: ["open", "fulfilled", "cancelled", "expired"], default: "open" },
+  expiredAt: { type: Date },
+  // When the request became fulfilled (for time-to-fulfil reporting).
+  fulfilledAt: { type: Date },
+  expiryWarnedAt: { type: Date, default: null },
+  // Donors automatically alerted about this request.
+  alertedDonors: [
+    {
+      donor: { type: mongoose.Schema.Types.ObjectId, ref: "Donor" },
+      alertedAt: { type: Date, default: Date.now },
+      channels: [{ type: String }], // in_app, email, sms
+      deliverAfter: { type: Date }, // set when outbound delivery waits for quiet hours
+    },
+  ],
   isDeleted: { type: Boolean, default: false },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
 });
 
-// Keep updatedAt in sync.
+// Indexes for reporting by creation date, city and status.
+bloodRequestSchema.index({ isDeleted: 1, createdAt: -1 });
+bloodRequestSchema.index({ city: 1, bloodGroup: 1, createdAt: -1 });
+bloodRequestSchema.index({ status: 1, requiredDate: 1 });
+
+// Keep updatedAt in sync and stamp fulfilledAt when the status changes.
 bloodRequestSchema.pre("save", function (next) {
   this.updatedAt = new Date();
+  if (this.isModified("status")) {
+    this.fulfilledAt = this.status === "fulfilled" ? this.fulfilledAt || new Date() : undefined;
+  }
   next();
 });
 
@@ -0,0 +1,31 @@
+// Deferral temporarily blocks a donor from donating, with a reason code and history.
+// Created automatically from screening answers or manually by admins; lifting keeps the record.
+// Donor.deferralUntil mirrors the latest active deferral (see utils/deferrals syncDonorDeferral).
+const mongoose = require("mongoose");
+const { DEFERRAL_REASON_CODES } = require("../utils/screening");
+
+const deferralSchema = new mongoose.Schema({
+  donor: { type: mongoose.Schema.Types.ObjectId, ref: "Donor", required: true },
+  reasonCode: { type: String, enum: DEFERRAL_REASON_CODES, required: true },
+  reason: { type: String, trim: true },
+  source: { type: String, enum: ["screening", "admin"], required: true },
+  screening: { type: mongoose.Schema.Types.ObjectId, ref: "ScreeningResponse" },
+  startsAt: { type: Date, default: Date.now },
+  until: { type: Date, required: true },
+  status: { type: String, enum: ["active", "lifted"], default: "active" },
+  // Automatic deferrals wait for an admin to review them.
+  needsReview: { type: Boolean, default: false },
+  reviewedAt: { type: Date },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  reviewNote: { type: String },
+  liftedAt: { type: Date },
+  liftedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  liftReason: { type: String },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+});
+
+deferralSchema.index({ donor: 1, status: 1, until: -1 });
+deferralSchema.index({ needsReview: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Deferral", deferralSchema);
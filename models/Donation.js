@@ -1,16 +1,48 @@
 // Donation model records each donation event.
 // It links to a donor and optionally to an institution.
 const mongoose = require("mongoose");
+const { COMPONENTS } = require("../utils/bloodCompatibility");
 
 const donationSchema = new mongoose.Schema({
   donor: { type: mongoose.Schema.Types.ObjectId, ref: "Donor", required: true },
   institution: { type: mongoose.Schema.Types.ObjectId, ref: "Institution" },
+  // Set when the donation answers a blood request (optionally through an accepted pledge).
+  request: { type: mongoose.Schema.Types.ObjectId, ref: "BloodRequest" },
+  pledge: { type: mongoose.Schema.Types.ObjectId, ref: "Pledge" },
+  screening: { type: mongoose.Schema.Types.ObjectId, ref: "ScreeningResponse" },
+  // Set when the donation was collected at a donation camp/event.
+  event: { type: mongoose.Schema.Types.ObjectId, ref: "DonationEvent" },
+  // Set when the donation completed a booked appointment.
+  appointment: { type: mongoose.Schema.Types.ObjectId, ref: "Appointment" },
+  // What was collected; drives the interval before the donor's next donation.
+  donationType: { type: String, enum: COMPONENTS, default: "whole_blood" },
   donationDate: { type: Date, required: true },
   units: { type: Number, default: 1 },
   location: { type: String },
   notes: { type: String },
+  // Staff-recorded donations are verified on creation; donors' own reports start as self_reported or
+  // pending and only count once verified (see utils/donationVerification).
+  verificationStatus: {
+    type: String,
+    enum: ["self_reported", "pending", "verified", "rejected"],
+    default: "verified",
+  },
+  reportedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  reviewedAt: { type: Date },
+  reviewNote: { type: String },
   isDeleted: { type: Boolean, default: false },
+  deletedAt: { type: Date },
+  deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
   createdAt: { type: Date, default: Date.now },
 });
 
+// Indexes for donor history and reporting over time.
+donationSchema.index({ donor: 1, donationDate: -1 });
+donationSchema.index({ isDeleted: 1, donationDate: 1 });
+donationSchema.index({ institution: 1, donationDate: 1 });
+donationSchema.index({ request: 1 });
+donationSchema.index({ event: 1 });
+donationSchema.index({ verificationStatus: 1, institution: 1, createdAt: 1 });
+
 module.exports = mongoose.model("Donation", donationSchema);
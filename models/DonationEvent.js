@@ -0,0 +1,58 @@
+// DonationEvent is a blood donation camp/drive organised by an institution.
+// Donors register for a time slot; check-in records a Donation linked to the event.
+const mongoose = require("mongoose");
+const { toPoint } = require("../utils/geo");
+const { BLOOD_GROUPS } = require("../utils/bloodCompatibility");
+
+const donationEventSchema = new mongoose.Schema({
+  institution: { type: mongoose.Schema.Types.ObjectId, ref: "Institution", required: true },
+  title: { type: String, required: true, trim: true },
+  description: { type: String },
+  startsAt: { type: Date, required: true },
+  endsAt: { type: Date, required: true },
+  venue: { type: String, trim: true },
+  address: {
+    country: { type: String, default: "Bangladesh" },
+    stateOrDivision: { type: String },
+    city: { type: String },
+    area: { type: String },
+    postalCode: { type: String },
+    lat: { type: Number },
+    lng: { type: Number },
+  },
+  // GeoJSON point derived from address.lat/lng.
+  location: {
+    type: { type: String, enum: ["Point"] },
+    coordinates: { type: [Number], default: undefined },
+  },
+  capacity: { type: Number, required: true, min: 1 },
+  // Empty means every blood group is welcome.
+  targetBloodGroups: [{ type: String, enum: BLOOD_GROUPS }],
+  // Registrations are booked into slots of slotMinutes; slotCapacity limits each slot (defaults to capacity).
+  slotMinutes: { type: Number, min: 5, default: 30 },
+  slotCapacity: { type: Number, min: 1 },
+  // Live registrations (registered or checked in), in total and per slot keyed by slot start in ms.
+  // Kept in step with EventRegistrations so places can be claimed atomically (see utils/events).
+  booked: { type: Number, default: 0, min: 0 },
+  slotBooked: { type: Map, of: Number, default: {} },
+  isPublic: { type: Boolean, default: true },
+  status: { type: String, enum: ["scheduled", "cancelled", "completed"], default: "scheduled" },
+  cancelReason: { type: String },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+donationEventSchema.index({ status: 1, isPublic: 1, startsAt: 1 });
+donationEventSchema.index({ institution: 1, startsAt: -1 });
+donationEventSchema.index({ location: "2dsphere" });
+
+donationEventSchema.pre("save", function (next) {
+  this.updatedAt = new Date();
+  if (this.isModified("address")) {
+    this.location = toPoint(this.address?.lat, this.address?.lng) || undefined;
+  }
+  next();
+});
+
+module.exports = mongoose.model("DonationEvent", donationEventSchema);
@@ -1,6 +1,8 @@
 // Donor model captures all details about a blood donor.
-// Includes helper to check donation eligibility based on last donation date.
+// Includes helper to check donation eligibility against the active eligibility rules.
 const mongoose = require("mongoose");
+const { toPoint } = require("../utils/geo");
+const { DONATION_TYPES, evaluateEligibility, getCachedRules } = require("../utils/eligibility");
 
 const donorSchema = new mongoose.Schema({
   // Link each donor profile to the user who owns it.
@@ -12,6 +14,7 @@ const donorSchema = new mongoose.Schema({
   emergencyContactPhone: { type: String, required: true },
   dateOfBirth: { type: Date },
   gender: { type: String, enum: ["male", "female", "other"] },
+  weightKg: { type: Number, min: 0 },
   bloodGroup: {
     type: String,
     required: true,
@@ -29,6 +32,18 @@ const donorSchema = new mongoose.Schema({
   // Whether the donor wants to be contacted via the system for requests.
   allowRequestContact: { type: Boolean, default: true },
   contactPreference: { type: String, enum: ["phone", "email", "message"], default: "message" },
+  // Opt-in to appear on the public leaderboards (visibility still applies).
+  leaderboardOptIn: { type: Boolean, default: false },
+  // Automatic alerts about new matching blood requests.
+  // Quiet hours are local hours (0-23, ALERT_TIMEZONE); outbound email/SMS waits until they end.
+  alertPreferences: {
+    enabled: { type: Boolean, default: true },
+    quietHoursStart: { type: Number, min: 0, max: 23, default: 22 },
+    quietHoursEnd: { type: Number, min: 0, max: 23, default: 7 },
+    maxAlertsPerWeek: { type: Number, min: 0, default: 3 },
+  },
+  // Reminders once the donor can donate again (see jobs/eligibilityReminders).
+  eligibilityReminders: { type: Boolean, default: true },
   address: {
     country: { type: String, default: "Bangladesh" },
     stateOrDivision: { type: String },
@@ -39,52 +54,87 @@ const donorSchema = new mongoose.Schema({
     lat: { type: Number },
     lng: { type: Number },
   },
+  // GeoJSON point derived from address.lat/lng; kept in sync by the hooks below.
+  location: {
+    type: { type: String, enum: ["Point"] },
+    coordinates: { type: [Number], default: undefined },
+  },
   lastDonationDate: { type: Date },
+  // Type of the last donation; eligibility intervals depend on it.
+  lastDonationType: { type: String, enum: DONATION_TYPES },
   totalDonations: { type: Number, default: 0 },
   notes: { type: String },
-  deferralUntil: { type: Date }, // additional deferral beyond 90-day rule
+  // Mirrors the latest active Deferral (additional to the donation interval rules).
+  // Managed through the deferral endpoints, not donor updates.
+  deferralUntil: { type: Date },
+  deferralReasonCode: { type: String },
+  deferralReason: { type: String },
+  // Booked appointments the donor did not attend (maintained by the appointment endpoints/jobs).
+  appointmentNoShows: { type: Number, default: 0 },
   isDeleted: { type: Boolean, default: false },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
 });
 
+donorSchema.index({ location: "2dsphere" });
+// Reporting by blood group and city.
+donorSchema.index({ isDeleted: 1, bloodGroup: 1, "address.city": 1 });
+// Leaderboards.
+donorSchema.index({ leaderboardOptIn: 1, totalDonations: -1 });
+// Eligibility reminder candidates.
+donorSchema.index({ eligibilityReminders: 1, lastDonationDate: 1 });
+
 // Keep updatedAt fresh on every save/update.
 donorSchema.pre("save", function (next) {
   this.updatedAt = new Date();
+  if (this.isModified("address")) {
+    this.location = toPoint(this.address?.lat, this.address?.lng) || undefined;
+  }
   next();
 });
 
-// Helper to check if a donor can donate now.
-// Returns an object with eligible flag and daysUntilEligible.
-donorSchema.methods.isEligibleToDonate = function () {
-  // If donor opted out, they are not eligible regardless of last donation date.
-  if (!this.willingToDonate) {
-    return { eligible: false, daysUntilEligible: null };
+// Mirror address coordinates into location for findByIdAndUpdate-style updates.
+donorSchema.pre("findOneAndUpdate", function (next) {
+  const update = this.getUpdate() || {};
+  const address = update.address || update.$set?.address;
+  if (address) {
+    const point = toPoint(address.lat, address.lng);
+    if (point) {
+      this.set("location", point);
+    } else {
+      this.setUpdate({ ...update, $unset: { ...(update.$unset || {}), location: 1 } });
+    }
   }
+  next();
+});
 
-  // If donor has an active deferral, block until that date.
-  if (this.deferralUntil && this.deferralUntil > new Date()) {
-    const diffMs = this.deferralUntil - new Date();
-    const diffDays = Math.ceil(diffMs / (1000 * 60 * 60 * 24));
-    return { eligible: false, daysUntilEligible: diffDays };
-  }
-
-  // No previous donation means they are eligible right away.
-  if (!this.lastDonationDate) {
-    return { eligible: true, daysUntilEligible: 0 };
-  }
-
-  const now = new Date();
-  const diffMs = now - this.lastDonationDate;
-  const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
-  const MIN_GAP = 90;
-
-  if (diffDays >= MIN_GAP) {
-    return { eligible: true, daysUntilEligible: 0 };
-  }
+// Find donors within radiusKm of a GeoJSON point, nearest first.
+// Returns [{ donor, distanceKm }] with hydrated Donor documents.
+donorSchema.statics.findNear = async function (filters, point, radiusKm) {
+  const raw = await this.aggregate([
+    {
+      $geoNear: {
+        near: point,
+        distanceField: "distanceMeters",
+        maxDistance: radiusKm * 1000,
+        spherical: true,
+        query: filters,
+      },
+    },
+  ]);
+
+  return raw.map((doc) => ({
+    donor: this.hydrate(doc),
+    distanceKm: Math.round((doc.distanceMeters / 1000) * 100) / 100,
+  }));
+};
 
-  const remaining = MIN_GAP - diffDays;
-  return { eligible: false, daysUntilEligible: remaining };
+// Helper to check if a donor can donate.
+// Uses the most recently loaded eligibility rules (see utils/eligibility loadActiveRules).
+// options: { donationType, on } to check a specific donation type or future date.
+// Returns { eligible, daysUntilEligible, eligibleFrom, reasons, ruleSetVersion }.
+donorSchema.methods.isEligibleToDonate = function (options = {}) {
+  return evaluateEligibility(this, options.rules || getCachedRules(), options);
 };
 
 // Helper to shape donor data based on who is viewing (privacy-aware response).
@@ -121,11 +171,12 @@ donorSchema.methods.toSafeObject = function (viewerRole = "guest", viewerId = nu
     updatedAt: this.updatedAt,
   };
 
-  // Eligibility details (90-day rule).
+  // Eligibility details under the active rules.
   const eligibility = this.isEligibleToDonate();
   base.eligibility = {
     eligible: eligibility.eligible,
     daysUntilEligible: eligibility.daysUntilEligible,
+    reasons: eligibility.reasons.map(({ code, message, until }) => ({ code, message, until })),
   };
 
   if (phoneAllowed) {
@@ -141,8 +192,17 @@ donorSchema.methods.toSafeObject = function (viewerRole = "guest", viewerId = nu
     base.emergencyContactName = this.emergencyContactName;
     base.emergencyContactPhone = this.emergencyContactPhone;
     base.notes = this.notes;
+    base.alertPreferences = this.alertPreferences;
     base.gender = this.gender;
     base.dateOfBirth = this.dateOfBirth;
+    base.weightKg = this.weightKg;
+    base.deferral =
+      this.deferralUntil && this.deferralUntil > new Date()
+        ? { until: this.deferralUntil, reasonCode: this.deferralReasonCode, reason: this.deferralReason }
+        : null;
+    base.appointmentNoShows = this.appointmentNoShows;
+    base.leaderboardOptIn = this.leaderboardOptIn;
+    base.eligibilityReminders = this.eligibilityReminders;
   }
 
   return base;
@@ -0,0 +1,16 @@
+// Badge or milestone awarded to a donor (codes and rules live in utils/badges).
+// Awards are permanent: a later correction to the donation history does not take a badge back.
+const mongoose = require("mongoose");
+
+const donorBadgeSchema = new mongoose.Schema({
+  donor: { type: mongoose.Schema.Types.ObjectId, ref: "Donor", required: true },
+  badge: { type: String, required: true },
+  // The donation whose recording earned the badge.
+  donation: { type: mongoose.Schema.Types.ObjectId, ref: "Donation" },
+  awardedAt: { type: Date, default: Date.now },
+});
+
+// One award per badge per donor; concurrent evaluations cannot award twice.
+donorBadgeSchema.index({ donor: 1, badge: 1 }, { unique: true });
+
+module.exports = mongoose.model("DonorBadge", donorBadgeSchema);
@@ -0,0 +1,24 @@
+// EligibilityReminder records every reminder sent to a donor who can donate again
+// (see jobs/eligibilityReminders). cycleStart is the donor's lastDonationDate when the reminder
+// went out, so reminders are counted per donation cycle; sequence numbers them within the cycle.
+const mongoose = require("mongoose");
+
+const eligibilityReminderSchema = new mongoose.Schema({
+  donor: { type: mongoose.Schema.Types.ObjectId, ref: "Donor", required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  cycleStart: { type: Date, required: true },
+  sequence: { type: Number, required: true, min: 1 },
+  // in_app plus the outbound channel (email/sms) when one was queued.
+  channels: [{ type: String, enum: ["in_app", "email", "sms"] }],
+  // Open requests and upcoming events the reminder pointed to.
+  requests: [{ type: mongoose.Schema.Types.ObjectId, ref: "BloodRequest" }],
+  events: [{ type: mongoose.Schema.Types.ObjectId, ref: "DonationEvent" }],
+  notification: { type: mongoose.Schema.Types.ObjectId, ref: "Notification" },
+  sentAt: { type: Date, default: Date.now },
+});
+
+// One reminder per position in a cycle, so overlapping runs cannot send the same one twice.
+eligibilityReminderSchema.index({ donor: 1, cycleStart: 1, sequence: 1 }, { unique: true });
+eligibilityReminderSchema.index({ donor: 1, sentAt: -1 });
+
+module.exports = mongoose.model("EligibilityReminder", eligibilityReminderSchema);
@@ -0,0 +1,34 @@
+// Versioned donor eligibility rules. Edits create a new version; exactly one version is active.
+const mongoose = require("mongoose");
+const { COMPONENTS } = require("../utils/bloodCompatibility");
+
+// Minimum days between a previous donation and the next one.
+// previousType is the type of the last donation; donationType (optional) narrows the rule
+// to the type being donated next; sex "any" applies to everyone.
+const intervalSchema = new mongoose.Schema(
+  {
+    previousType: { type: String, enum: COMPONENTS, required: true },
+    donationType: { type: String, enum: COMPONENTS },
+    sex: { type: String, enum: ["any", "male", "female"], default: "any" },
+    minDays: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+const eligibilityRuleSetSchema = new mongoose.Schema({
+  version: { type: Number, required: true, unique: true },
+  name: { type: String, trim: true },
+  notes: { type: String },
+  active: { type: Boolean, default: false },
+  minAgeYears: { type: Number, min: 0, default: 18 },
+  maxAgeYears: { type: Number, min: 0, default: 65 },
+  minWeightKg: { type: Number, min: 0, default: 50 },
+  intervals: { type: [intervalSchema], default: [] },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  activatedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+});
+
+eligibilityRuleSetSchema.index({ active: 1 });
+
+module.exports = mongoose.model("EligibilityRuleSet", eligibilityRuleSetSchema);
@@ -0,0 +1,26 @@
+// EventRegistration is a donor's booking for a time slot at a DonationEvent.
+// registered -> checked_in (with the recorded donation) | cancelled | no_show (event completed without check-in).
+const mongoose = require("mongoose");
+
+const eventRegistrationSchema = new mongoose.Schema({
+  event: { type: mongoose.Schema.Types.ObjectId, ref: "DonationEvent", required: true },
+  donor: { type: mongoose.Schema.Types.ObjectId, ref: "Donor", required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }, // donor's account
+  slotStart: { type: Date, required: true },
+  status: { type: String, enum: ["registered", "checked_in", "cancelled", "no_show"], default: "registered" },
+  donation: { type: mongoose.Schema.Types.ObjectId, ref: "Donation" },
+  checkedInAt: { type: Date },
+  checkedInBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  cancelledAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// One live registration per donor per event.
+eventRegistrationSchema.index(
+  { event: 1, donor: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ["registered", "checked_in"] } } }
+);
+eventRegistrationSchema.index({ event: 1, slotStart: 1, status: 1 });
+eventRegistrationSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model("EventRegistration", eventRegistrationSchema);
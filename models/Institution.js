@@ -1,5 +1,6 @@
 // Institution model tracks hospitals, clinics, NGOs, or blood camp organizers.
 const mongoose = require("mongoose");
+const { BLOOD_GROUPS, COMPONENTS } = require("../utils/bloodCompatibility");
 
 const institutionSchema = new mongoose.Schema({
   name: { type: String, required: true, unique: true, trim: true },
@@ -15,6 +16,17 @@ const institutionSchema = new mongoose.Schema({
     postalCode: { type: String },
   },
   totalDonations: { type: Number, default: 0 },
+  // Low-stock alert levels per blood group/component. lowSince is set while stock is below minUnits
+  // so staff are alerted once per shortage rather than on every movement.
+  inventoryThresholds: [
+    {
+      _id: false,
+      bloodGroup: { type: String, enum: BLOOD_GROUPS, required: true },
+      component: { type: String, enum: COMPONENTS, default: "whole_blood" },
+      minUnits: { type: Number, min: 0, required: true },
+      lowSince: { type: Date },
+    },
+  ],
   isDeleted: { type: Boolean, default: false },
   createdAt: { type: Date, default: Date.now },
 });
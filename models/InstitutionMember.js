@@ -0,0 +1,22 @@
+// InstitutionMember links a user to an institution with a staff role.
+// institution_admin manages the institution and its members; staff record donations and handle stock.
+const mongoose = require("mongoose");
+
+const institutionMemberSchema = new mongoose.Schema({
+  institution: { type: mongoose.Schema.Types.ObjectId, ref: "Institution", required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  role: { type: String, enum: ["institution_admin", "staff"], default: "staff" },
+  addedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+institutionMemberSchema.index({ institution: 1, user: 1 }, { unique: true });
+institutionMemberSchema.index({ user: 1 });
+
+institutionMemberSchema.pre("save", function (next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model("InstitutionMember", institutionMemberSchema);
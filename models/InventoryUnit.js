@@ -0,0 +1,29 @@
+// InventoryUnit is one bag of blood (or a component) held by an institution.
+// Units come from recorded donations or manual stock entries; see utils/inventory.
+const mongoose = require("mongoose");
+const { BLOOD_GROUPS, COMPONENTS } = require("../utils/bloodCompatibility");
+
+const inventoryUnitSchema = new mongoose.Schema({
+  institution: { type: mongoose.Schema.Types.ObjectId, ref: "Institution", required: true },
+  bloodGroup: { type: String, enum: BLOOD_GROUPS, required: true },
+  component: { type: String, enum: COMPONENTS, required: true },
+  status: { type: String, enum: ["available", "issued", "discarded", "expired"], default: "available" },
+  source: { type: String, enum: ["donation", "manual"], required: true },
+  donation: { type: mongoose.Schema.Types.ObjectId, ref: "Donation" },
+  donor: { type: mongoose.Schema.Types.ObjectId, ref: "Donor" },
+  bagNumber: { type: String, trim: true },
+  collectedAt: { type: Date, required: true },
+  expiresAt: { type: Date, required: true },
+  // Set when the unit leaves stock.
+  issuedTo: { type: mongoose.Schema.Types.ObjectId, ref: "BloodRequest" },
+  removedAt: { type: Date },
+  removalReason: { type: String },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Stock lookups and first-expiry-first-out picking.
+inventoryUnitSchema.index({ institution: 1, status: 1, bloodGroup: 1, component: 1, expiresAt: 1 });
+inventoryUnitSchema.index({ status: 1, expiresAt: 1 });
+inventoryUnitSchema.index({ donation: 1 });
+
+module.exports = mongoose.model("InventoryUnit", inventoryUnitSchema);
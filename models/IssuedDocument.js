@@ -0,0 +1,19 @@
+// IssuedDocument records every donation certificate and donor card handed out as a PDF, so a third
+// party can confirm one with its verification code (GET /api/verify/:code).
+// The snapshot keeps what the document stated when it was issued (see utils/documents).
+const mongoose = require("mongoose");
+
+const issuedDocumentSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true },
+  kind: { type: String, enum: ["donation_certificate", "donor_card"], required: true },
+  donor: { type: mongoose.Schema.Types.ObjectId, ref: "Donor", required: true },
+  // Set for donation certificates.
+  donation: { type: mongoose.Schema.Types.ObjectId, ref: "Donation" },
+  snapshot: { type: Object, required: true },
+  issuedTo: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  issuedAt: { type: Date, default: Date.now },
+});
+
+issuedDocumentSchema.index({ kind: 1, donor: 1, donation: 1, issuedAt: -1 });
+
+module.exports = mongoose.model("IssuedDocument", issuedDocumentSchema);
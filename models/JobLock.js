@@ -0,0 +1,13 @@
+// JobLock keeps one document per scheduled job so only one instance runs it at a time.
+const mongoose = require("mongoose");
+
+const jobLockSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  lockedBy: { type: String, default: null }, // instance id holding the lock
+  lockedUntil: { type: Date, default: null }, // lock expires so a crashed instance cannot block forever
+  nextRunAt: { type: Date, default: null }, // shared schedule across instances
+  lastStartedAt: { type: Date },
+  lastFinishedAt: { type: Date },
+});
+
+module.exports = mongoose.model("JobLock", jobLockSchema);
@@ -0,0 +1,18 @@
+// JobRun records each execution of a scheduled job for the admin job history.
+const mongoose = require("mongoose");
+
+const jobRunSchema = new mongoose.Schema({
+  job: { type: String, required: true },
+  instanceId: { type: String },
+  trigger: { type: String, enum: ["schedule", "manual"], default: "schedule" },
+  status: { type: String, enum: ["running", "succeeded", "failed"], default: "running" },
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: { type: Date },
+  durationMs: { type: Number },
+  result: { type: Object },
+  error: { type: String },
+});
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+
+module.exports = mongoose.model("JobRun", jobRunSchema);
@@ -1,5 +1,6 @@
 // Notification model to record messages/alerts for users/donors.
 const mongoose = require("mongoose");
+const realtime = require("../utils/realtime");
 
 const notificationSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
@@ -12,4 +13,11 @@ const notificationSchema = new mongoose.Schema({
   createdAt: { type: Date, default: Date.now },
 });
 
+// Push new notifications to the recipient's open event streams.
+notificationSchema.post("save", function (doc) {
+  if (doc.user) {
+    realtime.publishToUser(doc.user, "notification", doc.toObject());
+  }
+});
+
 module.exports = mongoose.model("Notification", notificationSchema);
@@ -0,0 +1,24 @@
+// OutboundMessage is a queue of emails/SMS waiting to be sent by a pluggable provider.
+const mongoose = require("mongoose");
+
+const outboundMessageSchema = new mongoose.Schema({
+  channel: { type: String, enum: ["email", "sms"], required: true },
+  to: { type: String, required: true },
+  subject: { type: String },
+  body: { type: String, required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  donor: { type: mongoose.Schema.Types.ObjectId, ref: "Donor" },
+  type: { type: String }, // e.g., request_alert
+  meta: { type: Object },
+  status: { type: String, enum: ["queued", "sent", "failed"], default: "queued" },
+  // Not sent before this time (used to hold messages until quiet hours end).
+  sendAfter: { type: Date, default: Date.now },
+  attempts: { type: Number, default: 0 },
+  lastError: { type: String },
+  sentAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+});
+
+outboundMessageSchema.index({ status: 1, sendAfter: 1 });
+
+module.exports = mongoose.model("OutboundMessage", outboundMessageSchema);
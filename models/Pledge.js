@@ -0,0 +1,30 @@
+// Pledge is a donor's commitment to give units of blood for a specific request.
+// Flow: pending -> accepted/declined by the request owner; donor may cancel;
+// becomes fulfilled when the donation is recorded through the donations flow.
+const mongoose = require("mongoose");
+
+const pledgeSchema = new mongoose.Schema({
+  request: { type: mongoose.Schema.Types.ObjectId, ref: "BloodRequest", required: true },
+  donor: { type: mongoose.Schema.Types.ObjectId, ref: "Donor", required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }, // donor's account
+  units: { type: Number, default: 1, min: 1 },
+  note: { type: String },
+  status: {
+    type: String,
+    enum: ["pending", "accepted", "declined", "cancelled", "fulfilled"],
+    default: "pending",
+  },
+  donation: { type: mongoose.Schema.Types.ObjectId, ref: "Donation" },
+  respondedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+pledgeSchema.index({ request: 1, donor: 1 });
+
+pledgeSchema.pre("save", function (next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model("Pledge", pledgeSchema);
@@ -0,0 +1,46 @@
+// RefreshToken stores rotating refresh tokens, one chain ("family") per login/device.
+// Only a SHA-256 hash of each token is stored.
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+const hashToken = (rawToken) => crypto.createHash("sha256").update(rawToken).digest("hex");
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true },
+  // All tokens rotated from the same login share a family so a reused token can revoke the whole chain.
+  family: { type: String, required: true, index: true },
+  userAgent: { type: String },
+  ip: { type: String },
+  // MongoDB removes expired tokens automatically via the TTL index.
+  expiresAt: { type: Date, required: true, expires: 0 },
+  revokedAt: { type: Date, default: null },
+  replacedByHash: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+refreshTokenSchema.statics.hashToken = hashToken;
+
+// Create a refresh token for a user. Pass family to continue an existing chain.
+// Returns { rawToken, doc }.
+refreshTokenSchema.statics.issue = async function (userId, { family, userAgent, ip, ttlMs }) {
+  const rawToken = crypto.randomBytes(48).toString("hex");
+  const doc = await this.create({
+    user: userId,
+    tokenHash: hashToken(rawToken),
+    family: family || crypto.randomUUID(),
+    userAgent,
+    ip,
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+  return { rawToken, doc };
+};
+
+refreshTokenSchema.statics.findByRawToken = function (rawToken) {
+  if (!rawToken || typeof rawToken !== "string") {
+    return Promise.resolve(null);
+  }
+  return this.findOne({ tokenHash: hashToken(rawToken) });
+};
+
+module.exports = mongoose.model("RefreshToken", refreshTokenSchema);
@@ -6,6 +6,7 @@ const requestMessageSchema = new mongoose.Schema({
   toUser: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
   request: { type: mongoose.Schema.Types.ObjectId, ref: "BloodRequest", required: true },
   message: { type: String, required: true },
+  readAt: { type: Date, default: null },
   createdAt: { type: Date, default: Date.now },
 });
 
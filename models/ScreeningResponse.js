@@ -0,0 +1,27 @@
+// ScreeningResponse stores a donor's pre-donation health questionnaire and its outcome.
+const mongoose = require("mongoose");
+
+const screeningResponseSchema = new mongoose.Schema({
+  donor: { type: mongoose.Schema.Types.ObjectId, ref: "Donor", required: true },
+  submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  // Answers keyed by question (see utils/screening SCREENING_QUESTIONS).
+  answers: {
+    recentIllness: { type: Boolean, required: true },
+    takingMedication: { type: Boolean, required: true },
+    medicationName: { type: String, trim: true },
+    recentTattooOrPiercing: { type: Boolean, required: true },
+    tattooOrPiercingDate: { type: Date },
+    recentTravel: { type: Boolean, required: true },
+    travelDestination: { type: String, trim: true },
+    travelReturnDate: { type: Date },
+  },
+  outcome: { type: String, enum: ["clear", "deferred"], required: true },
+  deferrals: [{ type: mongoose.Schema.Types.ObjectId, ref: "Deferral" }],
+  // A clear screening is only valid for a short window before donating.
+  validUntil: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+});
+
+screeningResponseSchema.index({ donor: 1, createdAt: -1 });
+
+module.exports = mongoose.model("ScreeningResponse", screeningResponseSchema);
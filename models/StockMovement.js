@@ -0,0 +1,22 @@
+// StockMovement is the ledger of inventory changes for an institution.
+// quantity is signed: collected is positive, issued/discarded/expired are negative.
+const mongoose = require("mongoose");
+const { BLOOD_GROUPS, COMPONENTS } = require("../utils/bloodCompatibility");
+
+const stockMovementSchema = new mongoose.Schema({
+  institution: { type: mongoose.Schema.Types.ObjectId, ref: "Institution", required: true },
+  type: { type: String, enum: ["collected", "issued", "discarded", "expired"], required: true },
+  bloodGroup: { type: String, enum: BLOOD_GROUPS, required: true },
+  component: { type: String, enum: COMPONENTS, required: true },
+  quantity: { type: Number, required: true },
+  units: [{ type: mongoose.Schema.Types.ObjectId, ref: "InventoryUnit" }],
+  donation: { type: mongoose.Schema.Types.ObjectId, ref: "Donation" },
+  request: { type: mongoose.Schema.Types.ObjectId, ref: "BloodRequest" },
+  reason: { type: String },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+});
+
+stockMovementSchema.index({ institution: 1, createdAt: -1 });
+
+module.exports = mongoose.model("StockMovement", stockMovementSchema);
@@ -19,6 +19,11 @@ const userSchema = new mongoose.Schema({
       return buildAvatarUrl(this.email || this.name);
     },
   },
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: { type: Date, default: null },
+  passwordChangedAt: { type: Date, default: null },
+  // Access tokens issued before this moment are rejected (set by logout-all and password resets).
+  tokensValidAfter: { type: Date, default: null },
   isActive: { type: Boolean, default: true },
   deactivatedAt: { type: Date, default: null },
   createdAt: { type: Date, default: Date.now },
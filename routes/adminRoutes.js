@@ -1,98 +1,286 @@
-// Admin utilities: export data (CSV-ish) and view audit logs.
+// Admin utilities: data exports and imports, audit logs, scheduled job runs, eligibility rules, analytics
+// and stats maintenance.
 const express = require("express");
-const Donor = require("../models/Donor");
-const Donation = require("../models/Donation");
 const AuditLog = require("../models/AuditLog");
 const auth = require("../middleware/authMiddleware");
-const requireAdmin = require("../middleware/roleMiddleware");
+const requirePermission = require("../middleware/permissionMiddleware");
+const JobLock = require("../models/JobLock");
+const JobRun = require("../models/JobRun");
+const EligibilityRuleSet = require("../models/EligibilityRuleSet");
+const analyticsRoutes = require("./analyticsRoutes");
+const exportRoutes = require("./exportRoutes");
+const importRoutes = require("./importRoutes");
+const { listJobs, runJob } = require("../utils/scheduler");
+const { parseListQuery, paginate } = require("../utils/pagination");
+const { auditLogFilters } = require("../utils/listFilters");
+const { recomputeAllStats } = require("../utils/donationStats");
+const { DEFAULT_RULES, loadActiveRules, validateRuleSetInput } = require("../utils/eligibility");
+const { recordAudit } = require("../utils/audit");
+
+// Register job definitions so they can be listed and triggered even on API-only instances.
+require("../jobs");
 
 const router = express.Router();
 
-router.use(auth, requireAdmin);
+router.use(auth, requirePermission("system:manage"));
+
+// Aggregate reports (see analyticsRoutes).
+router.use("/analytics", analyticsRoutes);
+
+// Streaming CSV/XLSX/NDJSON exports (see exportRoutes).
+router.use("/export", exportRoutes);
 
-// Export donors as CSV (basic fields).
-router.get("/export/donors", async (req, res) => {
+// Bulk CSV imports of donors and donations (see importRoutes).
+router.use("/import", importRoutes);
+
+// Search audit logs, newest first by default.
+// Filters: userId, action (comma-separated), targetType, targetId, from, to, q. Paginated.
+router.get("/audit", async (req, res) => {
   try {
-    const donors = await Donor.find({ isDeleted: false });
-    const header = [
-      "id",
-      "fullName",
-      "email",
-      "phone",
-      "bloodGroup",
-      "city",
-      "willingToDonate",
-      "visibility",
-      "phoneVisibility",
-      "totalDonations",
-      "lastDonationDate",
-    ];
-    const rows = donors.map((d) => [
-      d._id,
-      d.fullName,
-      d.email || "",
-      d.phone,
-      d.bloodGroup,
-      d.address?.city || "",
-      d.willingToDonate,
-      d.visibility,
-      d.phoneVisibility,
-      d.totalDonations,
-      d.lastDonationDate ? d.lastDonationDate.toISOString() : "",
-    ]);
-
-    const csv = [header.join(",")]
-      .concat(rows.map((r) => r.join(",")))
-      .join("\n");
-
-    res.setHeader("Content-Type", "text/csv");
-    res.setHeader("Content-Disposition", "attachment; filename=donors.csv");
-    return res.status(200).send(csv);
+    const listQuery = parseListQuery(req.query, { sortable: ["createdAt"], defaultSort: "-createdAt" });
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
+    }
+
+    const { filters, error } = auditLogFilters(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const { items, meta } = await paginate(AuditLog, filters, listQuery, (query) =>
+      query.populate("user", "email role")
+    );
+    return res.status(200).json({ success: true, message: "Audit logs fetched.", data: items, meta });
   } catch (error) {
-    console.error("Export donors error:", error);
-    return res.status(500).json({ success: false, message: "Server error while exporting donors." });
+    console.error("Audit fetch error:", error);
+    return res.status(500).json({ success: false, message: "Server error while fetching audit logs." });
   }
 });
 
-// Export donations as CSV.
-router.get("/export/donations", async (req, res) => {
+// History of one entity, e.g. /audit/Donor/<id>. Accepts the same filters (except target) and pagination.
+router.get("/audit/:targetType/:targetId", async (req, res) => {
   try {
-    const donations = await Donation.find({ isDeleted: false })
-      .populate("donor", "fullName bloodGroup")
-      .populate("institution", "name");
-
-    const header = ["id", "donor", "bloodGroup", "institution", "units", "date", "location"];
-    const rows = donations.map((d) => [
-      d._id,
-      d.donor?.fullName || "",
-      d.donor?.bloodGroup || "",
-      d.institution?.name || "",
-      d.units || 1,
-      d.donationDate ? d.donationDate.toISOString() : "",
-      d.location || "",
-    ]);
-
-    const csv = [header.join(",")]
-      .concat(rows.map((r) => r.join(",")))
-      .join("\n");
-
-    res.setHeader("Content-Type", "text/csv");
-    res.setHeader("Content-Disposition", "attachment; filename=donations.csv");
-    return res.status(200).send(csv);
+    const listQuery = parseListQuery(req.query, { sortable: ["createdAt"], defaultSort: "-createdAt" });
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
+    }
+
+    const { targetType, targetId } = req.params;
+    const { filters, error } = auditLogFilters({ ...req.query, targetType, targetId });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const { items, meta } = await paginate(AuditLog, filters, listQuery, (query) =>
+      query.populate("user", "email role")
+    );
+    return res
+      .status(200)
+      .json({ success: true, message: "Audit history fetched.", data: items, meta: { ...meta, targetType, targetId } });
   } catch (error) {
-    console.error("Export donations error:", error);
-    return res.status(500).json({ success: false, message: "Server error while exporting donations." });
+    console.error("Audit history error:", error);
+    return res.status(500).json({ success: false, message: "Server error while fetching audit history." });
   }
 });
 
-// View audit logs (latest 200).
-router.get("/audit", async (req, res) => {
+// Rebuild every donor, institution and request counter from the donation records.
+router.post("/maintenance/recompute-stats", async (req, res) => {
   try {
-    const logs = await AuditLog.find().sort({ createdAt: -1 }).limit(200).populate("user", "email role");
-    return res.status(200).json({ success: true, message: "Audit logs fetched.", data: logs });
+    const modified = await recomputeAllStats();
+
+    await recordAudit(req, {
+      action: "recompute_stats",
+      targetType: "System",
+      details: modified,
+    });
+
+    return res.status(200).json({ success: true, message: "Donation stats recomputed.", data: { modified } });
   } catch (error) {
-    console.error("Audit fetch error:", error);
-    return res.status(500).json({ success: false, message: "Server error while fetching audit logs." });
+    console.error("Recompute stats error:", error);
+    return res.status(500).json({ success: false, message: "Server error while recomputing stats." });
+  }
+});
+
+// List scheduled jobs with their lock/schedule state.
+router.get("/jobs", async (req, res) => {
+  try {
+    const locks = await JobLock.find({});
+    const lockByName = new Map(locks.map((l) => [l.name, l]));
+    const jobs = listJobs().map((job) => {
+      const lock = lockByName.get(job.name);
+      return {
+        ...job,
+        running: Boolean(lock?.lockedUntil && lock.lockedUntil > new Date()),
+        lockedBy: lock?.lockedBy || null,
+        nextRunAt: lock?.nextRunAt || null,
+        lastStartedAt: lock?.lastStartedAt || null,
+        lastFinishedAt: lock?.lastFinishedAt || null,
+      };
+    });
+    return res.status(200).json({ success: true, message: "Jobs fetched.", data: jobs });
+  } catch (error) {
+    console.error("List jobs error:", error);
+    return res.status(500).json({ success: false, message: "Server error while fetching jobs." });
+  }
+});
+
+// View job run history (filter by job and status).
+router.get("/jobs/runs", async (req, res) => {
+  try {
+    const listQuery = parseListQuery(req.query, { sortable: ["startedAt"], defaultSort: "-startedAt" });
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
+    }
+
+    const filters = {};
+    if (req.query.job) {
+      filters.job = req.query.job;
+    }
+    if (req.query.status) {
+      filters.status = req.query.status;
+    }
+
+    const { items, meta } = await paginate(JobRun, filters, listQuery);
+    return res.status(200).json({ success: true, message: "Job runs fetched.", data: items, meta });
+  } catch (error) {
+    console.error("List job runs error:", error);
+    return res.status(500).json({ success: false, message: "Server error while fetching job runs." });
+  }
+});
+
+// Trigger a job now (skips the schedule but still respects the lock).
+router.post("/jobs/:name/run", async (req, res) => {
+  try {
+    const { name } = req.params;
+    if (!listJobs().some((job) => job.name === name)) {
+      return res.status(404).json({ success: false, message: "Job not found." });
+    }
+
+    const run = await runJob(name, { trigger: "manual" });
+    if (!run) {
+      return res.status(409).json({ success: false, message: "Job is already running." });
+    }
+
+    await recordAudit(req, {
+      action: "run_job",
+      targetType: "Job",
+      targetId: name,
+      details: { runId: run._id.toString(), status: run.status },
+    });
+
+    return res.status(200).json({ success: true, message: "Job finished.", data: run });
+  } catch (error) {
+    console.error("Run job error:", error);
+    return res.status(500).json({ success: false, message: "Server error while running job." });
+  }
+});
+
+// Deactivate every other rule set, activate this one and refresh the cached rules.
+const activateRuleSet = async (ruleSet) => {
+  await EligibilityRuleSet.updateMany({ _id: { $ne: ruleSet._id }, active: true }, { active: false });
+  ruleSet.active = true;
+  ruleSet.activatedAt = new Date();
+  await ruleSet.save();
+  await loadActiveRules({ refresh: true });
+  return ruleSet;
+};
+
+// List eligibility rule set versions (newest first).
+router.get("/eligibility-rules", async (req, res) => {
+  try {
+    const listQuery = parseListQuery(req.query, { sortable: ["version", "createdAt"], defaultSort: "-version" });
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
+    }
+
+    const { items, meta } = await paginate(EligibilityRuleSet, {}, listQuery, (query) =>
+      query.populate("createdBy", "name email")
+    );
+    return res.status(200).json({ success: true, message: "Eligibility rule sets fetched.", data: items, meta });
+  } catch (error) {
+    console.error("List eligibility rules error:", error);
+    return res.status(500).json({ success: false, message: "Server error while fetching eligibility rules." });
+  }
+});
+
+// Show the rules currently in force (the built-in defaults, version 0, if none is active).
+router.get("/eligibility-rules/active", async (req, res) => {
+  try {
+    const rules = await loadActiveRules({ refresh: true });
+    return res.status(200).json({
+      success: true,
+      message: "Active eligibility rules fetched.",
+      data: { ...rules, isDefault: rules === DEFAULT_RULES },
+    });
+  } catch (error) {
+    console.error("Active eligibility rules error:", error);
+    return res.status(500).json({ success: false, message: "Server error while fetching eligibility rules." });
+  }
+});
+
+// Create a new rule set version. Existing versions are never edited, so past decisions stay explainable.
+// Pass activate: true to put it in force immediately.
+router.post("/eligibility-rules", async (req, res) => {
+  try {
+    const { value, error } = validateRuleSetInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const latest = await EligibilityRuleSet.findOne().sort({ version: -1 }).select("version");
+    let ruleSet = await EligibilityRuleSet.create({
+      ...value,
+      version: (latest?.version || 0) + 1,
+      createdBy: req.user.id,
+    });
+
+    if (req.body.activate === true) {
+      ruleSet = await activateRuleSet(ruleSet);
+    }
+
+    await recordAudit(req, {
+      action: "create_eligibility_rules",
+      targetType: "EligibilityRuleSet",
+      targetId: ruleSet._id.toString(),
+      details: { version: ruleSet.version, active: ruleSet.active },
+    });
+
+    return res.status(201).json({ success: true, message: "Eligibility rule set created.", data: ruleSet });
+  } catch (error) {
+    console.error("Create eligibility rules error:", error);
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: "Another rule set was created at the same time. Try again." });
+    }
+    return res.status(500).json({ success: false, message: "Server error while creating eligibility rules." });
+  }
+});
+
+// Activate an existing version (also used to roll back).
+router.post("/eligibility-rules/:version/activate", async (req, res) => {
+  try {
+    const version = Number(req.params.version);
+    if (!Number.isInteger(version) || version < 1) {
+      return res.status(400).json({ success: false, message: "Invalid rule set version." });
+    }
+
+    const ruleSet = await EligibilityRuleSet.findOne({ version });
+    if (!ruleSet) {
+      return res.status(404).json({ success: false, message: "Eligibility rule set not found." });
+    }
+
+    await activateRuleSet(ruleSet);
+
+    await recordAudit(req, {
+      action: "activate_eligibility_rules",
+      targetType: "EligibilityRuleSet",
+      targetId: ruleSet._id.toString(),
+      details: { version },
+    });
+
+    return res.status(200).json({ success: true, message: "Eligibility rule set activated.", data: ruleSet });
+  } catch (error) {
+    console.error("Activate eligibility rules error:", error);
+    return res.status(500).json({ success: false, message: "Server error while activating eligibility rules." });
   }
 });
 
@@ -0,0 +1,124 @@
+// Admin analytics: aggregate reports over donations, requests and donors.
+// Mounted under /api/admin/analytics, so adminRoutes has already checked system:manage.
+// Common query params: from, to (ISO dates; default the last 365 days) and granularity (day|week|month|year).
+const express = require("express");
+const { BLOOD_GROUPS } = require("../utils/bloodCompatibility");
+const { loadActiveRules } = require("../utils/eligibility");
+const {
+  parseRangeQuery,
+  donationsOverTime,
+  requestFulfilment,
+  donorAvailability,
+  supplyDemandByCity,
+} = require("../utils/analytics");
+
+const router = express.Router();
+
+// Validate an optional groupBy param against the allowed values.
+const parseGroupBy = (value, allowed, fallback) => {
+  const groupBy = value || fallback;
+  if (groupBy !== null && !allowed.includes(groupBy)) {
+    return { error: `groupBy must be one of: ${allowed.join(", ")}.` };
+  }
+  return { groupBy };
+};
+
+// Donations and units per period. groupBy: bloodGroup (default), city or institution.
+router.get("/donations", async (req, res) => {
+  try {
+    const range = parseRangeQuery(req.query);
+    const { groupBy, error } = parseGroupBy(req.query.groupBy, ["bloodGroup", "city", "institution"], "bloodGroup");
+    if (range.error || error) {
+      return res.status(400).json({ success: false, message: range.error || error });
+    }
+
+    const data = await donationsOverTime({ ...range, groupBy });
+    return res.status(200).json({
+      success: true,
+      message: "Donation analytics fetched.",
+      data,
+      meta: { from: range.from, to: range.to, granularity: range.granularity, groupBy },
+    });
+  } catch (error) {
+    console.error("Donation analytics error:", error);
+    return res.status(500).json({ success: false, message: "Server error while building donation analytics." });
+  }
+});
+
+// Fulfilment rate and median time-to-fulfil for requests created in the range.
+// groupBy: city or bloodGroup (omit for platform totals).
+router.get("/requests", async (req, res) => {
+  try {
+    const range = parseRangeQuery(req.query);
+    const { groupBy, error } = parseGroupBy(req.query.groupBy, ["city", "bloodGroup"], null);
+    if (range.error || error) {
+      return res.status(400).json({ success: false, message: range.error || error });
+    }
+
+    const data = await requestFulfilment({ ...range, groupBy });
+    return res.status(200).json({
+      success: true,
+      message: "Request analytics fetched.",
+      data: groupBy ? data : data[0] || null,
+      meta: { from: range.from, to: range.to, groupBy },
+    });
+  } catch (error) {
+    console.error("Request analytics error:", error);
+    return res.status(500).json({ success: false, message: "Server error while building request analytics." });
+  }
+});
+
+// Registered, active and currently eligible donors. groupBy: bloodGroup (default) or city;
+// activeDays sets how recently a donor must have given to count as active (default 365).
+router.get("/donors", async (req, res) => {
+  try {
+    const { groupBy, error } = parseGroupBy(req.query.groupBy, ["bloodGroup", "city"], "bloodGroup");
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    const activeDays = req.query.activeDays === undefined ? 365 : Number(req.query.activeDays);
+    if (!Number.isInteger(activeDays) || activeDays < 1) {
+      return res.status(400).json({ success: false, message: "activeDays must be a positive integer." });
+    }
+
+    const rules = await loadActiveRules();
+    const data = await donorAvailability({ rules, groupBy, activeDays });
+    return res.status(200).json({
+      success: true,
+      message: "Donor analytics fetched.",
+      data,
+      meta: { groupBy, activeDays, ruleSetVersion: rules.version },
+    });
+  } catch (error) {
+    console.error("Donor analytics error:", error);
+    return res.status(500).json({ success: false, message: "Server error while building donor analytics." });
+  }
+});
+
+// Units requested vs. donated per city in the range (optionally for one bloodGroup).
+router.get("/supply-demand", async (req, res) => {
+  try {
+    const range = parseRangeQuery(req.query);
+    if (range.error) {
+      return res.status(400).json({ success: false, message: range.error });
+    }
+    const { bloodGroup } = req.query;
+    if (bloodGroup && !BLOOD_GROUPS.includes(bloodGroup)) {
+      return res.status(400).json({ success: false, message: "Invalid blood group." });
+    }
+
+    const rules = await loadActiveRules();
+    const data = await supplyDemandByCity({ ...range, rules, bloodGroup: bloodGroup || null });
+    return res.status(200).json({
+      success: true,
+      message: "Supply and demand fetched.",
+      data,
+      meta: { from: range.from, to: range.to, bloodGroup: bloodGroup || null },
+    });
+  } catch (error) {
+    console.error("Supply/demand analytics error:", error);
+    return res.status(500).json({ success: false, message: "Server error while building supply and demand." });
+  }
+});
+
+module.exports = router;
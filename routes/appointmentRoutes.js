@@ -0,0 +1,593 @@
+// Routes for donation appointments at institutions.
+// Institution staff publish slots; donors book, reschedule and cancel; staff complete appointments
+// (recording the Donation) or mark no-shows. Open slots can be browsed without logging in.
+const express = require("express");
+const mongoose = require("mongoose");
+const AppointmentSlot = require("../models/AppointmentSlot");
+const Appointment = require("../models/Appointment");
+const Donor = require("../models/Donor");
+const Institution = require("../models/Institution");
+const Notification = require("../models/Notification");
+const auth = require("../middleware/authMiddleware");
+const requirePermission = require("../middleware/permissionMiddleware");
+const { hasPermission } = require("../utils/permissions");
+const { parseListQuery, paginate } = require("../utils/pagination");
+const { DONATION_TYPES, loadActiveRules } = require("../utils/eligibility");
+const { buildSlotsInput, claimSlot, releaseSlot, markNoShow } = require("../utils/appointments");
+const { parseUnits, checkReadyToDonate, recordDonation } = require("../utils/donationRecording");
+const { recordAudit } = require("../utils/audit");
+
+const router = express.Router();
+
+// Helper: load a slot from :slotId into req.slot.
+const loadSlot = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.slotId)) {
+      return res.status(400).json({ success: false, message: "Invalid slot ID." });
+    }
+    const slot = await AppointmentSlot.findById(req.params.slotId);
+    if (!slot) {
+      return res.status(404).json({ success: false, message: "Slot not found." });
+    }
+    req.slot = slot;
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// Helper: load an appointment from :id into req.appointment.
+const loadAppointment = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: "Invalid appointment ID." });
+    }
+    const appointment = await Appointment.findById(req.params.id);
+    if (!appointment) {
+      return res.status(404).json({ success: false, message: "Appointment not found." });
+    }
+    req.appointment = appointment;
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const canManageSlot = requirePermission("appointments:manage", (req) => req.slot.institution);
+const canManageAppointment = requirePermission("appointments:manage", (req) => req.appointment.institution);
+
+// Check the donor will be eligible on the slot's date. Returns null or an error body.
+const checkEligibleOn = async (donor, slot, donationType) => {
+  const rules = await loadActiveRules();
+  const eligibility = donor.isEligibleToDonate({ rules, donationType, on: slot.startsAt });
+  if (eligibility.eligible) return null;
+  return {
+    success: false,
+    message: "You will not be eligible to donate on the appointment date.",
+    reasons: eligibility.reasons,
+    eligibleFrom: eligibility.eligibleFrom,
+  };
+};
+
+// PUBLIC: open slots with free places. Filters: institutionId, from, to.
+router.get("/slots", async (req, res) => {
+  try {
+    const listQuery = parseListQuery(req.query, { sortable: ["startsAt"], defaultSort: "startsAt" });
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
+    }
+
+    const { institutionId, from, to } = req.query;
+    const fromDate = from ? new Date(from) : new Date();
+    const toDate = to ? new Date(to) : null;
+    if (isNaN(fromDate) || (toDate && isNaN(toDate))) {
+      return res.status(400).json({ success: false, message: "Invalid from/to date format." });
+    }
+
+    const filters = {
+      status: "open",
+      startsAt: toDate ? { $gte: fromDate, $lte: toDate } : { $gte: fromDate },
+      $expr: { $lt: ["$booked", "$capacity"] },
+    };
+    if (institutionId) {
+      if (!mongoose.isValidObjectId(institutionId)) {
+        return res.status(400).json({ success: false, message: "Invalid institution ID." });
+      }
+      filters.institution = institutionId;
+    }
+
+    const { items, meta } = await paginate(AppointmentSlot, filters, listQuery, (query) =>
+      query.populate("institution", "name type address")
+    );
+    return res.status(200).json({ success: true, message: "Appointment slots fetched.", data: items, meta });
+  } catch (error) {
+    console.error("List appointment slots error:", error);
+    return res.status(500).json({ success: false, message: "Server error while fetching slots." });
+  }
+});
+
+// Apply auth middleware to every route after this line.
+router.use(auth);
+
+// Publish one slot, or a range split into slots of slotMinutes.
+router.post("/slots", requirePermission("appointments:manage", (req) => req.body.institutionId), async (req, res) => {
+  try {
+    const institution = await Institution.findOne({ _id: req.body.institutionId, isDeleted: false });
+    if (!institution) {
+      return res.status(404).json({ success: false, message: "Institution not found." });
+    }
+
+    const { slots, capacity, error } = buildSlotsInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const created = await AppointmentSlot.insertMany(
+      slots.map((s) => ({
+        ...s,
+        capacity,
+        institution: institution._id,
+        notes: req.body.notes,
+        createdBy: req.user.id,
+      }))
+    );
+
+    await recordAudit(req, {
+      action: "publish_appointment_slots",
+      targetType: "Institution",
+      targetId: institution._id.toString(),
+      details: { count: created.length, startsAt: slots[0].startsAt, capacity },
+    });
+
+    return res.status(201).json({ success: true, message: `${created.length} slot(s) published.`, data: created });
+  } catch (error) {
+    console.error("Publish slots error:", error);
+    return res.status(500).json({ success: false, message: "Server error while publishing slots." });
+  }
+});
+
+// Change a slot's capacity or notes.
+router.put("/slots/:slotId", loadSlot, canManageSlot, async (req, res) => {
+  try {
+    const { slot } = req;
+    if (slot.status !== "open") {
+      return res.status(400).json({ success: false, message: "Cannot edit a cancelled slot." });
+    }
+
+    if (req.body.capacity !== undefined) {
+      if (!Number.isInteger(req.body.capacity) || req.body.capacity < 1) {
+        return res.status(400).json({ success: false, message: "capacity must be a positive integer." });
+      }
+      // Only lower capacity if it still covers the bookings at the time of the update.
+      const updated = await AppointmentSlot.findOneAndUpdate(
+        { _id: slot._id, booked: { $lte: req.body.capacity } },
+        { capacity: req.body.capacity },
+        { new: true }
+      );
+      if (!updated) {
+        return res
+          .status(400)
+          .json({ success: false, message: `Capacity cannot be lower than the ${slot.booked} existing booking(s).` });
+      }
+      slot.capacity = updated.capacity;
+      slot.booked = updated.booked;
+    }
+    if (req.body.notes !== undefined) {
+      // Set only the notes: saving the whole slot would write a stale booked count over concurrent bookings.
+      await AppointmentSlot.updateOne({ _id: slot._id }, { $set: { notes: req.body.notes } }, { runValidators: true });
+      slot.notes = req.body.notes;
+    }
+
+    return res.status(200).json({ success: true, message: "Slot updated.", data: slot });
+  } catch (error) {
+    console.error("Update slot error:", error);
+    return res.status(500).json({ success: false, message: "Server error while updating slot." });
+  }
+});
+
+// Cancel a slot and every booking in it.
+router.post("/slots/:slotId/cancel", loadSlot, canManageSlot, async (req, res) => {
+  try {
+    const { slot } = req;
+    if (slot.status !== "open") {
+      return res.status(400).json({ success: false, message: "Slot is already cancelled." });
+    }
+
+    slot.status = "cancelled";
+    await slot.save();
+
+    const appointments = await Appointment.find({ slot: slot._id, status: "booked" });
+    const now = new Date();
+    for (const appointment of appointments) {
+      appointment.status = "cancelled";
+      appointment.cancelledAt = now;
+      appointment.cancelledBy = req.user.id;
+      appointment.cancelReason = req.body.reason || "The slot was cancelled by the institution.";
+      await appointment.save();
+
+      await Notification.create({
+        user: appointment.user,
+        donor: appointment.donor,
+        type: "appointment_cancelled",
+        title: "Your donation appointment was cancelled",
+        message: `Your appointment at ${appointment.startsAt.toISOString()} was cancelled. ${appointment.cancelReason} Please book another slot.`,
+        meta: { appointmentId: appointment._id, institutionId: appointment.institution },
+      });
+    }
+
+    await recordAudit(req, {
+      action: "cancel_appointment_slot",
+      targetType: "AppointmentSlot",
+      targetId: slot._id.toString(),
+      details: { cancelledAppointments: appointments.length, reason: req.body.reason },
+    });
+
+    return res.status(200).json({ success: true, message: "Slot cancelled.", data: slot });
+  } catch (error) {
+    console.error("Cancel slot error:", error);
+    return res.status(500).json({ success: false, message: "Server error while cancelling slot." });
+  }
+});
+
+// The current user's appointments (newest first).
+router.get("/me", async (req, res) => {
+  try {
+    const appointments = await Appointment.find({ user: req.user.id })
+      .populate("institution", "name address phone")
+      .sort({ startsAt: -1 });
+    return res.status(200).json({ success: true, message: "Your appointments.", data: appointments });
+  } catch (error) {
+    console.error("List my appointments error:", error);
+    return res.status(500).json({ success: false, message: "Server error while fetching appointments." });
+  }
+});
+
+// An institution's appointments for staff. Filters: status, from, to.
+router.get(
+  "/institution/:institutionId",
+  requirePermission("appointments:manage", (req) => req.params.institutionId),
+  async (req, res) => {
+    try {
+      const listQuery = parseListQuery(req.query, { sortable: ["startsAt", "createdAt"], defaultSort: "startsAt" });
+      if (listQuery.error) {
+        return res.status(400).json({ success: false, message: listQuery.error });
+      }
+
+      const { status, from, to } = req.query;
+      const filters = { institution: req.params.institutionId };
+      if (status) {
+        filters.status = status;
+      }
+      if (from || to) {
+        filters.startsAt = {};
+        if (from) {
+          const fromDate = new Date(from);
+          if (isNaN(fromDate)) {
+            return res.status(400).json({ success: false, message: "Invalid from date format." });
+          }
+          filters.startsAt.$gte = fromDate;
+        }
+        if (to) {
+          const toDate = new Date(to);
+          if (isNaN(toDate)) {
+            return res.status(400).json({ success: false, message: "Invalid to date format." });
+          }
+          filters.startsAt.$lte = toDate;
+        }
+      }
+
+      const { items, meta } = await paginate(Appointment, filters, listQuery, (query) =>
+        query.populate("donor", "fullName bloodGroup phone appointmentNoShows")
+      );
+      return res.status(200).json({ success: true, message: "Appointments fetched.", data: items, meta });
+    } catch (error) {
+      console.error("List institution appointments error:", error);
+      return res.status(500).json({ success: false, message: "Server error while fetching appointments." });
+    }
+  }
+);
+
+// Book a slot for the current user's donor profile.
+router.post("/", async (req, res) => {
+  try {
+    const { slotId, donationType = "whole_blood" } = req.body;
+    if (!mongoose.isValidObjectId(slotId)) {
+      return res.status(400).json({ success: false, message: "A valid slotId is required." });
+    }
+    if (!DONATION_TYPES.includes(donationType)) {
+      return res
+        .status(400)
+        .json({ success: false, message: `donationType must be one of: ${DONATION_TYPES.join(", ")}.` });
+    }
+
+    const donor = await Donor.findOne({ user: req.user.id, isDeleted: false });
+    if (!donor) {
+      return res.status(400).json({ success: false, message: "You need a donor profile to book an appointment." });
+    }
+
+    const existing = await Appointment.findOne({ donor: donor._id, status: "booked" });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: "You already have an upcoming appointment. Reschedule or cancel it first.",
+      });
+    }
+
+    const slot = await AppointmentSlot.findById(slotId);
+    if (!slot || slot.status !== "open" || slot.startsAt <= new Date()) {
+      return res.status(404).json({ success: false, message: "Slot not found or no longer open." });
+    }
+
+    const notEligible = await checkEligibleOn(donor, slot, donationType);
+    if (notEligible) {
+      return res.status(400).json(notEligible);
+    }
+
+    if (!(await claimSlot(slot._id))) {
+      return res.status(409).json({ success: false, message: "This slot is full. Please pick another one." });
+    }
+
+    let appointment;
+    try {
+      appointment = await Appointment.create({
+        slot: slot._id,
+        institution: slot.institution,
+        donor: donor._id,
+        user: req.user.id,
+        startsAt: slot.startsAt,
+        endsAt: slot.endsAt,
+        donationType,
+      });
+    } catch (createError) {
+      await releaseSlot(slot._id);
+      if (createError.code === 11000) {
+        return res.status(400).json({ success: false, message: "You already have an upcoming appointment." });
+      }
+      throw createError;
+    }
+
+    await Notification.create({
+      user: req.user.id,
+      donor: donor._id,
+      type: "appointment_booked",
+      title: "Donation appointment booked",
+      message: `Your appointment is booked for ${slot.startsAt.toISOString()}.`,
+      meta: { appointmentId: appointment._id, institutionId: slot.institution },
+    });
+
+    return res.status(201).json({ success: true, message: "Appointment booked.", data: appointment });
+  } catch (error) {
+    console.error("Book appointment error:", error);
+    return res.status(500).json({ success: false, message: "Server error while booking appointment." });
+  }
+});
+
+// Move the current user's booking to another slot.
+router.put("/:id/reschedule", loadAppointment, async (req, res) => {
+  try {
+    const { appointment } = req;
+    if (appointment.user.toString() !== req.user.id) {
+      return res.status(403).json({ success: false, message: "You can only reschedule your own appointments." });
+    }
+    if (appointment.status !== "booked") {
+      return res.status(400).json({ success: false, message: `Cannot reschedule a ${appointment.status} appointment.` });
+    }
+
+    const { slotId } = req.body;
+    if (!mongoose.isValidObjectId(slotId)) {
+      return res.status(400).json({ success: false, message: "A valid slotId is required." });
+    }
+    if (slotId === appointment.slot.toString()) {
+      return res.status(400).json({ success: false, message: "The appointment is already in this slot." });
+    }
+
+    const slot = await AppointmentSlot.findById(slotId);
+    if (!slot || slot.status !== "open" || slot.startsAt <= new Date()) {
+      return res.status(404).json({ success: false, message: "Slot not found or no longer open." });
+    }
+
+    const donor = await Donor.findById(appointment.donor);
+    const notEligible = await checkEligibleOn(donor, slot, appointment.donationType);
+    if (notEligible) {
+      return res.status(400).json(notEligible);
+    }
+
+    if (!(await claimSlot(slot._id))) {
+      return res.status(409).json({ success: false, message: "This slot is full. Please pick another one." });
+    }
+
+    // Move only a still-booked appointment, so a concurrent cancel or completion is not overwritten.
+    const previousSlot = appointment.slot;
+    const previousStart = appointment.startsAt;
+    const moved = await Appointment.findOneAndUpdate(
+      { _id: appointment._id, status: "booked", slot: previousSlot },
+      {
+        $set: {
+          slot: slot._id,
+          institution: slot.institution,
+          startsAt: slot.startsAt,
+          endsAt: slot.endsAt,
+          reminderSentAt: null,
+        },
+        $inc: { rescheduleCount: 1 },
+      },
+      { new: true }
+    );
+    if (!moved) {
+      await releaseSlot(slot._id);
+      return res.status(400).json({ success: false, message: "Appointment is no longer booked in this slot." });
+    }
+    await releaseSlot(previousSlot);
+
+    await recordAudit(req, {
+      action: "reschedule_appointment",
+      targetType: "Appointment",
+      targetId: appointment._id.toString(),
+      details: { from: previousStart, to: slot.startsAt },
+    });
+
+    return res.status(200).json({ success: true, message: "Appointment rescheduled.", data: moved });
+  } catch (error) {
+    console.error("Reschedule appointment error:", error);
+    return res.status(500).json({ success: false, message: "Server error while rescheduling appointment." });
+  }
+});
+
+// Cancel a booking (the donor, or staff of the institution).
+router.post("/:id/cancel", loadAppointment, async (req, res) => {
+  try {
+    const { appointment } = req;
+    const isOwner = appointment.user.toString() === req.user.id;
+    if (!isOwner && !(await hasPermission(req.user, "appointments:manage", appointment.institution))) {
+      return res.status(403).json({ success: false, message: "You do not have permission to perform this action." });
+    }
+    if (appointment.status !== "booked") {
+      return res.status(400).json({ success: false, message: `Cannot cancel a ${appointment.status} appointment.` });
+    }
+
+    // Cancel only a still-booked appointment, so a concurrent completion keeps its slot place.
+    const cancelled = await Appointment.findOneAndUpdate(
+      { _id: appointment._id, status: "booked" },
+      { status: "cancelled", cancelledAt: new Date(), cancelledBy: req.user.id, cancelReason: req.body.reason },
+      { new: true, runValidators: true }
+    );
+    if (!cancelled) {
+      return res.status(400).json({ success: false, message: "Appointment is no longer booked." });
+    }
+    await releaseSlot(cancelled.slot);
+
+    if (!isOwner) {
+      await Notification.create({
+        user: appointment.user,
+        donor: appointment.donor,
+        type: "appointment_cancelled",
+        title: "Your donation appointment was cancelled",
+        message: `Your appointment at ${appointment.startsAt.toISOString()} was cancelled by the institution.${
+          req.body.reason ? ` Reason: ${req.body.reason}` : ""
+        }`,
+        meta: { appointmentId: appointment._id, institutionId: appointment.institution },
+      });
+    }
+
+    return res.status(200).json({ success: true, message: "Appointment cancelled.", data: cancelled });
+  } catch (error) {
+    console.error("Cancel appointment error:", error);
+    return res.status(500).json({ success: false, message: "Server error while cancelling appointment." });
+  }
+});
+
+// Complete an appointment by recording the donation (staff of the institution).
+router.post("/:id/complete", loadAppointment, canManageAppointment, async (req, res) => {
+  try {
+    const { appointment } = req;
+    if (appointment.status !== "booked") {
+      return res.status(400).json({ success: false, message: `Cannot complete a ${appointment.status} appointment.` });
+    }
+
+    const donationType = req.body.donationType || appointment.donationType;
+    if (!DONATION_TYPES.includes(donationType)) {
+      return res
+        .status(400)
+        .json({ success: false, message: `donationType must be one of: ${DONATION_TYPES.join(", ")}.` });
+    }
+    const { units, error: unitsError } = parseUnits(req.body.units);
+    if (unitsError) {
+      return res.status(400).json({ success: false, message: unitsError });
+    }
+
+    const donor = await Donor.findOne({ _id: appointment.donor, isDeleted: false });
+    if (!donor) {
+      return res.status(404).json({ success: false, message: "Donor not found." });
+    }
+
+    const { screening, error: notReady } = await checkReadyToDonate(donor, { donationType });
+    if (notReady) {
+      const { status, ...body } = notReady;
+      return res.status(status).json({ success: false, ...body });
+    }
+
+    // Claim the appointment before recording so a double submit cannot create two donations.
+    const claimed = await Appointment.findOneAndUpdate(
+      { _id: appointment._id, status: "booked" },
+      { status: "completed", completedAt: new Date(), completedBy: req.user.id },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(400).json({ success: false, message: "Appointment is no longer booked." });
+    }
+
+    let donation;
+    try {
+      const institution = await Institution.findById(appointment.institution);
+      donation = await recordDonation({
+        donor,
+        institution,
+        screening,
+        userId: req.user.id,
+        fields: {
+          appointment: appointment._id,
+          donationType,
+          donationDate: new Date(),
+          units,
+          location: institution?.name,
+          notes: req.body.notes,
+        },
+      });
+    } catch (error) {
+      // No donation was recorded: reopen the appointment so it can be completed again.
+      await Appointment.updateOne(
+        { _id: appointment._id, status: "completed", donation: null },
+        { $set: { status: "booked" }, $unset: { completedAt: 1, completedBy: 1 } }
+      );
+      throw error;
+    }
+
+    claimed.donation = donation._id;
+    await claimed.save();
+
+    await recordAudit(req, {
+      action: "complete_appointment",
+      targetType: "Appointment",
+      targetId: appointment._id.toString(),
+      details: { donationId: donation._id.toString() },
+    });
+
+    return res
+      .status(200)
+      .json({ success: true, message: "Appointment completed.", data: { appointment: claimed, donation } });
+  } catch (error) {
+    console.error("Complete appointment error:", error);
+    return res.status(500).json({ success: false, message: "Server error while completing appointment." });
+  }
+});
+
+// Record that the donor did not attend (staff, once the slot has started).
+router.post("/:id/no-show", loadAppointment, canManageAppointment, async (req, res) => {
+  try {
+    const { appointment } = req;
+    if (appointment.status !== "booked") {
+      return res.status(400).json({ success: false, message: `Cannot mark a ${appointment.status} appointment.` });
+    }
+    if (appointment.startsAt > new Date()) {
+      return res.status(400).json({ success: false, message: "The appointment has not started yet." });
+    }
+
+    if (!(await markNoShow(appointment))) {
+      return res.status(400).json({ success: false, message: "Appointment is no longer booked." });
+    }
+
+    await recordAudit(req, {
+      action: "appointment_no_show",
+      targetType: "Appointment",
+      targetId: appointment._id.toString(),
+    });
+
+    appointment.status = "no_show";
+    return res.status(200).json({ success: true, message: "Appointment marked as no-show.", data: appointment });
+  } catch (error) {
+    console.error("Mark no-show error:", error);
+    return res.status(500).json({ success: false, message: "Server error while marking no-show." });
+  }
+});
+
+module.exports = router;
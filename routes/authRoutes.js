@@ -1,20 +1,64 @@
-// Authentication routes: register, login, and fetch current user info.
+// Authentication routes: register, login, fetch current user info,
+// refresh/logout, password reset and email verification.
 const express = require("express");
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const AuthToken = require("../models/AuthToken");
+const RefreshToken = require("../models/RefreshToken");
 const auth = require("../middleware/authMiddleware");
+const { sendMail, appLink } = require("../utils/mailer");
 
 const router = express.Router();
 
-// Helper to sign a JWT with basic user info.
+// Helper to sign a short-lived access JWT with basic user info.
 const signToken = (user) => {
   return jwt.sign(
     { id: user._id, email: user.email, role: user.role },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || "7d" }
+    { expiresIn: process.env.JWT_EXPIRES_IN || "15m" }
   );
 };
 
+const REFRESH_TOKEN_TTL_MS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30) * 24 * 60 * 60 * 1000;
+
+// Helper to issue an access token plus a refresh token tied to this device.
+// Pass family to rotate within an existing session chain.
+const issueSession = async (user, req, family) => {
+  const { rawToken } = await RefreshToken.issue(user._id, {
+    family,
+    userAgent: req.get("user-agent"),
+    ip: req.ip,
+    ttlMs: REFRESH_TOKEN_TTL_MS,
+  });
+  return { token: signToken(user), refreshToken: rawToken };
+};
+
+// Helper to revoke every refresh token of a user and invalidate their access tokens.
+const revokeAllSessions = async (userId) => {
+  await RefreshToken.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+  await User.findByIdAndUpdate(userId, { tokensValidAfter: new Date() });
+};
+
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000; // 1 hour
+const VERIFY_TOKEN_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+// Helper to email a fresh verification link. Failures are logged, not surfaced to the client.
+const sendVerificationEmail = async (user) => {
+  try {
+    const token = await AuthToken.issue(user._id, "email_verification", VERIFY_TOKEN_TTL_MS);
+    await sendMail({
+      to: user.email,
+      subject: "Verify your email address",
+      text:
+        `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n` +
+        `${appLink("/verify-email", { token })}\n\n` +
+        `Verification token: ${token}\nThis link expires in 24 hours.`,
+    });
+  } catch (error) {
+    console.error("Send verification email error:", error);
+  }
+};
+
 // Register a new user (defaults to role "user").
 router.post("/register", async (req, res) => {
   try {
@@ -40,20 +84,23 @@ router.post("/register", async (req, res) => {
     // Create user with default "user" role.
     const newUser = new User({ name, email, password, role: "user", profilePicture: normalizedProfile });
     await newUser.save();
+    await sendVerificationEmail(newUser);
 
-    const token = signToken(newUser);
+    const { token, refreshToken } = await issueSession(newUser, req);
 
     return res.status(201).json({
       success: true,
       message: "Registration successful.",
       data: {
         token,
+        refreshToken,
         user: {
           id: newUser._id,
           name: newUser.name,
           email: newUser.email,
           role: newUser.role,
           profilePicture: newUser.profilePicture,
+          emailVerified: newUser.emailVerified,
         },
       },
     });
@@ -88,19 +135,21 @@ router.post("/login", async (req, res) => {
       return res.status(400).json({ success: false, message: "Invalid credentials." });
     }
 
-    const token = signToken(user);
+    const { token, refreshToken } = await issueSession(user, req);
 
     return res.status(200).json({
       success: true,
       message: "Login successful.",
       data: {
         token,
+        refreshToken,
         user: {
           id: user._id,
           name: user.name,
           email: user.email,
           role: user.role,
           profilePicture: user.profilePicture,
+          emailVerified: user.emailVerified,
         },
       },
     });
@@ -110,6 +159,87 @@ router.post("/login", async (req, res) => {
   }
 });
 
+// Exchange a refresh token for a new access token. The refresh token is rotated on every use;
+// presenting an already-rotated token revokes the whole session chain (likely theft).
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ success: false, message: "refreshToken is required." });
+    }
+
+    const stored = await RefreshToken.findByRawToken(refreshToken);
+    if (!stored || stored.expiresAt <= new Date()) {
+      return res.status(401).json({ success: false, message: "Invalid or expired refresh token. Please log in again." });
+    }
+
+    if (stored.revokedAt) {
+      await RefreshToken.updateMany({ family: stored.family, revokedAt: null }, { revokedAt: new Date() });
+      return res.status(401).json({ success: false, message: "Refresh token was already used. Please log in again." });
+    }
+
+    const user = await User.findById(stored.user);
+    if (!user) {
+      return res.status(401).json({ success: false, message: "User not found. Please log in again." });
+    }
+    if (user.isActive === false) {
+      return res.status(403).json({ success: false, message: "Account is disabled. Contact support." });
+    }
+
+    // Claim the token atomically so two concurrent refreshes cannot both succeed.
+    const claimed = await RefreshToken.findOneAndUpdate(
+      { _id: stored._id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(401).json({ success: false, message: "Refresh token was already used. Please log in again." });
+    }
+
+    const session = await issueSession(user, req, stored.family);
+    claimed.replacedByHash = RefreshToken.hashToken(session.refreshToken);
+    await claimed.save();
+
+    return res.status(200).json({ success: true, message: "Token refreshed.", data: session });
+  } catch (error) {
+    console.error("Refresh token error:", error);
+    return res.status(500).json({ success: false, message: "Server error while refreshing token." });
+  }
+});
+
+// Log out this device by revoking its refresh token chain.
+router.post("/logout", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ success: false, message: "refreshToken is required." });
+    }
+
+    const stored = await RefreshToken.findByRawToken(refreshToken);
+    if (stored) {
+      await RefreshToken.updateMany({ family: stored.family, revokedAt: null }, { revokedAt: new Date() });
+    }
+
+    return res.status(200).json({ success: true, message: "Logged out." });
+  } catch (error) {
+    console.error("Logout error:", error);
+    return res.status(500).json({ success: false, message: "Server error during logout." });
+  }
+});
+
+// Log out everywhere: revoke every refresh token and all access tokens issued so far.
+router.post("/logout-all", auth, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.id);
+    return res.status(200).json({ success: true, message: "Logged out from all devices." });
+  } catch (error) {
+    console.error("Logout all error:", error);
+    return res.status(500).json({ success: false, message: "Server error during logout." });
+  }
+});
+
 // Get current logged-in user's info.
 router.get("/me", auth, async (req, res) => {
   try {
@@ -126,4 +256,122 @@ router.get("/me", auth, async (req, res) => {
   }
 });
 
+// Request a password reset link. Always responds the same way so emails cannot be enumerated.
+router.post("/forgot-password", async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ success: false, message: "Email is required." });
+    }
+
+    const user = await User.findOne({ email: email.toString().toLowerCase().trim() });
+    if (user && user.isActive !== false) {
+      const token = await AuthToken.issue(user._id, "password_reset", RESET_TOKEN_TTL_MS);
+      await sendMail({
+        to: user.email,
+        subject: "Reset your password",
+        text:
+          `Hi ${user.name},\n\nWe received a request to reset your password. Open this link to choose a new one:\n` +
+          `${appLink("/reset-password", { token })}\n\n` +
+          `Reset token: ${token}\nThis link expires in 1 hour. If you did not ask for this, ignore this email.`,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "If that email is registered, a password reset link has been sent.",
+    });
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    return res.status(500).json({ success: false, message: "Server error while requesting password reset." });
+  }
+});
+
+// Set a new password using a reset token.
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ success: false, message: "Token and new password are required." });
+    }
+
+    const authToken = await AuthToken.consume(token, "password_reset");
+    if (!authToken) {
+      return res.status(400).json({ success: false, message: "Reset link is invalid or has expired." });
+    }
+
+    const user = await User.findById(authToken.user);
+    if (!user || user.isActive === false) {
+      return res.status(400).json({ success: false, message: "Reset link is invalid or has expired." });
+    }
+
+    user.password = password;
+    user.passwordChangedAt = new Date();
+    // Receiving the reset email proves the user owns the address.
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    await revokeAllSessions(user._id);
+
+    return res.status(200).json({ success: true, message: "Password has been reset. Please log in." });
+  } catch (error) {
+    console.error("Reset password error:", error);
+    return res.status(500).json({ success: false, message: "Server error while resetting password." });
+  }
+});
+
+// Confirm an email address using a verification token.
+router.post("/verify-email", async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ success: false, message: "Verification token is required." });
+    }
+
+    const authToken = await AuthToken.consume(token, "email_verification");
+    if (!authToken) {
+      return res.status(400).json({ success: false, message: "Verification link is invalid or has expired." });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      authToken.user,
+      { emailVerified: true, emailVerifiedAt: new Date() },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(400).json({ success: false, message: "Verification link is invalid or has expired." });
+    }
+
+    return res.status(200).json({ success: true, message: "Email verified.", data: { emailVerified: true } });
+  } catch (error) {
+    console.error("Verify email error:", error);
+    return res.status(500).json({ success: false, message: "Server error while verifying email." });
+  }
+});
+
+// Send a new verification email to the logged-in user.
+router.post("/verify-email/resend", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found." });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({ success: false, message: "Email is already verified." });
+    }
+
+    await sendVerificationEmail(user);
+    return res.status(200).json({ success: true, message: "Verification email sent." });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    return res.status(500).json({ success: false, message: "Server error while sending verification email." });
+  }
+});
+
 module.exports = router;
@@ -9,6 +9,7 @@ const Notification = require("../models/Notification");
 const User = require("../models/User");
 const auth = require("../middleware/authMiddleware");
 const { messageLimiter } = require("../middleware/rateLimiter");
+const realtime = require("../utils/realtime");
 
 const router = express.Router();
 
@@ -31,6 +32,15 @@ const ensureMember = async (chatId, userId) => {
   return { chat };
 };
 
+// Push a chat event to every participant's open event streams.
+const publishToParticipants = (chat, event, data) => {
+  realtime.publishToUsers(
+    chat.participants.map((p) => p._id),
+    event,
+    { chatId: chat._id, ...data }
+  );
+};
+
 // List inbox chats for the current user.
 router.get("/", async (req, res) => {
   try {
@@ -223,6 +233,11 @@ router.post("/:id/messages", messageLimiter, async (req, res) => {
         meta: { contactId: msg._id },
       });
 
+      realtime.publishToUsers([req.user.id, donor.user], "chat_message", {
+        chatId: req.params.id,
+        message: msg.toObject(),
+      });
+
       return res.status(201).json({ success: true, message: "Message sent.", data: msg });
     }
 
@@ -257,6 +272,8 @@ router.post("/:id/messages", messageLimiter, async (req, res) => {
     chat.updatedAt = new Date();
     await chat.save();
 
+    publishToParticipants(chat, "chat_message", { message: msg.toObject() });
+
     if (other?._id) {
       await Notification.create({
         user: other._id,
@@ -319,4 +336,59 @@ router.post("/:id/unpause", async (req, res) => {
   }
 });
 
+// Broadcast a typing indicator to the other participant.
+router.post("/:id/typing", async (req, res) => {
+  try {
+    const { chat, error } = await ensureMember(req.params.id, req.user.id);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    if (chat.pausedBy && chat.pausedBy.length > 0) {
+      return res.status(403).json({ success: false, message: "Chat is paused." });
+    }
+
+    const isTyping = req.body.isTyping !== false;
+    const others = chat.participants.filter((p) => p._id.toString() !== req.user.id).map((p) => p._id);
+    realtime.publishToUsers(others, "chat_typing", { chatId: chat._id, userId: req.user.id, isTyping });
+
+    return res.status(200).json({ success: true, message: "Typing status sent.", data: { isTyping } });
+  } catch (error) {
+    console.error("Chat typing error:", error);
+    return res.status(500).json({ success: false, message: "Server error while sending typing status." });
+  }
+});
+
+// Mark messages sent to the current user in this chat as read and send a read receipt.
+router.post("/:id/read", async (req, res) => {
+  try {
+    const { chat, error } = await ensureMember(req.params.id, req.user.id);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    // Only this chat's messages: a requester has a separate chat with each donor on the same request.
+    const other = chat.participants.find((p) => p._id.toString() !== req.user.id);
+    const readFilters = { request: chat.request?._id, toUser: req.user.id, readAt: null };
+    if (other?._id) readFilters.fromUser = other._id;
+
+    const readAt = new Date();
+    const result = await RequestMessage.updateMany(readFilters, { readAt });
+
+    if (result.modifiedCount > 0) {
+      const others = chat.participants.filter((p) => p._id.toString() !== req.user.id).map((p) => p._id);
+      realtime.publishToUsers(others, "chat_read", { chatId: chat._id, userId: req.user.id, readAt });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Messages marked as read.",
+      data: { updated: result.modifiedCount, readAt },
+    });
+  } catch (error) {
+    console.error("Chat read error:", error);
+    return res.status(500).json({ success: false, message: "Server error while marking messages as read." });
+  }
+});
+
 module.exports = router;
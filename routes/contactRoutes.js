@@ -7,6 +7,7 @@ const BloodRequest = require("../models/BloodRequest");
 const Notification = require("../models/Notification");
 const User = require("../models/User");
 const auth = require("../middleware/authMiddleware");
+const realtime = require("../utils/realtime");
 
 const router = express.Router();
 
@@ -75,6 +76,11 @@ router.post("/", async (req, res) => {
       },
     });
 
+    realtime.publishToUsers([req.user.id, donor.user], "chat_message", {
+      chatId: `contact_${req.user.id}_${donor._id}`,
+      message: contact.toObject(),
+    });
+
     return res.status(201).json({ success: true, message: "Message sent to donor.", data: contact });
   } catch (error) {
     console.error("Contact message error:", error);
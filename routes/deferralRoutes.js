@@ -0,0 +1,243 @@
+// Routes for donor deferrals: admins add, lift and review them; donors see their own history.
+const express = require("express");
+const mongoose = require("mongoose");
+const Donor = require("../models/Donor");
+const Deferral = require("../models/Deferral");
+const auth = require("../middleware/authMiddleware");
+const requirePermission = require("../middleware/permissionMiddleware");
+const { parseListQuery, paginate } = require("../utils/pagination");
+const { DEFERRAL_REASON_CODES } = require("../utils/screening");
+const { createDeferral, liftDeferral, syncDonorDeferral } = require("../utils/deferrals");
+const { recordAudit } = require("../utils/audit");
+
+const router = express.Router();
+
+router.use(auth);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Parse "until" (a date) or "days" (from now) into a future date. Returns { until } or { error }.
+const parseUntil = ({ until, days }) => {
+  let value;
+  if (until) {
+    value = new Date(until);
+  } else if (days !== undefined) {
+    const count = Number(days);
+    if (!Number.isInteger(count) || count < 1) {
+      return { error: "days must be a positive integer." };
+    }
+    value = new Date(Date.now() + count * DAY_MS);
+  } else {
+    return { error: "until or days is required." };
+  }
+  if (isNaN(value) || value <= new Date()) {
+    return { error: "until must be a valid future date." };
+  }
+  return { until: value };
+};
+
+// Helper: load a deferral by id or return an error shape.
+const loadDeferral = async (id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return { error: { status: 400, message: "Invalid deferral ID." } };
+  }
+  const deferral = await Deferral.findById(id);
+  if (!deferral) {
+    return { error: { status: 404, message: "Deferral not found." } };
+  }
+  return { deferral };
+};
+
+// Review queue / search (admin). Filters: donor, reasonCode, source, status (active|lifted|expired), needsReview.
+router.get("/", requirePermission("deferrals:manage"), async (req, res) => {
+  try {
+    const listQuery = parseListQuery(req.query, { sortable: ["createdAt", "until"], defaultSort: "-createdAt" });
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
+    }
+
+    const { donor, reasonCode, source, status, needsReview } = req.query;
+    const filters = {};
+    if (donor) {
+      if (!mongoose.isValidObjectId(donor)) {
+        return res.status(400).json({ success: false, message: "Invalid donor ID." });
+      }
+      filters.donor = donor;
+    }
+    if (reasonCode) filters.reasonCode = reasonCode;
+    if (source) filters.source = source;
+    if (needsReview === "true" || needsReview === "false") {
+      filters.needsReview = needsReview === "true";
+    }
+    if (status === "active") {
+      filters.status = "active";
+      filters.until = { $gt: new Date() };
+    } else if (status === "expired") {
+      filters.status = "active";
+      filters.until = { $lte: new Date() };
+    } else if (status === "lifted") {
+      filters.status = "lifted";
+    }
+
+    const { items, meta } = await paginate(Deferral, filters, listQuery, (query) =>
+      query.populate("donor", "fullName bloodGroup phone")
+    );
+    return res.status(200).json({ success: true, message: "Deferrals fetched.", data: items, meta });
+  } catch (error) {
+    console.error("List deferrals error:", error);
+    return res.status(500).json({ success: false, message: "Server error while fetching deferrals." });
+  }
+});
+
+// Deferral history for one donor (owner or admin).
+router.get("/donor/:donorId", async (req, res) => {
+  try {
+    const { donorId } = req.params;
+    if (!mongoose.isValidObjectId(donorId)) {
+      return res.status(400).json({ success: false, message: "Invalid donor ID." });
+    }
+    const donor = await Donor.findOne({ _id: donorId, isDeleted: false });
+    if (!donor) {
+      return res.status(404).json({ success: false, message: "Donor not found." });
+    }
+    if (req.user.role !== "admin" && donor.user.toString() !== req.user.id) {
+      return res.status(403).json({ success: false, message: "You can only view your own deferrals." });
+    }
+
+    const listQuery = parseListQuery(req.query, { sortable: ["createdAt", "until"], defaultSort: "-createdAt" });
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
+    }
+    const { items, meta } = await paginate(Deferral, { donor: donor._id }, listQuery);
+    return res.status(200).json({ success: true, message: "Deferrals fetched.", data: items, meta });
+  } catch (error) {
+    console.error("List donor deferrals error:", error);
+    return res.status(500).json({ success: false, message: "Server error while fetching deferrals." });
+  }
+});
+
+// Add a deferral (admin).
+router.post("/", requirePermission("deferrals:manage"), async (req, res) => {
+  try {
+    const { donorId, reasonCode, reason } = req.body;
+    if (!donorId || !mongoose.isValidObjectId(donorId)) {
+      return res.status(400).json({ success: false, message: "A valid donorId is required." });
+    }
+    if (!DEFERRAL_REASON_CODES.includes(reasonCode)) {
+      return res
+        .status(400)
+        .json({ success: false, message: `reasonCode must be one of: ${DEFERRAL_REASON_CODES.join(", ")}.` });
+    }
+    const { until, error } = parseUntil(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const donor = await Donor.findOne({ _id: donorId, isDeleted: false });
+    if (!donor) {
+      return res.status(404).json({ success: false, message: "Donor not found." });
+    }
+
+    const deferral = await createDeferral(donor, {
+      reasonCode,
+      reason,
+      until,
+      source: "admin",
+      createdBy: req.user.id,
+      reviewedAt: new Date(),
+      reviewedBy: req.user.id,
+    });
+
+    await recordAudit(req, {
+      action: "add_deferral",
+      targetType: "Donor",
+      targetId: donor._id.toString(),
+      details: { deferralId: deferral._id.toString(), reasonCode, until },
+    });
+
+    return res.status(201).json({ success: true, message: "Deferral added.", data: deferral });
+  } catch (error) {
+    console.error("Add deferral error:", error);
+    return res.status(500).json({ success: false, message: "Server error while adding deferral." });
+  }
+});
+
+// Lift an active deferral early (admin).
+router.post("/:id/lift", requirePermission("deferrals:manage"), async (req, res) => {
+  try {
+    const { deferral, error } = await loadDeferral(req.params.id);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    if (deferral.status !== "active" || deferral.until <= new Date()) {
+      return res.status(400).json({ success: false, message: "Only active deferrals can be lifted." });
+    }
+
+    await liftDeferral(deferral, { liftedBy: req.user.id, liftReason: req.body.reason });
+
+    await recordAudit(req, {
+      action: "lift_deferral",
+      targetType: "Donor",
+      targetId: deferral.donor.toString(),
+      details: { deferralId: deferral._id.toString(), reason: req.body.reason },
+    });
+
+    return res.status(200).json({ success: true, message: "Deferral lifted.", data: deferral });
+  } catch (error) {
+    console.error("Lift deferral error:", error);
+    return res.status(500).json({ success: false, message: "Server error while lifting deferral." });
+  }
+});
+
+// Review an automatic deferral (admin): confirm it, optionally changing the end date.
+router.post("/:id/review", requirePermission("deferrals:manage"), async (req, res) => {
+  try {
+    const { deferral, error } = await loadDeferral(req.params.id);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    let newUntil = null;
+    if (req.body.until || req.body.days !== undefined) {
+      if (deferral.status !== "active") {
+        return res.status(400).json({ success: false, message: "Only active deferrals can be changed." });
+      }
+      const parsed = parseUntil(req.body);
+      if (parsed.error) {
+        return res.status(400).json({ success: false, message: parsed.error });
+      }
+      newUntil = parsed.until;
+    }
+
+    const previousUntil = deferral.until;
+    deferral.needsReview = false;
+    deferral.reviewedAt = new Date();
+    deferral.reviewedBy = req.user.id;
+    deferral.reviewNote = req.body.note;
+    if (newUntil) {
+      deferral.until = newUntil;
+    }
+    await deferral.save();
+    if (newUntil) {
+      await syncDonorDeferral(deferral.donor);
+    }
+
+    await recordAudit(req, {
+      action: "review_deferral",
+      targetType: "Donor",
+      targetId: deferral.donor.toString(),
+      details: {
+        deferralId: deferral._id.toString(),
+        note: req.body.note,
+        ...(newUntil ? { previousUntil, until: newUntil } : {}),
+      },
+    });
+
+    return res.status(200).json({ success: true, message: "Deferral reviewed.", data: deferral });
+  } catch (error) {
+    console.error("Review deferral error:", error);
+    return res.status(500).json({ success: false, message: "Server error while reviewing deferral." });
+  }
+});
+
+module.exports = router;
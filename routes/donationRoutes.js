@@ -4,8 +4,27 @@ const mongoose = require("mongoose");
 const Donation = require("../models/Donation");
 const Donor = require("../models/Donor");
 const Institution = require("../models/Institution");
+const BloodRequest = require("../models/BloodRequest");
+const Pledge = require("../models/Pledge");
 const auth = require("../middleware/authMiddleware");
-const AuditLog = require("../models/AuditLog");
+const requirePermission = require("../middleware/permissionMiddleware");
+const { hasPermission } = require("../utils/permissions");
+const { parseListQuery, paginate } = require("../utils/pagination");
+const { donationFilters } = require("../utils/listFilters");
+const { DONATION_TYPES } = require("../utils/eligibility");
+const InventoryUnit = require("../models/InventoryUnit");
+const {
+  parseUnits,
+  checkReadyToDonate,
+  recordDonation,
+  updateDonation,
+  deleteDonation,
+  restoreDonation,
+} = require("../utils/donationRecording");
+const { REVIEWABLE_STATUSES, reviewDonation } = require("../utils/donationVerification");
+const { recordAudit } = require("../utils/audit");
+const { certificateSnapshot, issueDocument, verificationUrl } = require("../utils/documents");
+const { sendPdf, drawCertificate } = require("../utils/pdfRenderer");
 
 const router = express.Router();
 
@@ -13,9 +32,14 @@ const router = express.Router();
 router.use(auth);
 
 // Record a new donation.
+// Optionally link it to a blood request (requestId) or to an accepted pledge (pledgeId),
+// which rolls the units up onto the request.
+// Institution staff and admins record verified donations. A donor may report their own donation;
+// it waits in the review queue (pending with an institution, self_reported without) and counts once verified.
 router.post("/", async (req, res) => {
   try {
-    const { donorId, institutionId, donationDate, units, location, notes } = req.body;
+    const { donorId, institutionId, donationDate, units, location, notes, requestId, pledgeId } = req.body;
+    const donationType = req.body.donationType || "whole_blood";
 
     if (!donorId) {
       return res.status(400).json({ success: false, message: "donorId is required." });
@@ -25,65 +49,158 @@ router.post("/", async (req, res) => {
       return res.status(400).json({ success: false, message: "Invalid donor ID." });
     }
 
+    if (institutionId && !mongoose.isValidObjectId(institutionId)) {
+      return res.status(400).json({ success: false, message: "Invalid institution ID." });
+    }
+
+    // Staff record donations for their own institution; platform admins may record anywhere.
+    const canRecord = await hasPermission(req.user, "donations:record", institutionId || null);
     const donor = await Donor.findById(donorId);
+    const isOwnDonor = Boolean(donor && donor.user && donor.user.toString() === req.user.id);
+    if (!canRecord && !isOwnDonor) {
+      return res
+        .status(403)
+        .json({ success: false, message: "Only staff of the institution can record donations." });
+    }
+
+    if (!DONATION_TYPES.includes(donationType)) {
+      return res
+        .status(400)
+        .json({ success: false, message: `donationType must be one of: ${DONATION_TYPES.join(", ")}.` });
+    }
+
     if (!donor) {
       return res.status(404).json({ success: false, message: "Donor not found." });
     }
 
-    // Validate eligibility with the 90-day rule.
-    const eligibility = donor.isEligibleToDonate();
-    if (!eligibility.eligible) {
-      return res.status(400).json({
-        success: false,
-        message: `Donor is not eligible to donate yet. Please wait ${eligibility.daysUntilEligible} more days.`,
-        daysUntilEligible: eligibility.daysUntilEligible,
-      });
+    // Validate eligibility against the active rule set (and the screening requirement, if enabled).
+    // Self-reported donations already happened, so they are checked by the reviewer instead.
+    let screening = null;
+    if (canRecord) {
+      const { screening: recent, error: notReady } = await checkReadyToDonate(donor, { donationType });
+      if (notReady) {
+        const { status, ...body } = notReady;
+        return res.status(status).json({ success: false, ...body });
+      }
+      screening = recent;
     }
 
     let institution = null;
     if (institutionId) {
-      if (!mongoose.isValidObjectId(institutionId)) {
-        return res.status(400).json({ success: false, message: "Invalid institution ID." });
-      }
-
       institution = await Institution.findById(institutionId);
       if (!institution) {
         return res.status(404).json({ success: false, message: "Institution not found." });
       }
     }
 
+    let pledge = null;
+    let linkedRequestId = null;
+    if (pledgeId) {
+      if (!mongoose.isValidObjectId(pledgeId)) {
+        return res.status(400).json({ success: false, message: "Invalid pledge ID." });
+      }
+      pledge = await Pledge.findById(pledgeId);
+      if (!pledge) {
+        return res.status(404).json({ success: false, message: "Pledge not found." });
+      }
+      if (pledge.donor.toString() !== donor._id.toString()) {
+        return res.status(400).json({ success: false, message: "Pledge belongs to a different donor." });
+      }
+      if (pledge.status !== "accepted") {
+        return res.status(400).json({ success: false, message: "Only accepted pledges can be fulfilled." });
+      }
+      linkedRequestId = pledge.request;
+    } else if (requestId) {
+      if (!mongoose.isValidObjectId(requestId)) {
+        return res.status(400).json({ success: false, message: "Invalid request ID." });
+      }
+      const bloodRequest = await BloodRequest.findOne({ _id: requestId, isDeleted: false });
+      if (!bloodRequest) {
+        return res.status(404).json({ success: false, message: "Blood request not found." });
+      }
+      linkedRequestId = bloodRequest._id;
+    }
+
+    const { units: unitCount, error: unitsError } = parseUnits(units ?? pledge?.units);
+    if (unitsError) {
+      return res.status(400).json({ success: false, message: unitsError });
+    }
+
     // Use provided date or default to now.
     const donationDateValue = donationDate ? new Date(donationDate) : new Date();
     if (isNaN(donationDateValue)) {
       return res.status(400).json({ success: false, message: "Invalid donationDate format." });
     }
 
-    const donation = await Donation.create({
-      donor: donorId,
-      institution: institutionId || undefined,
-      donationDate: donationDateValue,
-      units: units || 1,
-      location,
-      notes,
-    });
+    if (!canRecord) {
+      if (donationDateValue > new Date()) {
+        return res.status(400).json({ success: false, message: "donationDate cannot be in the future." });
+      }
+
+      // One report per day: a second one for the same day is either a duplicate or an attempt to inflate counts.
+      const dayStart = new Date(donationDateValue);
+      dayStart.setUTCHours(0, 0, 0, 0);
+      const sameDay = await Donation.exists({
+        donor: donor._id,
+        isDeleted: false,
+        verificationStatus: { $ne: "rejected" },
+        donationDate: { $gte: dayStart, $lt: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000) },
+      });
+      if (sameDay) {
+        return res
+          .status(409)
+          .json({ success: false, message: "A donation on this date is already recorded for the donor." });
+      }
+
+      const reported = await Donation.create({
+        donor: donor._id,
+        institution: institution ? institution._id : undefined,
+        pledge: pledge ? pledge._id : undefined,
+        request: linkedRequestId || undefined,
+        donationType,
+        donationDate: donationDateValue,
+        units: unitCount,
+        location,
+        notes,
+        verificationStatus: institution ? "pending" : "self_reported",
+        reportedBy: req.user.id,
+      });
 
-    // Update donor stats.
-    donor.lastDonationDate = donation.donationDate;
-    donor.totalDonations += 1;
-    await donor.save();
+      await recordAudit(req, {
+        action: "report_donation",
+        targetType: "Donation",
+        targetId: reported._id.toString(),
+        details: { donorId, institutionId, verificationStatus: reported.verificationStatus },
+      });
 
-    // Update institution stats if applicable.
-    if (institution) {
-      institution.totalDonations += 1;
-      await institution.save();
+      return res.status(201).json({
+        success: true,
+        message: "Donation reported. It will count once it has been verified.",
+        data: reported,
+      });
     }
 
-    await AuditLog.create({
-      user: req.user.id,
+    const donation = await recordDonation({
+      donor,
+      institution,
+      pledge,
+      screening,
+      userId: req.user.id,
+      fields: {
+        request: linkedRequestId || undefined,
+        donationType,
+        donationDate: donationDateValue,
+        units: unitCount,
+        location,
+        notes,
+      },
+    });
+
+    await recordAudit(req, {
       action: "create_donation",
       targetType: "Donation",
       targetId: donation._id.toString(),
-      details: { donorId, institutionId },
+      details: { donorId, institutionId, requestId: linkedRequestId?.toString(), pledgeId },
     });
 
     return res
@@ -98,14 +215,45 @@ router.post("/", async (req, res) => {
 // Get all donations with optional filters.
 router.get("/", async (req, res) => {
   try {
-    const { donorId, institutionId, fromDate, toDate } = req.query;
-    const filters = {};
+    const { filters, error } = donationFilters(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const listQuery = parseListQuery(req.query, {
+      sortable: ["donationDate", "createdAt", "units"],
+      defaultSort: "-donationDate",
+    });
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
+    }
+
+    const { items, meta } = await paginate(Donation, filters, listQuery, (query) =>
+      query.populate("donor", "fullName bloodGroup phone").populate("institution", "name type")
+    );
+
+    return res.status(200).json({ success: true, message: "Donations fetched.", data: items, meta });
+  } catch (error) {
+    console.error("List donations error:", error);
+    return res.status(500).json({ success: false, message: "Server error while fetching donations." });
+  }
+});
+
+// Review queue: self-reported and pending donations, oldest first.
+// With institutionId, staff of that institution see its pending reports; platform admins see everything
+// (status=self_reported narrows to reports without an institution).
+router.get("/review-queue", async (req, res) => {
+  try {
+    const { institutionId, status } = req.query;
+    const filters = { isDeleted: false, verificationStatus: { $in: REVIEWABLE_STATUSES } };
 
-    if (donorId) {
-      if (!mongoose.isValidObjectId(donorId)) {
-        return res.status(400).json({ success: false, message: "Invalid donor ID." });
+    if (status) {
+      if (!REVIEWABLE_STATUSES.includes(status)) {
+        return res
+          .status(400)
+          .json({ success: false, message: `status must be one of: ${REVIEWABLE_STATUSES.join(", ")}.` });
       }
-      filters.donor = donorId;
+      filters.verificationStatus = status;
     }
 
     if (institutionId) {
@@ -115,54 +263,224 @@ router.get("/", async (req, res) => {
       filters.institution = institutionId;
     }
 
-    if (fromDate || toDate) {
-      filters.donationDate = {};
-      if (fromDate) {
-        const parsedFrom = new Date(fromDate);
-        if (isNaN(parsedFrom)) {
-          return res.status(400).json({ success: false, message: "Invalid fromDate format." });
+    if (!(await hasPermission(req.user, "donations:record", institutionId || null))) {
+      return res
+        .status(403)
+        .json({ success: false, message: "Only staff of the institution can review its donations." });
+    }
+
+    const listQuery = parseListQuery(req.query, {
+      sortable: ["createdAt", "donationDate"],
+      defaultSort: "createdAt",
+    });
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
+    }
+
+    const { items, meta } = await paginate(Donation, filters, listQuery, (query) =>
+      query
+        .populate("donor", "fullName bloodGroup phone lastDonationDate")
+        .populate("institution", "name type")
+        .populate("reportedBy", "name email")
+    );
+
+    return res.status(200).json({ success: true, message: "Review queue fetched.", data: items, meta });
+  } catch (error) {
+    console.error("Donation review queue error:", error);
+    return res.status(500).json({ success: false, message: "Server error while fetching the review queue." });
+  }
+});
+
+// Verify or reject a reported donation. Staff of the named institution decide pending reports;
+// reports without an institution need a platform admin. Nobody can review their own donation.
+const reviewHandler = (decision) => async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: "Invalid donation ID." });
+    }
+
+    const donation = await Donation.findOne({ _id: id, isDeleted: false }).populate("donor", "user");
+    if (!donation) {
+      return res.status(404).json({ success: false, message: "Donation not found." });
+    }
+
+    if (!(await hasPermission(req.user, "donations:record", donation.institution || null))) {
+      return res
+        .status(403)
+        .json({ success: false, message: "Only staff of the institution can review this donation." });
+    }
+    if (donation.donor?.user?.toString() === req.user.id || donation.reportedBy?.toString() === req.user.id) {
+      return res.status(403).json({ success: false, message: "You cannot review your own donation." });
+    }
+
+    const note = req.body.note || req.body.reason;
+    if (decision === "reject" && !note) {
+      return res.status(400).json({ success: false, message: "A reason is required to reject a donation." });
+    }
+
+    const before = donation.verificationStatus;
+    const { donation: reviewed, error } = await reviewDonation(donation._id, {
+      decision,
+      reviewerId: req.user.id,
+      note,
+    });
+    if (error) {
+      const { status, ...body } = error;
+      return res.status(status).json({ success: false, ...body });
+    }
+
+    await recordAudit(req, {
+      action: decision === "verify" ? "verify_donation" : "reject_donation",
+      targetType: "Donation",
+      targetId: id,
+      details: { note },
+      changes: [{ field: "verificationStatus", before, after: reviewed.verificationStatus }],
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: decision === "verify" ? "Donation verified." : "Donation rejected.",
+      data: reviewed,
+    });
+  } catch (error) {
+    console.error(`Donation ${decision} error:`, error);
+    return res.status(500).json({ success: false, message: "Server error while reviewing donation." });
+  }
+};
+
+router.post("/:id/verify", reviewHandler("verify"));
+router.post("/:id/reject", reviewHandler("reject"));
+
+// Fields PUT /api/donations/:id may change.
+const EDITABLE_FIELDS = ["donationDate", "donationType", "units", "location", "notes", "institution", "request"];
+
+// Correct a donation (platform admins, or staff of its institution and of any new institution).
+// Donor, institution and request counters are recomputed for both the old and the new values.
+// Body: donationDate, donationType, units, location, notes, institutionId, requestId (null to unlink).
+router.put("/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: "Invalid donation ID." });
+    }
+
+    const donation = await Donation.findOne({ _id: id, isDeleted: false });
+    if (!donation) {
+      return res.status(404).json({ success: false, message: "Donation not found." });
+    }
+    if (!(await hasPermission(req.user, "donations:record", donation.institution || null))) {
+      return res.status(403).json({ success: false, message: "Only staff of the institution can edit this donation." });
+    }
+
+    const { donationDate, donationType, units, location, notes, institutionId, requestId } = req.body;
+    const changes = {};
+
+    if (donationDate !== undefined) {
+      const parsed = new Date(donationDate);
+      if (!donationDate || isNaN(parsed)) {
+        return res.status(400).json({ success: false, message: "Invalid donationDate format." });
+      }
+      if (parsed > new Date()) {
+        return res.status(400).json({ success: false, message: "donationDate cannot be in the future." });
+      }
+      changes.donationDate = parsed;
+    }
+    if (donationType !== undefined) {
+      if (!DONATION_TYPES.includes(donationType)) {
+        return res
+          .status(400)
+          .json({ success: false, message: `donationType must be one of: ${DONATION_TYPES.join(", ")}.` });
+      }
+      changes.donationType = donationType;
+    }
+    if (units !== undefined) {
+      const { error: unitsError } = parseUnits(units);
+      if (unitsError) {
+        return res.status(400).json({ success: false, message: unitsError });
+      }
+      changes.units = units;
+    }
+    if (location !== undefined) changes.location = location;
+    if (notes !== undefined) changes.notes = notes;
+
+    if (institutionId !== undefined) {
+      if (institutionId === null) {
+        changes.institution = undefined;
+      } else {
+        if (!mongoose.isValidObjectId(institutionId)) {
+          return res.status(400).json({ success: false, message: "Invalid institution ID." });
         }
-        filters.donationDate.$gte = parsedFrom;
+        if (!(await Institution.exists({ _id: institutionId, isDeleted: false }))) {
+          return res.status(404).json({ success: false, message: "Institution not found." });
+        }
+        changes.institution = institutionId;
+      }
+      if (!(await hasPermission(req.user, "donations:record", institutionId))) {
+        return res
+          .status(403)
+          .json({ success: false, message: "Only staff of the institution can record donations there." });
       }
-      if (toDate) {
-        const parsedTo = new Date(toDate);
-        if (isNaN(parsedTo)) {
-          return res.status(400).json({ success: false, message: "Invalid toDate format." });
+    }
+    if (requestId !== undefined) {
+      if (requestId === null) {
+        changes.request = undefined;
+      } else {
+        if (!mongoose.isValidObjectId(requestId)) {
+          return res.status(400).json({ success: false, message: "Invalid request ID." });
         }
-        filters.donationDate.$lte = parsedTo;
+        if (!(await BloodRequest.exists({ _id: requestId, isDeleted: false }))) {
+          return res.status(404).json({ success: false, message: "Blood request not found." });
+        }
+        changes.request = requestId;
       }
     }
 
-    filters.isDeleted = false;
+    // Stocked units carry the institution, component and count; changing those would orphan them.
+    const stockChange = ["institution", "donationType", "units"].some(
+      (field) => field in changes && String(changes[field] ?? "") !== String(donation[field] ?? "")
+    );
+    if (stockChange && (await InventoryUnit.exists({ donation: donation._id }))) {
+      return res.status(400).json({
+        success: false,
+        message: "This donation's units are in inventory; delete and re-record it to change institution, type or units.",
+      });
+    }
+
+    const result = await updateDonation(donation._id, changes);
+    if (!result) {
+      return res.status(404).json({ success: false, message: "Donation not found." });
+    }
 
-    const donations = await Donation.find(filters)
-      .populate("donor", "fullName bloodGroup phone")
-      .populate("institution", "name type")
-      .sort({ donationDate: -1 });
+    await recordAudit(req, {
+      action: "update_donation",
+      targetType: "Donation",
+      targetId: id,
+      before: result.before,
+      after: result.donation,
+      fields: EDITABLE_FIELDS,
+    });
 
-    return res.status(200).json({ success: true, message: "Donations fetched.", data: donations });
+    return res.status(200).json({ success: true, message: "Donation updated.", data: result.donation });
   } catch (error) {
-    console.error("List donations error:", error);
-    return res.status(500).json({ success: false, message: "Server error while fetching donations." });
+    console.error("Update donation error:", error);
+    return res.status(500).json({ success: false, message: "Server error while updating donation." });
   }
 });
 
-// Soft delete a donation (admin only).
-router.delete("/:id", async (req, res) => {
+// Soft delete a donation (admin only). Stats are recomputed without it and a pledge it fulfilled reopens.
+router.delete("/:id", requirePermission("donations:manage"), async (req, res) => {
   try {
     const { id } = req.params;
     if (!mongoose.isValidObjectId(id)) {
       return res.status(400).json({ success: false, message: "Invalid donation ID." });
     }
-    if (req.user.role !== "admin") {
-      return res.status(403).json({ success: false, message: "Admin only." });
-    }
-    const donation = await Donation.findByIdAndUpdate(id, { isDeleted: true });
+    const donation = await deleteDonation(id, { userId: req.user.id });
     if (!donation) {
       return res.status(404).json({ success: false, message: "Donation not found." });
     }
-    await AuditLog.create({
-      user: req.user.id,
+
+    await recordAudit(req, {
       action: "delete_donation",
       targetType: "Donation",
       targetId: id,
@@ -174,6 +492,88 @@ router.delete("/:id", async (req, res) => {
   }
 });
 
+// Undo a soft delete (admin only). Units discarded by the delete are not restocked.
+router.post("/:id/restore", requirePermission("donations:manage"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: "Invalid donation ID." });
+    }
+    const donation = await restoreDonation(id);
+    if (!donation) {
+      return res.status(404).json({ success: false, message: "Deleted donation not found." });
+    }
+
+    await recordAudit(req, {
+      action: "restore_donation",
+      targetType: "Donation",
+      targetId: id,
+      changes: [{ field: "isDeleted", before: true, after: false }],
+    });
+
+    return res.status(200).json({ success: true, message: "Donation restored.", data: donation });
+  } catch (error) {
+    console.error("Restore donation error:", error);
+    return res.status(500).json({ success: false, message: "Server error while restoring donation." });
+  }
+});
+
+// Download a PDF certificate for a verified donation (the donor, platform admins, or staff of its institution).
+// The certificate carries a verification code, also sent as X-Verification-Code, that anyone can check
+// at GET /api/verify/:code.
+router.get("/:id/certificate", async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: "Invalid donation ID." });
+    }
+
+    const donation = await Donation.findOne({ _id: id, isDeleted: false })
+      .populate("donor")
+      .populate("institution", "name");
+    if (!donation || !donation.donor) {
+      return res.status(404).json({ success: false, message: "Donation not found." });
+    }
+
+    const isOwner = donation.donor.user?.toString() === req.user.id;
+    if (!isOwner && !(await hasPermission(req.user, "donations:record", donation.institution?._id || null))) {
+      return res
+        .status(403)
+        .json({ success: false, message: "You are not allowed to download this certificate." });
+    }
+    if (donation.verificationStatus !== "verified") {
+      return res
+        .status(400)
+        .json({ success: false, message: "Certificates are only issued for verified donations." });
+    }
+
+    const document = await issueDocument({
+      kind: "donation_certificate",
+      donor: donation.donor,
+      donation,
+      snapshot: certificateSnapshot(donation),
+      issuedTo: req.user.id,
+    });
+
+    res.setHeader("X-Verification-Code", document.code);
+    return sendPdf(res, {
+      filename: `donation-certificate-${document.snapshot.donationDate}.pdf`,
+      title: "Certificate of Blood Donation",
+      layout: "landscape",
+      draw: (doc) =>
+        drawCertificate(doc, {
+          snapshot: document.snapshot,
+          code: document.code,
+          url: verificationUrl(document.code),
+          issuedAt: document.issuedAt,
+        }),
+    });
+  } catch (error) {
+    console.error("Donation certificate error:", error);
+    return res.status(500).json({ success: false, message: "Server error while generating certificate." });
+  }
+});
+
 // Get donation history for a specific donor.
 router.get("/donor/:donorId", async (req, res) => {
   try {
@@ -183,15 +583,26 @@ router.get("/donor/:donorId", async (req, res) => {
       return res.status(400).json({ success: false, message: "Invalid donor ID." });
     }
 
-    const donations = await Donation.find({ donor: donorId, isDeleted: false })
-      .populate("donor", "fullName bloodGroup phone")
-      .populate("institution", "name type")
-      .sort({ donationDate: -1 });
+    const listQuery = parseListQuery(req.query, {
+      sortable: ["donationDate", "createdAt", "units"],
+      defaultSort: "-donationDate",
+    });
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
+    }
+
+    const { items, meta } = await paginate(
+      Donation,
+      { donor: donorId, isDeleted: false },
+      listQuery,
+      (query) => query.populate("donor", "fullName bloodGroup phone").populate("institution", "name type")
+    );
 
     return res.status(200).json({
       success: true,
       message: "Donation history fetched.",
-      data: donations,
+      data: items,
+      meta,
     });
   } catch (error) {
     console.error("Donor donation history error:", error);
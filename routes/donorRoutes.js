@@ -4,12 +4,32 @@ const express = require("express");
 const mongoose = require("mongoose");
 const jwt = require("jsonwebtoken");
 const Donor = require("../models/Donor");
-const AuditLog = require("../models/AuditLog");
+const DonorBadge = require("../models/DonorBadge");
+const EligibilityReminder = require("../models/EligibilityReminder");
 const auth = require("../middleware/authMiddleware");
-const requireAdmin = require("../middleware/roleMiddleware");
+const requirePermission = require("../middleware/permissionMiddleware");
+const { parseNearQuery } = require("../utils/geo");
+const { parseListQuery, buildMeta, paginate } = require("../utils/pagination");
+const { donorFilters } = require("../utils/listFilters");
+const { BLOOD_GROUPS, COMPONENTS, getCompatibleDonorGroups, getMatchType } = require("../utils/bloodCompatibility");
+const { DONATION_TYPES, loadActiveRules } = require("../utils/eligibility");
+const { describeBadge, nextMilestone } = require("../utils/badges");
+const { recordAudit } = require("../utils/audit");
+const { cardSnapshot, issueDocument, verificationUrl } = require("../utils/documents");
+const { CARD_SIZE, sendPdf, drawDonorCard } = require("../utils/pdfRenderer");
 
 const router = express.Router();
 
+// Refresh the cached eligibility rules so donor responses reflect the active rule set.
+router.use(async (req, res, next) => {
+  try {
+    await loadActiveRules();
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+});
+
 // Helper: determine viewer role/id from optional Authorization header.
 const getViewerContext = (req) => {
   const authHeader = req.headers.authorization || "";
@@ -37,27 +57,100 @@ const allowedVisibilities = (role) => {
 router.get("/search", async (req, res) => {
   try {
     const viewer = getViewerContext(req);
-    const { bloodGroup, city } = req.query;
+    const { bloodGroup, city, component = "red_cells", exactOnly } = req.query;
     const filters = {
       willingToDonate: true,
       visibility: { $in: allowedVisibilities(viewer.role) },
       isDeleted: false,
     };
 
+    if (!COMPONENTS.includes(component)) {
+      return res.status(400).json({
+        success: false,
+        message: `component must be one of: ${COMPONENTS.join(", ")}.`,
+      });
+    }
+
+    // By default a blood group search also returns donors who can give to that group.
     if (bloodGroup) {
-      filters.bloodGroup = bloodGroup;
+      filters.bloodGroup =
+        exactOnly === "true" ? bloodGroup : { $in: getCompatibleDonorGroups(bloodGroup, component) };
     }
     if (city) {
       filters["address.city"] = { $regex: city, $options: "i" };
     }
 
-    const donors = await Donor.find(filters).populate("user", "profilePicture");
-    const results = donors.map((d) => d.toSafeObject(viewer.role, viewer.userId));
+    const { geo, error: nearError } = parseNearQuery(req.query);
+    if (nearError) {
+      return res.status(400).json({ success: false, message: nearError });
+    }
+
+    // Without an explicit sort, results are ranked by distance (proximity mode) or exact match first.
+    const listQuery = parseListQuery(req.query, {
+      sortable: ["relevance", "fullName", "totalDonations", "lastDonationDate"],
+      defaultSort: "relevance",
+    });
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
+    }
+    if (listQuery.cursor) {
+      return res.status(400).json({ success: false, message: "Search is paged with page/limit; cursor is not supported." });
+    }
+
+    const pipeline = [];
+    if (geo) {
+      // Proximity mode: $geoNear must come first and already orders nearest first.
+      pipeline.push({
+        $geoNear: {
+          near: geo.point,
+          distanceField: "distanceMeters",
+          maxDistance: geo.radiusKm * 1000,
+          spherical: true,
+          query: filters,
+        },
+      });
+    } else {
+      pipeline.push({ $match: filters });
+    }
+
+    if (listQuery.sortField !== "relevance") {
+      pipeline.push({ $sort: listQuery.sort });
+    } else if (!geo) {
+      pipeline.push(
+        { $addFields: { matchRank: { $cond: [{ $eq: ["$bloodGroup", bloodGroup || null] }, 0, 1] } } },
+        { $sort: { matchRank: 1, createdAt: -1, _id: -1 } }
+      );
+    }
+
+    pipeline.push({
+      $facet: {
+        items: [{ $skip: listQuery.skip }, { $limit: listQuery.limit }],
+        total: [{ $count: "count" }],
+      },
+    });
+
+    const [{ items: rawDonors, total }] = await Donor.aggregate(pipeline);
+    const donors = rawDonors.map((raw) => Donor.hydrate(raw));
+    await Donor.populate(donors, { path: "user", select: "profilePicture" });
+
+    let results = donors.map((donor, idx) => {
+      const safe = donor.toSafeObject(viewer.role, viewer.userId);
+      if (geo) {
+        safe.distanceKm = Math.round((rawDonors[idx].distanceMeters / 1000) * 100) / 100;
+      }
+      return safe;
+    });
+
+    // Tag each result against the searched group.
+    if (bloodGroup) {
+      results = results.map((d) => ({ ...d, matchType: getMatchType(d.bloodGroup, bloodGroup, component) }));
+    }
 
     return res.status(200).json({
       success: true,
       message: "Public donor search results.",
       data: results,
+      meta: buildMeta({ total: total[0]?.count || 0, listQuery }),
     });
   } catch (error) {
     console.error("Public search error:", error);
@@ -65,6 +158,70 @@ router.get("/search", async (req, res) => {
   }
 });
 
+// PUBLIC: leaderboard of donors who opted in, most verified donations first.
+// Filters: city, bloodGroup. Donor visibility still limits who appears for the viewer.
+router.get("/leaderboard", async (req, res) => {
+  try {
+    const viewer = getViewerContext(req);
+    const { city, bloodGroup } = req.query;
+
+    if (bloodGroup && !BLOOD_GROUPS.includes(bloodGroup)) {
+      return res
+        .status(400)
+        .json({ success: false, message: `bloodGroup must be one of: ${BLOOD_GROUPS.join(", ")}.` });
+    }
+
+    const listQuery = parseListQuery(req.query, { sortable: ["totalDonations"], defaultSort: "-totalDonations" });
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
+    }
+    if (listQuery.cursor) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Leaderboards are paged with page/limit; cursor is not supported." });
+    }
+
+    const filters = {
+      leaderboardOptIn: true,
+      isDeleted: false,
+      totalDonations: { $gt: 0 },
+      visibility: { $in: allowedVisibilities(viewer.role) },
+    };
+    if (bloodGroup) {
+      filters.bloodGroup = bloodGroup;
+    }
+    if (city) {
+      filters["address.city"] = { $regex: city, $options: "i" };
+    }
+
+    const { items, meta } = await paginate(Donor, filters, listQuery);
+    const awards = await DonorBadge.find({ donor: { $in: items.map((d) => d._id) } }).sort({ awardedAt: 1 });
+    const badgesByDonor = new Map();
+    for (const award of awards) {
+      const key = award.donor.toString();
+      if (!badgesByDonor.has(key)) badgesByDonor.set(key, []);
+      badgesByDonor.get(key).push(describeBadge(award.badge));
+    }
+
+    const data = items.map((donor, idx) => ({
+      rank: listQuery.skip + idx + 1,
+      id: donor._id,
+      fullName: donor.fullName,
+      bloodGroup: donor.bloodGroup,
+      city: donor.address?.city,
+      totalDonations: donor.totalDonations,
+      badges: badgesByDonor.get(donor._id.toString()) || [],
+    }));
+
+    return res
+      .status(200)
+      .json({ success: true, message: "Leaderboard fetched.", data, meta: { ...meta, city, bloodGroup } });
+  } catch (error) {
+    console.error("Leaderboard error:", error);
+    return res.status(500).json({ success: false, message: "Server error while fetching leaderboard." });
+  }
+});
+
 // Apply auth middleware to every route after this line.
 router.use(auth);
 
@@ -79,6 +236,7 @@ router.post("/", async (req, res) => {
       emergencyContactPhone,
       dateOfBirth,
       gender,
+      weightKg,
       bloodGroup,
       willingToDonate,
       address,
@@ -122,6 +280,7 @@ router.post("/", async (req, res) => {
       emergencyContactPhone,
       dateOfBirth,
       gender,
+      weightKg,
       bloodGroup,
       willingToDonate,
       address,
@@ -133,8 +292,7 @@ router.post("/", async (req, res) => {
 
     const response = donor.toSafeObject(req.user.role, req.user.id);
 
-    await AuditLog.create({
-      user: req.user.id,
+    await recordAudit(req, {
       action: "create_donor",
       targetType: "Donor",
       targetId: donor._id.toString(),
@@ -154,27 +312,20 @@ router.post("/", async (req, res) => {
 });
 
 // Get all donors (admin only) with optional filtering.
-router.get("/", requireAdmin, async (req, res) => {
+router.get("/", requirePermission("donors:manage"), async (req, res) => {
   try {
-    const { bloodGroup, city, willing } = req.query;
-    const filters = {};
+    const { filters } = donorFilters(req.query);
 
-    if (bloodGroup) {
-      filters.bloodGroup = bloodGroup;
-    }
-
-    if (city) {
-      // Case-insensitive match on address.city.
-      filters["address.city"] = { $regex: city, $options: "i" };
-    }
-
-    if (willing === "true" || willing === "false") {
-      filters.willingToDonate = willing === "true";
+    const listQuery = parseListQuery(req.query, {
+      sortable: ["createdAt", "fullName", "bloodGroup", "lastDonationDate", "totalDonations"],
+      defaultSort: "-createdAt",
+    });
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
     }
 
-    filters.isDeleted = false;
-    const donors = await Donor.find(filters).sort({ createdAt: -1 });
-    return res.status(200).json({ success: true, message: "Donors fetched.", data: donors });
+    const { items, meta } = await paginate(Donor, filters, listQuery);
+    return res.status(200).json({ success: true, message: "Donors fetched.", data: items, meta });
   } catch (error) {
     console.error("List donors error:", error);
     return res.status(500).json({ success: false, message: "Server error while fetching donors." });
@@ -197,6 +348,97 @@ router.get("/me", async (req, res) => {
   }
 });
 
+// Current user's badges, with progress towards the next donation milestone.
+router.get("/me/badges", async (req, res) => {
+  try {
+    const donor = await Donor.findOne({ user: req.user.id, isDeleted: false });
+    if (!donor) {
+      return res.status(404).json({ success: false, message: "No donor profile found for this user." });
+    }
+
+    const awards = await DonorBadge.find({ donor: donor._id }).sort({ awardedAt: 1 });
+    return res.status(200).json({
+      success: true,
+      message: "Badges fetched.",
+      data: {
+        totalDonations: donor.totalDonations,
+        badges: awards.map((award) => ({
+          ...describeBadge(award.badge),
+          awardedAt: award.awardedAt,
+          donation: award.donation,
+        })),
+        nextMilestone: nextMilestone(donor.totalDonations),
+        leaderboardOptIn: donor.leaderboardOptIn,
+      },
+    });
+  } catch (error) {
+    console.error("Get my badges error:", error);
+    return res.status(500).json({ success: false, message: "Server error while fetching badges." });
+  }
+});
+
+// Download the current user's donor card as a PDF. The card carries a verification code,
+// also sent as X-Verification-Code, that anyone can check at GET /api/verify/:code.
+router.get("/me/card", async (req, res) => {
+  try {
+    const donor = await Donor.findOne({ user: req.user.id, isDeleted: false });
+    if (!donor) {
+      return res.status(404).json({ success: false, message: "No donor profile found for this user." });
+    }
+
+    const document = await issueDocument({
+      kind: "donor_card",
+      donor,
+      snapshot: cardSnapshot(donor),
+      issuedTo: req.user.id,
+    });
+
+    res.setHeader("X-Verification-Code", document.code);
+    return sendPdf(res, {
+      filename: "donor-card.pdf",
+      title: "Blood Donor Card",
+      size: CARD_SIZE,
+      margin: 10,
+      draw: (doc) =>
+        drawDonorCard(doc, { snapshot: document.snapshot, code: document.code, url: verificationUrl(document.code) }),
+    });
+  } catch (error) {
+    console.error("Donor card error:", error);
+    return res.status(500).json({ success: false, message: "Server error while generating donor card." });
+  }
+});
+
+// Eligibility reminders sent to the current user, newest first.
+// Reminders are turned off with PUT /api/donors/:id { eligibilityReminders: false }.
+router.get("/me/reminders", async (req, res) => {
+  try {
+    const donor = await Donor.findOne({ user: req.user.id, isDeleted: false });
+    if (!donor) {
+      return res.status(404).json({ success: false, message: "No donor profile found for this user." });
+    }
+
+    const listQuery = parseListQuery(req.query, { sortable: ["sentAt"], defaultSort: "-sentAt" });
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
+    }
+
+    const { items, meta } = await paginate(EligibilityReminder, { donor: donor._id }, listQuery, (query) =>
+      query
+        .populate("requests", "bloodGroup city hospital requiredDate status")
+        .populate("events", "title startsAt venue status")
+    );
+    return res.status(200).json({
+      success: true,
+      message: "Reminders fetched.",
+      data: items,
+      meta: { ...meta, eligibilityReminders: donor.eligibilityReminders },
+    });
+  } catch (error) {
+    console.error("Get my reminders error:", error);
+    return res.status(500).json({ success: false, message: "Server error while fetching reminders." });
+  }
+});
+
 // Get single donor by ID.
 router.get("/:id", async (req, res) => {
   try {
@@ -236,16 +478,30 @@ router.put("/:id", async (req, res) => {
     }
 
     // Only admins can update any donor. Normal users can only update their own profile.
-    if (req.user.role !== "admin") {
-      const owned = await Donor.findOne({ _id: id, user: req.user.id });
-      if (!owned) {
-        return res.status(403).json({ success: false, message: "You can only update your own donor profile." });
-      }
+    const existing = await Donor.findById(id);
+    if (req.user.role !== "admin" && (!existing || existing.user?.toString() !== req.user.id)) {
+      return res.status(403).json({ success: false, message: "You can only update your own donor profile." });
+    }
+    if (!existing) {
+      return res.status(404).json({ success: false, message: "Donor not found." });
     }
 
     // Prevent changing ownership.
     const updates = { ...req.body, updatedAt: new Date() };
     delete updates.user;
+    // location is derived from address.lat/lng by the model.
+    delete updates.location;
+    // Deferrals go through /api/deferrals so they keep a reason and history.
+    delete updates.deferralUntil;
+    delete updates.deferralReasonCode;
+    delete updates.deferralReason;
+    delete updates.appointmentNoShows;
+    // Donation stats come from verified donations; only platform admins may correct them by hand.
+    if (req.user.role !== "admin") {
+      delete updates.totalDonations;
+      delete updates.lastDonationDate;
+      delete updates.lastDonationType;
+    }
 
     const updatedDonor = await Donor.findByIdAndUpdate(
       id,
@@ -260,6 +516,14 @@ router.put("/:id", async (req, res) => {
       return res.status(404).json({ success: false, message: "Donor not found." });
     }
 
+    await recordAudit(req, {
+      action: "update_donor",
+      targetType: "Donor",
+      targetId: id,
+      before: existing,
+      after: updatedDonor,
+    });
+
     return res
       .status(200)
       .json({ success: true, message: "Donor updated.", data: updatedDonor.toSafeObject(req.user.role, req.user.id) });
@@ -270,7 +534,7 @@ router.put("/:id", async (req, res) => {
 });
 
 // Delete donor (admin only, soft delete).
-router.delete("/:id", requireAdmin, async (req, res) => {
+router.delete("/:id", requirePermission("donors:manage"), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -283,8 +547,7 @@ router.delete("/:id", requireAdmin, async (req, res) => {
       return res.status(404).json({ success: false, message: "Donor not found." });
     }
 
-    await AuditLog.create({
-      user: req.user.id,
+    await recordAudit(req, {
       action: "delete_donor",
       targetType: "Donor",
       targetId: id,
@@ -297,35 +560,48 @@ router.delete("/:id", requireAdmin, async (req, res) => {
   }
 });
 
-// Check donor eligibility.
+// Check donor eligibility against the active rule set.
+// Optional query: donationType (whole_blood, red_cells, plasma, platelets) and date (defaults to now).
 router.get("/:id/eligibility", async (req, res) => {
   try {
     const { id } = req.params;
+    const { donationType = "whole_blood", date } = req.query;
 
     if (!mongoose.isValidObjectId(id)) {
       return res.status(400).json({ success: false, message: "Invalid donor ID." });
     }
 
+    if (!DONATION_TYPES.includes(donationType)) {
+      return res
+        .status(400)
+        .json({ success: false, message: `donationType must be one of: ${DONATION_TYPES.join(", ")}.` });
+    }
+
+    const on = date ? new Date(date) : new Date();
+    if (isNaN(on)) {
+      return res.status(400).json({ success: false, message: "Invalid date format." });
+    }
+
     const donor = await Donor.findOne({ _id: id, isDeleted: false });
     if (!donor) {
       return res.status(404).json({ success: false, message: "Donor not found." });
     }
 
-    const eligibility = donor.isEligibleToDonate();
+    const eligibility = donor.isEligibleToDonate({ donationType, on });
     const response = {
       success: true,
       eligible: eligibility.eligible,
       message: eligibility.eligible ? "Donor is eligible to donate." : "Donor is not eligible yet.",
+      donationType,
+      daysUntilEligible: eligibility.daysUntilEligible,
+      eligibleFrom: eligibility.eligibleFrom,
+      reasons: eligibility.reasons,
+      ruleSetVersion: eligibility.ruleSetVersion,
     };
 
-    // Include extra details when not eligible.
+    // Keep the single-line summary for older clients.
     if (!eligibility.eligible) {
-      response.reason = donor.willingToDonate
-        ? "Donated too recently."
-        : "Donor is not willing to donate currently.";
-      response.daysUntilEligible = eligibility.daysUntilEligible;
-    } else {
-      response.daysUntilEligible = 0;
+      response.reason = eligibility.reasons[0].message;
     }
 
     return res.status(200).json(response);
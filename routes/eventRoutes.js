@@ -0,0 +1,583 @@
+// Routes for blood donation camps/events.
+// Listing and slot availability are public; registering needs a donor profile;
+// organising and check-in are limited to the organising institution's members (see utils/permissions).
+const express = require("express");
+const mongoose = require("mongoose");
+const DonationEvent = require("../models/DonationEvent");
+const EventRegistration = require("../models/EventRegistration");
+const Donor = require("../models/Donor");
+const Institution = require("../models/Institution");
+const Notification = require("../models/Notification");
+const auth = require("../middleware/authMiddleware");
+const requirePermission = require("../middleware/permissionMiddleware");
+const { parseListQuery, paginate } = require("../utils/pagination");
+const { parseNearQuery } = require("../utils/geo");
+const { BLOOD_GROUPS } = require("../utils/bloodCompatibility");
+const { DONATION_TYPES, loadActiveRules } = require("../utils/eligibility");
+const {
+  ACTIVE_STATUSES,
+  validateEventInput,
+  getSlotAvailability,
+  claimEventPlace,
+  releaseEventPlace,
+  slotChangeError,
+  syncEventBookings,
+  getEventStats,
+} = require("../utils/events");
+const { parseUnits, checkReadyToDonate, recordDonation } = require("../utils/donationRecording");
+const { recordAudit } = require("../utils/audit");
+
+const router = express.Router();
+
+const EARTH_RADIUS_KM = 6378.1;
+
+// Helper: load an event from :id into req.event.
+const loadEvent = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: "Invalid event ID." });
+    }
+    const event = await DonationEvent.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ success: false, message: "Event not found." });
+    }
+    req.event = event;
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const eventInstitution = (req) => req.event.institution;
+const canManageEvent = requirePermission("events:manage", eventInstitution);
+const canCheckIn = requirePermission("events:checkin", eventInstitution);
+
+// Notify every donor with a live registration.
+const notifyRegistrants = async (event, { type, title, message }) => {
+  const registrations = await EventRegistration.find({ event: event._id, status: "registered" });
+  for (const registration of registrations) {
+    await Notification.create({
+      user: registration.user,
+      donor: registration.donor,
+      type,
+      title,
+      message,
+      meta: { eventId: event._id, registrationId: registration._id },
+    });
+  }
+  return registrations;
+};
+
+// PUBLIC: upcoming public events. Filters: city, bloodGroup, institutionId, from, to, near/radiusKm.
+router.get("/", async (req, res) => {
+  try {
+    const listQuery = parseListQuery(req.query, { sortable: ["startsAt", "createdAt"], defaultSort: "startsAt" });
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
+    }
+
+    const { city, bloodGroup, institutionId, from, to } = req.query;
+    const filters = { status: "scheduled", isPublic: true };
+
+    const fromDate = from ? new Date(from) : new Date();
+    const toDate = to ? new Date(to) : null;
+    if (isNaN(fromDate) || (toDate && isNaN(toDate))) {
+      return res.status(400).json({ success: false, message: "Invalid from/to date format." });
+    }
+    filters.endsAt = { $gte: fromDate };
+    if (toDate) {
+      filters.startsAt = { $lte: toDate };
+    }
+
+    if (city) {
+      filters["address.city"] = { $regex: city, $options: "i" };
+    }
+    if (bloodGroup) {
+      if (!BLOOD_GROUPS.includes(bloodGroup)) {
+        return res.status(400).json({ success: false, message: "Invalid blood group." });
+      }
+      filters.$or = [{ targetBloodGroups: { $size: 0 } }, { targetBloodGroups: bloodGroup }];
+    }
+    if (institutionId) {
+      if (!mongoose.isValidObjectId(institutionId)) {
+        return res.status(400).json({ success: false, message: "Invalid institution ID." });
+      }
+      filters.institution = institutionId;
+    }
+
+    const near = parseNearQuery(req.query);
+    if (near.error) {
+      return res.status(400).json({ success: false, message: near.error });
+    }
+    if (near.geo) {
+      filters.location = {
+        $geoWithin: { $centerSphere: [near.geo.point.coordinates, near.geo.radiusKm / EARTH_RADIUS_KM] },
+      };
+    }
+
+    const { items, meta } = await paginate(DonationEvent, filters, listQuery, (query) =>
+      query.populate("institution", "name type")
+    );
+    return res.status(200).json({ success: true, message: "Events fetched.", data: items, meta });
+  } catch (error) {
+    console.error("List events error:", error);
+    return res.status(500).json({ success: false, message: "Server error while fetching events." });
+  }
+});
+
+// PUBLIC: a single public event.
+router.get("/:id", loadEvent, async (req, res) => {
+  try {
+    if (!req.event.isPublic) {
+      return res.status(404).json({ success: false, message: "Event not found." });
+    }
+    await req.event.populate("institution", "name type address phone");
+    return res.status(200).json({ success: true, message: "Event fetched.", data: req.event });
+  } catch (error) {
+    console.error("Get event error:", error);
+    return res.status(500).json({ success: false, message: "Server error while fetching event." });
+  }
+});
+
+// PUBLIC: slot availability for a public event.
+router.get("/:id/slots", loadEvent, async (req, res) => {
+  try {
+    if (!req.event.isPublic) {
+      return res.status(404).json({ success: false, message: "Event not found." });
+    }
+    const slots = await getSlotAvailability(req.event);
+    return res.status(200).json({ success: true, message: "Event slots fetched.", data: slots });
+  } catch (error) {
+    console.error("Event slots error:", error);
+    return res.status(500).json({ success: false, message: "Server error while fetching slots." });
+  }
+});
+
+// Apply auth middleware to every route after this line.
+router.use(auth);
+
+// The current user's event registrations.
+router.get("/registrations/me", async (req, res) => {
+  try {
+    const registrations = await EventRegistration.find({ user: req.user.id })
+      .populate("event", "title startsAt endsAt venue address status")
+      .sort({ slotStart: -1 });
+    return res.status(200).json({ success: true, message: "Your event registrations.", data: registrations });
+  } catch (error) {
+    console.error("List my registrations error:", error);
+    return res.status(500).json({ success: false, message: "Server error while fetching registrations." });
+  }
+});
+
+// Create an event for an institution (its institution admins or platform admins).
+router.post("/", requirePermission("events:manage", (req) => req.body.institutionId), async (req, res) => {
+  try {
+    const institution = await Institution.findOne({ _id: req.body.institutionId, isDeleted: false });
+    if (!institution) {
+      return res.status(404).json({ success: false, message: "Institution not found." });
+    }
+
+    const { value, error } = validateEventInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    if (value.startsAt <= new Date()) {
+      return res.status(400).json({ success: false, message: "Events must start in the future." });
+    }
+
+    const event = await DonationEvent.create({ ...value, institution: institution._id, createdBy: req.user.id });
+
+    await recordAudit(req, {
+      action: "create_event",
+      targetType: "DonationEvent",
+      targetId: event._id.toString(),
+      details: { institutionId: institution._id.toString() },
+    });
+
+    return res.status(201).json({ success: true, message: "Event created.", data: event });
+  } catch (error) {
+    console.error("Create event error:", error);
+    return res.status(500).json({ success: false, message: "Server error while creating event." });
+  }
+});
+
+// Update a scheduled event.
+router.put("/:id", loadEvent, canManageEvent, async (req, res) => {
+  try {
+    if (req.event.status !== "scheduled") {
+      return res.status(400).json({ success: false, message: `Cannot edit a ${req.event.status} event.` });
+    }
+
+    const { value, error } = validateEventInput(req.body, req.event);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const live = await EventRegistration.countDocuments({ event: req.event._id, status: { $in: ACTIVE_STATUSES } });
+    if (value.capacity !== undefined && value.capacity < live) {
+      return res
+        .status(400)
+        .json({ success: false, message: `Capacity cannot be lower than the ${live} existing registrations.` });
+    }
+    // Bookings are counted per slot start, so registered donors' slots must survive the edit.
+    const slotError = await slotChangeError(req.event, value);
+    if (slotError) {
+      return res.status(400).json({ success: false, message: slotError });
+    }
+
+    const timesChanged =
+      value.startsAt.getTime() !== req.event.startsAt.getTime() || value.endsAt.getTime() !== req.event.endsAt.getTime();
+    const before = req.event.toObject();
+    req.event.set(value);
+    await req.event.save();
+
+    if (timesChanged) {
+      await notifyRegistrants(req.event, {
+        type: "event_updated",
+        title: "Donation event time changed",
+        message: `${req.event.title} now runs ${req.event.startsAt.toISOString()} to ${req.event.endsAt.toISOString()}. Please check your slot.`,
+      });
+    }
+
+    await recordAudit(req, {
+      action: "update_event",
+      targetType: "DonationEvent",
+      targetId: req.event._id.toString(),
+      before,
+      after: req.event,
+    });
+
+    return res.status(200).json({ success: true, message: "Event updated.", data: req.event });
+  } catch (error) {
+    console.error("Update event error:", error);
+    return res.status(500).json({ success: false, message: "Server error while updating event." });
+  }
+});
+
+// Cancel an event and tell registered donors.
+router.post("/:id/cancel", loadEvent, canManageEvent, async (req, res) => {
+  try {
+    if (req.event.status !== "scheduled") {
+      return res.status(400).json({ success: false, message: `Cannot cancel a ${req.event.status} event.` });
+    }
+
+    req.event.status = "cancelled";
+    req.event.cancelReason = req.body.reason;
+    await req.event.save();
+
+    await notifyRegistrants(req.event, {
+      type: "event_cancelled",
+      title: "Donation event cancelled",
+      message: `${req.event.title} has been cancelled.${req.body.reason ? ` Reason: ${req.body.reason}` : ""}`,
+    });
+    await EventRegistration.updateMany(
+      { event: req.event._id, status: "registered" },
+      { status: "cancelled", cancelledAt: new Date() }
+    );
+    await syncEventBookings(req.event._id);
+
+    await recordAudit(req, {
+      action: "cancel_event",
+      targetType: "DonationEvent",
+      targetId: req.event._id.toString(),
+      details: { reason: req.body.reason },
+    });
+
+    return res.status(200).json({ success: true, message: "Event cancelled.", data: req.event });
+  } catch (error) {
+    console.error("Cancel event error:", error);
+    return res.status(500).json({ success: false, message: "Server error while cancelling event." });
+  }
+});
+
+// Close an event after it ends; registrations never checked in become no-shows.
+router.post("/:id/complete", loadEvent, canManageEvent, async (req, res) => {
+  try {
+    if (req.event.status !== "scheduled") {
+      return res.status(400).json({ success: false, message: `Cannot complete a ${req.event.status} event.` });
+    }
+    if (req.event.startsAt > new Date()) {
+      return res.status(400).json({ success: false, message: "The event has not started yet." });
+    }
+
+    req.event.status = "completed";
+    await req.event.save();
+    const noShows = await EventRegistration.updateMany(
+      { event: req.event._id, status: "registered" },
+      { status: "no_show" }
+    );
+
+    await recordAudit(req, {
+      action: "complete_event",
+      targetType: "DonationEvent",
+      targetId: req.event._id.toString(),
+      details: { noShows: noShows.modifiedCount },
+    });
+
+    return res.status(200).json({ success: true, message: "Event completed.", data: await getEventStats(req.event) });
+  } catch (error) {
+    console.error("Complete event error:", error);
+    return res.status(500).json({ success: false, message: "Server error while completing event." });
+  }
+});
+
+// Register the current user's donor profile for a slot.
+router.post("/:id/register", loadEvent, async (req, res) => {
+  try {
+    const { event } = req;
+    if (event.status !== "scheduled" || !event.isPublic) {
+      return res.status(400).json({ success: false, message: "This event is not open for registration." });
+    }
+    if (event.endsAt <= new Date()) {
+      return res.status(400).json({ success: false, message: "This event has already ended." });
+    }
+
+    const donor = await Donor.findOne({ user: req.user.id, isDeleted: false });
+    if (!donor) {
+      return res.status(400).json({ success: false, message: "You need a donor profile to register." });
+    }
+
+    if (event.targetBloodGroups.length > 0 && !event.targetBloodGroups.includes(donor.bloodGroup)) {
+      return res
+        .status(400)
+        .json({ success: false, message: `This event is for ${event.targetBloodGroups.join(", ")} donors only.` });
+    }
+
+    const slotStart = req.body.slotStart ? new Date(req.body.slotStart) : null;
+    if (!slotStart || isNaN(slotStart)) {
+      return res.status(400).json({ success: false, message: "slotStart is required." });
+    }
+    const slots = await getSlotAvailability(event);
+    const slot = slots.find((s) => s.start.getTime() === slotStart.getTime());
+    if (!slot) {
+      return res.status(400).json({ success: false, message: "slotStart does not match any slot of this event." });
+    }
+    if (slot.start <= new Date()) {
+      return res.status(400).json({ success: false, message: "This slot has already started." });
+    }
+
+    // Eligibility is checked for the day of the slot, not today.
+    const rules = await loadActiveRules();
+    const eligibility = donor.isEligibleToDonate({ rules, on: slot.start });
+    if (!eligibility.eligible) {
+      return res.status(400).json({
+        success: false,
+        message: "You will not be eligible to donate on the event date.",
+        reasons: eligibility.reasons,
+        eligibleFrom: eligibility.eligibleFrom,
+      });
+    }
+
+    const existing = await EventRegistration.findOne({
+      event: event._id,
+      donor: donor._id,
+      status: { $in: ACTIVE_STATUSES },
+    });
+    if (existing) {
+      return res.status(400).json({ success: false, message: "You are already registered for this event." });
+    }
+
+    if (event.booked >= event.capacity) {
+      return res.status(409).json({ success: false, message: "This event is full." });
+    }
+    if (slot.available < 1) {
+      return res.status(409).json({ success: false, message: "This slot is full. Please pick another one." });
+    }
+
+    // Claim the place before registering so concurrent sign-ups cannot overbook the event or the slot.
+    const claimed = await claimEventPlace(event._id, slot.start);
+    if (!claimed) {
+      const current = await DonationEvent.findById(event._id);
+      if (!current || current.status !== "scheduled") {
+        return res.status(400).json({ success: false, message: "This event is not open for registration." });
+      }
+      return res.status(409).json({
+        success: false,
+        message:
+          current.booked >= current.capacity ? "This event is full." : "This slot is full. Please pick another one.",
+      });
+    }
+
+    let registration;
+    try {
+      registration = await EventRegistration.create({
+        event: event._id,
+        donor: donor._id,
+        user: req.user.id,
+        slotStart: slot.start,
+      });
+    } catch (error) {
+      await releaseEventPlace(event._id, slot.start);
+      throw error;
+    }
+
+    await Notification.create({
+      user: req.user.id,
+      donor: donor._id,
+      type: "event_registered",
+      title: "You are registered for a donation event",
+      message: `You are booked for ${event.title} at ${slot.start.toISOString()}.`,
+      meta: { eventId: event._id, registrationId: registration._id },
+    });
+
+    return res.status(201).json({ success: true, message: "Registered for the event.", data: registration });
+  } catch (error) {
+    console.error("Event registration error:", error);
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: "You are already registered for this event." });
+    }
+    return res.status(500).json({ success: false, message: "Server error while registering." });
+  }
+});
+
+// Cancel the current user's registration.
+router.delete("/:id/register", loadEvent, async (req, res) => {
+  try {
+    const registration = await EventRegistration.findOneAndUpdate(
+      { event: req.event._id, user: req.user.id, status: "registered" },
+      { status: "cancelled", cancelledAt: new Date() },
+      { new: true }
+    );
+    if (!registration) {
+      return res.status(404).json({ success: false, message: "You have no active registration for this event." });
+    }
+    await releaseEventPlace(req.event._id, registration.slotStart);
+
+    return res.status(200).json({ success: true, message: "Registration cancelled.", data: registration });
+  } catch (error) {
+    console.error("Cancel registration error:", error);
+    return res.status(500).json({ success: false, message: "Server error while cancelling registration." });
+  }
+});
+
+// Registrations for organisers (filter by status).
+router.get("/:id/registrations", loadEvent, canCheckIn, async (req, res) => {
+  try {
+    const listQuery = parseListQuery(req.query, { sortable: ["slotStart", "createdAt"], defaultSort: "slotStart" });
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
+    }
+
+    const filters = { event: req.event._id };
+    if (req.query.status) {
+      filters.status = req.query.status;
+    }
+
+    const { items, meta } = await paginate(EventRegistration, filters, listQuery, (query) =>
+      query.populate("donor", "fullName bloodGroup phone")
+    );
+    return res.status(200).json({ success: true, message: "Registrations fetched.", data: items, meta });
+  } catch (error) {
+    console.error("List registrations error:", error);
+    return res.status(500).json({ success: false, message: "Server error while fetching registrations." });
+  }
+});
+
+// Check a registered donor in and record their donation at the event.
+router.post("/:id/registrations/:registrationId/check-in", loadEvent, canCheckIn, async (req, res) => {
+  try {
+    const { event } = req;
+    if (event.status === "cancelled") {
+      return res.status(400).json({ success: false, message: "This event was cancelled." });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.registrationId)) {
+      return res.status(400).json({ success: false, message: "Invalid registration ID." });
+    }
+    const registration = await EventRegistration.findOne({ _id: req.params.registrationId, event: event._id });
+    if (!registration) {
+      return res.status(404).json({ success: false, message: "Registration not found." });
+    }
+    if (registration.status !== "registered") {
+      return res.status(400).json({ success: false, message: `Cannot check in a ${registration.status} registration.` });
+    }
+
+    const donationType = req.body.donationType || "whole_blood";
+    if (!DONATION_TYPES.includes(donationType)) {
+      return res
+        .status(400)
+        .json({ success: false, message: `donationType must be one of: ${DONATION_TYPES.join(", ")}.` });
+    }
+    const { units, error: unitsError } = parseUnits(req.body.units);
+    if (unitsError) {
+      return res.status(400).json({ success: false, message: unitsError });
+    }
+
+    const donor = await Donor.findOne({ _id: registration.donor, isDeleted: false });
+    if (!donor) {
+      return res.status(404).json({ success: false, message: "Donor not found." });
+    }
+
+    const { screening, error: notReady } = await checkReadyToDonate(donor, { donationType });
+    if (notReady) {
+      const { status, ...body } = notReady;
+      return res.status(status).json({ success: false, ...body });
+    }
+
+    // Claim the registration before recording so a double submit cannot create two donations.
+    const claimed = await EventRegistration.findOneAndUpdate(
+      { _id: registration._id, status: "registered" },
+      { status: "checked_in", checkedInAt: new Date(), checkedInBy: req.user.id },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(400).json({ success: false, message: "Registration is no longer registered." });
+    }
+
+    let donation;
+    try {
+      const institution = await Institution.findById(event.institution);
+      donation = await recordDonation({
+        donor,
+        institution,
+        screening,
+        userId: req.user.id,
+        fields: {
+          event: event._id,
+          donationType,
+          donationDate: new Date(),
+          units,
+          location: event.venue || event.address?.city,
+          notes: req.body.notes,
+        },
+      });
+    } catch (error) {
+      // No donation was recorded: put the registration back so the donor can be checked in again.
+      await EventRegistration.updateOne(
+        { _id: registration._id, status: "checked_in", donation: null },
+        { $set: { status: "registered" }, $unset: { checkedInAt: 1, checkedInBy: 1 } }
+      );
+      throw error;
+    }
+
+    claimed.donation = donation._id;
+    await claimed.save();
+
+    await recordAudit(req, {
+      action: "event_check_in",
+      targetType: "DonationEvent",
+      targetId: event._id.toString(),
+      details: { registrationId: registration._id.toString(), donationId: donation._id.toString() },
+    });
+
+    return res
+      .status(200)
+      .json({ success: true, message: "Donor checked in.", data: { registration: claimed, donation } });
+  } catch (error) {
+    console.error("Event check-in error:", error);
+    return res.status(500).json({ success: false, message: "Server error while checking in." });
+  }
+});
+
+// Attendance and yield stats for organisers.
+router.get("/:id/stats", loadEvent, canCheckIn, async (req, res) => {
+  try {
+    const stats = await getEventStats(req.event);
+    return res.status(200).json({ success: true, message: "Event stats fetched.", data: stats });
+  } catch (error) {
+    console.error("Event stats error:", error);
+    return res.status(500).json({ success: false, message: "Server error while fetching event stats." });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,184 @@
+// Admin data exports: GET /api/admin/export/:dataset?format=csv|xlsx|ndjson.
+// Mounted under /api/admin, so adminRoutes has already checked system:manage.
+// Each dataset accepts the filters and sort of its list endpoint (see utils/listFilters).
+const express = require("express");
+const Donor = require("../models/Donor");
+const Donation = require("../models/Donation");
+const BloodRequest = require("../models/BloodRequest");
+const Institution = require("../models/Institution");
+const User = require("../models/User");
+const AuditLog = require("../models/AuditLog");
+const { parseListQuery } = require("../utils/pagination");
+const { EXPORT_FORMATS, streamExport } = require("../utils/exporter");
+const {
+  donorFilters,
+  donationFilters,
+  requestFilters,
+  institutionFilters,
+  userFilters,
+  auditLogFilters,
+} = require("../utils/listFilters");
+
+const router = express.Router();
+
+const iso = (date) => (date ? date.toISOString() : "");
+
+// Column definitions per dataset. The old donors/donations CSV columns come first so existing consumers keep working.
+const DATASETS = {
+  donors: {
+    model: Donor,
+    buildFilters: donorFilters,
+    sortable: ["createdAt", "fullName", "bloodGroup", "lastDonationDate", "totalDonations"],
+    defaultSort: "-createdAt",
+    columns: [
+      { header: "id", value: (d) => d._id },
+      { header: "fullName", value: (d) => d.fullName },
+      { header: "email", value: (d) => d.email },
+      { header: "phone", value: (d) => d.phone },
+      { header: "bloodGroup", value: (d) => d.bloodGroup },
+      { header: "city", value: (d) => d.address?.city },
+      { header: "willingToDonate", value: (d) => d.willingToDonate },
+      { header: "visibility", value: (d) => d.visibility },
+      { header: "phoneVisibility", value: (d) => d.phoneVisibility },
+      { header: "totalDonations", value: (d) => d.totalDonations },
+      { header: "lastDonationDate", value: (d) => iso(d.lastDonationDate) },
+    ],
+  },
+  donations: {
+    model: Donation,
+    buildFilters: donationFilters,
+    sortable: ["donationDate", "createdAt", "units"],
+    defaultSort: "-donationDate",
+    populate: (query) => query.populate("donor", "fullName bloodGroup").populate("institution", "name"),
+    columns: [
+      { header: "id", value: (d) => d._id },
+      { header: "donor", value: (d) => d.donor?.fullName },
+      { header: "bloodGroup", value: (d) => d.donor?.bloodGroup },
+      { header: "institution", value: (d) => d.institution?.name },
+      { header: "units", value: (d) => d.units || 1 },
+      { header: "date", value: (d) => iso(d.donationDate) },
+      { header: "location", value: (d) => d.location },
+      { header: "donationType", value: (d) => d.donationType },
+      { header: "request", value: (d) => d.request },
+      { header: "verificationStatus", value: (d) => d.verificationStatus },
+    ],
+  },
+  requests: {
+    model: BloodRequest,
+    buildFilters: requestFilters,
+    sortable: ["createdAt", "requiredDate", "unitsNeeded", "status"],
+    defaultSort: "-createdAt",
+    populate: (query) => query.populate("user", "email"),
+    columns: [
+      { header: "id", value: (r) => r._id },
+      { header: "requestNumber", value: (r) => r.requestNumber },
+      { header: "requester", value: (r) => r.user?.email },
+      { header: "bloodGroup", value: (r) => r.bloodGroup },
+      { header: "component", value: (r) => r.component },
+      { header: "city", value: (r) => r.city },
+      { header: "hospital", value: (r) => r.hospital },
+      { header: "patientName", value: (r) => r.patientName },
+      { header: "unitsNeeded", value: (r) => r.unitsNeeded },
+      { header: "unitsFulfilled", value: (r) => r.unitsFulfilled },
+      { header: "requiredDate", value: (r) => iso(r.requiredDate) },
+      { header: "status", value: (r) => r.status },
+      { header: "createdAt", value: (r) => iso(r.createdAt) },
+      { header: "fulfilledAt", value: (r) => iso(r.fulfilledAt) },
+    ],
+  },
+  institutions: {
+    model: Institution,
+    buildFilters: institutionFilters,
+    sortable: ["name", "createdAt", "totalDonations"],
+    defaultSort: "name",
+    columns: [
+      { header: "id", value: (i) => i._id },
+      { header: "name", value: (i) => i.name },
+      { header: "type", value: (i) => i.type },
+      { header: "contactPerson", value: (i) => i.contactPerson },
+      { header: "phone", value: (i) => i.phone },
+      { header: "email", value: (i) => i.email },
+      { header: "city", value: (i) => i.address?.city },
+      { header: "totalDonations", value: (i) => i.totalDonations },
+      { header: "createdAt", value: (i) => iso(i.createdAt) },
+    ],
+  },
+  users: {
+    model: User,
+    buildFilters: userFilters,
+    sortable: ["createdAt", "name", "email", "role"],
+    defaultSort: "-createdAt",
+    populate: (query) => query.select("-password"),
+    columns: [
+      { header: "id", value: (u) => u._id },
+      { header: "name", value: (u) => u.name },
+      { header: "email", value: (u) => u.email },
+      { header: "role", value: (u) => u.role },
+      { header: "isActive", value: (u) => u.isActive },
+      { header: "createdAt", value: (u) => iso(u.createdAt) },
+    ],
+  },
+  "audit-logs": {
+    model: AuditLog,
+    buildFilters: auditLogFilters,
+    sortable: ["createdAt"],
+    defaultSort: "-createdAt",
+    populate: (query) => query.populate("user", "email"),
+    columns: [
+      { header: "id", value: (l) => l._id },
+      { header: "createdAt", value: (l) => iso(l.createdAt) },
+      { header: "user", value: (l) => l.user?.email },
+      { header: "action", value: (l) => l.action },
+      { header: "targetType", value: (l) => l.targetType },
+      { header: "targetId", value: (l) => l.targetId },
+      { header: "details", value: (l) => l.details },
+      { header: "changes", value: (l) => l.changes },
+      { header: "ip", value: (l) => l.ip },
+      { header: "userAgent", value: (l) => l.userAgent },
+    ],
+  },
+};
+
+// Stream a dataset in the requested format (default csv).
+router.get("/:dataset", async (req, res) => {
+  try {
+    const dataset = DATASETS[req.params.dataset];
+    if (!dataset) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown export. Available: ${Object.keys(DATASETS).join(", ")}.`,
+      });
+    }
+
+    const format = req.query.format || "csv";
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, message: `format must be one of: ${EXPORT_FORMATS.join(", ")}.` });
+    }
+
+    const { filters, error } = dataset.buildFilters(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    const listQuery = parseListQuery(req.query, { sortable: dataset.sortable, defaultSort: dataset.defaultSort });
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
+    }
+
+    let query = dataset.model.find(filters).sort(listQuery.sort);
+    if (dataset.populate) {
+      query = dataset.populate(query);
+    }
+
+    return await streamExport(res, {
+      format,
+      filename: req.params.dataset,
+      columns: dataset.columns,
+      cursor: query.cursor({ batchSize: 500 }),
+    });
+  } catch (error) {
+    console.error("Export error:", error);
+    return res.status(500).json({ success: false, message: "Server error while exporting data." });
+  }
+});
+
+module.exports = router;
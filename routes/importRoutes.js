@@ -0,0 +1,124 @@
+// Admin bulk imports: POST /api/admin/import/donors and /api/admin/import/donations.
+// Mounted under /api/admin, so adminRoutes has already checked system:manage.
+// Send the CSV as a text/csv body (or JSON { csv }). Query params:
+//   dryRun=true      validate and preview every row without writing anything
+//   skipErrors=true  import the valid rows even when others have errors (otherwise nothing is imported)
+//   sendInvites=true email newly created donor accounts a link to set their password
+const express = require("express");
+const { parseCsv, toRecords } = require("../utils/csvParser");
+const {
+  DONOR_COLUMNS,
+  DONATION_COLUMNS,
+  planDonorImport,
+  applyDonorImport,
+  planDonationImport,
+  applyDonationImport,
+} = require("../utils/importer");
+const { recordAudit } = require("../utils/audit");
+
+const router = express.Router();
+
+const MAX_ROWS = Number(process.env.IMPORT_MAX_ROWS || 5000);
+
+const MAX_SIZE = process.env.IMPORT_MAX_SIZE || "5mb";
+
+// app.js skips its default (100 kB) JSON parser for these routes, so JSON { csv } uploads get the same limit.
+router.use(express.text({ type: ["text/csv", "text/plain"], limit: MAX_SIZE }));
+router.use(express.json({ limit: MAX_SIZE }));
+
+const flag = (value) => value === true || value === "true";
+
+// Read and parse the uploaded CSV. Returns { records } or { error }.
+const readUpload = (req, requiredColumns) => {
+  const text = typeof req.body === "string" ? req.body : req.body?.csv;
+  if (!text || typeof text !== "string" || !text.trim()) {
+    return { error: "Send the CSV as a text/csv body or as { csv } in JSON." };
+  }
+
+  const { rows, error } = parseCsv(text);
+  if (error) return { error };
+
+  const { keys, records } = toRecords(rows);
+  const missing = requiredColumns.filter((c) => !keys.includes(c));
+  if (missing.length) {
+    return { error: `Missing column(s): ${missing.join(", ")}.` };
+  }
+  if (records.length === 0) {
+    return { error: "The file has no data rows." };
+  }
+  if (records.length > MAX_ROWS) {
+    return { error: `At most ${MAX_ROWS} rows can be imported at once.` };
+  }
+  return { records };
+};
+
+// Shared flow: plan, then (unless dry-run or blocked by errors) apply and audit.
+const importHandler = ({ kind, columns, requiredColumns, plan, apply }) => async (req, res) => {
+  try {
+    const { records, error } = readUpload(req, requiredColumns);
+    if (error) {
+      return res.status(400).json({ success: false, message: error, meta: { columns } });
+    }
+
+    const preview = await plan(records);
+    const dryRun = flag(req.query.dryRun);
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        message: `Dry run: ${preview.summary.ready || 0} of ${preview.summary.total} row(s) ready to import.`,
+        data: preview,
+        meta: { dryRun: true },
+      });
+    }
+
+    if (preview.summary.invalid && !flag(req.query.skipErrors)) {
+      return res.status(400).json({
+        success: false,
+        message: `${preview.summary.invalid} row(s) have errors. Fix them or import with skipErrors=true.`,
+        data: preview,
+      });
+    }
+
+    const result = await apply(preview, { sendInvites: flag(req.query.sendInvites) });
+
+    await recordAudit(req, {
+      action: `import_${kind}`,
+      targetType: kind === "donors" ? "Donor" : "Donation",
+      details: result.summary,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `Imported ${result.summary.created || 0} of ${result.summary.total} row(s).`,
+      data: result,
+      meta: { dryRun: false },
+    });
+  } catch (error) {
+    console.error(`Import ${kind} error:`, error);
+    return res.status(500).json({ success: false, message: `Server error while importing ${kind}.` });
+  }
+};
+
+router.post(
+  "/donors",
+  importHandler({
+    kind: "donors",
+    columns: DONOR_COLUMNS,
+    requiredColumns: ["fullName", "email", "phone", "bloodGroup"],
+    plan: planDonorImport,
+    apply: applyDonorImport,
+  })
+);
+
+router.post(
+  "/donations",
+  importHandler({
+    kind: "donations",
+    columns: DONATION_COLUMNS,
+    requiredColumns: ["donationDate"],
+    plan: planDonationImport,
+    apply: applyDonationImport,
+  })
+);
+
+module.exports = router;
@@ -1,10 +1,15 @@
-// Routes for creating and listing institutions.
+// Routes for creating and listing institutions and managing their staff members.
 const express = require("express");
 const mongoose = require("mongoose");
 const Institution = require("../models/Institution");
 const auth = require("../middleware/authMiddleware");
-const requireAdmin = require("../middleware/roleMiddleware");
-const AuditLog = require("../models/AuditLog");
+const requirePermission = require("../middleware/permissionMiddleware");
+const InstitutionMember = require("../models/InstitutionMember");
+const User = require("../models/User");
+const { INSTITUTION_ROLES, isPlatformAdmin } = require("../utils/permissions");
+const { parseListQuery, paginate } = require("../utils/pagination");
+const { institutionFilters } = require("../utils/listFilters");
+const { recordAudit } = require("../utils/audit");
 
 const router = express.Router();
 
@@ -12,7 +17,7 @@ const router = express.Router();
 router.use(auth);
 
 // Create a new institution (admin only).
-router.post("/", requireAdmin, async (req, res) => {
+router.post("/", requirePermission("institutions:manage"), async (req, res) => {
   try {
     const { name, type, contactPerson, phone, email, address } = req.body;
 
@@ -31,8 +36,7 @@ router.post("/", requireAdmin, async (req, res) => {
 
     await institution.save();
 
-    await AuditLog.create({
-      user: req.user.id,
+    await recordAudit(req, {
       action: "create_institution",
       targetType: "Institution",
       targetId: institution._id.toString(),
@@ -50,10 +54,20 @@ router.post("/", requireAdmin, async (req, res) => {
   }
 });
 
+// List institutions (paginated).
 router.get("/", async (req, res) => {
   try {
-    const institutions = await Institution.find({ isDeleted: false }).sort({ name: 1 });
-    return res.status(200).json({ success: true, message: "Institutions fetched.", data: institutions });
+    const listQuery = parseListQuery(req.query, {
+      sortable: ["name", "createdAt", "totalDonations"],
+      defaultSort: "name",
+    });
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
+    }
+
+    const { filters } = institutionFilters(req.query);
+    const { items, meta } = await paginate(Institution, filters, listQuery);
+    return res.status(200).json({ success: true, message: "Institutions fetched.", data: items, meta });
   } catch (error) {
     console.error("List institutions error:", error);
     return res.status(500).json({ success: false, message: "Server error while fetching institutions." });
@@ -73,8 +87,24 @@ router.get("/ranking", async (req, res) => {
   }
 });
 
-// Update an institution (admin only).
-router.put("/:id", requireAdmin, async (req, res) => {
+// Institutions the current user is a member of, with their role.
+router.get("/mine", async (req, res) => {
+  try {
+    const memberships = await InstitutionMember.find({ user: req.user.id })
+      .populate("institution", "name type address isDeleted")
+      .sort({ createdAt: 1 });
+    const data = memberships
+      .filter((m) => m.institution && !m.institution.isDeleted)
+      .map((m) => ({ institution: m.institution, role: m.role, since: m.createdAt }));
+    return res.status(200).json({ success: true, message: "Your institutions.", data });
+  } catch (error) {
+    console.error("List my institutions error:", error);
+    return res.status(500).json({ success: false, message: "Server error while fetching institutions." });
+  }
+});
+
+// Update an institution (platform admin or the institution's own admins).
+router.put("/:id", requirePermission("institution:update", (req) => req.params.id), async (req, res) => {
   try {
     const { id } = req.params;
     if (!mongoose.isValidObjectId(id)) {
@@ -83,6 +113,17 @@ router.put("/:id", requireAdmin, async (req, res) => {
 
     const updates = { ...req.body };
     delete updates.isDeleted;
+    // Thresholds are managed through the inventory routes.
+    delete updates.inventoryThresholds;
+    // Counters are derived from donations; only platform admins may correct them by hand.
+    if (!isPlatformAdmin(req.user)) {
+      delete updates.totalDonations;
+    }
+
+    const existing = await Institution.findById(id);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: "Institution not found." });
+    }
 
     const institution = await Institution.findByIdAndUpdate(
       id,
@@ -94,11 +135,12 @@ router.put("/:id", requireAdmin, async (req, res) => {
       return res.status(404).json({ success: false, message: "Institution not found." });
     }
 
-    await AuditLog.create({
-      user: req.user.id,
+    await recordAudit(req, {
       action: "update_institution",
       targetType: "Institution",
       targetId: id,
+      before: existing,
+      after: institution,
     });
 
     return res.status(200).json({
@@ -115,8 +157,8 @@ router.put("/:id", requireAdmin, async (req, res) => {
   }
 });
 
-// Soft delete an institution (admin only).
-router.delete("/:id", requireAdmin, async (req, res) => {
+// Soft delete an institution (platform admin only).
+router.delete("/:id", requirePermission("institutions:manage"), async (req, res) => {
   try {
     const { id } = req.params;
     if (!mongoose.isValidObjectId(id)) {
@@ -126,8 +168,7 @@ router.delete("/:id", requireAdmin, async (req, res) => {
     if (!inst) {
       return res.status(404).json({ success: false, message: "Institution not found." });
     }
-    await AuditLog.create({
-      user: req.user.id,
+    await recordAudit(req, {
       action: "delete_institution",
       targetType: "Institution",
       targetId: id,
@@ -139,4 +180,171 @@ router.delete("/:id", requireAdmin, async (req, res) => {
   }
 });
 
+// --- Staff membership ---
+
+const canManageMembers = requirePermission("institution:members", (req) => req.params.id);
+
+// Helper: load a live institution from :id or return an error shape.
+const loadInstitution = async (id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return { error: { status: 400, message: "Invalid institution ID." } };
+  }
+  const institution = await Institution.findOne({ _id: id, isDeleted: false });
+  if (!institution) {
+    return { error: { status: 404, message: "Institution not found." } };
+  }
+  return { institution };
+};
+
+// Institution admins may not remove or demote the last institution_admin; platform admins may.
+const wouldRemoveLastInstitutionAdmin = async (member, req) => {
+  if (isPlatformAdmin(req.user) || member.role !== "institution_admin") return false;
+  const admins = await InstitutionMember.countDocuments({ institution: member.institution, role: "institution_admin" });
+  return admins <= 1;
+};
+
+// List members of an institution.
+router.get("/:id/members", canManageMembers, async (req, res) => {
+  try {
+    const { institution, error } = await loadInstitution(req.params.id);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    const members = await InstitutionMember.find({ institution: institution._id })
+      .populate("user", "name email")
+      .sort({ createdAt: 1 });
+    return res.status(200).json({ success: true, message: "Members fetched.", data: members });
+  } catch (error) {
+    console.error("List members error:", error);
+    return res.status(500).json({ success: false, message: "Server error while fetching members." });
+  }
+});
+
+// Add a member by userId or email.
+router.post("/:id/members", canManageMembers, async (req, res) => {
+  try {
+    const { institution, error } = await loadInstitution(req.params.id);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    const { userId, email, role = "staff" } = req.body;
+    if (!INSTITUTION_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, message: `role must be one of: ${INSTITUTION_ROLES.join(", ")}.` });
+    }
+
+    let user = null;
+    if (userId) {
+      if (!mongoose.isValidObjectId(userId)) {
+        return res.status(400).json({ success: false, message: "Invalid user ID." });
+      }
+      user = await User.findById(userId);
+    } else if (email) {
+      user = await User.findOne({ email: email.toString().toLowerCase().trim() });
+    } else {
+      return res.status(400).json({ success: false, message: "userId or email is required." });
+    }
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found." });
+    }
+
+    const existing = await InstitutionMember.findOne({ institution: institution._id, user: user._id });
+    if (existing) {
+      return res.status(400).json({ success: false, message: "User is already a member of this institution." });
+    }
+
+    const member = await InstitutionMember.create({
+      institution: institution._id,
+      user: user._id,
+      role,
+      addedBy: req.user.id,
+    });
+
+    await recordAudit(req, {
+      action: "add_institution_member",
+      targetType: "Institution",
+      targetId: institution._id.toString(),
+      details: { memberUserId: user._id.toString(), role },
+    });
+
+    return res.status(201).json({ success: true, message: "Member added.", data: member });
+  } catch (error) {
+    console.error("Add member error:", error);
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: "User is already a member of this institution." });
+    }
+    return res.status(500).json({ success: false, message: "Server error while adding member." });
+  }
+});
+
+// Change a member's role.
+router.put("/:id/members/:userId", canManageMembers, async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!INSTITUTION_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, message: `role must be one of: ${INSTITUTION_ROLES.join(", ")}.` });
+    }
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(400).json({ success: false, message: "Invalid user ID." });
+    }
+
+    const member = await InstitutionMember.findOne({ institution: req.params.id, user: req.params.userId });
+    if (!member) {
+      return res.status(404).json({ success: false, message: "Member not found." });
+    }
+
+    if (role !== "institution_admin" && (await wouldRemoveLastInstitutionAdmin(member, req))) {
+      return res.status(400).json({ success: false, message: "An institution needs at least one institution admin." });
+    }
+
+    const previousRole = member.role;
+    member.role = role;
+    await member.save();
+
+    await recordAudit(req, {
+      action: "update_institution_member",
+      targetType: "Institution",
+      targetId: req.params.id,
+      details: { memberUserId: req.params.userId, previousRole, role },
+    });
+
+    return res.status(200).json({ success: true, message: "Member updated.", data: member });
+  } catch (error) {
+    console.error("Update member error:", error);
+    return res.status(500).json({ success: false, message: "Server error while updating member." });
+  }
+});
+
+// Remove a member.
+router.delete("/:id/members/:userId", canManageMembers, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(400).json({ success: false, message: "Invalid user ID." });
+    }
+
+    const member = await InstitutionMember.findOne({ institution: req.params.id, user: req.params.userId });
+    if (!member) {
+      return res.status(404).json({ success: false, message: "Member not found." });
+    }
+
+    if (await wouldRemoveLastInstitutionAdmin(member, req)) {
+      return res.status(400).json({ success: false, message: "An institution needs at least one institution admin." });
+    }
+
+    await member.deleteOne();
+
+    await recordAudit(req, {
+      action: "remove_institution_member",
+      targetType: "Institution",
+      targetId: req.params.id,
+      details: { memberUserId: req.params.userId, role: member.role },
+    });
+
+    return res.status(200).json({ success: true, message: "Member removed." });
+  } catch (error) {
+    console.error("Remove member error:", error);
+    return res.status(500).json({ success: false, message: "Server error while removing member." });
+  }
+});
+
 module.exports = router;
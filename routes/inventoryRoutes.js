@@ -0,0 +1,289 @@
+// Routes for an institution's blood inventory: stock summary, units, movements,
+// manual stock changes and low-stock thresholds. Mounted at /api/institutions/:institutionId/inventory.
+const express = require("express");
+const mongoose = require("mongoose");
+const Institution = require("../models/Institution");
+const InventoryUnit = require("../models/InventoryUnit");
+const StockMovement = require("../models/StockMovement");
+const BloodRequest = require("../models/BloodRequest");
+const auth = require("../middleware/authMiddleware");
+const requirePermission = require("../middleware/permissionMiddleware");
+const { parseListQuery, paginate } = require("../utils/pagination");
+const { BLOOD_GROUPS, COMPONENTS } = require("../utils/bloodCompatibility");
+const { addUnits, issueUnits, removeUnits, checkLowStock, getStockSummary } = require("../utils/inventory");
+const { recordAudit } = require("../utils/audit");
+
+const router = express.Router({ mergeParams: true });
+
+router.use(auth);
+
+// Staff of the institution (and platform admins) can see and manage its stock.
+const canRead = requirePermission("inventory:read", (req) => req.params.institutionId);
+const canManage = requirePermission("inventory:manage", (req) => req.params.institutionId);
+
+// Load the institution from the path for every inventory route.
+router.use(async (req, res, next) => {
+  try {
+    const { institutionId } = req.params;
+    if (!mongoose.isValidObjectId(institutionId)) {
+      return res.status(400).json({ success: false, message: "Invalid institution ID." });
+    }
+    const institution = await Institution.findOne({ _id: institutionId, isDeleted: false });
+    if (!institution) {
+      return res.status(404).json({ success: false, message: "Institution not found." });
+    }
+    req.institution = institution;
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// Helper: validate bloodGroup/component/quantity from a request body.
+const parseStockInput = ({ bloodGroup, component = "whole_blood", quantity = 1 }) => {
+  if (!BLOOD_GROUPS.includes(bloodGroup)) {
+    return { error: `bloodGroup must be one of: ${BLOOD_GROUPS.join(", ")}.` };
+  }
+  if (!COMPONENTS.includes(component)) {
+    return { error: `component must be one of: ${COMPONENTS.join(", ")}.` };
+  }
+  const count = Number(quantity);
+  if (!Number.isInteger(count) || count < 1 || count > 100) {
+    return { error: "quantity must be an integer between 1 and 100." };
+  }
+  return { bloodGroup, component, quantity: count };
+};
+
+// Current stock per blood group/component.
+router.get("/", canRead, async (req, res) => {
+  try {
+    const stock = await getStockSummary(req.institution);
+    return res.status(200).json({ success: true, message: "Inventory fetched.", data: stock });
+  } catch (error) {
+    console.error("Inventory summary error:", error);
+    return res.status(500).json({ success: false, message: "Server error while fetching inventory." });
+  }
+});
+
+// List units (filter by status, bloodGroup, component).
+router.get("/units", canRead, async (req, res) => {
+  try {
+    const listQuery = parseListQuery(req.query, {
+      sortable: ["expiresAt", "collectedAt", "createdAt"],
+      defaultSort: "expiresAt",
+    });
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
+    }
+
+    const filters = { institution: req.institution._id };
+    for (const field of ["status", "bloodGroup", "component"]) {
+      if (req.query[field]) filters[field] = req.query[field];
+    }
+
+    const { items, meta } = await paginate(InventoryUnit, filters, listQuery);
+    return res.status(200).json({ success: true, message: "Inventory units fetched.", data: items, meta });
+  } catch (error) {
+    console.error("List inventory units error:", error);
+    return res.status(500).json({ success: false, message: "Server error while fetching inventory units." });
+  }
+});
+
+// Movement ledger (filter by type, bloodGroup, component).
+router.get("/movements", canRead, async (req, res) => {
+  try {
+    const listQuery = parseListQuery(req.query, { sortable: ["createdAt"], defaultSort: "-createdAt" });
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
+    }
+
+    const filters = { institution: req.institution._id };
+    for (const field of ["type", "bloodGroup", "component"]) {
+      if (req.query[field]) filters[field] = req.query[field];
+    }
+
+    const { items, meta } = await paginate(StockMovement, filters, listQuery, (query) =>
+      query.populate("user", "name email")
+    );
+    return res.status(200).json({ success: true, message: "Stock movements fetched.", data: items, meta });
+  } catch (error) {
+    console.error("List stock movements error:", error);
+    return res.status(500).json({ success: false, message: "Server error while fetching stock movements." });
+  }
+});
+
+// Manually add units (e.g. transfers in or stock counted at onboarding).
+router.post("/units", canManage, async (req, res) => {
+  try {
+    const input = parseStockInput(req.body);
+    if (input.error) {
+      return res.status(400).json({ success: false, message: input.error });
+    }
+
+    const collectedAt = req.body.collectedAt ? new Date(req.body.collectedAt) : new Date();
+    const expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : undefined;
+    if (isNaN(collectedAt) || (expiresAt && isNaN(expiresAt))) {
+      return res.status(400).json({ success: false, message: "Invalid collectedAt or expiresAt format." });
+    }
+
+    const units = await addUnits({
+      ...input,
+      institution: req.institution._id,
+      collectedAt,
+      expiresAt,
+      bagNumber: req.body.bagNumber,
+      source: "manual",
+      reason: req.body.reason,
+      user: req.user.id,
+    });
+
+    await recordAudit(req, {
+      action: "add_inventory",
+      targetType: "Institution",
+      targetId: req.institution._id.toString(),
+      details: { ...input, reason: req.body.reason },
+    });
+
+    return res.status(201).json({ success: true, message: "Units added to inventory.", data: units });
+  } catch (error) {
+    console.error("Add inventory error:", error);
+    return res.status(500).json({ success: false, message: "Server error while adding inventory." });
+  }
+});
+
+// Issue units, earliest expiry first. Optionally link to the blood request they go to.
+router.post("/issue", canManage, async (req, res) => {
+  try {
+    const input = parseStockInput(req.body);
+    if (input.error) {
+      return res.status(400).json({ success: false, message: input.error });
+    }
+
+    let bloodRequest = null;
+    if (req.body.requestId) {
+      if (!mongoose.isValidObjectId(req.body.requestId)) {
+        return res.status(400).json({ success: false, message: "Invalid request ID." });
+      }
+      bloodRequest = await BloodRequest.findOne({ _id: req.body.requestId, isDeleted: false });
+      if (!bloodRequest) {
+        return res.status(404).json({ success: false, message: "Blood request not found." });
+      }
+    }
+
+    const { units, error } = await issueUnits({
+      ...input,
+      institution: req.institution._id,
+      request: bloodRequest?._id,
+      reason: req.body.reason,
+      user: req.user.id,
+    });
+    if (error) {
+      return res.status(409).json({ success: false, message: error });
+    }
+
+    await recordAudit(req, {
+      action: "issue_inventory",
+      targetType: "Institution",
+      targetId: req.institution._id.toString(),
+      details: { ...input, requestId: bloodRequest?._id?.toString(), units: units.map((u) => u._id.toString()) },
+    });
+
+    return res.status(200).json({ success: true, message: `${units.length} unit(s) issued.`, data: units });
+  } catch (error) {
+    console.error("Issue inventory error:", error);
+    return res.status(500).json({ success: false, message: "Server error while issuing inventory." });
+  }
+});
+
+// Discard specific units (damaged, failed testing, ...).
+router.post("/discard", canManage, async (req, res) => {
+  try {
+    const { unitIds, reason } = req.body;
+    if (!Array.isArray(unitIds) || unitIds.length === 0 || !unitIds.every((id) => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ success: false, message: "unitIds must be a non-empty array of unit IDs." });
+    }
+    if (!reason) {
+      return res.status(400).json({ success: false, message: "A reason is required to discard units." });
+    }
+
+    const units = await InventoryUnit.find({
+      _id: { $in: unitIds },
+      institution: req.institution._id,
+      status: "available",
+    });
+    if (units.length !== unitIds.length) {
+      return res.status(400).json({ success: false, message: "Some units are not available in this inventory." });
+    }
+
+    const removed = await removeUnits(units, { type: "discarded", reason, user: req.user.id });
+
+    await recordAudit(req, {
+      action: "discard_inventory",
+      targetType: "Institution",
+      targetId: req.institution._id.toString(),
+      details: { units: removed.map((u) => u._id.toString()), reason },
+    });
+
+    return res.status(200).json({ success: true, message: `${removed.length} unit(s) discarded.`, data: removed });
+  } catch (error) {
+    console.error("Discard inventory error:", error);
+    return res.status(500).json({ success: false, message: "Server error while discarding inventory." });
+  }
+});
+
+// Replace the low-stock thresholds: [{ bloodGroup, component, minUnits }].
+router.put("/thresholds", canManage, async (req, res) => {
+  try {
+    const { thresholds } = req.body;
+    if (!Array.isArray(thresholds)) {
+      return res.status(400).json({ success: false, message: "thresholds must be an array." });
+    }
+
+    const seen = new Set();
+    for (const t of thresholds) {
+      const component = t?.component || "whole_blood";
+      if (!t || !BLOOD_GROUPS.includes(t.bloodGroup) || !COMPONENTS.includes(component)) {
+        return res.status(400).json({ success: false, message: "Each threshold needs a valid bloodGroup and component." });
+      }
+      if (!Number.isInteger(t.minUnits) || t.minUnits < 0) {
+        return res.status(400).json({ success: false, message: "minUnits must be a non-negative integer." });
+      }
+      const key = `${t.bloodGroup}|${component}`;
+      if (seen.has(key)) {
+        return res.status(400).json({ success: false, message: `Duplicate threshold for ${t.bloodGroup} ${component}.` });
+      }
+      seen.add(key);
+    }
+
+    // Keep lowSince for unchanged pairs so an ongoing shortage is not alerted twice.
+    const previous = new Map(
+      (req.institution.inventoryThresholds || []).map((t) => [`${t.bloodGroup}|${t.component}`, t.lowSince])
+    );
+    req.institution.inventoryThresholds = thresholds.map((t) => {
+      const component = t.component || "whole_blood";
+      return {
+        bloodGroup: t.bloodGroup,
+        component,
+        minUnits: t.minUnits,
+        lowSince: previous.get(`${t.bloodGroup}|${component}`),
+      };
+    });
+    await req.institution.save();
+    await checkLowStock(req.institution._id);
+
+    await recordAudit(req, {
+      action: "update_inventory_thresholds",
+      targetType: "Institution",
+      targetId: req.institution._id.toString(),
+      details: { thresholds },
+    });
+
+    const stock = await getStockSummary(await Institution.findById(req.institution._id));
+    return res.status(200).json({ success: true, message: "Inventory thresholds updated.", data: stock });
+  } catch (error) {
+    console.error("Update inventory thresholds error:", error);
+    return res.status(500).json({ success: false, message: "Server error while updating thresholds." });
+  }
+});
+
+module.exports = router;
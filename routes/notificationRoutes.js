@@ -2,6 +2,7 @@
 const express = require("express");
 const auth = require("../middleware/authMiddleware");
 const Notification = require("../models/Notification");
+const { parseListQuery, paginate } = require("../utils/pagination");
 
 const router = express.Router();
 
@@ -10,14 +11,20 @@ router.use(auth);
 // List notifications for current user.
 router.get("/", async (req, res) => {
   try {
+    const listQuery = parseListQuery(req.query, { sortable: ["createdAt"], defaultSort: "-createdAt" });
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
+    }
+
     const filters = { user: req.user.id };
     if (req.query.type) {
       filters.type = req.query.type;
     }
-    const notifs = await Notification.find(filters)
-      .sort({ createdAt: -1 })
-      .limit(100);
-    return res.status(200).json({ success: true, message: "Notifications fetched.", data: notifs });
+    if (req.query.read === "true" || req.query.read === "false") {
+      filters.read = req.query.read === "true";
+    }
+    const { items, meta } = await paginate(Notification, filters, listQuery);
+    return res.status(200).json({ success: true, message: "Notifications fetched.", data: items, meta });
   } catch (error) {
     console.error("Notification fetch error:", error);
     return res.status(500).json({ success: false, message: "Server error while fetching notifications." });
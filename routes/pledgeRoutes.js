@@ -0,0 +1,137 @@
+// Routes for donors' pledges to blood requests (respond, cancel, list own).
+// Pledges are created via POST /api/requests/:id/pledges and fulfilled via POST /api/donations.
+const express = require("express");
+const mongoose = require("mongoose");
+const Pledge = require("../models/Pledge");
+const Notification = require("../models/Notification");
+const auth = require("../middleware/authMiddleware");
+const { recordAudit } = require("../utils/audit");
+
+const router = express.Router();
+
+router.use(auth);
+
+// Helper: load a pledge with its request, or an error shaped like ensureMember in chatRoutes.
+const loadPledge = async (pledgeId) => {
+  if (!mongoose.isValidObjectId(pledgeId)) {
+    return { error: { status: 400, message: "Invalid pledge ID." } };
+  }
+  const pledge = await Pledge.findById(pledgeId).populate("request").populate("donor", "fullName bloodGroup");
+  if (!pledge || !pledge.request || pledge.request.isDeleted) {
+    return { error: { status: 404, message: "Pledge not found." } };
+  }
+  return { pledge };
+};
+
+const isRequestOwnerOrAdmin = (pledge, user) =>
+  user.role === "admin" || pledge.request.user.toString() === user.id;
+
+// List the current user's pledges.
+router.get("/me", async (req, res) => {
+  try {
+    const pledges = await Pledge.find({ user: req.user.id })
+      .populate("request", "bloodGroup city hospital unitsNeeded unitsFulfilled requiredDate status")
+      .sort({ createdAt: -1 });
+    return res.status(200).json({ success: true, message: "Your pledges.", data: pledges });
+  } catch (error) {
+    console.error("List my pledges error:", error);
+    return res.status(500).json({ success: false, message: "Server error while fetching pledges." });
+  }
+});
+
+// Accept or decline a pledge (request owner or admin).
+const respond = (decision) => async (req, res) => {
+  try {
+    const { pledge, error } = await loadPledge(req.params.id);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    if (!isRequestOwnerOrAdmin(pledge, req.user)) {
+      return res.status(403).json({ success: false, message: "Only the request owner can respond to pledges." });
+    }
+
+    const verb = decision === "accepted" ? "accept" : "decline";
+    const allowedFrom = decision === "accepted" ? ["pending"] : ["pending", "accepted"];
+    if (!allowedFrom.includes(pledge.status)) {
+      return res.status(400).json({ success: false, message: `Cannot ${verb} a ${pledge.status} pledge.` });
+    }
+
+    if (decision === "accepted" && pledge.request.status !== "open") {
+      return res.status(400).json({ success: false, message: "This request is not open anymore." });
+    }
+
+    pledge.status = decision;
+    pledge.respondedAt = new Date();
+    await pledge.save();
+
+    await Notification.create({
+      user: pledge.user,
+      donor: pledge.donor._id,
+      type: decision === "accepted" ? "pledge_accepted" : "pledge_declined",
+      title: decision === "accepted" ? "Your pledge was accepted" : "Your pledge was declined",
+      message:
+        decision === "accepted"
+          ? `The requester accepted your pledge for ${pledge.request.bloodGroup} blood in ${pledge.request.city}.`
+          : `The requester declined your pledge for ${pledge.request.bloodGroup} blood in ${pledge.request.city}.`,
+      meta: { requestId: pledge.request._id, pledgeId: pledge._id },
+    });
+
+    await recordAudit(req, {
+      action: decision === "accepted" ? "accept_pledge" : "decline_pledge",
+      targetType: "Pledge",
+      targetId: pledge._id.toString(),
+    });
+
+    return res.status(200).json({ success: true, message: `Pledge ${decision}.`, data: pledge });
+  } catch (error) {
+    console.error("Respond to pledge error:", error);
+    return res.status(500).json({ success: false, message: "Server error while updating pledge." });
+  }
+};
+
+router.post("/:id/accept", respond("accepted"));
+router.post("/:id/decline", respond("declined"));
+
+// Cancel your own pledge.
+router.post("/:id/cancel", async (req, res) => {
+  try {
+    const { pledge, error } = await loadPledge(req.params.id);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    if (pledge.user.toString() !== req.user.id) {
+      return res.status(403).json({ success: false, message: "You can only cancel your own pledge." });
+    }
+
+    if (!["pending", "accepted"].includes(pledge.status)) {
+      return res.status(400).json({ success: false, message: `Cannot cancel a ${pledge.status} pledge.` });
+    }
+
+    pledge.status = "cancelled";
+    await pledge.save();
+
+    await Notification.create({
+      user: pledge.request.user,
+      donor: pledge.donor._id,
+      type: "pledge_cancelled",
+      title: "A donor cancelled their pledge",
+      message: `${pledge.donor.fullName} cancelled their pledge for your ${pledge.request.bloodGroup} request.`,
+      meta: { requestId: pledge.request._id, pledgeId: pledge._id },
+    });
+
+    await recordAudit(req, {
+      action: "cancel_pledge",
+      targetType: "Pledge",
+      targetId: pledge._id.toString(),
+    });
+
+    return res.status(200).json({ success: true, message: "Pledge cancelled.", data: pledge });
+  } catch (error) {
+    console.error("Cancel pledge error:", error);
+    return res.status(500).json({ success: false, message: "Server error while cancelling pledge." });
+  }
+});
+
+module.exports = router;
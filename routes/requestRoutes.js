@@ -3,51 +3,43 @@ const express = require("express");
 const mongoose = require("mongoose");
 const BloodRequest = require("../models/BloodRequest");
 const Donor = require("../models/Donor");
-const AuditLog = require("../models/AuditLog");
 const RequestMessage = require("../models/RequestMessage");
 const Notification = require("../models/Notification");
 const RequestChat = require("../models/RequestChat");
+const Pledge = require("../models/Pledge");
 const auth = require("../middleware/authMiddleware");
-const requireAdmin = require("../middleware/roleMiddleware");
+const requirePermission = require("../middleware/permissionMiddleware");
 const { messageLimiter } = require("../middleware/rateLimiter");
+const realtime = require("../utils/realtime");
+const { parseListQuery, paginate } = require("../utils/pagination");
+const { requestFilters } = require("../utils/listFilters");
+const { toPoint, parseNearQuery } = require("../utils/geo");
+const { COMPONENTS } = require("../utils/bloodCompatibility");
+const { findMatchingDonors } = require("../utils/donorMatching");
+const { alertDonorsForRequest } = require("../utils/donorAlerts");
+const { loadActiveRules, donationTypeForComponent } = require("../utils/eligibility");
+const { recordAudit } = require("../utils/audit");
 
 const router = express.Router();
 
 // All blood request routes require authentication.
 router.use(auth);
 
-// Helper: allowed donor visibilities per role.
-const allowedVisibilities = (role) => {
-  if (role === "admin") return ["public", "registered", "admin"];
-  if (role === "guest") return ["public"];
-  return ["public", "registered"];
-};
-
-// Helper: find donors matching a request (respect visibility, willingness, eligibility).
-const findMatchingDonors = async (requestDoc, viewerRole, viewerId) => {
-  const filters = {
-    willingToDonate: true,
-    bloodGroup: requestDoc.bloodGroup,
-    visibility: { $in: allowedVisibilities(viewerRole) },
-    isDeleted: false,
-  };
-
-  if (requestDoc.city) {
-    filters["address.city"] = { $regex: requestDoc.city, $options: "i" };
-  }
-
-  const donors = await Donor.find(filters);
-
-  // Filter by eligibility (90-day rule) and shape data based on viewer.
-  const eligibleDonors = donors.filter((d) => d.isEligibleToDonate().eligible);
-  const safeDonors = eligibleDonors.map((d) => d.toSafeObject(viewerRole, viewerId));
-  return { eligibleDonors, safeDonors };
-};
-
 // Create a blood request (open by default).
 router.post("/", async (req, res) => {
   try {
-    const { bloodGroup, city, hospital, patientName, unitsNeeded, requiredDate, contactPhone } = req.body;
+    const {
+      bloodGroup,
+      component,
+      city,
+      hospital,
+      patientName,
+      unitsNeeded,
+      requiredDate,
+      contactPhone,
+      lat,
+      lng,
+    } = req.body;
 
     if (!bloodGroup || !city || !unitsNeeded || !requiredDate || !contactPhone) {
       return res.status(400).json({
@@ -56,14 +48,28 @@ router.post("/", async (req, res) => {
       });
     }
 
+    if (component && !COMPONENTS.includes(component)) {
+      return res.status(400).json({
+        success: false,
+        message: `component must be one of: ${COMPONENTS.join(", ")}.`,
+      });
+    }
+
+    const location = toPoint(lat, lng);
+    if ((lat !== undefined || lng !== undefined) && !location) {
+      return res.status(400).json({ success: false, message: "lat and lng must both be valid coordinates." });
+    }
+
     const count = await BloodRequest.countDocuments({ user: req.user.id, isDeleted: false });
 
     const bloodRequest = new BloodRequest({
       user: req.user.id,
       requestNumber: count + 1,
       bloodGroup,
+      component,
       city,
       hospital,
+      location: location || undefined,
       patientName,
       unitsNeeded,
       requiredDate,
@@ -73,16 +79,20 @@ router.post("/", async (req, res) => {
 
     await bloodRequest.save();
 
+    // Alert matching donors; a failure here should not fail the request itself.
+    let alerts = { alerted: 0, capped: 0, deferred: 0 };
+    try {
+      alerts = await alertDonorsForRequest(bloodRequest);
+    } catch (alertError) {
+      console.error("Donor alert error:", alertError);
+    }
+
     // Optionally return matching donors to the requester.
-    const { eligibleDonors, safeDonors } = await findMatchingDonors(
-      bloodRequest,
-      req.user.role,
-      req.user.id
-    );
+    const { safeDonors } = await findMatchingDonors(bloodRequest, req.user.role, req.user.id);
     return res.status(201).json({
       success: true,
       message: "Blood request created.",
-      data: { request: bloodRequest, matches: safeDonors },
+      data: { request: bloodRequest, matches: safeDonors, alerts },
     });
   } catch (error) {
     console.error("Create blood request error:", error);
@@ -93,19 +103,25 @@ router.post("/", async (req, res) => {
 // Get current user's blood requests.
 router.get("/me", async (req, res) => {
   try {
-    const requests = await BloodRequest.find({ user: req.user.id, isDeleted: false }).sort({
-      createdAt: -1,
+    const listQuery = parseListQuery(req.query, {
+      sortable: ["createdAt"],
+      defaultSort: "-createdAt",
     });
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
+    }
+
+    const { items, meta } = await paginate(BloodRequest, { user: req.user.id, isDeleted: false }, listQuery);
     // Ensure requestNumber present; if missing, assign a temporary sequence for response.
-    let seq = requests.length;
-    const withNumbers = requests.map((r, idx) => {
+    const withNumbers = items.map((r, idx) => {
       const clone = r.toObject();
-      clone.requestNumber = r.requestNumber && r.requestNumber > 0 ? r.requestNumber : requests.length - idx;
+      const fallback = listQuery.sortDir === -1 ? meta.total - listQuery.skip - idx : listQuery.skip + idx + 1;
+      clone.requestNumber = r.requestNumber && r.requestNumber > 0 ? r.requestNumber : fallback;
       return clone;
     });
     return res
       .status(200)
-      .json({ success: true, message: "Your blood requests.", data: withNumbers });
+      .json({ success: true, message: "Your blood requests.", data: withNumbers, meta });
   } catch (error) {
     console.error("List my requests error:", error);
     return res.status(500).json({ success: false, message: "Server error while fetching your requests." });
@@ -113,14 +129,23 @@ router.get("/me", async (req, res) => {
 });
 
 // Admin: get all blood requests.
-router.get("/", requireAdmin, async (req, res) => {
+router.get("/", requirePermission("requests:manage"), async (req, res) => {
   try {
-    const requests = await BloodRequest.find({ isDeleted: false })
-      .populate("user", "name email role")
-      .sort({ createdAt: -1 });
+    const listQuery = parseListQuery(req.query, {
+      sortable: ["createdAt", "requiredDate", "unitsNeeded", "status"],
+      defaultSort: "-createdAt",
+    });
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
+    }
+
+    const { filters } = requestFilters(req.query);
+    const { items, meta } = await paginate(BloodRequest, filters, listQuery, (query) =>
+      query.populate("user", "name email role")
+    );
     return res
       .status(200)
-      .json({ success: true, message: "All blood requests fetched.", data: requests });
+      .json({ success: true, message: "All blood requests fetched.", data: items, meta });
   } catch (error) {
     console.error("List all requests error:", error);
     return res.status(500).json({ success: false, message: "Server error while fetching requests." });
@@ -133,6 +158,14 @@ router.get("/feed", async (req, res) => {
     const { city } = req.query;
     const filters = { isDeleted: false, status: "open" };
 
+    const listQuery = parseListQuery(req.query, {
+      sortable: ["requiredDate", "createdAt", "unitsNeeded"],
+      defaultSort: "requiredDate",
+    });
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
+    }
+
     let effectiveCity = (city || "").trim();
     if (!effectiveCity) {
       const viewerDonor = await Donor.findOne({ user: req.user.id, isDeleted: false });
@@ -145,16 +178,16 @@ router.get("/feed", async (req, res) => {
       filters.city = { $regex: effectiveCity, $options: "i" };
     }
 
-    const requests = await BloodRequest.find(filters)
-      .populate("user", "name email role")
-      .sort({ requiredDate: 1, createdAt: -1 });
+    const { items, meta } = await paginate(BloodRequest, filters, listQuery, (query) =>
+      query.populate("user", "name email role")
+    );
     return res
       .status(200)
       .json({
         success: true,
         message: "Open blood requests feed.",
-        data: requests,
-        meta: { city: effectiveCity || null },
+        data: items,
+        meta: { ...meta, city: effectiveCity || null },
       });
   } catch (error) {
     console.error("List feed requests error:", error);
@@ -190,15 +223,16 @@ router.put("/:id/status", async (req, res) => {
       return res.status(403).json({ success: false, message: "You can only update your own request." });
     }
 
+    const previousStatus = bloodRequest.status;
     bloodRequest.status = status;
     await bloodRequest.save();
 
-    await AuditLog.create({
-      user: req.user.id,
+    await recordAudit(req, {
       action: "update_request_status",
       targetType: "Request",
       targetId: bloodRequest._id.toString(),
       details: { status },
+      changes: [{ field: "status", before: previousStatus, after: status }],
     });
 
     return res
@@ -228,7 +262,12 @@ router.get("/:id/matches", async (req, res) => {
       return res.status(403).json({ success: false, message: "You can only view matches for your own request." });
     }
 
-    const matches = await findMatchingDonors(bloodRequest, req.user.role, req.user.id);
+    const { geo, error: nearError } = parseNearQuery(req.query);
+    if (nearError) {
+      return res.status(400).json({ success: false, message: nearError });
+    }
+
+    const matches = await findMatchingDonors(bloodRequest, req.user.role, req.user.id, geo);
 
     return res.status(200).json({
       success: true,
@@ -304,8 +343,7 @@ router.post("/:id/share-info", async (req, res) => {
       meta: { request: requestDetails, donor: donorDetails },
     });
 
-    await AuditLog.create({
-      user: req.user.id,
+    await recordAudit(req, {
       action: "share_request_info",
       targetType: "Request",
       targetId: bloodRequest._id.toString(),
@@ -323,6 +361,133 @@ router.post("/:id/share-info", async (req, res) => {
   }
 });
 
+// Pledge units of blood for a request (donor profile required).
+router.post("/:id/pledges", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { note } = req.body;
+    const units = req.body.units === undefined ? 1 : Number(req.body.units);
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: "Invalid request ID." });
+    }
+
+    if (!Number.isInteger(units) || units < 1) {
+      return res.status(400).json({ success: false, message: "units must be a positive integer." });
+    }
+
+    const bloodRequest = await BloodRequest.findOne({ _id: id, isDeleted: false });
+    if (!bloodRequest) {
+      return res.status(404).json({ success: false, message: "Blood request not found." });
+    }
+
+    if (bloodRequest.status !== "open") {
+      return res.status(400).json({ success: false, message: "This request is not open anymore." });
+    }
+
+    if (bloodRequest.user.toString() === req.user.id) {
+      return res.status(400).json({ success: false, message: "You cannot pledge to your own request." });
+    }
+
+    const donor = await Donor.findOne({ user: req.user.id, isDeleted: false });
+    if (!donor) {
+      return res.status(400).json({ success: false, message: "You need a donor profile to pledge." });
+    }
+
+    const rules = await loadActiveRules();
+    const eligibility = donor.isEligibleToDonate({
+      rules,
+      donationType: donationTypeForComponent(bloodRequest.component),
+    });
+    if (!eligibility.eligible) {
+      return res.status(400).json({
+        success: false,
+        message: "You are not eligible to donate yet.",
+        daysUntilEligible: eligibility.daysUntilEligible,
+        reasons: eligibility.reasons,
+      });
+    }
+
+    const existing = await Pledge.findOne({
+      request: bloodRequest._id,
+      donor: donor._id,
+      status: { $in: ["pending", "accepted"] },
+    });
+    if (existing) {
+      return res.status(400).json({ success: false, message: "You already have an active pledge for this request." });
+    }
+
+    const remaining = bloodRequest.unitsNeeded - (bloodRequest.unitsFulfilled || 0);
+    if (units > remaining) {
+      return res.status(400).json({ success: false, message: `Only ${remaining} unit(s) are still needed.` });
+    }
+
+    const pledge = await Pledge.create({
+      request: bloodRequest._id,
+      donor: donor._id,
+      user: req.user.id,
+      units,
+      note,
+    });
+
+    await Notification.create({
+      user: bloodRequest.user,
+      donor: donor._id,
+      type: "pledge_created",
+      title: `${donor.fullName} pledged to donate`,
+      message: `${donor.fullName} pledged ${units} unit(s) of ${donor.bloodGroup} blood for your request.`,
+      meta: { requestId: bloodRequest._id, pledgeId: pledge._id },
+    });
+
+    await recordAudit(req, {
+      action: "create_pledge",
+      targetType: "Pledge",
+      targetId: pledge._id.toString(),
+      details: { requestId: bloodRequest._id.toString(), units },
+    });
+
+    return res.status(201).json({ success: true, message: "Pledge recorded.", data: pledge });
+  } catch (error) {
+    console.error("Create pledge error:", error);
+    return res.status(500).json({ success: false, message: "Server error while creating pledge." });
+  }
+});
+
+// List pledges for a request (owner/admin see all, donors see their own).
+router.get("/:id/pledges", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: "Invalid request ID." });
+    }
+
+    const bloodRequest = await BloodRequest.findOne({ _id: id, isDeleted: false });
+    if (!bloodRequest) {
+      return res.status(404).json({ success: false, message: "Blood request not found." });
+    }
+
+    const filters = { request: bloodRequest._id };
+    if (req.user.role !== "admin" && bloodRequest.user.toString() !== req.user.id) {
+      filters.user = req.user.id;
+    }
+
+    const pledges = await Pledge.find(filters)
+      .populate("donor", "fullName bloodGroup phone address.city")
+      .sort({ createdAt: -1 });
+
+    return res.status(200).json({
+      success: true,
+      message: "Pledges fetched.",
+      data: pledges,
+      meta: { unitsNeeded: bloodRequest.unitsNeeded, unitsFulfilled: bloodRequest.unitsFulfilled || 0 },
+    });
+  } catch (error) {
+    console.error("List pledges error:", error);
+    return res.status(500).json({ success: false, message: "Server error while fetching pledges." });
+  }
+});
+
 // Send a message to the request owner (auth required).
 router.post("/:id/contact", messageLimiter, async (req, res) => {
   try {
@@ -380,6 +545,8 @@ router.post("/:id/contact", messageLimiter, async (req, res) => {
     chat.updatedAt = new Date();
     await chat.save();
 
+    realtime.publishToUsers(participants, "chat_message", { chatId: chat._id, message: msg.toObject() });
+
     await Notification.create({
       user: bloodRequest.user,
       type: "request_message",
@@ -0,0 +1,143 @@
+// Routes for the pre-donation health screening questionnaire.
+// Answers that need a deferral create one automatically (see utils/screening and utils/deferrals).
+const express = require("express");
+const mongoose = require("mongoose");
+const Donor = require("../models/Donor");
+const ScreeningResponse = require("../models/ScreeningResponse");
+const auth = require("../middleware/authMiddleware");
+const { parseListQuery, paginate } = require("../utils/pagination");
+const { SCREENING_RULES, SCREENING_VALID_DAYS, validateAnswers, evaluateScreening } = require("../utils/screening");
+const { createDeferral } = require("../utils/deferrals");
+const { loadActiveRules } = require("../utils/eligibility");
+const { recordAudit } = require("../utils/audit");
+
+const router = express.Router();
+
+router.use(auth);
+
+// Questionnaire definition so clients can render the form.
+router.get("/questions", (req, res) => {
+  const questions = Object.entries(SCREENING_RULES).map(([key, rule]) => ({
+    key,
+    reasonCode: rule.reasonCode,
+    deferralDays: rule.days,
+    dateField: rule.dateField || null,
+    description: rule.reason,
+  }));
+  return res.status(200).json({ success: true, message: "Screening questions.", data: questions });
+});
+
+// Submit a questionnaire for your own donor profile (admins may pass donorId).
+router.post("/", async (req, res) => {
+  try {
+    let donor;
+    if (req.body.donorId && req.user.role === "admin") {
+      if (!mongoose.isValidObjectId(req.body.donorId)) {
+        return res.status(400).json({ success: false, message: "Invalid donor ID." });
+      }
+      donor = await Donor.findOne({ _id: req.body.donorId, isDeleted: false });
+    } else {
+      donor = await Donor.findOne({ user: req.user.id, isDeleted: false });
+    }
+    if (!donor) {
+      return res.status(404).json({ success: false, message: "Donor profile not found." });
+    }
+
+    const now = new Date();
+    const { answers, error } = validateAnswers(req.body.answers, now);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const required = evaluateScreening(answers, now);
+    const screening = await ScreeningResponse.create({
+      donor: donor._id,
+      submittedBy: req.user.id,
+      answers,
+      outcome: required.length > 0 ? "deferred" : "clear",
+      validUntil: required.length > 0 ? undefined : new Date(now.getTime() + SCREENING_VALID_DAYS * 24 * 60 * 60 * 1000),
+    });
+
+    const deferrals = [];
+    for (const item of required) {
+      deferrals.push(
+        await createDeferral(donor, {
+          ...item,
+          source: "screening",
+          screening: screening._id,
+          needsReview: true,
+          createdBy: req.user.id,
+        })
+      );
+    }
+    if (deferrals.length > 0) {
+      screening.deferrals = deferrals.map((d) => d._id);
+      await screening.save();
+    }
+
+    await recordAudit(req, {
+      action: "submit_screening",
+      targetType: "Donor",
+      targetId: donor._id.toString(),
+      details: { screeningId: screening._id.toString(), outcome: screening.outcome },
+    });
+
+    const refreshed = await Donor.findById(donor._id);
+    const rules = await loadActiveRules();
+    return res.status(201).json({
+      success: true,
+      message: screening.outcome === "clear" ? "Screening passed." : "Screening recorded. You are temporarily deferred.",
+      data: { screening, deferrals, eligibility: refreshed.isEligibleToDonate({ rules }) },
+    });
+  } catch (error) {
+    console.error("Submit screening error:", error);
+    return res.status(500).json({ success: false, message: "Server error while submitting screening." });
+  }
+});
+
+// Screening history for a donor (owner or admin).
+const listForDonor = async (req, res, donor) => {
+  const listQuery = parseListQuery(req.query, { sortable: ["createdAt"], defaultSort: "-createdAt" });
+  if (listQuery.error) {
+    return res.status(400).json({ success: false, message: listQuery.error });
+  }
+  const { items, meta } = await paginate(ScreeningResponse, { donor: donor._id }, listQuery, (query) =>
+    query.populate("deferrals", "reasonCode until status")
+  );
+  return res.status(200).json({ success: true, message: "Screenings fetched.", data: items, meta });
+};
+
+router.get("/me", async (req, res) => {
+  try {
+    const donor = await Donor.findOne({ user: req.user.id, isDeleted: false });
+    if (!donor) {
+      return res.status(404).json({ success: false, message: "No donor profile found for this user." });
+    }
+    return await listForDonor(req, res, donor);
+  } catch (error) {
+    console.error("List my screenings error:", error);
+    return res.status(500).json({ success: false, message: "Server error while fetching screenings." });
+  }
+});
+
+router.get("/donor/:donorId", async (req, res) => {
+  try {
+    const { donorId } = req.params;
+    if (!mongoose.isValidObjectId(donorId)) {
+      return res.status(400).json({ success: false, message: "Invalid donor ID." });
+    }
+    const donor = await Donor.findOne({ _id: donorId, isDeleted: false });
+    if (!donor) {
+      return res.status(404).json({ success: false, message: "Donor not found." });
+    }
+    if (req.user.role !== "admin" && donor.user.toString() !== req.user.id) {
+      return res.status(403).json({ success: false, message: "You can only view your own screenings." });
+    }
+    return await listForDonor(req, res, donor);
+  } catch (error) {
+    console.error("List donor screenings error:", error);
+    return res.status(500).json({ success: false, message: "Server error while fetching screenings." });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,41 @@
+// Real-time event stream (Server-Sent Events) for chat messages, typing/read receipts and notifications.
+// Browsers' EventSource cannot set headers, so the JWT may also be passed as ?token=.
+const express = require("express");
+const auth = require("../middleware/authMiddleware");
+const realtime = require("../utils/realtime");
+
+const router = express.Router();
+
+const HEARTBEAT_MS = 25 * 1000;
+
+// Copy ?token= into the Authorization header so the standard auth middleware applies.
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+// Open an SSE stream for the current user.
+router.get("/", tokenFromQuery, auth, (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  realtime.addClient(req.user.id, res);
+  realtime.writeEvent(res, "ready", { userId: req.user.id });
+
+  // Comment lines keep proxies from closing an idle connection.
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    realtime.removeClient(req.user.id, res);
+  });
+});
+
+module.exports = router;
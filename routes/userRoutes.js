@@ -2,19 +2,30 @@
 const express = require("express");
 const mongoose = require("mongoose");
 const User = require("../models/User");
-const AuditLog = require("../models/AuditLog");
 const auth = require("../middleware/authMiddleware");
-const requireAdmin = require("../middleware/roleMiddleware");
+const requirePermission = require("../middleware/permissionMiddleware");
+const { parseListQuery, paginate } = require("../utils/pagination");
+const { userFilters } = require("../utils/listFilters");
+const { recordAudit } = require("../utils/audit");
 
 const router = express.Router();
 
-router.use(auth, requireAdmin);
+router.use(auth, requirePermission("users:manage"));
 
 // List all users (excluding passwords).
 router.get("/", async (req, res) => {
   try {
-    const users = await User.find().select("-password").sort({ createdAt: -1 });
-    return res.status(200).json({ success: true, message: "Users fetched.", data: users });
+    const listQuery = parseListQuery(req.query, {
+      sortable: ["createdAt", "name", "email", "role"],
+      defaultSort: "-createdAt",
+    });
+    if (listQuery.error) {
+      return res.status(400).json({ success: false, message: listQuery.error });
+    }
+
+    const { filters } = userFilters(req.query);
+    const { items, meta } = await paginate(User, filters, listQuery, (query) => query.select("-password"));
+    return res.status(200).json({ success: true, message: "Users fetched.", data: items, meta });
   } catch (error) {
     console.error("List users error:", error);
     return res.status(500).json({ success: false, message: "Server error while fetching users." });
@@ -55,15 +66,16 @@ router.put("/:id/role", async (req, res) => {
       }
     }
 
+    const previousRole = targetUser.role;
     targetUser.role = role;
     await targetUser.save();
 
-    await AuditLog.create({
-      user: req.user.id,
+    await recordAudit(req, {
       action: "update_user_role",
       targetType: "User",
       targetId: id,
       details: { role },
+      changes: [{ field: "role", before: previousRole, after: role }],
     });
 
     const responseUser = targetUser.toObject();
@@ -109,15 +121,16 @@ router.put("/:id/status", async (req, res) => {
       }
     }
 
+    const previousIsActive = targetUser.isActive;
     targetUser.isActive = isActive;
     targetUser.deactivatedAt = isActive ? null : new Date();
     await targetUser.save();
 
-    await AuditLog.create({
-      user: req.user.id,
+    await recordAudit(req, {
       action: isActive ? "activate_user" : "deactivate_user",
       targetType: "User",
       targetId: id,
+      changes: [{ field: "isActive", before: previousIsActive, after: isActive }],
     });
 
     const responseUser = targetUser.toObject();
@@ -162,8 +175,7 @@ router.delete("/:id", async (req, res) => {
     targetUser.deactivatedAt = new Date();
     await targetUser.save();
 
-    await AuditLog.create({
-      user: req.user.id,
+    await recordAudit(req, {
       action: "deactivate_user",
       targetType: "User",
       targetId: id,
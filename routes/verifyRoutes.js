@@ -0,0 +1,41 @@
+// Public verification of donation certificates and donor cards by the code printed on them.
+const express = require("express");
+const IssuedDocument = require("../models/IssuedDocument");
+const { normaliseCode, checkDocument } = require("../utils/documents");
+
+const router = express.Router();
+
+// PUBLIC: confirm a certificate or card is genuine and still matches the records.
+// Returns what the document stated when it was issued, so the holder's copy can be compared.
+router.get("/:code", async (req, res) => {
+  try {
+    const code = normaliseCode(req.params.code);
+    if (!code) {
+      return res.status(400).json({ success: false, message: "Invalid verification code." });
+    }
+
+    const document = await IssuedDocument.findOne({ code });
+    if (!document) {
+      return res.status(404).json({ success: false, message: "No document was issued with this code." });
+    }
+
+    const { valid, reason } = await checkDocument(document);
+    return res.status(200).json({
+      success: true,
+      message: valid ? "Document is genuine." : "Document is no longer valid.",
+      data: {
+        code: document.code,
+        kind: document.kind,
+        valid,
+        reason,
+        issuedAt: document.issuedAt,
+        snapshot: document.snapshot,
+      },
+    });
+  } catch (error) {
+    console.error("Verify document error:", error);
+    return res.status(500).json({ success: false, message: "Server error while verifying document." });
+  }
+});
+
+module.exports = router;
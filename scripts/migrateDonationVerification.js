@@ -0,0 +1,29 @@
+// Migration: mark donations recorded before verification existed as verified, so they keep counting.
+// Run with: npm run migrate:donation-verification
+// Requires MONGO_URI in .env. Safe to run more than once.
+
+const dotenv = require("dotenv");
+dotenv.config();
+
+const connectDB = require("../config/db");
+const Donation = require("../models/Donation");
+
+async function migrateDonationVerification() {
+  await connectDB();
+
+  // The review queue relies on the new index.
+  await Donation.createIndexes();
+
+  const result = await Donation.updateMany(
+    { verificationStatus: { $exists: false } },
+    { $set: { verificationStatus: "verified" } }
+  );
+
+  console.log(`Marked ${result.modifiedCount} existing donations as verified.`);
+  process.exit(0);
+}
+
+migrateDonationVerification().catch((err) => {
+  console.error("Donation verification migration failed:", err);
+  process.exit(1);
+});
@@ -0,0 +1,54 @@
+// Migration: backfill Donor.location GeoJSON points from existing address.lat/lng.
+// Run with: npm run migrate:donor-locations
+// Requires MONGO_URI in .env. Safe to run more than once.
+
+const dotenv = require("dotenv");
+dotenv.config();
+
+const connectDB = require("../config/db");
+const Donor = require("../models/Donor");
+const { toPoint } = require("../utils/geo");
+
+async function migrateDonorLocations() {
+  await connectDB();
+
+  // Make sure the 2dsphere index exists before proximity queries run.
+  await Donor.createIndexes();
+
+  const donors = await Donor.find({
+    "address.lat": { $ne: null },
+    "address.lng": { $ne: null },
+  }).select("address location");
+
+  const updates = [];
+  let skipped = 0;
+  for (const donor of donors) {
+    const point = toPoint(donor.address.lat, donor.address.lng);
+    if (!point) {
+      skipped += 1;
+      continue;
+    }
+    const current = donor.location?.coordinates || [];
+    if (current[0] === point.coordinates[0] && current[1] === point.coordinates[1]) {
+      continue;
+    }
+    updates.push({
+      updateOne: {
+        filter: { _id: donor._id },
+        update: { $set: { location: point } },
+      },
+    });
+  }
+
+  if (updates.length) {
+    await Donor.bulkWrite(updates);
+  }
+
+  console.log(`Backfilled location for ${updates.length} donors (${skipped} with invalid coordinates skipped).`);
+  process.exit(0);
+}
+
+migrateDonorLocations().catch((err) => {
+  console.error("Donor location migration failed:", err);
+  process.exit(1);
+});
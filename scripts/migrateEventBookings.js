@@ -0,0 +1,28 @@
+// Migration: fill in the booked counters of donation events created before they existed,
+// so registration capacity is claimed against the real number of live registrations.
+// Run with: npm run migrate:event-bookings
+// Requires MONGO_URI in .env. Safe to run more than once.
+
+const dotenv = require("dotenv");
+dotenv.config();
+
+const connectDB = require("../config/db");
+const DonationEvent = require("../models/DonationEvent");
+const { syncEventBookings } = require("../utils/events");
+
+async function migrateEventBookings() {
+  await connectDB();
+
+  const events = await DonationEvent.find({ status: "scheduled" }).select("_id");
+  for (const event of events) {
+    await syncEventBookings(event._id);
+  }
+
+  console.log(`Synced booked counters for ${events.length} scheduled events.`);
+  process.exit(0);
+}
+
+migrateEventBookings().catch((err) => {
+  console.error("Event bookings migration failed:", err);
+  process.exit(1);
+});
@@ -4,10 +4,9 @@
 // PORT=5000
 // MONGO_URI=mongodb://localhost:27017/blood_donation
 // JWT_SECRET=supersecretkey_change_this
-// JWT_EXPIRES_IN=7d
+// JWT_EXPIRES_IN=15m            (access token lifetime)
+// REFRESH_TOKEN_TTL_DAYS=30     (refresh token lifetime)
 
-const express = require("express");
-const cors = require("cors");
 const dotenv = require("dotenv");
 
 // Load environment variables from .env.
@@ -26,55 +25,19 @@ if (!process.env.JWT_SECRET) {
 }
 
 const connectDB = require("./config/db");
-const authRoutes = require("./routes/authRoutes");
-const donorRoutes = require("./routes/donorRoutes");
-const donationRoutes = require("./routes/donationRoutes");
-const institutionRoutes = require("./routes/institutionRoutes");
-const requestRoutes = require("./routes/requestRoutes");
-const { authLimiter, searchLimiter } = require("./middleware/rateLimiter");
-const contactRoutes = require("./routes/contactRoutes");
-const adminRoutes = require("./routes/adminRoutes");
-const notificationRoutes = require("./routes/notificationRoutes");
-const chatRoutes = require("./routes/chatRoutes");
-const userRoutes = require("./routes/userRoutes");
+const createApp = require("./app");
+const { startScheduler } = require("./utils/scheduler");
 
-const app = express();
+const app = createApp();
 
 // Connect to MongoDB right away.
 connectDB();
 
-// Basic middlewares for JSON parsing and CORS.
-app.use(cors());
-app.use(express.json());
-
-// Rate limit auth endpoints and public search.
-app.use("/api/auth", authLimiter);
-app.use("/api/donors/search", searchLimiter);
-
-// Simple root route to verify the API is running.
-app.get("/", (req, res) => {
-  return res
-    .status(200)
-    .json({ success: true, message: "Blood Donation API Running..." });
-});
-
-// Mount feature routes.
-app.use("/api/auth", authRoutes);
-app.use("/api/donors", donorRoutes);
-app.use("/api/donations", donationRoutes);
-app.use("/api/institutions", institutionRoutes);
-app.use("/api/requests", requestRoutes);
-app.use("/api/contact", contactRoutes);
-app.use("/api/admin", adminRoutes);
-app.use("/api/notifications", notificationRoutes);
-app.use("/api/chats", chatRoutes);
-app.use("/api/users", userRoutes);
-
-// Global error handler fallback (for unexpected errors).
-app.use((err, req, res, next) => {
-  console.error("Unexpected error:", err);
-  return res.status(500).json({ success: false, message: "Internal server error." });
-});
+// Start scheduled background jobs (set JOBS_ENABLED=false to run an API-only instance).
+if (process.env.JOBS_ENABLED !== "false") {
+  require("./jobs");
+  startScheduler();
+}
 
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
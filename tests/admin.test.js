@@ -0,0 +1,96 @@
+const request = require("supertest");
+const createApp = require("../app");
+const AuditLog = require("../models/AuditLog");
+const Donation = require("../models/Donation");
+const Donor = require("../models/Donor");
+const Institution = require("../models/Institution");
+const { useTestDatabase } = require("./helpers/db");
+const { createUser, createAdmin, createDonor, authHeader } = require("./helpers/factories");
+
+useTestDatabase();
+const app = createApp();
+
+describe("admin routes", () => {
+  it("requires the admin role", async () => {
+    const user = await createUser();
+    const res = await request(app).get("/api/admin/audit").set("Authorization", authHeader(user));
+    expect(res.status).toBe(403);
+  });
+
+  it("exports donors as CSV", async () => {
+    const admin = await createAdmin();
+    await createDonor(null, { fullName: "Export Me" });
+
+    const res = await request(app).get("/api/admin/export/donors").set("Authorization", authHeader(admin));
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/text\/csv/);
+    expect(res.text).toContain("Export Me");
+  });
+
+  it("applies list filters to exports and supports NDJSON", async () => {
+    const admin = await createAdmin();
+    await createDonor(null, { fullName: "O Donor", bloodGroup: "O+" });
+    await createDonor(null, { fullName: "=Sneaky, Name", bloodGroup: "A+" });
+
+    const csv = await request(app)
+      .get("/api/admin/export/donors?bloodGroup=A%2B")
+      .set("Authorization", authHeader(admin));
+    expect(csv.text).toContain(`"'=Sneaky, Name"`);
+    expect(csv.text).not.toContain("O Donor");
+
+    const users = await request(app)
+      .get("/api/admin/export/users?format=ndjson&role=admin")
+      .set("Authorization", authHeader(admin));
+    expect(users.headers["content-type"]).toMatch(/ndjson/);
+    const rows = users.text.trim().split("\n").map((line) => JSON.parse(line));
+    expect(rows.map((r) => r.email)).toEqual([admin.email]);
+    expect(rows[0]).not.toHaveProperty("password");
+  });
+
+  it("rejects unknown exports and formats", async () => {
+    const admin = await createAdmin();
+    const unknown = await request(app).get("/api/admin/export/secrets").set("Authorization", authHeader(admin));
+    expect(unknown.status).toBe(404);
+    const badFormat = await request(app)
+      .get("/api/admin/export/requests?format=pdf")
+      .set("Authorization", authHeader(admin));
+    expect(badFormat.status).toBe(400);
+  });
+
+  it("returns audit logs newest first", async () => {
+    const admin = await createAdmin();
+    await AuditLog.create({ user: admin._id, action: "first", targetType: "Test", createdAt: new Date(1000) });
+    await AuditLog.create({ user: admin._id, action: "second", targetType: "Test", createdAt: new Date(2000) });
+
+    const res = await request(app).get("/api/admin/audit").set("Authorization", authHeader(admin));
+    expect(res.body.data.map((l) => l.action)).toEqual(["second", "first"]);
+  });
+
+  it("recomputes donor and institution stats from the donation records", async () => {
+    const admin = await createAdmin();
+    const donor = await createDonor(null, { totalDonations: 7 });
+    const idle = await createDonor(null, { totalDonations: 3, lastDonationDate: new Date("2020-01-01") });
+    const institution = await Institution.create({ name: "Drifted Bank", totalDonations: 40 });
+    await Donation.create([
+      { donor: donor._id, institution: institution._id, donationDate: new Date("2025-01-01") },
+      { donor: donor._id, donationDate: new Date("2025-05-01"), donationType: "plasma" },
+      { donor: donor._id, donationDate: new Date("2025-06-01"), isDeleted: true },
+      { donor: idle._id, donationDate: new Date("2025-07-01"), verificationStatus: "pending" },
+    ]);
+
+    const res = await request(app)
+      .post("/api/admin/maintenance/recompute-stats")
+      .set("Authorization", authHeader(admin));
+    expect(res.status).toBe(200);
+
+    const fixed = await Donor.findById(donor._id);
+    expect(fixed.totalDonations).toBe(2);
+    expect(fixed.lastDonationDate.toISOString().slice(0, 10)).toBe("2025-05-01");
+    expect(fixed.lastDonationType).toBe("plasma");
+    // Without counted donations the declared last donation date is kept.
+    const reset = await Donor.findById(idle._id);
+    expect(reset.totalDonations).toBe(0);
+    expect(reset.lastDonationDate.toISOString().slice(0, 10)).toBe("2020-01-01");
+    expect((await Institution.findById(institution._id)).totalDonations).toBe(1);
+  });
+});
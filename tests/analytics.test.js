@@ -0,0 +1,150 @@
+const request = require("supertest");
+const createApp = require("../app");
+const Institution = require("../models/Institution");
+const Donation = require("../models/Donation");
+const BloodRequest = require("../models/BloodRequest");
+const { useTestDatabase } = require("./helpers/db");
+const { createUser, createAdmin, createDonor, authHeader, daysAgo } = require("./helpers/factories");
+
+useTestDatabase();
+const app = createApp();
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const createRequest = (owner, overrides = {}) =>
+  BloodRequest.create({
+    user: owner._id,
+    bloodGroup: "O+",
+    city: "Dhaka",
+    unitsNeeded: 2,
+    requiredDate: new Date(),
+    contactPhone: "01900000000",
+    ...overrides,
+  });
+
+describe("admin analytics", () => {
+  it("is limited to platform admins", async () => {
+    const user = await createUser();
+    const res = await request(app).get("/api/admin/analytics/donations").set("Authorization", authHeader(user));
+    expect(res.status).toBe(403);
+  });
+
+  it("groups donations by period and blood group, city or institution", async () => {
+    const admin = await createAdmin();
+    const institution = await Institution.create({ name: "North Clinic" });
+    const dhakaDonor = await createDonor(null, { bloodGroup: "A+" });
+    const sylhetDonor = await createDonor(null, { bloodGroup: "B+", address: { city: " Sylhet" } });
+
+    await Donation.create([
+      { donor: dhakaDonor._id, institution: institution._id, donationDate: new Date("2026-01-10"), units: 1 },
+      { donor: dhakaDonor._id, donationDate: new Date("2026-01-20"), units: 2 },
+      { donor: sylhetDonor._id, donationDate: new Date("2026-02-05"), units: 1 },
+      { donor: sylhetDonor._id, donationDate: new Date("2026-02-06"), units: 1, isDeleted: true },
+    ]);
+
+    const range = "from=2026-01-01&to=2026-03-01";
+    const byGroup = await request(app)
+      .get(`/api/admin/analytics/donations?${range}`)
+      .set("Authorization", authHeader(admin));
+    expect(byGroup.status).toBe(200);
+    expect(byGroup.body.data).toEqual([
+      { period: "2026-01-01T00:00:00.000Z", bloodGroup: "A+", donations: 2, units: 3 },
+      { period: "2026-02-01T00:00:00.000Z", bloodGroup: "B+", donations: 1, units: 1 },
+    ]);
+
+    const byCity = await request(app)
+      .get(`/api/admin/analytics/donations?${range}&groupBy=city&granularity=year`)
+      .set("Authorization", authHeader(admin));
+    expect(byCity.body.data.map((r) => [r.city, r.donations])).toEqual([
+      ["dhaka", 2],
+      ["sylhet", 1],
+    ]);
+
+    const byInstitution = await request(app)
+      .get(`/api/admin/analytics/donations?${range}&groupBy=institution&granularity=year`)
+      .set("Authorization", authHeader(admin));
+    expect(byInstitution.body.data.map((r) => [r.institution, r.units])).toEqual([
+      ["(none)", 3],
+      ["North Clinic", 1],
+    ]);
+
+    const bad = await request(app)
+      .get("/api/admin/analytics/donations?granularity=hour")
+      .set("Authorization", authHeader(admin));
+    expect(bad.status).toBe(400);
+  });
+
+  it("reports fulfilment rate and median time to fulfil", async () => {
+    const admin = await createAdmin();
+    const owner = await createUser();
+    const now = Date.now();
+
+    const fast = await createRequest(owner, { createdAt: new Date(now - 10 * HOUR_MS) });
+    fast.status = "fulfilled";
+    fast.fulfilledAt = new Date(now - 8 * HOUR_MS);
+    await fast.save();
+    const slow = await createRequest(owner, { createdAt: new Date(now - 20 * HOUR_MS) });
+    slow.status = "fulfilled";
+    slow.fulfilledAt = new Date(now - 14 * HOUR_MS);
+    await slow.save();
+    await createRequest(owner, { status: "expired" });
+    await createRequest(owner, { city: "Khulna" });
+
+    const res = await request(app).get("/api/admin/analytics/requests").set("Authorization", authHeader(admin));
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      total: 4,
+      open: 1,
+      fulfilled: 2,
+      expired: 1,
+      fulfilmentRate: 0.67,
+      medianHoursToFulfil: 4,
+    });
+
+    const byCity = await request(app)
+      .get("/api/admin/analytics/requests?groupBy=city")
+      .set("Authorization", authHeader(admin));
+    expect(byCity.body.data.map((r) => [r.city, r.total])).toEqual([
+      ["dhaka", 3],
+      ["khulna", 1],
+    ]);
+  });
+
+  it("stamps fulfilledAt when a request is fulfilled", async () => {
+    const owner = await createUser();
+    const bloodRequest = await createRequest(owner);
+    expect(bloodRequest.fulfilledAt).toBeUndefined();
+    bloodRequest.status = "fulfilled";
+    await bloodRequest.save();
+    expect(bloodRequest.fulfilledAt).toBeInstanceOf(Date);
+  });
+
+  it("counts active and eligible donors and the supply/demand gap per city", async () => {
+    const admin = await createAdmin();
+    await createDonor(null, { bloodGroup: "O+", lastDonationDate: daysAgo(30) });
+    await createDonor(null, { bloodGroup: "O+", lastDonationDate: daysAgo(200) });
+    await createDonor(null, { bloodGroup: "O+", willingToDonate: false });
+    const recent = await createDonor(null, { bloodGroup: "A-", lastDonationDate: daysAgo(10) });
+
+    const donors = await request(app)
+      .get("/api/admin/analytics/donors")
+      .set("Authorization", authHeader(admin));
+    expect(donors.status).toBe(200);
+    expect(donors.body.data).toEqual([
+      { bloodGroup: "A-", total: 1, active: 1, eligible: 0 },
+      { bloodGroup: "O+", total: 3, active: 2, eligible: 1 },
+    ]);
+
+    const owner = await createUser();
+    await createRequest(owner, { unitsNeeded: 5 });
+    await Donation.create({ donor: recent._id, donationDate: daysAgo(10), units: 2 });
+
+    const gap = await request(app)
+      .get("/api/admin/analytics/supply-demand")
+      .set("Authorization", authHeader(admin));
+    expect(gap.status).toBe(200);
+    expect(gap.body.data).toEqual([
+      { city: "dhaka", requests: 1, unitsRequested: 5, unitsFulfilled: 0, unitsDonated: 2, eligibleDonors: 1, gap: 3 },
+    ]);
+  });
+});
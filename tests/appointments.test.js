@@ -0,0 +1,199 @@
+const request = require("supertest");
+const createApp = require("../app");
+const Institution = require("../models/Institution");
+const AppointmentSlot = require("../models/AppointmentSlot");
+const Appointment = require("../models/Appointment");
+const Donation = require("../models/Donation");
+const Donor = require("../models/Donor");
+const Notification = require("../models/Notification");
+const { sendAppointmentReminders, markMissedAppointments } = require("../jobs/appointmentReminders");
+const { useTestDatabase } = require("./helpers/db");
+const { createUser, createDonor, addMember, authHeader, daysAgo } = require("./helpers/factories");
+
+useTestDatabase();
+const app = createApp();
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// An institution with a staff member who publishes two one-hour slots starting in `hoursAhead` hours.
+const publishSlots = async ({ hoursAhead = 48, capacity = 1 } = {}) => {
+  const institution = await Institution.create({ name: "Donor Clinic" });
+  const staff = await createUser();
+  await addMember(staff, institution, "staff");
+
+  const startsAt = new Date(Date.now() + hoursAhead * HOUR_MS);
+  const res = await request(app)
+    .post("/api/appointments/slots")
+    .set("Authorization", authHeader(staff))
+    .send({
+      institutionId: institution._id,
+      startsAt,
+      endsAt: new Date(startsAt.getTime() + 2 * HOUR_MS),
+      slotMinutes: 60,
+      capacity,
+    });
+  return { institution, staff, res, slots: res.body.data };
+};
+
+const book = (user, slot, body = {}) =>
+  request(app)
+    .post("/api/appointments")
+    .set("Authorization", authHeader(user))
+    .send({ slotId: slot._id, ...body });
+
+describe("appointments", () => {
+  it("publishes slots for staff only and lists open ones publicly", async () => {
+    const { res, institution } = await publishSlots();
+    expect(res.status).toBe(201);
+    expect(res.body.data).toHaveLength(2);
+
+    const outsider = await createUser();
+    const denied = await request(app)
+      .post("/api/appointments/slots")
+      .set("Authorization", authHeader(outsider))
+      .send({ institutionId: institution._id, startsAt: new Date(), endsAt: new Date(), capacity: 1 });
+    expect(denied.status).toBe(403);
+
+    const list = await request(app).get(`/api/appointments/slots?institutionId=${institution._id}`);
+    expect(list.status).toBe(200);
+    expect(list.body.meta.total).toBe(2);
+  });
+
+  it("books within capacity and checks eligibility on the appointment date", async () => {
+    const { slots } = await publishSlots();
+
+    const donorUser = await createUser();
+    await createDonor(donorUser);
+    const booked = await book(donorUser, slots[0]);
+    expect(booked.status).toBe(201);
+    expect((await AppointmentSlot.findById(slots[0]._id)).booked).toBe(1);
+
+    const second = await book(donorUser, slots[1]);
+    expect(second.status).toBe(400);
+
+    const otherUser = await createUser();
+    await createDonor(otherUser);
+    const full = await book(otherUser, slots[0]);
+    expect(full.status).toBe(409);
+
+    // 89 days ago now means eligible in one day, before the slot two days out.
+    const soonUser = await createUser();
+    await createDonor(soonUser, { lastDonationDate: daysAgo(89) });
+    expect((await book(soonUser, slots[1])).status).toBe(201);
+
+    const recentUser = await createUser();
+    await createDonor(recentUser, { lastDonationDate: daysAgo(10) });
+    const ineligible = await book(recentUser, slots[1]);
+    expect(ineligible.status).toBe(400);
+    expect(ineligible.body.reasons[0].code).toBe("recent_donation");
+  });
+
+  it("reschedules and cancels, freeing the old place", async () => {
+    const { slots } = await publishSlots();
+    const donorUser = await createUser();
+    await createDonor(donorUser);
+    const booked = await book(donorUser, slots[0]);
+
+    const moved = await request(app)
+      .put(`/api/appointments/${booked.body.data._id}/reschedule`)
+      .set("Authorization", authHeader(donorUser))
+      .send({ slotId: slots[1]._id });
+    expect(moved.status).toBe(200);
+    expect(moved.body.data.rescheduleCount).toBe(1);
+    expect((await AppointmentSlot.findById(slots[0]._id)).booked).toBe(0);
+    expect((await AppointmentSlot.findById(slots[1]._id)).booked).toBe(1);
+
+    const cancelled = await request(app)
+      .post(`/api/appointments/${booked.body.data._id}/cancel`)
+      .set("Authorization", authHeader(donorUser));
+    expect(cancelled.status).toBe(200);
+    expect((await AppointmentSlot.findById(slots[1]._id)).booked).toBe(0);
+  });
+
+  it("completes an appointment into a donation", async () => {
+    const { slots, staff, institution } = await publishSlots();
+    const donorUser = await createUser();
+    const donor = await createDonor(donorUser);
+    const booked = await book(donorUser, slots[0], { donationType: "plasma" });
+
+    const res = await request(app)
+      .post(`/api/appointments/${booked.body.data._id}/complete`)
+      .set("Authorization", authHeader(staff))
+      .send({ units: 1 });
+    expect(res.status).toBe(200);
+    expect(res.body.data.appointment.status).toBe("completed");
+
+    const donation = await Donation.findOne({ appointment: booked.body.data._id });
+    expect(donation.donationType).toBe("plasma");
+    expect(donation.institution.toString()).toBe(institution._id.toString());
+    const updated = await Donor.findById(donor._id);
+    expect(updated.totalDonations).toBe(1);
+    expect(updated.lastDonationType).toBe("plasma");
+
+    const again = await request(app)
+      .post(`/api/appointments/${booked.body.data._id}/complete`)
+      .set("Authorization", authHeader(staff));
+    expect(again.status).toBe(400);
+  });
+
+  it("lets only one of a concurrent cancel and completion through", async () => {
+    const { slots, staff } = await publishSlots();
+    const donorUser = await createUser();
+    await createDonor(donorUser);
+    const booked = await book(donorUser, slots[0]);
+    const id = booked.body.data._id;
+
+    const [completed, cancelled] = await Promise.all([
+      request(app).post(`/api/appointments/${id}/complete`).set("Authorization", authHeader(staff)),
+      request(app).post(`/api/appointments/${id}/cancel`).set("Authorization", authHeader(donorUser)),
+    ]);
+    expect([completed.status, cancelled.status].sort()).toEqual([200, 400]);
+
+    const appointment = await Appointment.findById(id);
+    const wasCompleted = completed.status === 200;
+    expect(appointment.status).toBe(wasCompleted ? "completed" : "cancelled");
+    expect(await Donation.countDocuments({ appointment: id })).toBe(wasCompleted ? 1 : 0);
+    expect((await AppointmentSlot.findById(slots[0]._id)).booked).toBe(wasCompleted ? 1 : 0);
+  });
+
+  it("rejects invalid units and reopens the appointment when the donation cannot be recorded", async () => {
+    const { slots, staff } = await publishSlots();
+    const donorUser = await createUser();
+    await createDonor(donorUser);
+    const booked = await book(donorUser, slots[0]);
+    const url = `/api/appointments/${booked.body.data._id}/complete`;
+
+    // An object cannot be cast to the donation's notes string, so recording fails.
+    const failed = await request(app).post(url).set("Authorization", authHeader(staff)).send({ notes: { bad: true } });
+    expect(failed.status).toBe(500);
+    expect((await Appointment.findById(booked.body.data._id)).status).toBe("booked");
+    expect(await Donation.countDocuments({ appointment: booked.body.data._id })).toBe(0);
+
+    for (const units of ["2", 0, 2.5, 101, 1e8]) {
+      const invalid = await request(app).post(url).set("Authorization", authHeader(staff)).send({ units });
+      expect(invalid.status).toBe(400);
+    }
+
+    const retried = await request(app).post(url).set("Authorization", authHeader(staff)).send({ units: 1 });
+    expect(retried.status).toBe(200);
+    expect(retried.body.data.appointment.status).toBe("completed");
+  });
+
+  it("sends one reminder and records no-shows", async () => {
+    const { slots } = await publishSlots({ hoursAhead: 3 });
+    const donorUser = await createUser();
+    const donor = await createDonor(donorUser);
+    const booked = await book(donorUser, slots[0]);
+
+    expect(await sendAppointmentReminders()).toEqual({ reminded: 1 });
+    expect(await sendAppointmentReminders()).toEqual({ reminded: 0 });
+    expect(await Notification.countDocuments({ user: donorUser._id, type: "appointment_reminder" })).toBe(1);
+
+    expect(await markMissedAppointments()).toEqual({ noShows: 0 });
+    const later = new Date(Date.now() + 12 * HOUR_MS);
+    expect(await markMissedAppointments(later)).toEqual({ noShows: 1 });
+
+    expect((await Appointment.findById(booked.body.data._id)).status).toBe("no_show");
+    expect((await Donor.findById(donor._id)).appointmentNoShows).toBe(1);
+  });
+});
@@ -0,0 +1,148 @@
+const request = require("supertest");
+const mongoose = require("mongoose");
+const createApp = require("../app");
+const AuditLog = require("../models/AuditLog");
+const Institution = require("../models/Institution");
+const { diffChanges } = require("../utils/audit");
+const { useTestDatabase } = require("./helpers/db");
+const { createUser, createAdmin, createDonor, authHeader } = require("./helpers/factories");
+
+useTestDatabase();
+const app = createApp();
+
+describe("diffChanges", () => {
+  it("reports changed dot paths and skips bookkeeping fields", () => {
+    const id = new mongoose.Types.ObjectId();
+    const changes = diffChanges(
+      { _id: id, fullName: "A", address: { city: "Dhaka", area: "Mirpur" }, updatedAt: new Date(1), tags: ["x"] },
+      { _id: id, fullName: "A", address: { city: "Sylhet" }, updatedAt: new Date(2), tags: ["x", "y"], phone: "1" }
+    );
+    expect(changes).toEqual([
+      { field: "address.area", before: "Mirpur", after: null },
+      { field: "address.city", before: "Dhaka", after: "Sylhet" },
+      { field: "phone", before: null, after: "1" },
+      { field: "tags", before: ["x"], after: ["x", "y"] },
+    ]);
+  });
+
+  it("redacts secrets and can be limited to some fields", () => {
+    expect(diffChanges({ password: "a", name: "x" }, { password: "b", name: "y" }, { fields: ["password"] })).toEqual([
+      { field: "password", before: "[redacted]", after: "[redacted]" },
+    ]);
+  });
+});
+
+describe("audit log", () => {
+  it("records field diffs, IP and user agent when a donor is updated", async () => {
+    const user = await createUser();
+    const donor = await createDonor(user, { address: { city: "Dhaka" } });
+
+    const res = await request(app)
+      .put(`/api/donors/${donor._id}`)
+      .set("Authorization", authHeader(user))
+      .set("User-Agent", "audit-test/1.0")
+      .send({ phone: "01799999999", address: { city: "Khulna" } });
+    expect(res.status).toBe(200);
+
+    const entry = await AuditLog.findOne({ action: "update_donor", targetId: donor._id.toString() });
+    expect(entry.user.toString()).toBe(user._id.toString());
+    expect(entry.userAgent).toBe("audit-test/1.0");
+    expect(entry.ip).toBeTruthy();
+    expect(entry.changes.map((c) => c.toObject())).toEqual(
+      expect.arrayContaining([
+        { field: "phone", before: "01700000000", after: "01799999999" },
+        { field: "address.city", before: "Dhaka", after: "Khulna" },
+      ])
+    );
+  });
+
+  it("records the client address from X-Forwarded-For when TRUST_PROXY is set", async () => {
+    process.env.TRUST_PROXY = "1";
+    const proxiedApp = createApp();
+    delete process.env.TRUST_PROXY;
+    const user = await createUser();
+    const donor = await createDonor(user);
+
+    await request(proxiedApp)
+      .put(`/api/donors/${donor._id}`)
+      .set("Authorization", authHeader(user))
+      .set("X-Forwarded-For", "203.0.113.7")
+      .send({ phone: "01799999999" });
+    await request(app)
+      .put(`/api/donors/${donor._id}`)
+      .set("Authorization", authHeader(user))
+      .set("X-Forwarded-For", "203.0.113.7")
+      .send({ phone: "01788888888" });
+
+    const entries = await AuditLog.find({ action: "update_donor", targetId: donor._id.toString() }).sort({ _id: 1 });
+    expect(entries[0].ip).toBe("203.0.113.7");
+    expect(entries[1].ip).not.toBe("203.0.113.7");
+  });
+
+  it("records field diffs when an institution is updated", async () => {
+    const admin = await createAdmin();
+    const institution = await Institution.create({ name: "City Blood Bank", phone: "111" });
+
+    await request(app)
+      .put(`/api/institutions/${institution._id}`)
+      .set("Authorization", authHeader(admin))
+      .send({ phone: "222" })
+      .expect(200);
+
+    const entry = await AuditLog.findOne({ action: "update_institution" });
+    expect(entry.changes.map((c) => c.toObject())).toEqual([{ field: "phone", before: "111", after: "222" }]);
+  });
+
+  it("filters and paginates audit logs", async () => {
+    const admin = await createAdmin();
+    const other = await createAdmin();
+    await AuditLog.create([
+      { user: admin._id, action: "update_donor", targetType: "Donor", targetId: "d1", createdAt: new Date("2025-01-01") },
+      { user: admin._id, action: "delete_donor", targetType: "Donor", targetId: "d1", createdAt: new Date("2025-02-01") },
+      { user: other._id, action: "update_donor", targetType: "Donor", targetId: "d2", createdAt: new Date("2025-03-01") },
+      { user: other._id, action: "update_institution", targetType: "Institution", targetId: "i1", createdAt: new Date("2025-04-01") },
+    ]);
+
+    const get = (query) => request(app).get(`/api/admin/audit?${query}`).set("Authorization", authHeader(admin));
+
+    const byUser = await get(`userId=${other._id}`);
+    expect(byUser.body.data.map((l) => l.targetId)).toEqual(["i1", "d2"]);
+
+    const byActions = await get("action=update_donor,delete_donor&targetType=Donor&targetId=d1");
+    expect(byActions.body.data.map((l) => l.action)).toEqual(["delete_donor", "update_donor"]);
+
+    const byRange = await get("from=2025-01-15&to=2025-03-15");
+    expect(byRange.body.data.map((l) => l.targetId)).toEqual(["d2", "d1"]);
+
+    const searched = await get("q=INSTITUTION");
+    expect(searched.body.data).toHaveLength(1);
+
+    const page = await get("limit=2&page=2");
+    expect(page.body.meta).toMatchObject({ total: 4, page: 2, pages: 2 });
+    expect(page.body.data.map((l) => l.action)).toEqual(["delete_donor", "update_donor"]);
+
+    expect((await get("userId=nope")).status).toBe(400);
+    expect((await get("from=not-a-date")).status).toBe(400);
+  });
+
+  it("returns the history of one entity", async () => {
+    const admin = await createAdmin();
+    const donor = await createDonor(null, { fullName: "Old Name" });
+
+    await request(app)
+      .put(`/api/donors/${donor._id}`)
+      .set("Authorization", authHeader(admin))
+      .send({ fullName: "New Name" })
+      .expect(200);
+    await request(app).delete(`/api/donors/${donor._id}`).set("Authorization", authHeader(admin)).expect(200);
+    await AuditLog.create({ user: admin._id, action: "update_donor", targetType: "Donor", targetId: "someone-else" });
+
+    const res = await request(app)
+      .get(`/api/admin/audit/Donor/${donor._id}`)
+      .set("Authorization", authHeader(admin));
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((l) => l.action)).toEqual(["delete_donor", "update_donor"]);
+    expect(res.body.data[1].changes).toEqual([{ field: "fullName", before: "Old Name", after: "New Name" }]);
+    expect(res.body.data[0].user.email).toBe(admin.email);
+  });
+});
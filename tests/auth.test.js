@@ -0,0 +1,173 @@
+const request = require("supertest");
+const createApp = require("../app");
+const { useTestDatabase } = require("./helpers/db");
+const { createUser, authHeader } = require("./helpers/factories");
+const { setTransport, createMemoryTransport } = require("../utils/mailer");
+
+useTestDatabase();
+const app = createApp();
+
+let mail;
+beforeEach(() => {
+  mail = createMemoryTransport();
+  setTransport(mail);
+});
+
+// Pull the raw token out of the most recent email.
+const lastToken = () => mail.outbox[mail.outbox.length - 1].text.match(/token: ([a-f0-9]+)/)[1];
+
+describe("auth routes", () => {
+  it("registers a user and returns a token", async () => {
+    const res = await request(app)
+      .post("/api/auth/register")
+      .send({ name: "Rahim", email: "rahim@example.com", password: "secret123" });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.token).toEqual(expect.any(String));
+    expect(res.body.data.user).toMatchObject({ email: "rahim@example.com", role: "user" });
+  });
+
+  it("ignores a role sent during registration", async () => {
+    const res = await request(app)
+      .post("/api/auth/register")
+      .send({ name: "Sneaky", email: "sneaky@example.com", password: "secret123", role: "admin" });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.user.role).toBe("user");
+  });
+
+  it("rejects a duplicate email", async () => {
+    await createUser({ email: "taken@example.com" });
+    const res = await request(app)
+      .post("/api/auth/register")
+      .send({ name: "Again", email: "taken@example.com", password: "secret123" });
+
+    expect(res.status).toBe(400);
+  });
+
+  it("logs in with valid credentials and rejects a wrong password", async () => {
+    await createUser({ email: "login@example.com", password: "correct-horse" });
+
+    const ok = await request(app)
+      .post("/api/auth/login")
+      .send({ email: "login@example.com", password: "correct-horse" });
+    expect(ok.status).toBe(200);
+    expect(ok.body.data.token).toEqual(expect.any(String));
+
+    const bad = await request(app)
+      .post("/api/auth/login")
+      .send({ email: "login@example.com", password: "wrong" });
+    expect(bad.status).toBe(400);
+  });
+
+  it("blocks login for a disabled account", async () => {
+    await createUser({ email: "off@example.com", password: "secret123", isActive: false });
+    const res = await request(app)
+      .post("/api/auth/login")
+      .send({ email: "off@example.com", password: "secret123" });
+
+    expect(res.status).toBe(403);
+  });
+
+  it("returns the current user without the password hash", async () => {
+    const user = await createUser();
+    const res = await request(app).get("/api/auth/me").set("Authorization", authHeader(user));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.email).toBe(user.email);
+    expect(res.body.data.password).toBeUndefined();
+  });
+
+  it("rejects requests without a valid token", async () => {
+    const missing = await request(app).get("/api/auth/me");
+    expect(missing.status).toBe(401);
+
+    const invalid = await request(app).get("/api/auth/me").set("Authorization", "Bearer not-a-token");
+    expect(invalid.status).toBe(401);
+  });
+
+  it("rejects a valid token once the account is disabled", async () => {
+    const user = await createUser();
+    const header = authHeader(user);
+    user.isActive = false;
+    await user.save();
+
+    const res = await request(app).get("/api/auth/me").set("Authorization", header);
+    expect(res.status).toBe(403);
+  });
+});
+
+describe("password reset", () => {
+  it("does not reveal whether an email is registered", async () => {
+    const res = await request(app).post("/api/auth/forgot-password").send({ email: "ghost@example.com" });
+    expect(res.status).toBe(200);
+    expect(mail.outbox).toHaveLength(0);
+  });
+
+  it("resets the password with a single-use token", async () => {
+    await createUser({ email: "forgetful@example.com", password: "old-password" });
+
+    await request(app).post("/api/auth/forgot-password").send({ email: "forgetful@example.com" });
+    expect(mail.outbox).toHaveLength(1);
+    const token = lastToken();
+
+    const reset = await request(app).post("/api/auth/reset-password").send({ token, password: "new-password" });
+    expect(reset.status).toBe(200);
+
+    const reused = await request(app).post("/api/auth/reset-password").send({ token, password: "again" });
+    expect(reused.status).toBe(400);
+
+    const oldLogin = await request(app)
+      .post("/api/auth/login")
+      .send({ email: "forgetful@example.com", password: "old-password" });
+    expect(oldLogin.status).toBe(400);
+
+    const newLogin = await request(app)
+      .post("/api/auth/login")
+      .send({ email: "forgetful@example.com", password: "new-password" });
+    expect(newLogin.status).toBe(200);
+  });
+
+  it("only honours the latest reset token", async () => {
+    await createUser({ email: "twice@example.com" });
+    await request(app).post("/api/auth/forgot-password").send({ email: "twice@example.com" });
+    const first = lastToken();
+    await request(app).post("/api/auth/forgot-password").send({ email: "twice@example.com" });
+
+    const res = await request(app).post("/api/auth/reset-password").send({ token: first, password: "x1234567" });
+    expect(res.status).toBe(400);
+  });
+
+  it("rejects an expired token", async () => {
+    const AuthToken = require("../models/AuthToken");
+    const user = await createUser();
+    const token = await AuthToken.issue(user._id, "password_reset", -1000);
+
+    const res = await request(app).post("/api/auth/reset-password").send({ token, password: "whatever1" });
+    expect(res.status).toBe(400);
+  });
+});
+
+describe("email verification", () => {
+  it("emails a verification link on registration and verifies with it", async () => {
+    const reg = await request(app)
+      .post("/api/auth/register")
+      .send({ name: "Verify Me", email: "verify@example.com", password: "secret123" });
+    expect(reg.body.data.user.emailVerified).toBe(false);
+    expect(mail.outbox[0].to).toBe("verify@example.com");
+
+    const res = await request(app).post("/api/auth/verify-email").send({ token: lastToken() });
+    expect(res.status).toBe(200);
+
+    const me = await request(app).get("/api/auth/me").set("Authorization", `Bearer ${reg.body.data.token}`);
+    expect(me.body.data.emailVerified).toBe(true);
+  });
+
+  it("does not accept a reset token for verification", async () => {
+    await createUser({ email: "mixed@example.com" });
+    await request(app).post("/api/auth/forgot-password").send({ email: "mixed@example.com" });
+
+    const res = await request(app).post("/api/auth/verify-email").send({ token: lastToken() });
+    expect(res.status).toBe(400);
+  });
+});
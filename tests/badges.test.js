@@ -0,0 +1,36 @@
+const { earnedBadges, nextMilestone, isUrgentResponse } = require("../utils/badges");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe("badge rules", () => {
+  it("awards donation-count milestones", () => {
+    const donor = { bloodGroup: "O+" };
+    expect(earnedBadges({ donor, totalDonations: 0 })).toEqual([]);
+    expect(earnedBadges({ donor, totalDonations: 1 })).toEqual(["first_donation"]);
+    expect(earnedBadges({ donor, totalDonations: 10 })).toEqual(["first_donation", "donations_5", "donations_10"]);
+  });
+
+  it("awards rare group heroes after three donations", () => {
+    expect(earnedBadges({ donor: { bloodGroup: "AB-" }, totalDonations: 2 })).not.toContain("rare_group_hero");
+    expect(earnedBadges({ donor: { bloodGroup: "AB-" }, totalDonations: 3 })).toContain("rare_group_hero");
+    expect(earnedBadges({ donor: { bloodGroup: "AB+" }, totalDonations: 3 })).not.toContain("rare_group_hero");
+  });
+
+  it("treats donations close to the request's required date as emergency responses", () => {
+    const donationDate = new Date("2025-03-01T10:00:00Z");
+    const donation = { donationDate };
+    expect(isUrgentResponse(donation, { requiredDate: new Date(donationDate.getTime() + 24 * HOUR_MS) })).toBe(true);
+    expect(isUrgentResponse(donation, { requiredDate: new Date(donationDate.getTime() + 96 * HOUR_MS) })).toBe(false);
+    expect(isUrgentResponse(donation, { requiredDate: new Date(donationDate.getTime() - 24 * HOUR_MS) })).toBe(false);
+    // Weeks after the required date is not an emergency response.
+    const late = { donationDate: new Date("2025-03-10T00:00:00Z") };
+    expect(isUrgentResponse(late, { requiredDate: new Date("2025-01-01T00:00:00Z") })).toBe(false);
+    expect(isUrgentResponse(donation, null)).toBe(false);
+  });
+
+  it("reports the next milestone", () => {
+    expect(nextMilestone(0)).toMatchObject({ code: "first_donation", donationsNeeded: 1 });
+    expect(nextMilestone(7)).toMatchObject({ code: "donations_10", donationsNeeded: 3 });
+    expect(nextMilestone(30)).toBeNull();
+  });
+});
@@ -0,0 +1,35 @@
+const { getCompatibleDonorGroups, getMatchType } = require("../utils/bloodCompatibility");
+
+describe("blood compatibility", () => {
+  it("treats AB+ as the universal red cell recipient", () => {
+    expect(getCompatibleDonorGroups("AB+")).toHaveLength(8);
+    expect(getCompatibleDonorGroups("AB+")[0]).toBe("AB+");
+  });
+
+  it("limits O- recipients to O- red cells", () => {
+    expect(getCompatibleDonorGroups("O-")).toEqual(["O-"]);
+  });
+
+  it("keeps Rh- recipients on Rh- red cells", () => {
+    expect(getCompatibleDonorGroups("A-").sort()).toEqual(["A-", "O-"]);
+  });
+
+  it("reverses the table for plasma", () => {
+    expect(getCompatibleDonorGroups("O+", "plasma")).toEqual(expect.arrayContaining(["AB+", "A-", "B+"]));
+    expect(getCompatibleDonorGroups("AB-", "plasma").sort()).toEqual(["AB+", "AB-"]);
+  });
+
+  it("keeps whole blood identical", () => {
+    expect(getCompatibleDonorGroups("B+", "whole_blood")).toEqual(["B+"]);
+  });
+
+  it("labels match types", () => {
+    expect(getMatchType("A+", "A+")).toBe("exact");
+    expect(getMatchType("O-", "A+")).toBe("compatible");
+    expect(getMatchType("AB+", "A+")).toBeNull();
+  });
+
+  it("returns nothing for unknown groups", () => {
+    expect(getCompatibleDonorGroups("C+")).toEqual([]);
+  });
+});
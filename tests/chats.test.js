@@ -0,0 +1,111 @@
+const request = require("supertest");
+const createApp = require("../app");
+const BloodRequest = require("../models/BloodRequest");
+const RequestMessage = require("../models/RequestMessage");
+const { useTestDatabase } = require("./helpers/db");
+const { createUser, authHeader } = require("./helpers/factories");
+
+useTestDatabase();
+const app = createApp();
+
+// Owner posts a request, a helper contacts them, which opens a request chat.
+const openChat = async () => {
+  const owner = await createUser();
+  const helper = await createUser();
+  const bloodRequest = await BloodRequest.create({
+    user: owner._id,
+    bloodGroup: "A+",
+    city: "Dhaka",
+    unitsNeeded: 1,
+    requiredDate: new Date(),
+    contactPhone: "01900000000",
+  });
+
+  const res = await request(app)
+    .post(`/api/requests/${bloodRequest._id}/contact`)
+    .set("Authorization", authHeader(helper))
+    .send({ message: "I can help." });
+
+  return { owner, helper, bloodRequest, chatId: res.body.data.chatId };
+};
+
+describe("request chats", () => {
+  it("lists the chat in both participants' inboxes with its messages", async () => {
+    const { owner, helper, chatId } = await openChat();
+
+    const inbox = await request(app).get("/api/chats").set("Authorization", authHeader(owner));
+    expect(inbox.status).toBe(200);
+    expect(inbox.body.data.map((c) => c._id)).toContain(chatId.toString());
+
+    const messages = await request(app)
+      .get(`/api/chats/${chatId}/messages`)
+      .set("Authorization", authHeader(helper));
+    expect(messages.status).toBe(200);
+    expect(messages.body.data.messages.map((m) => m.message)).toEqual(["I can help."]);
+  });
+
+  it("blocks non-participants", async () => {
+    const { chatId } = await openChat();
+    const stranger = await createUser();
+
+    const res = await request(app)
+      .get(`/api/chats/${chatId}/messages`)
+      .set("Authorization", authHeader(stranger));
+    expect(res.status).toBe(403);
+  });
+
+  it("stops messages while paused and resumes after unpause", async () => {
+    const { owner, helper, chatId } = await openChat();
+
+    const paused = await request(app).post(`/api/chats/${chatId}/pause`).set("Authorization", authHeader(owner));
+    expect(paused.status).toBe(200);
+
+    const blocked = await request(app)
+      .post(`/api/chats/${chatId}/messages`)
+      .set("Authorization", authHeader(helper))
+      .send({ message: "Hello?" });
+    expect(blocked.status).toBe(403);
+
+    // Only the participant who paused can lift their own pause.
+    await request(app).post(`/api/chats/${chatId}/unpause`).set("Authorization", authHeader(helper));
+    const stillBlocked = await request(app)
+      .post(`/api/chats/${chatId}/messages`)
+      .set("Authorization", authHeader(helper))
+      .send({ message: "Hello?" });
+    expect(stillBlocked.status).toBe(403);
+
+    await request(app).post(`/api/chats/${chatId}/unpause`).set("Authorization", authHeader(owner));
+    const sent = await request(app)
+      .post(`/api/chats/${chatId}/messages`)
+      .set("Authorization", authHeader(helper))
+      .send({ message: "Hello?" });
+    expect(sent.status).toBe(201);
+  });
+
+  it("marks only this chat's messages as read when several donors write about one request", async () => {
+    const { owner, helper, bloodRequest, chatId } = await openChat();
+    const otherHelper = await createUser();
+    await request(app)
+      .post(`/api/requests/${bloodRequest._id}/contact`)
+      .set("Authorization", authHeader(otherHelper))
+      .send({ message: "I can help too." });
+
+    const res = await request(app).post(`/api/chats/${chatId}/read`).set("Authorization", authHeader(owner));
+    expect(res.status).toBe(200);
+    expect(res.body.data.updated).toBe(1);
+
+    const read = await RequestMessage.findOne({ fromUser: helper._id });
+    const unread = await RequestMessage.findOne({ fromUser: otherHelper._id });
+    expect(read.readAt).toBeTruthy();
+    expect(unread.readAt).toBeNull();
+  });
+
+  it("rejects an empty message", async () => {
+    const { helper, chatId } = await openChat();
+    const res = await request(app)
+      .post(`/api/chats/${chatId}/messages`)
+      .set("Authorization", authHeader(helper))
+      .send({ message: "   " });
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,56 @@
+const request = require("supertest");
+const createApp = require("../app");
+const Notification = require("../models/Notification");
+const { useTestDatabase } = require("./helpers/db");
+const { createUser, createDonor, authHeader } = require("./helpers/factories");
+
+useTestDatabase();
+const app = createApp();
+
+describe("contact routes", () => {
+  it("sends a message to a donor and notifies them", async () => {
+    const sender = await createUser();
+    const donorUser = await createUser();
+    const donor = await createDonor(donorUser);
+
+    const res = await request(app)
+      .post("/api/contact")
+      .set("Authorization", authHeader(sender))
+      .send({ donorId: donor._id, message: "Can you donate?" });
+
+    expect(res.status).toBe(201);
+    const notifications = await Notification.find({ user: donorUser._id, type: "contact_message" });
+    expect(notifications).toHaveLength(1);
+  });
+
+  it("respects donors who do not accept contact", async () => {
+    const sender = await createUser();
+    const donor = await createDonor(null, { allowRequestContact: false });
+
+    const res = await request(app)
+      .post("/api/contact")
+      .set("Authorization", authHeader(sender))
+      .send({ donorId: donor._id, message: "Hello" });
+    expect(res.status).toBe(403);
+  });
+
+  it("lets only the donor owner read a contact message", async () => {
+    const sender = await createUser();
+    const donorUser = await createUser();
+    const donor = await createDonor(donorUser);
+    const sent = await request(app)
+      .post("/api/contact")
+      .set("Authorization", authHeader(sender))
+      .send({ donorId: donor._id, message: "Hi" });
+
+    const asSender = await request(app)
+      .get(`/api/contact/${sent.body.data._id}`)
+      .set("Authorization", authHeader(sender));
+    expect(asSender.status).toBe(403);
+
+    const asDonor = await request(app)
+      .get(`/api/contact/${sent.body.data._id}`)
+      .set("Authorization", authHeader(donorUser));
+    expect(asDonor.status).toBe(200);
+  });
+});
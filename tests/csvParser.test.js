@@ -0,0 +1,41 @@
+const { parseCsv, toRecords } = require("../utils/csvParser");
+const { toCsvLine } = require("../utils/exporter");
+
+describe("parseCsv", () => {
+  it("reads quoted fields with commas, quotes and line breaks", () => {
+    const text = 'name,notes\r\n"Rahim, Md","said ""hi""\nthen left"\r\nKarim,\r\n';
+    expect(parseCsv(text).rows).toEqual([
+      ["name", "notes"],
+      ["Rahim, Md", 'said "hi"\nthen left'],
+      ["Karim", ""],
+    ]);
+  });
+
+  it("accepts LF endings, a BOM and a missing final newline", () => {
+    expect(parseCsv("\uFEFFa,b\n1,2").rows).toEqual([
+      ["a", "b"],
+      ["1", "2"],
+    ]);
+  });
+
+  it("round-trips what the exporter writes", () => {
+    const values = ["a,b", 'q"uote', "multi\r\nline", ""];
+    expect(parseCsv(toCsvLine(values)).rows).toEqual([values]);
+  });
+
+  it("reports malformed quoting", () => {
+    expect(parseCsv('a,"b\n1,2').error).toMatch(/Unterminated/);
+    expect(parseCsv('a,b"c"\n').error).toMatch(/Unexpected quote/);
+  });
+});
+
+describe("toRecords", () => {
+  it("keys values by header, trims them and skips blank lines", () => {
+    const { keys, records } = toRecords([["name ", "city"], [" Rahim ", "Dhaka"], ["", ""], ["Karim"]]);
+    expect(keys).toEqual(["name", "city"]);
+    expect(records).toEqual([
+      { line: 2, values: { name: "Rahim", city: "Dhaka" } },
+      { line: 4, values: { name: "Karim", city: "" } },
+    ]);
+  });
+});
@@ -0,0 +1,144 @@
+const request = require("supertest");
+const createApp = require("../app");
+const Deferral = require("../models/Deferral");
+const Donor = require("../models/Donor");
+const Notification = require("../models/Notification");
+const { useTestDatabase } = require("./helpers/db");
+const { createUser, createAdmin, createDonor, authHeader } = require("./helpers/factories");
+
+useTestDatabase();
+const app = createApp();
+
+const answers = {
+  recentIllness: false,
+  takingMedication: false,
+  recentTattooOrPiercing: false,
+  recentTravel: false,
+};
+
+describe("screening questionnaire", () => {
+  it("passes a clear screening", async () => {
+    const user = await createUser();
+    await createDonor(user);
+
+    const res = await request(app).post("/api/screenings").set("Authorization", authHeader(user)).send({ answers });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.screening.outcome).toBe("clear");
+    expect(res.body.data.eligibility.eligible).toBe(true);
+  });
+
+  it("defers a donor automatically and explains why", async () => {
+    const user = await createUser();
+    const donor = await createDonor(user);
+
+    const res = await request(app)
+      .post("/api/screenings")
+      .set("Authorization", authHeader(user))
+      .send({ answers: { ...answers, recentIllness: true } });
+
+    expect(res.body.data.screening.outcome).toBe("deferred");
+    expect(res.body.data.eligibility.reasons[0]).toMatchObject({ code: "deferred", reasonCode: "recent_illness" });
+
+    const deferral = await Deferral.findOne({ donor: donor._id });
+    expect(deferral).toMatchObject({ source: "screening", needsReview: true, status: "active" });
+    expect(await Notification.countDocuments({ user: user._id, type: "deferral_added" })).toBe(1);
+
+    const profile = await request(app).get("/api/donors/me").set("Authorization", authHeader(user));
+    expect(profile.body.data.deferral.reasonCode).toBe("recent_illness");
+  });
+
+  it("rejects incomplete answers", async () => {
+    const user = await createUser();
+    await createDonor(user);
+    const res = await request(app)
+      .post("/api/screenings")
+      .set("Authorization", authHeader(user))
+      .send({ answers: { recentIllness: true } });
+    expect(res.status).toBe(400);
+  });
+});
+
+describe("deferral management", () => {
+  it("lets admins add, review and lift deferrals", async () => {
+    const admin = await createAdmin();
+    const donor = await createDonor();
+
+    const added = await request(app)
+      .post("/api/deferrals")
+      .set("Authorization", authHeader(admin))
+      .send({ donorId: donor._id, reasonCode: "low_hemoglobin", reason: "Hb 11.2", days: 30 });
+    expect(added.status).toBe(201);
+    expect((await Donor.findById(donor._id)).deferralReasonCode).toBe("low_hemoglobin");
+
+    const reviewed = await request(app)
+      .post(`/api/deferrals/${added.body.data._id}/review`)
+      .set("Authorization", authHeader(admin))
+      .send({ note: "Recheck in two weeks", days: 14 });
+    expect(reviewed.status).toBe(200);
+    const afterReview = await Donor.findById(donor._id);
+    expect(Math.round((afterReview.deferralUntil - Date.now()) / 86400000)).toBe(14);
+
+    const lifted = await request(app)
+      .post(`/api/deferrals/${added.body.data._id}/lift`)
+      .set("Authorization", authHeader(admin))
+      .send({ reason: "Retested fine" });
+    expect(lifted.body.data.status).toBe("lifted");
+    expect((await Donor.findById(donor._id)).deferralUntil).toBeUndefined();
+
+    const history = await request(app)
+      .get(`/api/deferrals/donor/${donor._id}`)
+      .set("Authorization", authHeader(admin));
+    expect(history.body.data).toHaveLength(1);
+  });
+
+  it("lists screening deferrals awaiting review", async () => {
+    const admin = await createAdmin();
+    const user = await createUser();
+    await createDonor(user);
+    await request(app)
+      .post("/api/screenings")
+      .set("Authorization", authHeader(user))
+      .send({ answers: { ...answers, takingMedication: true } });
+
+    const res = await request(app)
+      .get("/api/deferrals?needsReview=true&status=active")
+      .set("Authorization", authHeader(admin));
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.data[0].reasonCode).toBe("medication");
+  });
+
+  it("keeps deferral management admin-only and history private", async () => {
+    const user = await createUser();
+    const other = await createUser();
+    const donor = await createDonor(user);
+
+    const add = await request(app)
+      .post("/api/deferrals")
+      .set("Authorization", authHeader(user))
+      .send({ donorId: donor._id, reasonCode: "other", days: 1 });
+    expect(add.status).toBe(403);
+
+    const own = await request(app).get(`/api/deferrals/donor/${donor._id}`).set("Authorization", authHeader(user));
+    expect(own.status).toBe(200);
+    const foreign = await request(app).get(`/api/deferrals/donor/${donor._id}`).set("Authorization", authHeader(other));
+    expect(foreign.status).toBe(403);
+  });
+
+  it("does not let donors clear a deferral through a profile update", async () => {
+    const admin = await createAdmin();
+    const user = await createUser();
+    const donor = await createDonor(user);
+    await request(app)
+      .post("/api/deferrals")
+      .set("Authorization", authHeader(admin))
+      .send({ donorId: donor._id, reasonCode: "surgery", days: 60 });
+
+    await request(app)
+      .put(`/api/donors/${donor._id}`)
+      .set("Authorization", authHeader(user))
+      .send({ deferralUntil: null });
+
+    expect((await Donor.findById(donor._id)).deferralUntil).toBeDefined();
+  });
+});
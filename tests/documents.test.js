@@ -0,0 +1,138 @@
+const request = require("supertest");
+const createApp = require("../app");
+const Donation = require("../models/Donation");
+const Donor = require("../models/Donor");
+const Institution = require("../models/Institution");
+const IssuedDocument = require("../models/IssuedDocument");
+const { generateCode, normaliseCode } = require("../utils/documents");
+const { useTestDatabase } = require("./helpers/db");
+const { createUser, createAdmin, createDonor, addMember, authHeader, daysAgo } = require("./helpers/factories");
+
+useTestDatabase();
+const app = createApp();
+
+// Collect the response body as a Buffer so the PDF bytes can be inspected.
+const binary = (res, callback) => {
+  const chunks = [];
+  res.on("data", (chunk) => chunks.push(chunk));
+  res.on("end", () => callback(null, Buffer.concat(chunks)));
+};
+
+const download = (path, user) =>
+  request(app).get(path).set("Authorization", authHeader(user)).buffer(true).parse(binary);
+
+describe("verification codes", () => {
+  it("generates grouped codes that normalise back to themselves", () => {
+    const code = generateCode();
+    expect(code).toMatch(/^[A-Z2-9]{4}-[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+    expect(normaliseCode(code.toLowerCase().replace(/-/g, ""))).toBe(code);
+    expect(normaliseCode("ABC")).toBeNull();
+  });
+});
+
+describe("donation certificates and donor cards", () => {
+  const recordVerifiedDonation = async () => {
+    const donorUser = await createUser({ name: "Rahim Uddin" });
+    const donor = await createDonor(donorUser);
+    const institution = await Institution.create({ name: "City Hospital", type: "hospital" });
+    const donation = await Donation.create({
+      donor: donor._id,
+      institution: institution._id,
+      donationDate: daysAgo(10),
+      units: 1,
+    });
+    return { donorUser, donor, institution, donation };
+  };
+
+  it("issues a certificate PDF whose code verifies publicly", async () => {
+    const { donorUser, donation } = await recordVerifiedDonation();
+
+    const res = await download(`/api/donations/${donation._id}/certificate`, donorUser);
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toBe("application/pdf");
+    expect(res.body.subarray(0, 4).toString()).toBe("%PDF");
+    const code = res.headers["x-verification-code"];
+    expect(normaliseCode(code)).toBe(code);
+
+    const verified = await request(app).get(`/api/verify/${code.toLowerCase()}`);
+    expect(verified.status).toBe(200);
+    expect(verified.body.data).toMatchObject({
+      code,
+      kind: "donation_certificate",
+      valid: true,
+      snapshot: { donorName: "Rahim Uddin", bloodGroup: "O+", institution: "City Hospital", units: 1 },
+    });
+  });
+
+  it("reuses the code while the donation is unchanged", async () => {
+    const { donorUser, donation } = await recordVerifiedDonation();
+
+    const first = await download(`/api/donations/${donation._id}/certificate`, donorUser);
+    const second = await download(`/api/donations/${donation._id}/certificate`, donorUser);
+
+    expect(second.headers["x-verification-code"]).toBe(first.headers["x-verification-code"]);
+    expect(await IssuedDocument.countDocuments()).toBe(1);
+  });
+
+  it("stops verifying a certificate once the donation is edited or deleted", async () => {
+    const { donorUser, donation } = await recordVerifiedDonation();
+    const res = await download(`/api/donations/${donation._id}/certificate`, donorUser);
+    const code = res.headers["x-verification-code"];
+
+    await Donation.updateOne({ _id: donation._id }, { units: 2 });
+    const edited = await request(app).get(`/api/verify/${code}`);
+    expect(edited.body.data.valid).toBe(false);
+
+    await Donation.updateOne({ _id: donation._id }, { units: 1, isDeleted: true });
+    const deleted = await request(app).get(`/api/verify/${code}`);
+    expect(deleted.body.data.valid).toBe(false);
+    expect(deleted.body.data.reason).toMatch(/no longer on record/);
+  });
+
+  it("lets institution staff download certificates but not other users", async () => {
+    const { institution, donation } = await recordVerifiedDonation();
+    const staff = await createUser();
+    await addMember(staff, institution);
+
+    expect((await download(`/api/donations/${donation._id}/certificate`, staff)).status).toBe(200);
+    expect((await download(`/api/donations/${donation._id}/certificate`, await createUser())).status).toBe(403);
+    expect((await download(`/api/donations/${donation._id}/certificate`, await createAdmin())).status).toBe(200);
+  });
+
+  it("refuses certificates for donations awaiting verification", async () => {
+    const { donorUser, donation } = await recordVerifiedDonation();
+    await Donation.updateOne({ _id: donation._id }, { verificationStatus: "pending" });
+
+    const res = await download(`/api/donations/${donation._id}/certificate`, donorUser);
+
+    expect(res.status).toBe(400);
+  });
+
+  it("issues a donor card that stops verifying when the blood group changes", async () => {
+    const user = await createUser();
+    const donor = await createDonor(user, { bloodGroup: "AB-", totalDonations: 4 });
+
+    const res = await download("/api/donors/me/card", user);
+
+    expect(res.status).toBe(200);
+    expect(res.body.subarray(0, 4).toString()).toBe("%PDF");
+    const code = res.headers["x-verification-code"];
+
+    const verified = await request(app).get(`/api/verify/${code}`);
+    expect(verified.body.data).toMatchObject({
+      kind: "donor_card",
+      valid: true,
+      snapshot: { bloodGroup: "AB-", totalDonations: 4 },
+    });
+
+    await Donor.updateOne({ _id: donor._id }, { bloodGroup: "AB+" });
+    const changed = await request(app).get(`/api/verify/${code}`);
+    expect(changed.body.data.valid).toBe(false);
+  });
+
+  it("rejects malformed codes and reports unknown ones", async () => {
+    expect((await request(app).get("/api/verify/not-a-code")).status).toBe(400);
+    expect((await request(app).get("/api/verify/AAAA-BBBB-CCCC")).status).toBe(404);
+  });
+});
@@ -0,0 +1,367 @@
+const request = require("supertest");
+const createApp = require("../app");
+const Donor = require("../models/Donor");
+const Institution = require("../models/Institution");
+const Donation = require("../models/Donation");
+const AuditLog = require("../models/AuditLog");
+const BloodRequest = require("../models/BloodRequest");
+const DonorBadge = require("../models/DonorBadge");
+const Notification = require("../models/Notification");
+const { recomputeDonorStats } = require("../utils/donationStats");
+const { useTestDatabase } = require("./helpers/db");
+const { createUser, createAdmin, createDonor, addMember, authHeader, daysAgo } = require("./helpers/factories");
+
+useTestDatabase();
+const app = createApp();
+
+describe("donation routes", () => {
+  it("records a donation and updates donor and institution stats", async () => {
+    const user = await createUser();
+    const donor = await createDonor();
+    const institution = await Institution.create({ name: "City Hospital", type: "hospital" });
+    await addMember(user, institution);
+
+    const res = await request(app)
+      .post("/api/donations")
+      .set("Authorization", authHeader(user))
+      .send({ donorId: donor._id, institutionId: institution._id, units: 1 });
+
+    expect(res.status).toBe(201);
+    const updatedDonor = await Donor.findById(donor._id);
+    expect(updatedDonor.totalDonations).toBe(1);
+    expect(updatedDonor.lastDonationDate).toBeTruthy();
+    expect((await Institution.findById(institution._id)).totalDonations).toBe(1);
+  });
+
+  it("rejects units that are not an integer between 1 and 100", async () => {
+    const user = await createAdmin();
+    const donor = await createDonor();
+
+    for (const units of [1e8, 101, "2", -1, 0.5]) {
+      const res = await request(app)
+        .post("/api/donations")
+        .set("Authorization", authHeader(user))
+        .send({ donorId: donor._id, units });
+      expect(res.status).toBe(400);
+      expect(res.body.message).toMatch(/units/);
+    }
+    expect(await Donation.countDocuments({ donor: donor._id })).toBe(0);
+  });
+
+  it("keeps a declared last donation date when the donor has no counted donations", async () => {
+    const declared = daysAgo(7);
+    const donor = await createDonor(null, { lastDonationDate: declared, lastDonationType: "plasma" });
+
+    await recomputeDonorStats(donor._id);
+
+    const updated = await Donor.findById(donor._id);
+    expect(updated.totalDonations).toBe(0);
+    expect(updated.lastDonationDate.getTime()).toBe(declared.getTime());
+    expect(updated.lastDonationType).toBe("plasma");
+  });
+
+  it("refuses a donation within 90 days of the previous one", async () => {
+    const user = await createAdmin();
+    const donor = await createDonor(null, { lastDonationDate: daysAgo(45) });
+
+    const res = await request(app)
+      .post("/api/donations")
+      .set("Authorization", authHeader(user))
+      .send({ donorId: donor._id });
+
+    expect(res.status).toBe(400);
+    expect(res.body.daysUntilEligible).toBe(45);
+  });
+
+  it("lists donations with pagination meta", async () => {
+    const user = await createAdmin();
+    const donor = await createDonor();
+    for (let i = 0; i < 3; i += 1) {
+      await request(app)
+        .post("/api/donations")
+        .set("Authorization", authHeader(user))
+        .send({ donorId: donor._id, donationDate: daysAgo(400 - i * 100).toISOString() });
+    }
+
+    const res = await request(app).get("/api/donations?limit=2").set("Authorization", authHeader(user));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(2);
+    expect(res.body.meta).toMatchObject({ total: 3, page: 1, limit: 2, pages: 2 });
+    expect(res.body.meta.nextCursor).toEqual(expect.any(String));
+
+    const next = await request(app)
+      .get(`/api/donations?limit=2&cursor=${res.body.meta.nextCursor}`)
+      .set("Authorization", authHeader(user));
+    expect(next.body.data).toHaveLength(1);
+    expect(next.body.meta.nextCursor).toBeNull();
+  });
+
+  it("only lets admins delete donations", async () => {
+    const user = await createUser();
+    const admin = await createAdmin();
+    const donor = await createDonor();
+    const created = await request(app)
+      .post("/api/donations")
+      .set("Authorization", authHeader(admin))
+      .send({ donorId: donor._id });
+
+    const denied = await request(app)
+      .delete(`/api/donations/${created.body.data._id}`)
+      .set("Authorization", authHeader(user));
+    expect(denied.status).toBe(403);
+
+    const ok = await request(app)
+      .delete(`/api/donations/${created.body.data._id}`)
+      .set("Authorization", authHeader(admin));
+    expect(ok.status).toBe(200);
+  });
+
+  it("only lets institution staff record donations there", async () => {
+    const staff = await createUser();
+    const outsider = await createUser();
+    const donor = await createDonor();
+    const home = await Institution.create({ name: "Home Hospital" });
+    const other = await Institution.create({ name: "Other Hospital" });
+    await addMember(staff, home);
+
+    const noInstitution = await request(app)
+      .post("/api/donations")
+      .set("Authorization", authHeader(outsider))
+      .send({ donorId: donor._id });
+    expect(noInstitution.status).toBe(403);
+
+    const elsewhere = await request(app)
+      .post("/api/donations")
+      .set("Authorization", authHeader(staff))
+      .send({ donorId: donor._id, institutionId: other._id });
+    expect(elsewhere.status).toBe(403);
+
+    const ok = await request(app)
+      .post("/api/donations")
+      .set("Authorization", authHeader(staff))
+      .send({ donorId: donor._id, institutionId: home._id });
+    expect(ok.status).toBe(201);
+  });
+
+  it("lets donors report their own donations without counting them until verified", async () => {
+    const owner = await createUser();
+    const donor = await createDonor(owner);
+    const stranger = await createUser();
+    const institution = await Institution.create({ name: "Review Hospital" });
+
+    const forSomeoneElse = await request(app)
+      .post("/api/donations")
+      .set("Authorization", authHeader(stranger))
+      .send({ donorId: donor._id, donationDate: daysAgo(3) });
+    expect(forSomeoneElse.status).toBe(403);
+
+    const res = await request(app)
+      .post("/api/donations")
+      .set("Authorization", authHeader(owner))
+      .send({ donorId: donor._id, institutionId: institution._id, donationDate: daysAgo(3) });
+    expect(res.status).toBe(201);
+    expect(res.body.data.verificationStatus).toBe("pending");
+
+    const unchanged = await Donor.findById(donor._id);
+    expect(unchanged.totalDonations).toBe(0);
+    expect(unchanged.lastDonationDate).toBeFalsy();
+
+    const again = await request(app)
+      .post("/api/donations")
+      .set("Authorization", authHeader(owner))
+      .send({ donorId: donor._id, donationDate: daysAgo(3) });
+    expect(again.status).toBe(409);
+
+    const future = await request(app)
+      .post("/api/donations")
+      .set("Authorization", authHeader(owner))
+      .send({ donorId: donor._id, donationDate: new Date(Date.now() + 86400000) });
+    expect(future.status).toBe(400);
+  });
+
+  it("verifies reported donations through the institution review queue", async () => {
+    const owner = await createUser();
+    const donor = await createDonor(owner);
+    const staff = await createUser();
+    const institution = await Institution.create({ name: "Queue Hospital" });
+    await addMember(staff, institution);
+    const reported = await Donation.create({
+      donor: donor._id,
+      institution: institution._id,
+      donationDate: daysAgo(10),
+      verificationStatus: "pending",
+      reportedBy: owner._id,
+    });
+    await Donation.create({ donor: donor._id, donationDate: daysAgo(200), verificationStatus: "self_reported" });
+
+    const queue = await request(app)
+      .get(`/api/donations/review-queue?institutionId=${institution._id}`)
+      .set("Authorization", authHeader(staff));
+    expect(queue.status).toBe(200);
+    expect(queue.body.data.map((d) => d._id)).toEqual([reported._id.toString()]);
+
+    const notAllQueues = await request(app).get("/api/donations/review-queue").set("Authorization", authHeader(staff));
+    expect(notAllQueues.status).toBe(403);
+
+    const ownReview = await request(app)
+      .post(`/api/donations/${reported._id}/verify`)
+      .set("Authorization", authHeader(owner));
+    expect(ownReview.status).toBe(403);
+
+    const verified = await request(app)
+      .post(`/api/donations/${reported._id}/verify`)
+      .set("Authorization", authHeader(staff))
+      .send({ note: "Matches our records." });
+    expect(verified.status).toBe(200);
+    expect(verified.body.data.verificationStatus).toBe("verified");
+
+    const updated = await Donor.findById(donor._id);
+    expect(updated.totalDonations).toBe(1);
+    expect(updated.lastDonationDate.getTime()).toBe(reported.donationDate.getTime());
+    expect((await Institution.findById(institution._id)).totalDonations).toBe(1);
+
+    const twice = await request(app)
+      .post(`/api/donations/${reported._id}/reject`)
+      .set("Authorization", authHeader(staff))
+      .send({ note: "Changed my mind." });
+    expect(twice.status).toBe(400);
+
+    const audit = await AuditLog.findOne({ action: "verify_donation", targetId: reported._id.toString() });
+    expect(audit.user.toString()).toBe(staff._id.toString());
+    expect(audit.changes[0].toObject()).toEqual({ field: "verificationStatus", before: "pending", after: "verified" });
+  });
+
+  it("requires a reason to reject and leaves stats untouched", async () => {
+    const admin = await createAdmin();
+    const donor = await createDonor();
+    const reported = await Donation.create({
+      donor: donor._id,
+      donationDate: daysAgo(5),
+      verificationStatus: "self_reported",
+    });
+
+    const noReason = await request(app)
+      .post(`/api/donations/${reported._id}/reject`)
+      .set("Authorization", authHeader(admin));
+    expect(noReason.status).toBe(400);
+
+    const rejected = await request(app)
+      .post(`/api/donations/${reported._id}/reject`)
+      .set("Authorization", authHeader(admin))
+      .send({ reason: "No record at the stated blood bank." });
+    expect(rejected.status).toBe(200);
+    expect(rejected.body.data.verificationStatus).toBe("rejected");
+    expect((await Donor.findById(donor._id)).totalDonations).toBe(0);
+  });
+
+  it("recomputes stats when a donation is deleted and restored", async () => {
+    const admin = await createAdmin();
+    const donor = await createDonor();
+    const institution = await Institution.create({ name: "Undo Hospital" });
+    const older = daysAgo(200);
+
+    await Donation.create({ donor: donor._id, institution: institution._id, donationDate: older });
+    const recorded = await request(app)
+      .post("/api/donations")
+      .set("Authorization", authHeader(admin))
+      .send({ donorId: donor._id, institutionId: institution._id });
+    expect(recorded.status).toBe(201);
+    expect((await Donor.findById(donor._id)).totalDonations).toBe(1);
+
+    await request(app)
+      .delete(`/api/donations/${recorded.body.data._id}`)
+      .set("Authorization", authHeader(admin))
+      .expect(200);
+
+    let updated = await Donor.findById(donor._id);
+    expect(updated.totalDonations).toBe(1);
+    expect(updated.lastDonationDate.getTime()).toBe(older.getTime());
+    expect((await Institution.findById(institution._id)).totalDonations).toBe(1);
+
+    const restored = await request(app)
+      .post(`/api/donations/${recorded.body.data._id}/restore`)
+      .set("Authorization", authHeader(admin));
+    expect(restored.status).toBe(200);
+    updated = await Donor.findById(donor._id);
+    expect(updated.totalDonations).toBe(2);
+    expect(updated.lastDonationDate.getTime()).toBe(new Date(recorded.body.data.donationDate).getTime());
+    expect((await Institution.findById(institution._id)).totalDonations).toBe(2);
+
+    const twice = await request(app)
+      .post(`/api/donations/${recorded.body.data._id}/restore`)
+      .set("Authorization", authHeader(admin));
+    expect(twice.status).toBe(404);
+  });
+
+  it("edits a donation and recomputes the old and new institution", async () => {
+    const staff = await createUser();
+    const donor = await createDonor();
+    const from = await Institution.create({ name: "First Hospital", totalDonations: 1 });
+    const to = await Institution.create({ name: "Second Hospital" });
+    await addMember(staff, from);
+    const donation = await Donation.create({ donor: donor._id, institution: from._id, donationDate: daysAgo(30) });
+
+    const notMember = await request(app)
+      .put(`/api/donations/${donation._id}`)
+      .set("Authorization", authHeader(staff))
+      .send({ institutionId: to._id });
+    expect(notMember.status).toBe(403);
+
+    await addMember(staff, to);
+    const res = await request(app)
+      .put(`/api/donations/${donation._id}`)
+      .set("Authorization", authHeader(staff))
+      .send({ institutionId: to._id, donationDate: daysAgo(20), units: 2 });
+    expect(res.status).toBe(200);
+    expect(res.body.data.units).toBe(2);
+
+    expect((await Institution.findById(from._id)).totalDonations).toBe(0);
+    expect((await Institution.findById(to._id)).totalDonations).toBe(1);
+    const updated = await Donor.findById(donor._id);
+    expect(updated.lastDonationDate.getTime()).toBe(new Date(res.body.data.donationDate).getTime());
+
+    const audit = await AuditLog.findOne({ action: "update_donation" });
+    expect(audit.changes.map((c) => c.field).sort()).toEqual(["donationDate", "institution", "units"]);
+
+    const invalid = await request(app)
+      .put(`/api/donations/${donation._id}`)
+      .set("Authorization", authHeader(staff))
+      .send({ units: 0 });
+    expect(invalid.status).toBe(400);
+
+    const tooMany = await request(app)
+      .put(`/api/donations/${donation._id}`)
+      .set("Authorization", authHeader(staff))
+      .send({ units: 101 });
+    expect(tooMany.status).toBe(400);
+  });
+
+  it("awards badges and notifies the donor when donations are recorded", async () => {
+    const admin = await createAdmin();
+    const donorUser = await createUser();
+    const donor = await createDonor(donorUser, { bloodGroup: "O-" });
+    await Donation.create([
+      { donor: donor._id, donationDate: daysAgo(400) },
+      { donor: donor._id, donationDate: daysAgo(300) },
+    ]);
+    const urgent = await BloodRequest.create({
+      user: admin._id,
+      bloodGroup: "O-",
+      city: "Dhaka",
+      unitsNeeded: 2,
+      requiredDate: new Date(Date.now() + 12 * 60 * 60 * 1000),
+      contactPhone: "01900000000",
+    });
+
+    const res = await request(app)
+      .post("/api/donations")
+      .set("Authorization", authHeader(admin))
+      .send({ donorId: donor._id, requestId: urgent._id });
+    expect(res.status).toBe(201);
+
+    const badges = (await DonorBadge.find({ donor: donor._id })).map((b) => b.badge).sort();
+    expect(badges).toEqual(["emergency_responder", "first_donation", "rare_group_hero"]);
+    expect(await Notification.countDocuments({ user: donorUser._id, type: "badge_awarded" })).toBe(3);
+  });
+});
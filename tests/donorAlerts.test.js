@@ -0,0 +1,137 @@
+const request = require("supertest");
+const createApp = require("../app");
+const BloodRequest = require("../models/BloodRequest");
+const Notification = require("../models/Notification");
+const OutboundMessage = require("../models/OutboundMessage");
+const { alertDonorsForRequest, isQuietHour, nextDeliveryTime } = require("../utils/donorAlerts");
+const { dispatchDueMessages, setSmsProvider } = require("../utils/outbound");
+const { setTransport, createMemoryTransport } = require("../utils/mailer");
+const { useTestDatabase } = require("./helpers/db");
+const { createUser, createDonor, authHeader, daysAgo } = require("./helpers/factories");
+
+useTestDatabase();
+const app = createApp();
+
+// Noon in Dhaka (UTC+6), outside default quiet hours.
+const DAYTIME = new Date("2026-03-10T06:00:00Z");
+// 23:00 in Dhaka, inside default quiet hours (22 -> 7).
+const NIGHT = new Date("2026-03-10T17:00:00Z");
+
+const createRequest = async (owner, overrides = {}) =>
+  BloodRequest.create({
+    user: owner._id,
+    bloodGroup: "A+",
+    city: "Dhaka",
+    unitsNeeded: 1,
+    requiredDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    contactPhone: "01900000000",
+    ...overrides,
+  });
+
+let mail;
+let sms;
+beforeEach(() => {
+  mail = createMemoryTransport();
+  setTransport(mail);
+  sms = [];
+  setSmsProvider({ send: async (message) => sms.push(message) });
+});
+
+describe("quiet hours", () => {
+  it("handles windows that wrap midnight", () => {
+    expect(isQuietHour(23, 22, 7)).toBe(true);
+    expect(isQuietHour(3, 22, 7)).toBe(true);
+    expect(isQuietHour(12, 22, 7)).toBe(false);
+    expect(isQuietHour(12, 9, 9)).toBe(false);
+  });
+
+  it("holds delivery until quiet hours end", () => {
+    expect(nextDeliveryTime(DAYTIME, {}, "Asia/Dhaka")).toEqual(DAYTIME);
+    expect(nextDeliveryTime(NIGHT, {}, "Asia/Dhaka").toISOString()).toBe("2026-03-11T01:00:00.000Z");
+  });
+});
+
+describe("alertDonorsForRequest", () => {
+  it("alerts eligible, willing, contactable donors and records them on the request", async () => {
+    const owner = await createUser();
+    await createDonor(owner, { bloodGroup: "A+" });
+    const match = await createDonor(null, { bloodGroup: "O+" });
+    await createDonor(null, { bloodGroup: "A+", allowRequestContact: false });
+    await createDonor(null, { bloodGroup: "A+", willingToDonate: false });
+    await createDonor(null, { bloodGroup: "A+", lastDonationDate: daysAgo(20) });
+    await createDonor(null, { bloodGroup: "A+", alertPreferences: { enabled: false } });
+    await createDonor(null, { bloodGroup: "B+" });
+
+    const bloodRequest = await createRequest(owner);
+    const summary = await alertDonorsForRequest(bloodRequest, DAYTIME);
+
+    expect(summary).toEqual({ alerted: 1, capped: 0, deferred: 0 });
+    const saved = await BloodRequest.findById(bloodRequest._id);
+    expect(saved.alertedDonors.map((a) => a.donor.toString())).toEqual([match._id.toString()]);
+    expect(await Notification.countDocuments({ type: "request_alert", donor: match._id })).toBe(1);
+  });
+
+  it("does not alert the same donor twice for one request", async () => {
+    const owner = await createUser();
+    await createDonor(null, { bloodGroup: "A+" });
+    const bloodRequest = await createRequest(owner);
+
+    await alertDonorsForRequest(bloodRequest, DAYTIME);
+    const second = await alertDonorsForRequest(bloodRequest, DAYTIME);
+    expect(second.alerted).toBe(0);
+  });
+
+  it("respects the weekly frequency cap", async () => {
+    const owner = await createUser();
+    const donor = await createDonor(null, { bloodGroup: "A+", alertPreferences: { maxAlertsPerWeek: 1 } });
+
+    await alertDonorsForRequest(await createRequest(owner), DAYTIME);
+    const summary = await alertDonorsForRequest(await createRequest(owner), DAYTIME);
+
+    expect(summary).toMatchObject({ alerted: 0, capped: 1 });
+    expect(await Notification.countDocuments({ type: "request_alert", donor: donor._id })).toBe(1);
+  });
+
+  it("queues email/SMS by contact preference and delays it during quiet hours", async () => {
+    const owner = await createUser();
+    await createDonor(null, { bloodGroup: "A+", contactPreference: "email" });
+    await createDonor(null, { bloodGroup: "A+", contactPreference: "phone" });
+
+    const summary = await alertDonorsForRequest(await createRequest(owner), NIGHT);
+    expect(summary).toMatchObject({ alerted: 2, deferred: 2 });
+
+    const queued = await OutboundMessage.find({}).sort({ channel: 1 });
+    expect(queued.map((m) => m.channel)).toEqual(["email", "sms"]);
+    expect(queued.every((m) => m.sendAfter > NIGHT)).toBe(true);
+
+    // Nothing goes out until sendAfter has passed.
+    await OutboundMessage.updateMany({}, { sendAfter: new Date(Date.now() - 1000) });
+    const result = await dispatchDueMessages();
+    expect(result).toEqual({ sent: 2, failed: 0 });
+    expect(mail.outbox).toHaveLength(1);
+    expect(sms).toHaveLength(1);
+  });
+});
+
+describe("POST /api/requests alerting", () => {
+  it("alerts matching donors when a request is created", async () => {
+    const owner = await createUser();
+    const donorUser = await createUser();
+    await createDonor(donorUser, { bloodGroup: "AB-" });
+
+    const res = await request(app)
+      .post("/api/requests")
+      .set("Authorization", authHeader(owner))
+      .send({
+        bloodGroup: "AB+",
+        city: "Dhaka",
+        unitsNeeded: 1,
+        requiredDate: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+        contactPhone: "01900000000",
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.alerts.alerted).toBe(1);
+    expect(await Notification.countDocuments({ user: donorUser._id, type: "request_alert" })).toBe(1);
+  });
+});
@@ -0,0 +1,167 @@
+const request = require("supertest");
+const createApp = require("../app");
+const DonorBadge = require("../models/DonorBadge");
+const { useTestDatabase } = require("./helpers/db");
+const { createUser, createAdmin, createDonor, authHeader, daysAgo } = require("./helpers/factories");
+
+useTestDatabase();
+const app = createApp();
+
+describe("donor privacy (toSafeObject)", () => {
+  it("hides phone, email and private fields from guests unless the phone is public", async () => {
+    const donor = await createDonor(null, { phoneVisibility: "registered", notes: "private" });
+    const safe = donor.toSafeObject("guest", null);
+
+    expect(safe.fullName).toBe(donor.fullName);
+    expect(safe.phone).toBeUndefined();
+    expect(safe.email).toBeUndefined();
+    expect(safe.emergencyContactPhone).toBeUndefined();
+    expect(safe.notes).toBeUndefined();
+
+    donor.phoneVisibility = "public";
+    expect(donor.toSafeObject("guest", null).phone).toBe(donor.phone);
+  });
+
+  it("shows phone and email to registered users but not emergency contacts", async () => {
+    const donor = await createDonor();
+    const safe = donor.toSafeObject("user", "someone-else");
+
+    expect(safe.phone).toBe(donor.phone);
+    expect(safe.email).toBe(donor.email);
+    expect(safe.emergencyContactName).toBeUndefined();
+    expect(safe.dateOfBirth).toBeUndefined();
+  });
+
+  it("shows private fields to the owner and to admins", async () => {
+    const owner = await createUser();
+    const donor = await createDonor(owner, { notes: "allergic to latex" });
+
+    const asOwner = donor.toSafeObject("user", owner._id.toString());
+    expect(asOwner.emergencyContactPhone).toBe(donor.emergencyContactPhone);
+    expect(asOwner.notes).toBe("allergic to latex");
+
+    const asAdmin = donor.toSafeObject("admin", null);
+    expect(asAdmin.emergencyContactName).toBe(donor.emergencyContactName);
+  });
+});
+
+describe("GET /api/donors/search", () => {
+  it("only shows public donors to guests and hides their phones by default", async () => {
+    await createDonor(null, { fullName: "Public Donor", visibility: "public" });
+    await createDonor(null, { fullName: "Registered Donor", visibility: "registered" });
+    await createDonor(null, { fullName: "Admin Donor", visibility: "admin" });
+
+    const res = await request(app).get("/api/donors/search");
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((d) => d.fullName)).toEqual(["Public Donor"]);
+    expect(res.body.data[0].phone).toBeUndefined();
+  });
+
+  it("shows registered donors to logged-in users and everything to admins", async () => {
+    await createDonor(null, { visibility: "public" });
+    await createDonor(null, { visibility: "registered" });
+    await createDonor(null, { visibility: "admin" });
+
+    const user = await createUser();
+    const asUser = await request(app).get("/api/donors/search").set("Authorization", authHeader(user));
+    expect(asUser.body.data).toHaveLength(2);
+
+    const admin = await createAdmin();
+    const asAdmin = await request(app).get("/api/donors/search").set("Authorization", authHeader(admin));
+    expect(asAdmin.body.data).toHaveLength(3);
+  });
+});
+
+describe("donor profile routes", () => {
+  it("creates one donor profile per user", async () => {
+    const user = await createUser();
+    const body = {
+      fullName: "Karim",
+      phone: "01711111111",
+      bloodGroup: "A+",
+      emergencyContactName: "Sister",
+      emergencyContactPhone: "01722222222",
+    };
+
+    const first = await request(app).post("/api/donors").set("Authorization", authHeader(user)).send(body);
+    expect(first.status).toBe(201);
+
+    const second = await request(app).post("/api/donors").set("Authorization", authHeader(user)).send(body);
+    expect(second.status).toBe(400);
+  });
+
+  it("only lets owners update their own profile and keeps ownership fixed", async () => {
+    const owner = await createUser();
+    const donor = await createDonor(owner);
+    const stranger = await createUser();
+
+    const denied = await request(app)
+      .put(`/api/donors/${donor._id}`)
+      .set("Authorization", authHeader(stranger))
+      .send({ fullName: "Hijacked" });
+    expect(denied.status).toBe(403);
+
+    const ok = await request(app)
+      .put(`/api/donors/${donor._id}`)
+      .set("Authorization", authHeader(owner))
+      .send({ fullName: "Renamed", user: stranger._id.toString() });
+    expect(ok.status).toBe(200);
+    expect(ok.body.data.fullName).toBe("Renamed");
+  });
+
+  it("restricts the full donor list to admins", async () => {
+    const user = await createUser();
+    const res = await request(app).get("/api/donors").set("Authorization", authHeader(user));
+    expect(res.status).toBe(403);
+  });
+
+  it("reports eligibility through the eligibility endpoint", async () => {
+    const user = await createUser();
+    const donor = await createDonor(null, { lastDonationDate: daysAgo(30) });
+
+    const res = await request(app)
+      .get(`/api/donors/${donor._id}/eligibility`)
+      .set("Authorization", authHeader(user));
+
+    expect(res.status).toBe(200);
+    expect(res.body.eligible).toBe(false);
+    expect(res.body.daysUntilEligible).toBe(60);
+  });
+
+  it("lists opted-in donors on the leaderboard, respecting visibility", async () => {
+    const top = await createDonor(null, { leaderboardOptIn: true, totalDonations: 9, visibility: "public" });
+    await createDonor(null, { leaderboardOptIn: true, totalDonations: 4, visibility: "registered" });
+    await createDonor(null, { leaderboardOptIn: false, totalDonations: 20, visibility: "public" });
+    await createDonor(null, { leaderboardOptIn: true, totalDonations: 6, visibility: "public", bloodGroup: "A-" });
+    await DonorBadge.create({ donor: top._id, badge: "donations_5" });
+
+    const guest = await request(app).get("/api/donors/leaderboard");
+    expect(guest.status).toBe(200);
+    expect(guest.body.data.map((d) => d.totalDonations)).toEqual([9, 6]);
+    expect(guest.body.data[0]).toMatchObject({ rank: 1, badges: [{ code: "donations_5", title: "5 donations" }] });
+    expect(guest.body.data[0].phone).toBeUndefined();
+
+    const viewer = await createUser();
+    const registered = await request(app)
+      .get("/api/donors/leaderboard?limit=2&page=2")
+      .set("Authorization", authHeader(viewer));
+    expect(registered.body.data.map((d) => [d.rank, d.totalDonations])).toEqual([[3, 4]]);
+
+    const byGroup = await request(app).get("/api/donors/leaderboard?bloodGroup=A-&city=dhaka");
+    expect(byGroup.body.data.map((d) => d.totalDonations)).toEqual([6]);
+
+    expect((await request(app).get("/api/donors/leaderboard?bloodGroup=Z")).status).toBe(400);
+  });
+
+  it("shows the donor's badges and next milestone", async () => {
+    const user = await createUser();
+    const donor = await createDonor(user, { totalDonations: 3 });
+    await DonorBadge.create({ donor: donor._id, badge: "first_donation" });
+
+    const res = await request(app).get("/api/donors/me/badges").set("Authorization", authHeader(user));
+    expect(res.status).toBe(200);
+    expect(res.body.data.badges.map((b) => b.code)).toEqual(["first_donation"]);
+    expect(res.body.data.nextMilestone).toMatchObject({ code: "donations_5", donationsNeeded: 2 });
+  });
+});
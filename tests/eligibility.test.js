@@ -0,0 +1,115 @@
+const Donor = require("../models/Donor");
+const { DEFAULT_RULES, evaluateEligibility, findIntervalDays } = require("../utils/eligibility");
+const { daysAgo } = require("./helpers/factories");
+
+// Eligibility only reads document fields, so these run without a database (built-in rules).
+const buildDonor = (overrides = {}) =>
+  new Donor({
+    fullName: "Test Donor",
+    phone: "01700000000",
+    emergencyContactName: "Contact",
+    emergencyContactPhone: "01800000000",
+    bloodGroup: "B+",
+    ...overrides,
+  });
+
+describe("Donor.isEligibleToDonate (default 90-day whole blood interval)", () => {
+  it("is eligible with no previous donation", () => {
+    expect(buildDonor().isEligibleToDonate()).toMatchObject({ eligible: true, daysUntilEligible: 0 });
+  });
+
+  it("is not eligible within 90 days of the last donation", () => {
+    const result = buildDonor({ lastDonationDate: daysAgo(89) }).isEligibleToDonate();
+    expect(result).toMatchObject({ eligible: false, daysUntilEligible: 1 });
+  });
+
+  it("is eligible again on day 90", () => {
+    const result = buildDonor({ lastDonationDate: daysAgo(90) }).isEligibleToDonate();
+    expect(result).toMatchObject({ eligible: true, daysUntilEligible: 0 });
+  });
+
+  it("is never eligible when the donor opted out", () => {
+    const result = buildDonor({ willingToDonate: false }).isEligibleToDonate();
+    expect(result).toMatchObject({ eligible: false, daysUntilEligible: null });
+  });
+
+  it("honours an active deferral even without a recent donation", () => {
+    const deferralUntil = new Date(Date.now() + 10 * 24 * 60 * 60 * 1000);
+    const result = buildDonor({ deferralUntil }).isEligibleToDonate();
+    expect(result.eligible).toBe(false);
+    expect(result.daysUntilEligible).toBe(10);
+  });
+
+  it("ignores a deferral that has already passed", () => {
+    const result = buildDonor({ deferralUntil: daysAgo(1) }).isEligibleToDonate();
+    expect(result.eligible).toBe(true);
+  });
+});
+
+describe("eligibility engine", () => {
+  const rules = {
+    ...DEFAULT_RULES,
+    version: 3,
+    intervals: [
+      { previousType: "whole_blood", sex: "any", minDays: 90 },
+      { previousType: "whole_blood", sex: "female", minDays: 120 },
+      { previousType: "whole_blood", donationType: "platelets", sex: "any", minDays: 28 },
+      { previousType: "platelets", sex: "any", minDays: 14 },
+    ],
+  };
+
+  it("explains a recent donation with a structured reason", () => {
+    const result = buildDonor({ lastDonationDate: daysAgo(30) }).isEligibleToDonate();
+    expect(result.reasons).toHaveLength(1);
+    expect(result.reasons[0]).toMatchObject({ code: "recent_donation", minDays: 90 });
+    expect(result.eligibleFrom).toEqual(result.reasons[0].until);
+    expect(result.ruleSetVersion).toBe(0);
+  });
+
+  it("picks the most specific interval for sex and donation type", () => {
+    expect(findIntervalDays(rules, "whole_blood", "whole_blood", "male")).toBe(90);
+    expect(findIntervalDays(rules, "whole_blood", "whole_blood", "female")).toBe(120);
+    expect(findIntervalDays(rules, "whole_blood", "platelets", "female")).toBe(28);
+    expect(findIntervalDays(rules, "plasma", "whole_blood", "male")).toBe(90);
+  });
+
+  it("applies sex-specific intervals", () => {
+    const donor = buildDonor({ gender: "female", lastDonationDate: daysAgo(100) });
+    const result = evaluateEligibility(donor, rules);
+    expect(result.eligible).toBe(false);
+    expect(result.daysUntilEligible).toBe(20);
+    expect(evaluateEligibility(donor, rules, { donationType: "platelets" }).eligible).toBe(true);
+  });
+
+  it("uses the type of the last donation", () => {
+    const donor = buildDonor({ lastDonationDate: daysAgo(20), lastDonationType: "platelets" });
+    expect(evaluateEligibility(donor, rules).eligible).toBe(true);
+  });
+
+  it("checks age and weight limits", () => {
+    const young = buildDonor({ dateOfBirth: daysAgo(17 * 365) });
+    const youngResult = young.isEligibleToDonate();
+    expect(youngResult.reasons.map((r) => r.code)).toEqual(["too_young"]);
+    expect(youngResult.daysUntilEligible).toBeGreaterThan(300);
+
+    const old = buildDonor({ dateOfBirth: daysAgo(70 * 365) });
+    expect(old.isEligibleToDonate()).toMatchObject({ eligible: false, daysUntilEligible: null });
+    expect(old.isEligibleToDonate().reasons[0].code).toBe("too_old");
+
+    const light = buildDonor({ weightKg: 45 });
+    expect(light.isEligibleToDonate().reasons[0].code).toBe("underweight");
+  });
+
+  it("evaluates a future date", () => {
+    const donor = buildDonor({ lastDonationDate: daysAgo(80) });
+    const on = new Date(Date.now() + 11 * 24 * 60 * 60 * 1000);
+    expect(donor.isEligibleToDonate({ on }).eligible).toBe(true);
+  });
+
+  it("collects every blocking reason", () => {
+    const deferralUntil = new Date(Date.now() + 5 * 24 * 60 * 60 * 1000);
+    const result = buildDonor({ willingToDonate: false, deferralUntil, lastDonationDate: daysAgo(10) }).isEligibleToDonate();
+    expect(result.reasons.map((r) => r.code)).toEqual(["not_willing", "deferred", "recent_donation"]);
+    expect(result.daysUntilEligible).toBeNull();
+  });
+});
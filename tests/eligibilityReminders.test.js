@@ -0,0 +1,139 @@
+const request = require("supertest");
+const createApp = require("../app");
+const BloodRequest = require("../models/BloodRequest");
+const DonationEvent = require("../models/DonationEvent");
+const EligibilityReminder = require("../models/EligibilityReminder");
+const Institution = require("../models/Institution");
+const Notification = require("../models/Notification");
+const OutboundMessage = require("../models/OutboundMessage");
+const { sendEligibilityReminders, reminderDue } = require("../jobs/eligibilityReminders");
+const { useTestDatabase } = require("./helpers/db");
+const { createUser, createDonor, authHeader, daysAgo } = require("./helpers/factories");
+
+useTestDatabase();
+const app = createApp();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// 10:00 in Dhaka, outside the default quiet hours.
+const DAYTIME = new Date("2025-06-01T04:00:00Z");
+const daysBefore = (days, from = DAYTIME) => new Date(from.getTime() - days * DAY_MS);
+
+describe("reminderDue", () => {
+  it("sends the first reminder, then repeats on the cadence up to the cap", () => {
+    expect(reminderDue(null, DAYTIME)).toBe(true);
+    expect(reminderDue({ sequence: 1, sentAt: daysBefore(3) }, DAYTIME)).toBe(false);
+    expect(reminderDue({ sequence: 1, sentAt: daysBefore(14) }, DAYTIME)).toBe(true);
+    expect(reminderDue({ sequence: 3, sentAt: daysBefore(60) }, DAYTIME)).toBe(false);
+  });
+});
+
+describe("eligibility reminders", () => {
+  const createOpenRequest = async (overrides = {}) =>
+    BloodRequest.create({
+      user: (await createUser())._id,
+      bloodGroup: "O+",
+      city: "Dhaka",
+      unitsNeeded: 1,
+      requiredDate: new Date(DAYTIME.getTime() + 3 * DAY_MS),
+      contactPhone: "01900000000",
+      ...overrides,
+    });
+
+  const createEvent = async (overrides = {}) => {
+    const institution = await Institution.create({ name: "City Hospital", type: "hospital" });
+    return DonationEvent.create({
+      institution: institution._id,
+      title: "Summer blood drive",
+      startsAt: new Date(DAYTIME.getTime() + 7 * DAY_MS),
+      endsAt: new Date(DAYTIME.getTime() + 7 * DAY_MS + 4 * 60 * 60 * 1000),
+      address: { city: "Dhaka" },
+      capacity: 50,
+      ...overrides,
+    });
+  };
+
+  it("reminds eligible donors once, pointing to matching requests and events in their city", async () => {
+    const donor = await createDonor(null, { lastDonationDate: daysBefore(100), contactPreference: "email" });
+    await createDonor(null, { lastDonationDate: daysBefore(30) });
+    const matching = await createOpenRequest();
+    await createOpenRequest({ bloodGroup: "O-" });
+    await createOpenRequest({ city: "Sylhet" });
+    const event = await createEvent();
+    await createEvent({ targetBloodGroups: ["AB-"] });
+
+    expect(await sendEligibilityReminders(DAYTIME)).toEqual({ reminded: 1, skipped: 0, failed: 0 });
+
+    const reminder = await EligibilityReminder.findOne({ donor: donor._id });
+    expect(reminder.toObject()).toMatchObject({ sequence: 1, channels: ["in_app", "email"] });
+    expect(reminder.requests.map(String)).toEqual([matching._id.toString()]);
+    expect(reminder.events.map(String)).toEqual([event._id.toString()]);
+
+    const notification = await Notification.findById(reminder.notification);
+    expect(notification.type).toBe("eligibility_reminder");
+    expect(notification.message).toContain("Summer blood drive");
+    expect(await OutboundMessage.countDocuments({ donor: donor._id, type: "eligibility_reminder" })).toBe(1);
+
+    // The next run is too soon for a follow-up.
+    const nextDay = new Date(DAYTIME.getTime() + DAY_MS);
+    expect(await sendEligibilityReminders(nextDay)).toEqual({ reminded: 0, skipped: 1, failed: 0 });
+  });
+
+  it("follows up on the cadence, stops at the cap and starts again after the next donation", async () => {
+    const donor = await createDonor(null, { lastDonationDate: daysBefore(100) });
+
+    for (let i = 0; i < 4; i += 1) {
+      await sendEligibilityReminders(new Date(DAYTIME.getTime() + i * 14 * DAY_MS));
+    }
+    expect(await EligibilityReminder.countDocuments({ donor: donor._id })).toBe(3);
+
+    donor.lastDonationDate = DAYTIME;
+    await donor.save();
+    const later = new Date(DAYTIME.getTime() + 91 * DAY_MS);
+    expect(await sendEligibilityReminders(later)).toEqual({ reminded: 1, skipped: 0, failed: 0 });
+  });
+
+  it("keeps reminding other donors when one fails, and retries the failed one on the next run", async () => {
+    await createDonor(null, { lastDonationDate: daysBefore(100) });
+    await createDonor(null, { lastDonationDate: daysBefore(120) });
+    const create = jest.spyOn(Notification, "create").mockRejectedValueOnce(new Error("boom"));
+    const logged = jest.spyOn(console, "error").mockImplementation(() => {});
+
+    try {
+      expect(await sendEligibilityReminders(DAYTIME)).toEqual({ reminded: 1, skipped: 0, failed: 1 });
+      expect(logged).toHaveBeenCalled();
+    } finally {
+      create.mockRestore();
+      logged.mockRestore();
+    }
+    expect(await EligibilityReminder.countDocuments()).toBe(1);
+
+    const nextDay = new Date(DAYTIME.getTime() + DAY_MS);
+    expect(await sendEligibilityReminders(nextDay)).toEqual({ reminded: 1, skipped: 1, failed: 0 });
+  });
+
+  it("respects the donor's opt-out", async () => {
+    const user = await createUser();
+    const donor = await createDonor(user, { lastDonationDate: daysBefore(100) });
+
+    const res = await request(app)
+      .put(`/api/donors/${donor._id}`)
+      .set("Authorization", authHeader(user))
+      .send({ eligibilityReminders: false });
+    expect(res.status).toBe(200);
+    expect(res.body.data.eligibilityReminders).toBe(false);
+
+    expect(await sendEligibilityReminders(DAYTIME)).toEqual({ reminded: 0, skipped: 0, failed: 0 });
+  });
+
+  it("lists the reminders sent to the current donor", async () => {
+    const user = await createUser();
+    await createDonor(user, { lastDonationDate: daysAgo(100) });
+    await sendEligibilityReminders();
+
+    const res = await request(app).get("/api/donors/me/reminders").set("Authorization", authHeader(user));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.meta).toMatchObject({ total: 1, eligibilityReminders: true });
+  });
+});
@@ -0,0 +1,111 @@
+const request = require("supertest");
+const createApp = require("../app");
+const { clearRulesCache } = require("../utils/eligibility");
+const { useTestDatabase } = require("./helpers/db");
+const { createUser, createAdmin, createDonor, authHeader, daysAgo } = require("./helpers/factories");
+
+useTestDatabase();
+const app = createApp();
+
+// The rules cache outlives each test's database, so start every test from the defaults.
+beforeEach(() => clearRulesCache());
+
+const plateletFriendlyRules = {
+  name: "Partner hospital",
+  intervals: [
+    { previousType: "whole_blood", minDays: 56 },
+    { previousType: "platelets", minDays: 7 },
+  ],
+};
+
+describe("eligibility rule sets", () => {
+  it("serves the built-in defaults until a rule set is activated", async () => {
+    const admin = await createAdmin();
+    const res = await request(app).get("/api/admin/eligibility-rules/active").set("Authorization", authHeader(admin));
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ version: 0, isDefault: true });
+  });
+
+  it("creates versioned rule sets and activates them", async () => {
+    const admin = await createAdmin();
+
+    const first = await request(app)
+      .post("/api/admin/eligibility-rules")
+      .set("Authorization", authHeader(admin))
+      .send(plateletFriendlyRules);
+    expect(first.status).toBe(201);
+    expect(first.body.data).toMatchObject({ version: 1, active: false });
+
+    const second = await request(app)
+      .post("/api/admin/eligibility-rules")
+      .set("Authorization", authHeader(admin))
+      .send({ ...plateletFriendlyRules, activate: true });
+    expect(second.body.data).toMatchObject({ version: 2, active: true });
+
+    const rollback = await request(app)
+      .post("/api/admin/eligibility-rules/1/activate")
+      .set("Authorization", authHeader(admin));
+    expect(rollback.status).toBe(200);
+
+    const list = await request(app).get("/api/admin/eligibility-rules").set("Authorization", authHeader(admin));
+    expect(list.body.data.map((r) => [r.version, r.active])).toEqual([
+      [2, false],
+      [1, true],
+    ]);
+  });
+
+  it("rejects invalid rule sets", async () => {
+    const admin = await createAdmin();
+    const res = await request(app)
+      .post("/api/admin/eligibility-rules")
+      .set("Authorization", authHeader(admin))
+      .send({ intervals: [{ previousType: "blood", minDays: 10 }] });
+    expect(res.status).toBe(400);
+  });
+
+  it("is admin only", async () => {
+    const user = await createUser();
+    const res = await request(app)
+      .post("/api/admin/eligibility-rules")
+      .set("Authorization", authHeader(user))
+      .send(plateletFriendlyRules);
+    expect(res.status).toBe(403);
+  });
+
+  it("applies the active rules to the eligibility endpoint and donations", async () => {
+    const admin = await createAdmin();
+    const user = await createUser();
+    const donor = await createDonor(null, { lastDonationDate: daysAgo(60) });
+
+    const before = await request(app)
+      .get(`/api/donors/${donor._id}/eligibility`)
+      .set("Authorization", authHeader(user));
+    expect(before.body.eligible).toBe(false);
+    expect(before.body.reasons[0].code).toBe("recent_donation");
+    expect(before.body.ruleSetVersion).toBe(0);
+
+    const blocked = await request(app)
+      .post("/api/donations")
+      .set("Authorization", authHeader(admin))
+      .send({ donorId: donor._id });
+    expect(blocked.status).toBe(400);
+    expect(blocked.body.reasons[0].code).toBe("recent_donation");
+
+    await request(app)
+      .post("/api/admin/eligibility-rules")
+      .set("Authorization", authHeader(admin))
+      .send({ ...plateletFriendlyRules, activate: true });
+
+    const after = await request(app)
+      .get(`/api/donors/${donor._id}/eligibility`)
+      .set("Authorization", authHeader(user));
+    expect(after.body).toMatchObject({ eligible: true, ruleSetVersion: 1 });
+
+    const donation = await request(app)
+      .post("/api/donations")
+      .set("Authorization", authHeader(admin))
+      .send({ donorId: donor._id, donationType: "platelets" });
+    expect(donation.status).toBe(201);
+    expect(donation.body.data.donationType).toBe("platelets");
+  });
+});
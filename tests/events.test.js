@@ -0,0 +1,226 @@
+const request = require("supertest");
+const createApp = require("../app");
+const Institution = require("../models/Institution");
+const Donation = require("../models/Donation");
+const Donor = require("../models/Donor");
+const DonationEvent = require("../models/DonationEvent");
+const EventRegistration = require("../models/EventRegistration");
+const Notification = require("../models/Notification");
+const { useTestDatabase } = require("./helpers/db");
+const { createUser, createDonor, addMember, authHeader, daysAgo } = require("./helpers/factories");
+
+useTestDatabase();
+const app = createApp();
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// An institution with an institution_admin, plus a scheduled event starting tomorrow.
+const setupEvent = async (overrides = {}) => {
+  const institution = await Institution.create({ name: "Red Crescent Centre" });
+  const organiser = await createUser();
+  await addMember(organiser, institution, "institution_admin");
+
+  const startsAt = new Date(Math.ceil((Date.now() + 24 * HOUR_MS) / HOUR_MS) * HOUR_MS);
+  const res = await request(app)
+    .post("/api/events")
+    .set("Authorization", authHeader(organiser))
+    .send({
+      institutionId: institution._id,
+      title: "Campus Blood Drive",
+      startsAt,
+      endsAt: new Date(startsAt.getTime() + 2 * HOUR_MS),
+      capacity: 10,
+      slotMinutes: 60,
+      address: { city: "Chattogram" },
+      ...overrides,
+    });
+  return { institution, organiser, startsAt, res, event: res.body.data };
+};
+
+describe("donation events", () => {
+  it("lets institution admins create events and lists them publicly", async () => {
+    const { res, startsAt } = await setupEvent();
+    expect(res.status).toBe(201);
+
+    const outsider = await createUser();
+    const denied = await request(app)
+      .post("/api/events")
+      .set("Authorization", authHeader(outsider))
+      .send({ institutionId: res.body.data.institution, title: "x", startsAt, endsAt: startsAt, capacity: 1 });
+    expect(denied.status).toBe(403);
+
+    const list = await request(app).get("/api/events?city=chatto");
+    expect(list.status).toBe(200);
+    expect(list.body.data.map((e) => e.title)).toEqual(["Campus Blood Drive"]);
+
+    const slots = await request(app).get(`/api/events/${res.body.data._id}/slots`);
+    expect(slots.body.data).toHaveLength(2);
+    expect(slots.body.data[0]).toMatchObject({ capacity: 10, booked: 0, available: 10 });
+  });
+
+  it("registers donors into slots with eligibility, target group and capacity checks", async () => {
+    const { event, startsAt } = await setupEvent({ slotCapacity: 1, targetBloodGroups: ["O+", "O-"] });
+    const url = `/api/events/${event._id}/register`;
+
+    const donorUser = await createUser();
+    await createDonor(donorUser);
+    const ok = await request(app).post(url).set("Authorization", authHeader(donorUser)).send({ slotStart: startsAt });
+    expect(ok.status).toBe(201);
+    expect(await Notification.countDocuments({ user: donorUser._id, type: "event_registered" })).toBe(1);
+
+    const again = await request(app).post(url).set("Authorization", authHeader(donorUser)).send({ slotStart: startsAt });
+    expect(again.status).toBe(400);
+
+    const secondUser = await createUser();
+    await createDonor(secondUser);
+    const full = await request(app).post(url).set("Authorization", authHeader(secondUser)).send({ slotStart: startsAt });
+    expect(full.status).toBe(409);
+
+    const wrongGroupUser = await createUser();
+    await createDonor(wrongGroupUser, { bloodGroup: "AB+" });
+    const wrongGroup = await request(app)
+      .post(url)
+      .set("Authorization", authHeader(wrongGroupUser))
+      .send({ slotStart: startsAt });
+    expect(wrongGroup.status).toBe(400);
+
+    const recentUser = await createUser();
+    await createDonor(recentUser, { lastDonationDate: daysAgo(30) });
+    const ineligible = await request(app)
+      .post(url)
+      .set("Authorization", authHeader(recentUser))
+      .send({ slotStart: new Date(startsAt.getTime() + HOUR_MS) });
+    expect(ineligible.status).toBe(400);
+    expect(ineligible.body.reasons[0].code).toBe("recent_donation");
+  });
+
+  it("does not overbook a slot or the event under concurrent sign-ups, and frees places on cancellation", async () => {
+    const { event, organiser, startsAt } = await setupEvent({ capacity: 2, slotCapacity: 1 });
+    const url = `/api/events/${event._id}/register`;
+    const users = [];
+    for (let i = 0; i < 4; i += 1) {
+      const user = await createUser();
+      await createDonor(user);
+      users.push(user);
+    }
+
+    const sameSlot = await Promise.all(
+      users
+        .slice(0, 3)
+        .map((user) => request(app).post(url).set("Authorization", authHeader(user)).send({ slotStart: startsAt }))
+    );
+    expect(sameSlot.map((r) => r.status).sort()).toEqual([201, 409, 409]);
+
+    const nextSlot = new Date(startsAt.getTime() + HOUR_MS);
+    const winner = users[sameSlot.findIndex((r) => r.status === 201)];
+    const second = await request(app).post(url).set("Authorization", authHeader(users[3])).send({ slotStart: nextSlot });
+    expect(second.status).toBe(201);
+    expect(await EventRegistration.countDocuments({ event: event._id, status: "registered" })).toBe(2);
+    expect((await DonationEvent.findById(event._id)).booked).toBe(2);
+
+    const cancelled = await request(app).delete(url).set("Authorization", authHeader(winner));
+    expect(cancelled.status).toBe(200);
+    const slots = await request(app).get(`/api/events/${event._id}/slots`);
+    expect(slots.body.data[0]).toMatchObject({ booked: 0, available: 1 });
+
+    const loser = users.find((user, i) => i < 3 && user !== winner);
+    const retry = await request(app).post(url).set("Authorization", authHeader(loser)).send({ slotStart: startsAt });
+    expect(retry.status).toBe(201);
+
+    await request(app).post(`/api/events/${event._id}/cancel`).set("Authorization", authHeader(organiser));
+    expect((await DonationEvent.findById(event._id)).booked).toBe(0);
+  });
+
+  it("checks in a registration and records the donation at the event", async () => {
+    const { event, institution, startsAt } = await setupEvent();
+    const staff = await createUser();
+    await addMember(staff, institution, "staff");
+
+    const donorUser = await createUser();
+    const donor = await createDonor(donorUser);
+    const reg = await request(app)
+      .post(`/api/events/${event._id}/register`)
+      .set("Authorization", authHeader(donorUser))
+      .send({ slotStart: startsAt });
+
+    const outsider = await createUser();
+    const denied = await request(app)
+      .post(`/api/events/${event._id}/registrations/${reg.body.data._id}/check-in`)
+      .set("Authorization", authHeader(outsider));
+    expect(denied.status).toBe(403);
+
+    for (const units of ["2", -1, 1.5, 101, 1e8]) {
+      const invalid = await request(app)
+        .post(`/api/events/${event._id}/registrations/${reg.body.data._id}/check-in`)
+        .set("Authorization", authHeader(staff))
+        .send({ units });
+      expect(invalid.status).toBe(400);
+    }
+
+    // A double submit checks the donor in once and records one donation.
+    const checkIns = await Promise.all(
+      [1, 2].map(() =>
+        request(app)
+          .post(`/api/events/${event._id}/registrations/${reg.body.data._id}/check-in`)
+          .set("Authorization", authHeader(staff))
+          .send({ units: 1 })
+      )
+    );
+    expect(checkIns.map((r) => r.status).sort()).toEqual([200, 400]);
+    const res = checkIns.find((r) => r.status === 200);
+    expect(res.body.data.registration.status).toBe("checked_in");
+    expect(await Donation.countDocuments({ event: event._id })).toBe(1);
+
+    const donation = await Donation.findById(res.body.data.donation._id);
+    expect(donation.event.toString()).toBe(event._id);
+    expect(donation.institution.toString()).toBe(institution._id.toString());
+    expect((await Donor.findById(donor._id)).totalDonations).toBe(1);
+
+    const stats = await request(app).get(`/api/events/${event._id}/stats`).set("Authorization", authHeader(staff));
+    expect(stats.body.data).toMatchObject({ donations: 1, unitsCollected: 1, fillRate: 0.1 });
+    expect(stats.body.data.registrations.checked_in).toBe(1);
+  });
+
+  it("refuses edits that would move or overfill registered donors' slots", async () => {
+    const { event, organiser, startsAt } = await setupEvent();
+    const secondSlot = new Date(startsAt.getTime() + HOUR_MS);
+    for (let i = 0; i < 2; i += 1) {
+      const donorUser = await createUser();
+      await createDonor(donorUser);
+      await request(app)
+        .post(`/api/events/${event._id}/register`)
+        .set("Authorization", authHeader(donorUser))
+        .send({ slotStart: secondSlot });
+    }
+    const edit = (body) =>
+      request(app).put(`/api/events/${event._id}`).set("Authorization", authHeader(organiser)).send(body);
+
+    expect((await edit({ slotMinutes: 45 })).status).toBe(400);
+    expect((await edit({ startsAt: new Date(startsAt.getTime() + 30 * 60 * 1000) })).status).toBe(400);
+    expect((await edit({ slotCapacity: 1 })).status).toBe(400);
+
+    // Slot starts that keep the booked slot are fine.
+    expect((await edit({ slotMinutes: 30, endsAt: new Date(startsAt.getTime() + 3 * HOUR_MS) })).status).toBe(200);
+    const slots = await request(app).get(`/api/events/${event._id}/slots`);
+    const booked = slots.body.data.find((slot) => new Date(slot.start).getTime() === secondSlot.getTime());
+    expect(booked.booked).toBe(2);
+  });
+
+  it("notifies registrants when an event is cancelled", async () => {
+    const { event, organiser, startsAt } = await setupEvent();
+    const donorUser = await createUser();
+    await createDonor(donorUser);
+    await request(app)
+      .post(`/api/events/${event._id}/register`)
+      .set("Authorization", authHeader(donorUser))
+      .send({ slotStart: startsAt });
+
+    const res = await request(app)
+      .post(`/api/events/${event._id}/cancel`)
+      .set("Authorization", authHeader(organiser))
+      .send({ reason: "Venue unavailable" });
+    expect(res.status).toBe(200);
+    expect(await Notification.countDocuments({ user: donorUser._id, type: "event_cancelled" })).toBe(1);
+    expect(await EventRegistration.countDocuments({ event: event._id, status: "cancelled" })).toBe(1);
+  });
+});
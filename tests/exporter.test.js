@@ -0,0 +1,158 @@
+const { Writable } = require("stream");
+const express = require("express");
+const request = require("supertest");
+const ExcelJS = require("exceljs");
+const { escapeCsvCell, toCsvLine, neutraliseFormula, streamExport } = require("../utils/exporter");
+
+// A cursor stand-in so streaming can be tested without a database.
+const arrayCursor = (docs) => ({
+  closed: false,
+  async *[Symbol.asyncIterator]() {
+    yield* docs;
+  },
+  async close() {
+    this.closed = true;
+  },
+});
+
+const columns = [
+  { header: "name", value: (d) => d.name },
+  { header: "units", value: (d) => d.units },
+  { header: "date", value: (d) => d.date },
+];
+
+const docs = [
+  { name: 'Rahim, "Bhai"', units: 2, date: new Date("2026-01-02T00:00:00Z") },
+  { name: "=HYPERLINK(\"http://x\")", units: -1, date: null },
+  { name: "line\nbreak", units: 0 },
+];
+
+// A cursor that never runs out, like a large collection. Like a database cursor it yields to the event loop,
+// and it counts the documents read.
+const endlessCursor = () => ({
+  read: 0,
+  closed: false,
+  async *[Symbol.asyncIterator]() {
+    for (;;) {
+      await new Promise((resolve) => setImmediate(resolve));
+      this.read += 1;
+      yield docs[0];
+    }
+  },
+  async close() {
+    this.closed = true;
+  },
+});
+
+// A response whose client never reads, so its buffer fills and never drains.
+const stalledResponse = () => {
+  const res = new Writable({ highWaterMark: 16, write() {} });
+  res.status = () => res;
+  res.setHeader = () => {};
+  return res;
+};
+
+const exportApp = (format, cursor) => {
+  const app = express();
+  app.get("/export", (req, res) => streamExport(res, { format, filename: "test", columns, cursor }));
+  return app;
+};
+
+const binaryParser = (res, callback) => {
+  const chunks = [];
+  res.on("data", (chunk) => chunks.push(chunk));
+  res.on("end", () => callback(null, Buffer.concat(chunks)));
+};
+
+describe("CSV escaping", () => {
+  it("quotes fields with commas, quotes and line breaks", () => {
+    expect(escapeCsvCell("plain")).toBe("plain");
+    expect(escapeCsvCell("a,b")).toBe('"a,b"');
+    expect(escapeCsvCell('say "hi"')).toBe('"say ""hi"""');
+    expect(escapeCsvCell("two\r\nlines")).toBe('"two\r\nlines"');
+  });
+
+  it("neutralises formula-like text but not numbers", () => {
+    for (const text of ["=1+1", "+1", "-1", "@SUM(A1)", "\tx"]) {
+      expect(neutraliseFormula(text)).toBe(`'${text}`);
+    }
+    expect(escapeCsvCell(-5)).toBe("-5");
+    expect(escapeCsvCell("=A1,B1")).toBe(`"'=A1,B1"`);
+  });
+
+  it("writes CRLF-terminated records with empty cells for missing values", () => {
+    expect(toCsvLine(["a", null, undefined, true, new Date("2026-01-01T00:00:00Z")])).toBe(
+      "a,,,true,2026-01-01T00:00:00.000Z\r\n"
+    );
+  });
+});
+
+describe("streamExport", () => {
+  it("streams CSV", async () => {
+    const cursor = arrayCursor(docs);
+    const res = await request(exportApp("csv", cursor)).get("/export");
+    expect(res.status).toBe(200);
+    expect(res.headers["content-disposition"]).toBe("attachment; filename=test.csv");
+    expect(res.text).toBe(
+      [
+        "name,units,date",
+        '"Rahim, ""Bhai""",2,2026-01-02T00:00:00.000Z',
+        `"'=HYPERLINK(""http://x"")",-1,`,
+        '"line\nbreak",0,',
+        "",
+      ].join("\r\n")
+    );
+    expect(cursor.closed).toBe(true);
+  });
+
+  it("streams NDJSON without altering values", async () => {
+    const res = await request(exportApp("ndjson", arrayCursor(docs))).get("/export");
+    const lines = res.text.trim().split("\n").map((line) => JSON.parse(line));
+    expect(lines).toHaveLength(3);
+    expect(lines[1]).toEqual({ name: '=HYPERLINK("http://x")', units: -1, date: null });
+  });
+
+  it("streams XLSX", async () => {
+    const res = await request(exportApp("xlsx", arrayCursor(docs)))
+      .get("/export")
+      .buffer(true)
+      .parse(binaryParser);
+    expect(res.headers["content-type"]).toMatch(/spreadsheetml/);
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(res.body);
+    const sheet = workbook.getWorksheet("test");
+    expect(sheet.getRow(1).values.slice(1)).toEqual(["name", "units", "date"]);
+    expect(sheet.getRow(2).values.slice(1)).toEqual(['Rahim, "Bhai"', 2, "2026-01-02T00:00:00.000Z"]);
+    expect(sheet.getRow(3).getCell(1).value).toBe("'=HYPERLINK(\"http://x\")");
+  });
+
+  it("stops and closes the cursor when the client disconnects while the buffer is full", async () => {
+    for (const format of ["csv", "ndjson"]) {
+      const res = stalledResponse();
+      const cursor = endlessCursor();
+      const done = streamExport(res, { format, filename: "test", columns, cursor });
+
+      await new Promise((resolve) => setImmediate(resolve));
+      res.destroy();
+      await done;
+      expect(cursor.closed).toBe(true);
+    }
+  });
+
+  it("stops reading XLSX rows while the client is not keeping up", async () => {
+    const res = stalledResponse();
+    const cursor = endlessCursor();
+    const done = streamExport(res, { format: "xlsx", filename: "test", columns, cursor });
+
+    const pause = () => new Promise((resolve) => setTimeout(resolve, 200));
+    await pause();
+    const read = cursor.read;
+    await pause();
+    expect(cursor.read).toBe(read);
+
+    res.destroy();
+    await done;
+    expect(cursor.closed).toBe(true);
+  });
+});
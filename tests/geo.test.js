@@ -0,0 +1,24 @@
+const { toPoint, parseNearQuery, DEFAULT_RADIUS_KM } = require("../utils/geo");
+
+describe("geo helpers", () => {
+  it("builds GeoJSON points in lng,lat order", () => {
+    expect(toPoint(23.8, 90.4)).toEqual({ type: "Point", coordinates: [90.4, 23.8] });
+  });
+
+  it("rejects missing or out-of-range coordinates", () => {
+    expect(toPoint(undefined, 90)).toBeNull();
+    expect(toPoint(120, 90)).toBeNull();
+  });
+
+  it("parses near with a default radius", () => {
+    expect(parseNearQuery({ near: "23.8,90.4" })).toEqual({
+      geo: { point: { type: "Point", coordinates: [90.4, 23.8] }, radiusKm: DEFAULT_RADIUS_KM },
+    });
+    expect(parseNearQuery({})).toEqual({ geo: null });
+  });
+
+  it("validates near and radiusKm", () => {
+    expect(parseNearQuery({ near: "abc" }).error).toBeDefined();
+    expect(parseNearQuery({ near: "23.8,90.4", radiusKm: "-5" }).error).toBeDefined();
+  });
+});
@@ -0,0 +1,29 @@
+// In-memory MongoDB for integration tests.
+// A single-node replica set is used so transactions behave like production.
+const mongoose = require("mongoose");
+const { MongoMemoryReplSet } = require("mongodb-memory-server");
+
+let replSet;
+
+// Register Jest hooks that start MongoDB once per file and wipe collections between tests.
+const useTestDatabase = () => {
+  beforeAll(async () => {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+    await mongoose.connect(replSet.getUri());
+    await Promise.all(Object.values(mongoose.models).map((model) => model.createIndexes()));
+  });
+
+  afterEach(async () => {
+    const collections = await mongoose.connection.db.collections();
+    await Promise.all(collections.map((collection) => collection.deleteMany({})));
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (replSet) {
+      await replSet.stop();
+    }
+  });
+};
+
+module.exports = { useTestDatabase };
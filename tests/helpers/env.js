@@ -0,0 +1,3 @@
+// Environment defaults for the test run (loaded by Jest before each test file).
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test_jwt_secret";
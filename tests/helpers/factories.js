@@ -0,0 +1,55 @@
+// Small factories for creating users, donors and auth headers in tests.
+const jwt = require("jsonwebtoken");
+const User = require("../../models/User");
+const Donor = require("../../models/Donor");
+const InstitutionMember = require("../../models/InstitutionMember");
+
+let counter = 0;
+const nextId = () => {
+  counter += 1;
+  return counter;
+};
+
+const createUser = async (overrides = {}) => {
+  const n = nextId();
+  return User.create({
+    name: `User ${n}`,
+    email: `user${n}@example.com`,
+    password: "password123",
+    role: "user",
+    ...overrides,
+  });
+};
+
+const createAdmin = (overrides = {}) => createUser({ role: "admin", ...overrides });
+
+const createDonor = async (user, overrides = {}) => {
+  const owner = user || (await createUser());
+  return Donor.create({
+    user: owner._id,
+    fullName: owner.name,
+    email: owner.email,
+    phone: "01700000000",
+    emergencyContactName: "Emergency Contact",
+    emergencyContactPhone: "01800000000",
+    bloodGroup: "O+",
+    address: { city: "Dhaka" },
+    ...overrides,
+  });
+};
+
+// Make a user a member of an institution ("staff" or "institution_admin").
+const addMember = (user, institution, role = "staff") =>
+  InstitutionMember.create({ user: user._id, institution: institution._id, role });
+
+// Authorization header value for a user, signed the same way as authRoutes.
+const authHeader = (user) => {
+  const token = jwt.sign({ id: user._id, email: user.email, role: user.role }, process.env.JWT_SECRET, {
+    expiresIn: "1h",
+  });
+  return `Bearer ${token}`;
+};
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+module.exports = { createUser, createAdmin, createDonor, addMember, authHeader, daysAgo };
@@ -0,0 +1,140 @@
+const request = require("supertest");
+const createApp = require("../app");
+const User = require("../models/User");
+const Donor = require("../models/Donor");
+const Donation = require("../models/Donation");
+const Institution = require("../models/Institution");
+const { useTestDatabase } = require("./helpers/db");
+const { createUser, createAdmin, createDonor, authHeader } = require("./helpers/factories");
+
+useTestDatabase();
+const app = createApp();
+
+const DONOR_HEADER = "fullName,email,phone,bloodGroup,emergencyContactName,emergencyContactPhone,city";
+
+const upload = (admin, path, csv) =>
+  request(app)
+    .post(`/api/admin/import/${path}`)
+    .set("Authorization", authHeader(admin))
+    .set("Content-Type", "text/csv")
+    .send(csv);
+
+describe("bulk import", () => {
+  it("previews donor rows with per-row errors and duplicates without writing", async () => {
+    const admin = await createAdmin();
+    await createDonor(null, { email: "existing@example.com", phone: "01711-000000" });
+
+    const csv = [
+      DONOR_HEADER,
+      "New Donor,new@example.com,01722000000,A+,Mom,01800000000,Dhaka",
+      "Bad Group,bad@example.com,01733000000,Z+,Mom,01800000000,Dhaka",
+      "Again,new@example.com,01744000000,B+,Mom,01800000000,Dhaka",
+      "Known,other@example.com,01711 000000,O+,Mom,01800000000,Dhaka",
+    ].join("\n");
+
+    const res = await upload(admin, "donors?dryRun=true", csv);
+    expect(res.status).toBe(200);
+    expect(res.body.data.rows.map((r) => [r.line, r.status])).toEqual([
+      [2, "ready"],
+      [3, "invalid"],
+      [4, "duplicate"],
+      [5, "duplicate"],
+    ]);
+    expect(res.body.data.summary).toEqual({ total: 4, ready: 1, invalid: 1, duplicate: 2 });
+    expect(await Donor.countDocuments()).toBe(1);
+
+    const blocked = await upload(admin, "donors", csv);
+    expect(blocked.status).toBe(400);
+  });
+
+  it("accepts CSV sent as JSON beyond the default JSON body limit", async () => {
+    const admin = await createAdmin();
+    const rows = [DONOR_HEADER];
+    for (let i = 0; i < 1500; i += 1) {
+      rows.push(`Donor ${i},donor${i}@example.com,0171${String(i).padStart(7, "0")},A+,Mom,01800000000,Dhaka`);
+    }
+    const csv = rows.join("\n");
+    expect(csv.length).toBeGreaterThan(100 * 1024);
+
+    const res = await request(app)
+      .post("/api/admin/import/donors?dryRun=true")
+      .set("Authorization", authHeader(admin))
+      .send({ csv });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.summary.total).toBe(1500);
+  });
+
+  it("creates donors, creating or linking user accounts", async () => {
+    const admin = await createAdmin();
+    const existingUser = await createUser({ email: "has-account@example.com" });
+
+    const csv = [
+      DONOR_HEADER,
+      '"Rahman, Abdur",abdur@example.com,01722000000,A+,Mom,01800000000,Dhaka',
+      "Has Account,has-account@example.com,01733000000,B-,Dad,01800000000,Sylhet",
+    ].join("\r\n");
+
+    const res = await upload(admin, "donors", csv);
+    expect(res.status).toBe(200);
+    expect(res.body.data.summary).toEqual({ total: 2, created: 2 });
+
+    const created = await Donor.findOne({ email: "abdur@example.com" });
+    expect(created.fullName).toBe("Rahman, Abdur");
+    const newUser = await User.findById(created.user);
+    expect(newUser.email).toBe("abdur@example.com");
+
+    const linked = await Donor.findOne({ email: "has-account@example.com" });
+    expect(linked.user.toString()).toBe(existingUser._id.toString());
+  });
+
+  it("imports donations and recomputes donor and institution totals", async () => {
+    const admin = await createAdmin();
+    const institution = await Institution.create({ name: "Partner Bank" });
+    const donor = await createDonor(null, { email: "history@example.com", phone: "01755000000" });
+
+    const csv = [
+      "donorEmail,donorPhone,donationDate,donationType,units,institution",
+      "history@example.com,,2025-01-10,whole_blood,1,partner bank",
+      ",01755-000000,2025-06-01,plasma,1,Partner Bank",
+      "history@example.com,,2025-06-01,plasma,1,",
+      "nobody@example.com,,2025-02-01,,1,",
+    ].join("\n");
+
+    const preview = await upload(admin, "donations?dryRun=true", csv);
+    expect(preview.body.data.rows.map((r) => r.status)).toEqual(["ready", "ready", "duplicate", "invalid"]);
+
+    const res = await upload(admin, "donations?skipErrors=true", csv);
+    expect(res.status).toBe(200);
+    expect(res.body.data.summary).toMatchObject({ created: 2, duplicate: 1, invalid: 1 });
+
+    const updated = await Donor.findById(donor._id);
+    expect(updated.totalDonations).toBe(2);
+    expect(updated.lastDonationDate.toISOString().slice(0, 10)).toBe("2025-06-01");
+    expect(updated.lastDonationType).toBe("plasma");
+    expect((await Institution.findById(institution._id)).totalDonations).toBe(2);
+    expect(await Donation.countDocuments({ donor: donor._id })).toBe(2);
+
+    const again = await upload(admin, "donations?dryRun=true", csv);
+    expect(again.body.data.summary.duplicate).toBe(3);
+  });
+
+  it("rejects donation rows whose units are not an integer between 1 and 100", async () => {
+    const admin = await createAdmin();
+    await createDonor(null, { email: "units@example.com" });
+
+    const csv = [
+      "donorEmail,donationDate,units",
+      "units@example.com,2025-01-10,0",
+      "units@example.com,2025-02-10,-2",
+      "units@example.com,2025-03-10,1.5",
+      "units@example.com,2025-04-10,1000000000",
+      "units@example.com,2025-05-10,2",
+    ].join("\n");
+
+    const preview = await upload(admin, "donations?dryRun=true", csv);
+    const rows = preview.body.data.rows;
+    expect(rows.map((r) => r.status)).toEqual(["invalid", "invalid", "invalid", "invalid", "ready"]);
+    expect(rows[0].errors).toContain("units must be an integer between 1 and 100.");
+  });
+});
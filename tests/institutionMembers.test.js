@@ -0,0 +1,115 @@
+const request = require("supertest");
+const createApp = require("../app");
+const Institution = require("../models/Institution");
+const InstitutionMember = require("../models/InstitutionMember");
+const Notification = require("../models/Notification");
+const { useTestDatabase } = require("./helpers/db");
+const { createUser, createAdmin, addMember, authHeader } = require("./helpers/factories");
+
+useTestDatabase();
+const app = createApp();
+
+describe("institution membership", () => {
+  it("lets platform admins add institution admins who then manage staff", async () => {
+    const admin = await createAdmin();
+    const manager = await createUser();
+    const nurse = await createUser();
+    const institution = await Institution.create({ name: "General Hospital" });
+
+    const added = await request(app)
+      .post(`/api/institutions/${institution._id}/members`)
+      .set("Authorization", authHeader(admin))
+      .send({ userId: manager._id, role: "institution_admin" });
+    expect(added.status).toBe(201);
+
+    const staff = await request(app)
+      .post(`/api/institutions/${institution._id}/members`)
+      .set("Authorization", authHeader(manager))
+      .send({ email: nurse.email });
+    expect(staff.status).toBe(201);
+    expect(staff.body.data.role).toBe("staff");
+
+    const list = await request(app)
+      .get(`/api/institutions/${institution._id}/members`)
+      .set("Authorization", authHeader(manager));
+    expect(list.body.data).toHaveLength(2);
+
+    const mine = await request(app).get("/api/institutions/mine").set("Authorization", authHeader(nurse));
+    expect(mine.body.data).toEqual([expect.objectContaining({ role: "staff" })]);
+  });
+
+  it("keeps staff out of member management and institution edits", async () => {
+    const nurse = await createUser();
+    const institution = await Institution.create({ name: "Staffed Clinic" });
+    await addMember(nurse, institution);
+
+    const members = await request(app)
+      .get(`/api/institutions/${institution._id}/members`)
+      .set("Authorization", authHeader(nurse));
+    expect(members.status).toBe(403);
+
+    const edit = await request(app)
+      .put(`/api/institutions/${institution._id}`)
+      .set("Authorization", authHeader(nurse))
+      .send({ phone: "01711111111" });
+    expect(edit.status).toBe(403);
+  });
+
+  it("lets institution admins edit only their own institution", async () => {
+    const manager = await createUser();
+    const own = await Institution.create({ name: "Own Hospital" });
+    const other = await Institution.create({ name: "Other Hospital" });
+    await addMember(manager, own, "institution_admin");
+
+    const ok = await request(app)
+      .put(`/api/institutions/${own._id}`)
+      .set("Authorization", authHeader(manager))
+      .send({ phone: "01711111111", totalDonations: 999 });
+    expect(ok.status).toBe(200);
+    expect(ok.body.data.phone).toBe("01711111111");
+    expect(ok.body.data.totalDonations).toBe(0);
+
+    const denied = await request(app)
+      .put(`/api/institutions/${other._id}`)
+      .set("Authorization", authHeader(manager))
+      .send({ phone: "01711111111" });
+    expect(denied.status).toBe(403);
+  });
+
+  it("protects the last institution admin", async () => {
+    const manager = await createUser();
+    const institution = await Institution.create({ name: "Solo Hospital" });
+    await addMember(manager, institution, "institution_admin");
+
+    const demote = await request(app)
+      .put(`/api/institutions/${institution._id}/members/${manager._id}`)
+      .set("Authorization", authHeader(manager))
+      .send({ role: "staff" });
+    expect(demote.status).toBe(400);
+
+    const remove = await request(app)
+      .delete(`/api/institutions/${institution._id}/members/${manager._id}`)
+      .set("Authorization", authHeader(manager));
+    expect(remove.status).toBe(400);
+    expect(await InstitutionMember.countDocuments({})).toBe(1);
+  });
+
+  it("gives staff access to their institution's inventory and low-stock alerts", async () => {
+    const nurse = await createUser();
+    const outsider = await createUser();
+    const institution = await Institution.create({ name: "Stocked Hospital" });
+    await addMember(nurse, institution);
+
+    const setThreshold = await request(app)
+      .put(`/api/institutions/${institution._id}/inventory/thresholds`)
+      .set("Authorization", authHeader(nurse))
+      .send({ thresholds: [{ bloodGroup: "O-", minUnits: 2 }] });
+    expect(setThreshold.status).toBe(200);
+    expect(await Notification.countDocuments({ user: nurse._id, type: "inventory_low" })).toBe(1);
+
+    const denied = await request(app)
+      .get(`/api/institutions/${institution._id}/inventory`)
+      .set("Authorization", authHeader(outsider));
+    expect(denied.status).toBe(403);
+  });
+});
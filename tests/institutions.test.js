@@ -0,0 +1,54 @@
+const request = require("supertest");
+const createApp = require("../app");
+const Institution = require("../models/Institution");
+const { useTestDatabase } = require("./helpers/db");
+const { createUser, createAdmin, authHeader } = require("./helpers/factories");
+
+useTestDatabase();
+const app = createApp();
+
+describe("institution routes", () => {
+  it("lets admins create institutions and rejects duplicates", async () => {
+    const admin = await createAdmin();
+    const body = { name: "Dhaka Medical", type: "hospital" };
+
+    const created = await request(app).post("/api/institutions").set("Authorization", authHeader(admin)).send(body);
+    expect(created.status).toBe(201);
+
+    const duplicate = await request(app).post("/api/institutions").set("Authorization", authHeader(admin)).send(body);
+    expect(duplicate.status).toBe(400);
+  });
+
+  it("blocks non-admins from creating institutions", async () => {
+    const user = await createUser();
+    const res = await request(app)
+      .post("/api/institutions")
+      .set("Authorization", authHeader(user))
+      .send({ name: "Nope" });
+    expect(res.status).toBe(403);
+  });
+
+  it("lists institutions by name and ranks them by donations", async () => {
+    const user = await createUser();
+    await Institution.create({ name: "Beta", totalDonations: 10 });
+    await Institution.create({ name: "Alpha", totalDonations: 2 });
+    await Institution.create({ name: "Gone", isDeleted: true });
+
+    const list = await request(app).get("/api/institutions").set("Authorization", authHeader(user));
+    expect(list.body.data.map((i) => i.name)).toEqual(["Alpha", "Beta"]);
+
+    const ranking = await request(app).get("/api/institutions/ranking").set("Authorization", authHeader(user));
+    expect(ranking.body.data.map((i) => i.name)).toEqual(["Beta", "Alpha"]);
+  });
+
+  it("soft deletes institutions", async () => {
+    const admin = await createAdmin();
+    const institution = await Institution.create({ name: "Temp" });
+
+    const res = await request(app)
+      .delete(`/api/institutions/${institution._id}`)
+      .set("Authorization", authHeader(admin));
+    expect(res.status).toBe(200);
+    expect((await Institution.findById(institution._id)).isDeleted).toBe(true);
+  });
+});
@@ -0,0 +1,126 @@
+const request = require("supertest");
+const createApp = require("../app");
+const Institution = require("../models/Institution");
+const InventoryUnit = require("../models/InventoryUnit");
+const StockMovement = require("../models/StockMovement");
+const Notification = require("../models/Notification");
+const { expireUnits } = require("../utils/inventory");
+const { useTestDatabase } = require("./helpers/db");
+const { createUser, createAdmin, createDonor, authHeader, daysAgo } = require("./helpers/factories");
+
+useTestDatabase();
+const app = createApp();
+
+const inventoryUrl = (institution, path = "") => `/api/institutions/${institution._id}/inventory${path}`;
+
+describe("inventory", () => {
+  it("stocks units from donations recorded at an institution", async () => {
+    const admin = await createAdmin();
+    const institution = await Institution.create({ name: "City Blood Bank", type: "hospital" });
+    const donor = await createDonor(null, { bloodGroup: "A-" });
+
+    await request(app)
+      .post("/api/donations")
+      .set("Authorization", authHeader(admin))
+      .send({ donorId: donor._id, institutionId: institution._id, units: 2 });
+
+    const res = await request(app).get(inventoryUrl(institution)).set("Authorization", authHeader(admin));
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual([
+      expect.objectContaining({ bloodGroup: "A-", component: "whole_blood", available: 2 }),
+    ]);
+
+    const movements = await StockMovement.find({ institution: institution._id });
+    expect(movements.map((m) => [m.type, m.quantity])).toEqual([["collected", 2]]);
+  });
+
+  it("issues units earliest expiry first and refuses to over-issue", async () => {
+    const admin = await createAdmin();
+    const institution = await Institution.create({ name: "Central Hospital" });
+
+    const soon = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000);
+    await request(app)
+      .post(inventoryUrl(institution, "/units"))
+      .set("Authorization", authHeader(admin))
+      .send({ bloodGroup: "O+", quantity: 2 });
+    await request(app)
+      .post(inventoryUrl(institution, "/units"))
+      .set("Authorization", authHeader(admin))
+      .send({ bloodGroup: "O+", quantity: 1, expiresAt: soon, bagNumber: "OLD-1" });
+
+    const issued = await request(app)
+      .post(inventoryUrl(institution, "/issue"))
+      .set("Authorization", authHeader(admin))
+      .send({ bloodGroup: "O+", quantity: 1 });
+    expect(issued.status).toBe(200);
+    expect(issued.body.data[0].bagNumber).toBe("OLD-1");
+
+    const tooMany = await request(app)
+      .post(inventoryUrl(institution, "/issue"))
+      .set("Authorization", authHeader(admin))
+      .send({ bloodGroup: "O+", quantity: 5 });
+    expect(tooMany.status).toBe(409);
+  });
+
+  it("alerts once when stock falls below the threshold", async () => {
+    const admin = await createAdmin();
+    const institution = await Institution.create({ name: "Low Stock Clinic" });
+
+    await request(app)
+      .post(inventoryUrl(institution, "/units"))
+      .set("Authorization", authHeader(admin))
+      .send({ bloodGroup: "B+", quantity: 3 });
+    const thresholds = await request(app)
+      .put(inventoryUrl(institution, "/thresholds"))
+      .set("Authorization", authHeader(admin))
+      .send({ thresholds: [{ bloodGroup: "B+", minUnits: 3 }] });
+    expect(thresholds.body.data[0]).toMatchObject({ available: 3, minUnits: 3, low: false });
+
+    for (let i = 0; i < 2; i += 1) {
+      await request(app)
+        .post(inventoryUrl(institution, "/issue"))
+        .set("Authorization", authHeader(admin))
+        .send({ bloodGroup: "B+", quantity: 1 });
+    }
+    expect(await Notification.countDocuments({ user: admin._id, type: "inventory_low" })).toBe(1);
+
+    // Restocking clears the shortage so the next one alerts again.
+    await request(app)
+      .post(inventoryUrl(institution, "/units"))
+      .set("Authorization", authHeader(admin))
+      .send({ bloodGroup: "B+", quantity: 5 });
+    expect((await Institution.findById(institution._id)).inventoryThresholds[0].lowSince).toBeUndefined();
+  });
+
+  it("discards units with a reason and expires old ones", async () => {
+    const admin = await createAdmin();
+    const institution = await Institution.create({ name: "Expiry Hospital" });
+
+    const added = await request(app)
+      .post(inventoryUrl(institution, "/units"))
+      .set("Authorization", authHeader(admin))
+      .send({ bloodGroup: "AB+", component: "platelets", quantity: 2, collectedAt: daysAgo(1) });
+
+    const discard = await request(app)
+      .post(inventoryUrl(institution, "/discard"))
+      .set("Authorization", authHeader(admin))
+      .send({ unitIds: [added.body.data[0]._id], reason: "Bag damaged" });
+    expect(discard.status).toBe(200);
+
+    const result = await expireUnits(new Date(Date.now() + 10 * 24 * 60 * 60 * 1000));
+    expect(result).toEqual({ expired: 1 });
+    expect(await InventoryUnit.countDocuments({ institution: institution._id, status: "available" })).toBe(0);
+
+    const movements = await request(app)
+      .get(inventoryUrl(institution, "/movements?sort=createdAt"))
+      .set("Authorization", authHeader(admin));
+    expect(movements.body.data.map((m) => m.type)).toEqual(["collected", "discarded", "expired"]);
+  });
+
+  it("is not available to regular users", async () => {
+    const user = await createUser();
+    const institution = await Institution.create({ name: "Private Bank" });
+    const res = await request(app).get(inventoryUrl(institution)).set("Authorization", authHeader(user));
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,136 @@
+const request = require("supertest");
+const createApp = require("../app");
+const BloodRequest = require("../models/BloodRequest");
+const Notification = require("../models/Notification");
+const JobLock = require("../models/JobLock");
+const JobRun = require("../models/JobRun");
+const { defineJob, runJob } = require("../utils/scheduler");
+const { expireOverdueRequests, warnExpiringRequests } = require("../jobs/requestExpiry");
+const { purgeReadNotifications } = require("../jobs/notificationCleanup");
+const { useTestDatabase } = require("./helpers/db");
+const { createUser, createAdmin, authHeader, daysAgo } = require("./helpers/factories");
+
+useTestDatabase();
+const app = createApp();
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const createRequest = (owner, requiredDate, overrides = {}) =>
+  BloodRequest.create({
+    user: owner._id,
+    bloodGroup: "B-",
+    city: "Rajshahi",
+    unitsNeeded: 1,
+    requiredDate,
+    contactPhone: "01900000000",
+    ...overrides,
+  });
+
+describe("scheduler", () => {
+  it("records successful and failed runs", async () => {
+    defineJob({ name: "test-ok", intervalMs: HOUR_MS, handler: async () => ({ done: 1 }) });
+    defineJob({
+      name: "test-fail",
+      intervalMs: HOUR_MS,
+      handler: async () => {
+        throw new Error("boom");
+      },
+    });
+
+    const ok = await runJob("test-ok");
+    expect(ok.status).toBe("succeeded");
+    expect(ok.result).toEqual({ done: 1 });
+
+    const failed = await runJob("test-fail");
+    expect(failed.status).toBe("failed");
+    expect(failed.error).toBe("boom");
+  });
+
+  it("skips a job that is locked by another instance or not yet due", async () => {
+    defineJob({ name: "test-locked", intervalMs: HOUR_MS, handler: async () => ({}) });
+    await JobLock.create({ name: "test-locked", lockedBy: "other", lockedUntil: new Date(Date.now() + HOUR_MS) });
+    expect(await runJob("test-locked")).toBeNull();
+
+    defineJob({ name: "test-due", intervalMs: HOUR_MS, handler: async () => ({}) });
+    expect(await runJob("test-due")).not.toBeNull();
+    // The shared schedule now says the next run is an hour away.
+    expect(await runJob("test-due")).toBeNull();
+    // Manual runs ignore the schedule.
+    expect(await runJob("test-due", { trigger: "manual" })).not.toBeNull();
+  });
+});
+
+describe("request expiry jobs", () => {
+  it("expires overdue open requests and notifies owners", async () => {
+    const owner = await createUser();
+    const overdue = await createRequest(owner, daysAgo(3));
+    const recent = await createRequest(owner, new Date(Date.now() - 2 * HOUR_MS));
+    const fulfilled = await createRequest(owner, daysAgo(3), { status: "fulfilled" });
+
+    const result = await expireOverdueRequests();
+
+    expect(result).toEqual({ expired: 1 });
+    expect((await BloodRequest.findById(overdue._id)).status).toBe("expired");
+    expect((await BloodRequest.findById(recent._id)).status).toBe("open");
+    expect((await BloodRequest.findById(fulfilled._id)).status).toBe("fulfilled");
+    expect(await Notification.countDocuments({ user: owner._id, type: "request_expired" })).toBe(1);
+  });
+
+  it("drops expired requests from the feed", async () => {
+    const owner = await createUser();
+    await createRequest(owner, daysAgo(3));
+    await expireOverdueRequests();
+
+    const res = await request(app).get("/api/requests/feed?city=Rajshahi").set("Authorization", authHeader(owner));
+    expect(res.body.data).toHaveLength(0);
+  });
+
+  it("warns owners once before expiry", async () => {
+    const owner = await createUser();
+    // Expires (requiredDate + 24h grace) in about 12 hours.
+    await createRequest(owner, new Date(Date.now() - 12 * HOUR_MS));
+    await createRequest(owner, new Date(Date.now() + 5 * 24 * HOUR_MS));
+
+    expect(await warnExpiringRequests()).toEqual({ warned: 1 });
+    expect(await warnExpiringRequests()).toEqual({ warned: 0 });
+  });
+});
+
+describe("notification cleanup job", () => {
+  it("deletes only old read notifications", async () => {
+    const user = await createUser();
+    await Notification.create({ user: user._id, type: "t", message: "old read", read: true, createdAt: daysAgo(40) });
+    await Notification.create({ user: user._id, type: "t", message: "old unread", createdAt: daysAgo(40) });
+    await Notification.create({ user: user._id, type: "t", message: "new read", read: true });
+
+    expect(await purgeReadNotifications()).toEqual({ deleted: 1 });
+    expect(await Notification.countDocuments({})).toBe(2);
+  });
+});
+
+describe("admin job endpoints", () => {
+  it("lists jobs, runs one on demand and shows the run history", async () => {
+    const admin = await createAdmin();
+
+    const jobs = await request(app).get("/api/admin/jobs").set("Authorization", authHeader(admin));
+    expect(jobs.body.data.map((j) => j.name)).toContain("expire-requests");
+
+    const run = await request(app)
+      .post("/api/admin/jobs/expire-requests/run")
+      .set("Authorization", authHeader(admin));
+    expect(run.status).toBe(200);
+    expect(run.body.data.trigger).toBe("manual");
+
+    const runs = await request(app)
+      .get("/api/admin/jobs/runs?job=expire-requests")
+      .set("Authorization", authHeader(admin));
+    expect(runs.body.data).toHaveLength(1);
+    expect(await JobRun.countDocuments({})).toBe(1);
+  });
+
+  it("is admin only", async () => {
+    const user = await createUser();
+    const res = await request(app).get("/api/admin/jobs/runs").set("Authorization", authHeader(user));
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,42 @@
+const request = require("supertest");
+const createApp = require("../app");
+const Notification = require("../models/Notification");
+const { useTestDatabase } = require("./helpers/db");
+const { createUser, authHeader } = require("./helpers/factories");
+
+useTestDatabase();
+const app = createApp();
+
+describe("notification routes", () => {
+  it("lists only the current user's notifications", async () => {
+    const user = await createUser();
+    const other = await createUser();
+    await Notification.create({ user: user._id, type: "test", message: "mine" });
+    await Notification.create({ user: other._id, type: "test", message: "theirs" });
+
+    const res = await request(app).get("/api/notifications").set("Authorization", authHeader(user));
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((n) => n.message)).toEqual(["mine"]);
+  });
+
+  it("marks as read and deletes only own notifications", async () => {
+    const user = await createUser();
+    const other = await createUser();
+    const notif = await Notification.create({ user: user._id, type: "test", message: "hello" });
+
+    const foreign = await request(app)
+      .post(`/api/notifications/${notif._id}/read`)
+      .set("Authorization", authHeader(other));
+    expect(foreign.status).toBe(404);
+
+    const read = await request(app)
+      .post(`/api/notifications/${notif._id}/read`)
+      .set("Authorization", authHeader(user));
+    expect(read.body.data.read).toBe(true);
+
+    const removed = await request(app)
+      .delete(`/api/notifications/${notif._id}`)
+      .set("Authorization", authHeader(user));
+    expect(removed.status).toBe(200);
+  });
+});
@@ -0,0 +1,36 @@
+const { parseListQuery, applyCursor } = require("../utils/pagination");
+
+const options = { sortable: ["createdAt", "name"], defaultSort: "-createdAt" };
+
+describe("pagination helpers", () => {
+  it("applies defaults", () => {
+    const q = parseListQuery({}, options);
+    expect(q).toMatchObject({ page: 1, limit: 20, skip: 0, sort: { createdAt: -1, _id: -1 } });
+  });
+
+  it("computes skip from page and limit", () => {
+    expect(parseListQuery({ page: "3", limit: "10" }, options).skip).toBe(20);
+  });
+
+  it("rejects sort fields outside the whitelist", () => {
+    expect(parseListQuery({ sort: "password" }, options).error).toMatch(/sort must be one of/);
+  });
+
+  it("rejects out-of-range limits and bad pages", () => {
+    expect(parseListQuery({ limit: "1000" }, options).error).toBeDefined();
+    expect(parseListQuery({ page: "0" }, options).error).toBeDefined();
+  });
+
+  it("rejects malformed cursors", () => {
+    expect(parseListQuery({ cursor: "nope" }, options).error).toBe("Invalid cursor.");
+  });
+
+  it("turns a cursor into a range filter after the last item", () => {
+    const cursor = Buffer.from(JSON.stringify({ v: "Bob", d: false, id: "abc" })).toString("base64url");
+    const q = parseListQuery({ sort: "name", cursor }, options);
+    expect(q.page).toBeNull();
+    expect(applyCursor({ isDeleted: false }, q)).toEqual({
+      $and: [{ isDeleted: false }, { $or: [{ name: { $gt: "Bob" } }, { name: "Bob", _id: { $gt: "abc" } }] }],
+    });
+  });
+});
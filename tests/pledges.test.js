@@ -0,0 +1,130 @@
+const request = require("supertest");
+const createApp = require("../app");
+const BloodRequest = require("../models/BloodRequest");
+const Notification = require("../models/Notification");
+const { useTestDatabase } = require("./helpers/db");
+const { createUser, createAdmin, createDonor, authHeader, daysAgo } = require("./helpers/factories");
+
+useTestDatabase();
+const app = createApp();
+
+const setup = async ({ unitsNeeded = 2 } = {}) => {
+  const owner = await createUser();
+  const donorUser = await createUser();
+  const donor = await createDonor(donorUser, { bloodGroup: "O-" });
+  const bloodRequest = await BloodRequest.create({
+    user: owner._id,
+    bloodGroup: "A+",
+    city: "Dhaka",
+    unitsNeeded,
+    requiredDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    contactPhone: "01900000000",
+  });
+  return { owner, donorUser, donor, bloodRequest };
+};
+
+const pledge = (bloodRequest, user, units = 1) =>
+  request(app)
+    .post(`/api/requests/${bloodRequest._id}/pledges`)
+    .set("Authorization", authHeader(user))
+    .send({ units });
+
+describe("pledges", () => {
+  it("lets a donor pledge and notifies the owner", async () => {
+    const { owner, donorUser, bloodRequest } = await setup();
+
+    const res = await pledge(bloodRequest, donorUser);
+    expect(res.status).toBe(201);
+    expect(res.body.data.status).toBe("pending");
+    expect(await Notification.countDocuments({ user: owner._id, type: "pledge_created" })).toBe(1);
+
+    const duplicate = await pledge(bloodRequest, donorUser);
+    expect(duplicate.status).toBe(400);
+  });
+
+  it("rejects pledges from the owner, ineligible donors and users without a profile", async () => {
+    const { owner, bloodRequest } = await setup();
+    await createDonor(owner);
+    expect((await pledge(bloodRequest, owner)).status).toBe(400);
+
+    const recent = await createUser();
+    await createDonor(recent, { lastDonationDate: daysAgo(10) });
+    expect((await pledge(bloodRequest, recent)).status).toBe(400);
+
+    const noProfile = await createUser();
+    expect((await pledge(bloodRequest, noProfile)).status).toBe(400);
+  });
+
+  it("only lets the request owner accept or decline", async () => {
+    const { owner, donorUser, bloodRequest } = await setup();
+    const created = await pledge(bloodRequest, donorUser);
+    const pledgeId = created.body.data._id;
+
+    const selfAccept = await request(app)
+      .post(`/api/pledges/${pledgeId}/accept`)
+      .set("Authorization", authHeader(donorUser));
+    expect(selfAccept.status).toBe(403);
+
+    const accepted = await request(app).post(`/api/pledges/${pledgeId}/accept`).set("Authorization", authHeader(owner));
+    expect(accepted.body.data.status).toBe("accepted");
+
+    const declined = await request(app).post(`/api/pledges/${pledgeId}/decline`).set("Authorization", authHeader(owner));
+    expect(declined.body.data.status).toBe("declined");
+  });
+
+  it("lets the donor cancel their own pledge", async () => {
+    const { donorUser, bloodRequest } = await setup();
+    const created = await pledge(bloodRequest, donorUser);
+
+    const res = await request(app)
+      .post(`/api/pledges/${created.body.data._id}/cancel`)
+      .set("Authorization", authHeader(donorUser));
+    expect(res.body.data.status).toBe("cancelled");
+
+    const mine = await request(app).get("/api/pledges/me").set("Authorization", authHeader(donorUser));
+    expect(mine.body.data).toHaveLength(1);
+  });
+
+  it("rolls donated units up and fulfils the request when enough blood is in", async () => {
+    const { owner, donorUser, donor, bloodRequest } = await setup({ unitsNeeded: 2 });
+    const admin = await createAdmin();
+
+    const created = await pledge(bloodRequest, donorUser, 1);
+    const pledgeId = created.body.data._id;
+
+    // Pledges must be accepted before they can be fulfilled.
+    const early = await request(app)
+      .post("/api/donations")
+      .set("Authorization", authHeader(admin))
+      .send({ donorId: donor._id, pledgeId });
+    expect(early.status).toBe(400);
+
+    await request(app).post(`/api/pledges/${pledgeId}/accept`).set("Authorization", authHeader(owner));
+    const donation = await request(app)
+      .post("/api/donations")
+      .set("Authorization", authHeader(admin))
+      .send({ donorId: donor._id, pledgeId });
+    expect(donation.status).toBe(201);
+    expect(donation.body.data.request).toBe(bloodRequest._id.toString());
+
+    let updated = await BloodRequest.findById(bloodRequest._id);
+    expect(updated.unitsFulfilled).toBe(1);
+    expect(updated.status).toBe("open");
+
+    const walkIn = await createDonor(null, { bloodGroup: "A+" });
+    await request(app)
+      .post("/api/donations")
+      .set("Authorization", authHeader(admin))
+      .send({ donorId: walkIn._id, requestId: bloodRequest._id });
+
+    updated = await BloodRequest.findById(bloodRequest._id);
+    expect(updated.unitsFulfilled).toBe(2);
+    expect(updated.status).toBe("fulfilled");
+    expect(await Notification.countDocuments({ user: owner._id, type: "request_fulfilled" })).toBe(1);
+
+    const pledges = await request(app)
+      .get(`/api/requests/${bloodRequest._id}/pledges`)
+      .set("Authorization", authHeader(owner));
+    expect(pledges.body.data[0].status).toBe("fulfilled");
+  });
+});
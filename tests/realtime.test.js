@@ -0,0 +1,134 @@
+const http = require("http");
+const request = require("supertest");
+const createApp = require("../app");
+const realtime = require("../utils/realtime");
+const Notification = require("../models/Notification");
+const BloodRequest = require("../models/BloodRequest");
+const { useTestDatabase } = require("./helpers/db");
+const { createUser, authHeader } = require("./helpers/factories");
+
+useTestDatabase();
+const app = createApp();
+
+// Minimal stand-in for an SSE response stream.
+const fakeStream = () => {
+  const chunks = [];
+  return { chunks, write: (chunk) => chunks.push(chunk) };
+};
+
+const eventsOf = (stream) =>
+  stream.chunks.map((chunk) => {
+    const [eventLine, dataLine] = chunk.split("\n");
+    return { event: eventLine.replace("event: ", ""), data: JSON.parse(dataLine.replace("data: ", "")) };
+  });
+
+const openChat = async () => {
+  const owner = await createUser();
+  const helper = await createUser();
+  const bloodRequest = await BloodRequest.create({
+    user: owner._id,
+    bloodGroup: "B+",
+    city: "Dhaka",
+    unitsNeeded: 1,
+    requiredDate: new Date(),
+    contactPhone: "01900000000",
+  });
+  const res = await request(app)
+    .post(`/api/requests/${bloodRequest._id}/contact`)
+    .set("Authorization", authHeader(helper))
+    .send({ message: "On my way" });
+  return { owner, helper, chatId: res.body.data.chatId };
+};
+
+describe("realtime hub", () => {
+  it("delivers events only to the target user's streams", () => {
+    const mine = fakeStream();
+    const theirs = fakeStream();
+    realtime.addClient("u1", mine);
+    realtime.addClient("u2", theirs);
+
+    expect(realtime.publishToUser("u1", "ping", { ok: true })).toBe(1);
+    expect(eventsOf(mine)).toEqual([{ event: "ping", data: { ok: true } }]);
+    expect(theirs.chunks).toHaveLength(0);
+
+    realtime.removeClient("u1", mine);
+    realtime.removeClient("u2", theirs);
+    expect(realtime.connectedCount("u1")).toBe(0);
+  });
+});
+
+describe("realtime delivery", () => {
+  it("pushes new notifications to the recipient", async () => {
+    const user = await createUser();
+    const stream = fakeStream();
+    realtime.addClient(user._id, stream);
+
+    await Notification.create({ user: user._id, type: "test", message: "live" });
+
+    realtime.removeClient(user._id, stream);
+    expect(eventsOf(stream).map((e) => e.event)).toEqual(["notification"]);
+  });
+
+  it("pushes chat messages, typing and read receipts to participants", async () => {
+    const { owner, helper, chatId } = await openChat();
+    const ownerStream = fakeStream();
+    realtime.addClient(owner._id, ownerStream);
+
+    await request(app)
+      .post(`/api/chats/${chatId}/typing`)
+      .set("Authorization", authHeader(helper))
+      .send({ isTyping: true });
+    await request(app)
+      .post(`/api/chats/${chatId}/messages`)
+      .set("Authorization", authHeader(helper))
+      .send({ message: "Almost there" });
+
+    const helperStream = fakeStream();
+    realtime.addClient(helper._id, helperStream);
+    const read = await request(app).post(`/api/chats/${chatId}/read`).set("Authorization", authHeader(owner));
+    expect(read.body.data.updated).toBe(2);
+
+    realtime.removeClient(owner._id, ownerStream);
+    realtime.removeClient(helper._id, helperStream);
+
+    const ownerEvents = eventsOf(ownerStream).map((e) => e.event);
+    expect(ownerEvents).toEqual(expect.arrayContaining(["chat_typing", "chat_message", "notification"]));
+    expect(eventsOf(helperStream).map((e) => e.event)).toContain("chat_read");
+  });
+
+  it("does not let outsiders send typing events", async () => {
+    const { chatId } = await openChat();
+    const stranger = await createUser();
+
+    const res = await request(app).post(`/api/chats/${chatId}/typing`).set("Authorization", authHeader(stranger));
+    expect(res.status).toBe(403);
+  });
+});
+
+describe("GET /api/stream", () => {
+  it("opens an event stream authenticated by a query token", async () => {
+    const user = await createUser();
+    const token = authHeader(user).replace("Bearer ", "");
+    const server = app.listen(0);
+    const { port } = server.address();
+
+    const firstChunk = await new Promise((resolve, reject) => {
+      const req = http.get(`http://127.0.0.1:${port}/api/stream?token=${token}`, (res) => {
+        expect(res.headers["content-type"]).toMatch(/text\/event-stream/);
+        res.once("data", (chunk) => {
+          req.destroy();
+          resolve(chunk.toString());
+        });
+      });
+      req.on("error", reject);
+    });
+
+    server.close();
+    expect(firstChunk).toContain("event: ready");
+  });
+
+  it("rejects unauthenticated streams", async () => {
+    const res = await request(app).get("/api/stream");
+    expect(res.status).toBe(401);
+  });
+});
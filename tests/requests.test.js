@@ -0,0 +1,92 @@
+const request = require("supertest");
+const createApp = require("../app");
+const BloodRequest = require("../models/BloodRequest");
+const { useTestDatabase } = require("./helpers/db");
+const { createUser, createAdmin, createDonor, authHeader, daysAgo } = require("./helpers/factories");
+
+useTestDatabase();
+const app = createApp();
+
+const requestBody = (overrides = {}) => ({
+  bloodGroup: "AB+",
+  city: "Dhaka",
+  unitsNeeded: 2,
+  requiredDate: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString(),
+  contactPhone: "01900000000",
+  ...overrides,
+});
+
+describe("blood request routes", () => {
+  it("validates required fields", async () => {
+    const user = await createUser();
+    const res = await request(app)
+      .post("/api/requests")
+      .set("Authorization", authHeader(user))
+      .send({ bloodGroup: "A+" });
+
+    expect(res.status).toBe(400);
+  });
+
+  it("returns compatible eligible donors with exact matches first", async () => {
+    const requester = await createUser();
+    await createDonor(null, { fullName: "O Neg", bloodGroup: "O-" });
+    await createDonor(null, { fullName: "AB Pos", bloodGroup: "AB+" });
+    await createDonor(null, { fullName: "Recent", bloodGroup: "AB+", lastDonationDate: daysAgo(10) });
+    await createDonor(null, { fullName: "Other City", bloodGroup: "AB+", address: { city: "Sylhet" } });
+
+    const res = await request(app)
+      .post("/api/requests")
+      .set("Authorization", authHeader(requester))
+      .send(requestBody());
+
+    expect(res.status).toBe(201);
+    const matches = res.body.data.matches;
+    expect(matches.map((m) => m.fullName)).toEqual(["AB Pos", "O Neg"]);
+    expect(matches.map((m) => m.matchType)).toEqual(["exact", "compatible"]);
+  });
+
+  it("does not offer incompatible donors", async () => {
+    const requester = await createUser();
+    await createDonor(null, { bloodGroup: "A+" });
+
+    const res = await request(app)
+      .post("/api/requests")
+      .set("Authorization", authHeader(requester))
+      .send(requestBody({ bloodGroup: "O-" }));
+
+    expect(res.body.data.matches).toHaveLength(0);
+  });
+
+  it("only lets the owner or an admin view matches", async () => {
+    const owner = await createUser();
+    const bloodRequest = await BloodRequest.create({ user: owner._id, ...requestBody() });
+    const stranger = await createUser();
+    const admin = await createAdmin();
+
+    const denied = await request(app)
+      .get(`/api/requests/${bloodRequest._id}/matches`)
+      .set("Authorization", authHeader(stranger));
+    expect(denied.status).toBe(403);
+
+    const allowed = await request(app)
+      .get(`/api/requests/${bloodRequest._id}/matches`)
+      .set("Authorization", authHeader(admin));
+    expect(allowed.status).toBe(200);
+  });
+
+  it("shows open requests in the feed for the viewer's city", async () => {
+    const owner = await createUser();
+    await BloodRequest.create({ user: owner._id, ...requestBody({ city: "Dhaka" }) });
+    await BloodRequest.create({ user: owner._id, ...requestBody({ city: "Khulna" }) });
+    await BloodRequest.create({ user: owner._id, ...requestBody({ city: "Dhaka" }), status: "fulfilled" });
+
+    const viewer = await createUser();
+    await createDonor(viewer, { address: { city: "Dhaka" } });
+
+    const res = await request(app).get("/api/requests/feed").set("Authorization", authHeader(viewer));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.meta).toMatchObject({ city: "Dhaka", total: 1 });
+  });
+});
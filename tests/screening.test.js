@@ -0,0 +1,61 @@
+const { validateAnswers, evaluateScreening } = require("../utils/screening");
+const { daysAgo } = require("./helpers/factories");
+
+const clearAnswers = {
+  recentIllness: false,
+  takingMedication: false,
+  recentTattooOrPiercing: false,
+  recentTravel: false,
+};
+
+describe("validateAnswers", () => {
+  it("requires a yes/no answer to every question", () => {
+    expect(validateAnswers({ ...clearAnswers, recentTravel: "no" }).error).toMatch(/recentTravel/);
+    expect(validateAnswers({}).error).toBeDefined();
+  });
+
+  it("rejects answers that are not an object", () => {
+    for (const raw of [null, "yes", [true]]) {
+      expect(validateAnswers(raw).error).toMatch(/answers must be an object/);
+    }
+  });
+
+  it("rejects invalid or future dates", () => {
+    expect(validateAnswers({ ...clearAnswers, travelReturnDate: "soon" }).error).toMatch(/travelReturnDate/);
+    const future = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    expect(validateAnswers({ ...clearAnswers, tattooOrPiercingDate: future }).error).toMatch(/future/);
+  });
+
+  it("accepts a clear questionnaire", () => {
+    expect(validateAnswers(clearAnswers).answers).toMatchObject(clearAnswers);
+  });
+});
+
+describe("evaluateScreening", () => {
+  const now = new Date();
+
+  it("returns no deferrals for clear answers", () => {
+    expect(evaluateScreening(clearAnswers, now)).toEqual([]);
+  });
+
+  it("defers from today for illness and medication", () => {
+    const deferrals = evaluateScreening({ ...clearAnswers, recentIllness: true, takingMedication: true }, now);
+    expect(deferrals.map((d) => d.reasonCode)).toEqual(["recent_illness", "medication"]);
+    expect(Math.round((deferrals[0].until - now) / 86400000)).toBe(14);
+  });
+
+  it("counts tattoo and travel deferrals from the given date", () => {
+    const { answers } = validateAnswers(
+      { ...clearAnswers, recentTattooOrPiercing: true, tattooOrPiercingDate: daysAgo(100).toISOString() },
+      now
+    );
+    const [tattoo] = evaluateScreening(answers, now);
+    expect(tattoo.reasonCode).toBe("tattoo_piercing");
+    expect(Math.round((tattoo.until - now) / 86400000)).toBe(80);
+  });
+
+  it("skips deferrals that have already run out", () => {
+    const answers = { ...clearAnswers, recentTravel: true, travelReturnDate: daysAgo(400) };
+    expect(evaluateScreening(answers, now)).toEqual([]);
+  });
+});
@@ -0,0 +1,110 @@
+const jwt = require("jsonwebtoken");
+const request = require("supertest");
+const createApp = require("../app");
+const RefreshToken = require("../models/RefreshToken");
+const { useTestDatabase } = require("./helpers/db");
+const { createUser } = require("./helpers/factories");
+const { setTransport, createMemoryTransport } = require("../utils/mailer");
+
+useTestDatabase();
+const app = createApp();
+
+beforeEach(() => setTransport(createMemoryTransport()));
+
+const login = async (email, password = "password123") => {
+  const res = await request(app).post("/api/auth/login").send({ email, password });
+  return res.body.data;
+};
+
+// An access token that was issued a minute ago (iat has second precision).
+const oldAccessToken = (user) =>
+  jwt.sign(
+    { id: user._id, email: user.email, role: user.role, iat: Math.floor(Date.now() / 1000) - 60 },
+    process.env.JWT_SECRET
+  );
+
+describe("refresh tokens", () => {
+  it("returns a refresh token on login and rotates it on refresh", async () => {
+    await createUser({ email: "rotate@example.com" });
+    const session = await login("rotate@example.com");
+    expect(session.refreshToken).toEqual(expect.any(String));
+
+    const refreshed = await request(app).post("/api/auth/refresh").send({ refreshToken: session.refreshToken });
+    expect(refreshed.status).toBe(200);
+    expect(refreshed.body.data.refreshToken).not.toBe(session.refreshToken);
+
+    const me = await request(app).get("/api/auth/me").set("Authorization", `Bearer ${refreshed.body.data.token}`);
+    expect(me.status).toBe(200);
+  });
+
+  it("revokes the whole chain when a rotated token is reused", async () => {
+    await createUser({ email: "reuse@example.com" });
+    const session = await login("reuse@example.com");
+
+    const first = await request(app).post("/api/auth/refresh").send({ refreshToken: session.refreshToken });
+    const replay = await request(app).post("/api/auth/refresh").send({ refreshToken: session.refreshToken });
+    expect(replay.status).toBe(401);
+
+    const afterReplay = await request(app)
+      .post("/api/auth/refresh")
+      .send({ refreshToken: first.body.data.refreshToken });
+    expect(afterReplay.status).toBe(401);
+  });
+
+  it("rejects unknown refresh tokens", async () => {
+    const res = await request(app).post("/api/auth/refresh").send({ refreshToken: "made-up" });
+    expect(res.status).toBe(401);
+  });
+
+  it("stores only hashed refresh tokens", async () => {
+    await createUser({ email: "hash@example.com" });
+    const session = await login("hash@example.com");
+    const stored = await RefreshToken.findOne({});
+    expect(stored.tokenHash).not.toBe(session.refreshToken);
+  });
+});
+
+describe("logout", () => {
+  it("revokes the device's refresh token", async () => {
+    await createUser({ email: "bye@example.com" });
+    const session = await login("bye@example.com");
+
+    const out = await request(app).post("/api/auth/logout").send({ refreshToken: session.refreshToken });
+    expect(out.status).toBe(200);
+
+    const res = await request(app).post("/api/auth/refresh").send({ refreshToken: session.refreshToken });
+    expect(res.status).toBe(401);
+  });
+
+  it("logout-all revokes every device and earlier access tokens", async () => {
+    const user = await createUser({ email: "everywhere@example.com" });
+    const phone = await login("everywhere@example.com");
+    const laptop = await login("everywhere@example.com");
+    const staleToken = oldAccessToken(user);
+
+    const out = await request(app).post("/api/auth/logout-all").set("Authorization", `Bearer ${laptop.token}`);
+    expect(out.status).toBe(200);
+
+    const refresh = await request(app).post("/api/auth/refresh").send({ refreshToken: phone.refreshToken });
+    expect(refresh.status).toBe(401);
+
+    const me = await request(app).get("/api/auth/me").set("Authorization", `Bearer ${staleToken}`);
+    expect(me.status).toBe(401);
+  });
+
+  it("rejects access tokens issued before a password reset", async () => {
+    const AuthToken = require("../models/AuthToken");
+    const user = await createUser({ email: "changed@example.com" });
+    const staleToken = oldAccessToken(user);
+
+    const resetToken = await AuthToken.issue(user._id, "password_reset", 60 * 1000);
+    await request(app).post("/api/auth/reset-password").send({ token: resetToken, password: "brand-new-pass" });
+
+    const me = await request(app).get("/api/auth/me").set("Authorization", `Bearer ${staleToken}`);
+    expect(me.status).toBe(401);
+
+    const fresh = await login("changed@example.com", "brand-new-pass");
+    const ok = await request(app).get("/api/auth/me").set("Authorization", `Bearer ${fresh.token}`);
+    expect(ok.status).toBe(200);
+  });
+});
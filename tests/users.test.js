@@ -0,0 +1,86 @@
+const request = require("supertest");
+const createApp = require("../app");
+const { useTestDatabase } = require("./helpers/db");
+const { createUser, createAdmin, authHeader } = require("./helpers/factories");
+
+useTestDatabase();
+const app = createApp();
+
+describe("admin user management", () => {
+  it("is admin only", async () => {
+    const user = await createUser();
+    const res = await request(app).get("/api/users").set("Authorization", authHeader(user));
+    expect(res.status).toBe(403);
+  });
+
+  it("lists users without password hashes", async () => {
+    const admin = await createAdmin();
+    await createUser();
+
+    const res = await request(app).get("/api/users").set("Authorization", authHeader(admin));
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(2);
+    expect(res.body.data[0].password).toBeUndefined();
+    expect(res.body.meta.total).toBe(2);
+  });
+
+  it("prevents an admin from demoting, deactivating or deleting themselves", async () => {
+    const admin = await createAdmin();
+    const header = authHeader(admin);
+
+    const demote = await request(app).put(`/api/users/${admin._id}/role`).set("Authorization", header).send({ role: "user" });
+    expect(demote.status).toBe(400);
+
+    const deactivate = await request(app)
+      .put(`/api/users/${admin._id}/status`)
+      .set("Authorization", header)
+      .send({ isActive: false });
+    expect(deactivate.status).toBe(400);
+
+    const remove = await request(app).delete(`/api/users/${admin._id}`).set("Authorization", header);
+    expect(remove.status).toBe(400);
+  });
+
+  it("lets an admin demote or deactivate another admin while an active admin remains", async () => {
+    const admin = await createAdmin();
+    const other = await createAdmin();
+    const third = await createAdmin();
+
+    const demote = await request(app)
+      .put(`/api/users/${other._id}/role`)
+      .set("Authorization", authHeader(admin))
+      .send({ role: "user" });
+    expect(demote.status).toBe(200);
+    expect(demote.body.data.role).toBe("user");
+
+    const deactivate = await request(app)
+      .put(`/api/users/${third._id}/status`)
+      .set("Authorization", authHeader(admin))
+      .send({ isActive: false });
+    expect(deactivate.status).toBe(200);
+    expect(deactivate.body.data.isActive).toBe(false);
+
+    // The acting admin is now the last active admin and still cannot remove themselves.
+    const self = await request(app).delete(`/api/users/${admin._id}`).set("Authorization", authHeader(admin));
+    expect(self.status).toBe(400);
+  });
+
+  it("locks a deactivated admin out immediately", async () => {
+    const admin = await createAdmin();
+    const other = await createAdmin();
+    await request(app).delete(`/api/users/${other._id}`).set("Authorization", authHeader(admin));
+
+    const res = await request(app).get("/api/users").set("Authorization", authHeader(other));
+    expect(res.status).toBe(403);
+  });
+
+  it("validates roles", async () => {
+    const admin = await createAdmin();
+    const user = await createUser();
+    const res = await request(app)
+      .put(`/api/users/${user._id}/role`)
+      .set("Authorization", authHeader(admin))
+      .send({ role: "superuser" });
+    expect(res.status).toBe(400);
+  });
+});
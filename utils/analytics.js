@@ -0,0 +1,264 @@
+// Aggregation pipelines behind the admin analytics endpoints.
+// Every report takes a { from, to } range; time series also take a granularity.
+const Donation = require("../models/Donation");
+const BloodRequest = require("../models/BloodRequest");
+const Donor = require("../models/Donor");
+const { DONATION_TYPES, findIntervalDays } = require("./eligibility");
+const { countedDonations } = require("./donationStats");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const GRANULARITIES = ["day", "week", "month", "year"];
+const DEFAULT_RANGE_DAYS = 365;
+// Donors who gave within this many days count as active.
+const DEFAULT_ACTIVE_DAYS = 365;
+
+// Parse from/to/granularity query params. Returns { from, to, granularity } or { error }.
+const parseRangeQuery = (query, { defaultGranularity = "month" } = {}) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  if (isNaN(from) || isNaN(to)) {
+    return { error: "Invalid from/to date format." };
+  }
+  if (from > to) {
+    return { error: "from must be before to." };
+  }
+
+  const granularity = query.granularity || defaultGranularity;
+  if (!GRANULARITIES.includes(granularity)) {
+    return { error: `granularity must be one of: ${GRANULARITIES.join(", ")}.` };
+  }
+  return { from, to, granularity };
+};
+
+// Case/whitespace-insensitive grouping key for free-text city fields.
+const cityKey = (path) => ({ $toLower: { $trim: { input: { $ifNull: [path, ""] } } } });
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const round = (value, places = 2) => (value === null ? null : Math.round(value * 10 ** places) / 10 ** places);
+
+// Donations and units per period, split by donor blood group, donor city or institution.
+const donationsOverTime = async ({ from, to, granularity, groupBy = "bloodGroup" }) => {
+  const pipeline = [{ $match: countedDonations({ donationDate: { $gte: from, $lte: to } }) }];
+
+  let key;
+  if (groupBy === "institution") {
+    pipeline.push(
+      { $lookup: { from: "institutions", localField: "institution", foreignField: "_id", as: "inst" } },
+      { $unwind: { path: "$inst", preserveNullAndEmptyArrays: true } }
+    );
+    key = { $ifNull: ["$inst.name", "(none)"] };
+  } else {
+    pipeline.push(
+      { $lookup: { from: "donors", localField: "donor", foreignField: "_id", as: "donorDoc" } },
+      { $unwind: "$donorDoc" }
+    );
+    key = groupBy === "city" ? cityKey("$donorDoc.address.city") : "$donorDoc.bloodGroup";
+  }
+
+  pipeline.push(
+    {
+      $group: {
+        _id: { period: { $dateTrunc: { date: "$donationDate", unit: granularity } }, key },
+        donations: { $sum: 1 },
+        units: { $sum: { $ifNull: ["$units", 1] } },
+      },
+    },
+    { $sort: { "_id.period": 1, "_id.key": 1 } }
+  );
+
+  const rows = await Donation.aggregate(pipeline);
+  return rows.map((r) => ({ period: r._id.period, [groupBy]: r._id.key || "(unknown)", donations: r.donations, units: r.units }));
+};
+
+// Fulfilment of requests created in the range: status counts, fulfilment rate among closed
+// requests, and median hours from creation to fulfilment. Optionally split by city or blood group.
+const requestFulfilment = async ({ from, to, groupBy = null }) => {
+  const key = groupBy === "city" ? cityKey("$city") : groupBy === "bloodGroup" ? "$bloodGroup" : null;
+  const rows = await BloodRequest.aggregate([
+    { $match: { isDeleted: false, createdAt: { $gte: from, $lte: to } } },
+    {
+      $group: {
+        _id: key,
+        total: { $sum: 1 },
+        open: { $sum: { $cond: [{ $eq: ["$status", "open"] }, 1, 0] } },
+        fulfilled: { $sum: { $cond: [{ $eq: ["$status", "fulfilled"] }, 1, 0] } },
+        cancelled: { $sum: { $cond: [{ $eq: ["$status", "cancelled"] }, 1, 0] } },
+        expired: { $sum: { $cond: [{ $eq: ["$status", "expired"] }, 1, 0] } },
+        unitsNeeded: { $sum: "$unitsNeeded" },
+        unitsFulfilled: { $sum: "$unitsFulfilled" },
+        hoursToFulfil: {
+          $push: {
+            $cond: [
+              { $and: [{ $eq: ["$status", "fulfilled"] }, { $gt: ["$fulfilledAt", null] }] },
+              { $divide: [{ $subtract: ["$fulfilledAt", "$createdAt"] }, HOUR_MS] },
+              "$$REMOVE",
+            ],
+          },
+        },
+      },
+    },
+    { $sort: { total: -1, _id: 1 } },
+  ]);
+
+  return rows.map(({ _id, hoursToFulfil, ...counts }) => {
+    const closed = counts.fulfilled + counts.cancelled + counts.expired;
+    const row = {
+      ...counts,
+      fulfilmentRate: closed ? round(counts.fulfilled / closed) : null,
+      medianHoursToFulfil: round(median(hoursToFulfil), 1),
+    };
+    return groupBy ? { [groupBy]: _id || "(unknown)", ...row } : row;
+  });
+};
+
+// $expr that is true when a donor passes the rules on `now`. Mirrors evaluateEligibility
+// for the default whole blood donation so the counts can be computed in the database.
+const eligibleExpression = (rules, now = new Date()) => {
+  const yearsBefore = (years) => {
+    const date = new Date(now);
+    date.setFullYear(date.getFullYear() - years);
+    return date;
+  };
+
+  // Latest allowed last donation date per (previous type, sex).
+  const intervalBranches = [];
+  for (const previousType of DONATION_TYPES) {
+    for (const sex of ["male", "female", "other"]) {
+      const minDays = findIntervalDays(rules, previousType, "whole_blood", sex);
+      intervalBranches.push({
+        case: {
+          $and: [
+            { $eq: [{ $ifNull: ["$lastDonationType", "whole_blood"] }, previousType] },
+            { $eq: [{ $ifNull: ["$gender", "other"] }, sex] },
+          ],
+        },
+        then: { $lte: ["$lastDonationDate", new Date(now.getTime() - minDays * DAY_MS)] },
+      });
+    }
+  }
+
+  return {
+    $and: [
+      { $eq: ["$willingToDonate", true] },
+      { $not: [{ $gt: ["$deferralUntil", now] }] },
+      {
+        $or: [
+          { $eq: [{ $ifNull: ["$dateOfBirth", null] }, null] },
+          {
+            $and: [
+              { $lte: ["$dateOfBirth", yearsBefore(rules.minAgeYears)] },
+              { $gt: ["$dateOfBirth", yearsBefore(rules.maxAgeYears + 1)] },
+            ],
+          },
+        ],
+      },
+      {
+        $or: [
+          { $eq: [{ $ifNull: ["$weightKg", null] }, null] },
+          { $gte: ["$weightKg", rules.minWeightKg] },
+        ],
+      },
+      {
+        $or: [
+          { $eq: [{ $ifNull: ["$lastDonationDate", null] }, null] },
+          { $switch: { branches: intervalBranches, default: false } },
+        ],
+      },
+    ],
+  };
+};
+
+// Registered, active (donated within activeDays) and currently eligible donors by blood group or city.
+const donorAvailability = async ({ rules, groupBy = "bloodGroup", activeDays = DEFAULT_ACTIVE_DAYS, now = new Date() }) => {
+  const activeSince = new Date(now.getTime() - activeDays * DAY_MS);
+  const key = groupBy === "city" ? cityKey("$address.city") : "$bloodGroup";
+
+  const rows = await Donor.aggregate([
+    { $match: { isDeleted: false } },
+    {
+      $group: {
+        _id: key,
+        total: { $sum: 1 },
+        active: { $sum: { $cond: [{ $gte: ["$lastDonationDate", activeSince] }, 1, 0] } },
+        eligible: { $sum: { $cond: [eligibleExpression(rules, now), 1, 0] } },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  return rows.map((r) => ({ [groupBy]: r._id || "(unknown)", total: r.total, active: r.active, eligible: r.eligible }));
+};
+
+// Per city: units requested vs. units donated by local donors in the range, and eligible donors today.
+// gap > 0 means demand outstripped local supply.
+const supplyDemandByCity = async ({ from, to, rules, bloodGroup = null, now = new Date() }) => {
+  const requestMatch = { isDeleted: false, status: { $ne: "cancelled" }, createdAt: { $gte: from, $lte: to } };
+  const donorMatch = { isDeleted: false };
+  if (bloodGroup) {
+    requestMatch.bloodGroup = bloodGroup;
+    donorMatch.bloodGroup = bloodGroup;
+  }
+
+  const [demand, supply, donors] = await Promise.all([
+    BloodRequest.aggregate([
+      { $match: requestMatch },
+      {
+        $group: {
+          _id: cityKey("$city"),
+          requests: { $sum: 1 },
+          unitsRequested: { $sum: "$unitsNeeded" },
+          unitsFulfilled: { $sum: "$unitsFulfilled" },
+        },
+      },
+    ]),
+    Donation.aggregate([
+      { $match: countedDonations({ donationDate: { $gte: from, $lte: to } }) },
+      { $lookup: { from: "donors", localField: "donor", foreignField: "_id", as: "donorDoc" } },
+      { $unwind: "$donorDoc" },
+      ...(bloodGroup ? [{ $match: { "donorDoc.bloodGroup": bloodGroup } }] : []),
+      { $group: { _id: cityKey("$donorDoc.address.city"), unitsDonated: { $sum: { $ifNull: ["$units", 1] } } } },
+    ]),
+    Donor.aggregate([
+      { $match: donorMatch },
+      {
+        $group: {
+          _id: cityKey("$address.city"),
+          eligibleDonors: { $sum: { $cond: [eligibleExpression(rules, now), 1, 0] } },
+        },
+      },
+    ]),
+  ]);
+
+  const byCity = new Map();
+  const entry = (city) => {
+    if (!byCity.has(city)) {
+      byCity.set(city, { city, requests: 0, unitsRequested: 0, unitsFulfilled: 0, unitsDonated: 0, eligibleDonors: 0 });
+    }
+    return byCity.get(city);
+  };
+  for (const { _id, ...row } of demand) Object.assign(entry(_id), row);
+  for (const { _id, unitsDonated } of supply) entry(_id).unitsDonated = unitsDonated;
+  for (const { _id, eligibleDonors } of donors) entry(_id).eligibleDonors = eligibleDonors;
+
+  return [...byCity.values()]
+    .filter((row) => row.city)
+    .map((row) => ({ ...row, gap: row.unitsRequested - row.unitsDonated }))
+    .sort((a, b) => b.gap - a.gap || a.city.localeCompare(b.city));
+};
+
+module.exports = {
+  GRANULARITIES,
+  parseRangeQuery,
+  donationsOverTime,
+  requestFulfilment,
+  eligibleExpression,
+  donorAvailability,
+  supplyDemandByCity,
+};
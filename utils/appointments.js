@@ -0,0 +1,80 @@
+// Appointment helpers: slot capacity, validation and state changes shared by the routes and jobs.
+const AppointmentSlot = require("../models/AppointmentSlot");
+const Appointment = require("../models/Appointment");
+const Donor = require("../models/Donor");
+const Notification = require("../models/Notification");
+
+const MINUTE_MS = 60 * 1000;
+// Most slots a single publish request may create.
+const MAX_SLOTS_PER_REQUEST = 200;
+
+// Validate a publish request. A range with slotMinutes is split into consecutive slots.
+// Returns { slots: [{ startsAt, endsAt }], capacity } or { error }.
+const buildSlotsInput = (body = {}) => {
+  const startsAt = new Date(body.startsAt);
+  const endsAt = new Date(body.endsAt);
+  if (!body.startsAt || !body.endsAt || isNaN(startsAt) || isNaN(endsAt)) {
+    return { error: "startsAt and endsAt must be valid dates." };
+  }
+  if (endsAt <= startsAt) {
+    return { error: "endsAt must be after startsAt." };
+  }
+  if (startsAt <= new Date()) {
+    return { error: "Slots must start in the future." };
+  }
+  if (!Number.isInteger(body.capacity) || body.capacity < 1) {
+    return { error: "capacity must be a positive integer." };
+  }
+
+  if (body.slotMinutes === undefined) {
+    return { slots: [{ startsAt, endsAt }], capacity: body.capacity };
+  }
+  if (!Number.isInteger(body.slotMinutes) || body.slotMinutes < 5) {
+    return { error: "slotMinutes must be an integer of at least 5." };
+  }
+
+  const step = body.slotMinutes * MINUTE_MS;
+  const slots = [];
+  for (let t = startsAt.getTime(); t + step <= endsAt.getTime(); t += step) {
+    slots.push({ startsAt: new Date(t), endsAt: new Date(t + step) });
+  }
+  if (slots.length === 0) {
+    return { error: "The range is shorter than slotMinutes." };
+  }
+  if (slots.length > MAX_SLOTS_PER_REQUEST) {
+    return { error: `At most ${MAX_SLOTS_PER_REQUEST} slots can be published at once.` };
+  }
+  return { slots, capacity: body.capacity };
+};
+
+// Take one place in an open, future slot. Returns the updated slot, or null when it is full/closed.
+const claimSlot = (slotId, now = new Date()) =>
+  AppointmentSlot.findOneAndUpdate(
+    { _id: slotId, status: "open", startsAt: { $gt: now }, $expr: { $lt: ["$booked", "$capacity"] } },
+    { $inc: { booked: 1 } },
+    { new: true }
+  );
+
+// Give a place back to a slot.
+const releaseSlot = (slotId) =>
+  AppointmentSlot.updateOne({ _id: slotId, booked: { $gt: 0 } }, { $inc: { booked: -1 } });
+
+// Mark a booked appointment as a no-show and count it against the donor.
+// Returns false if the appointment was no longer booked.
+const markNoShow = async (appointment) => {
+  const result = await Appointment.updateOne({ _id: appointment._id, status: "booked" }, { status: "no_show" });
+  if (result.modifiedCount === 0) return false;
+
+  await Donor.updateOne({ _id: appointment.donor }, { $inc: { appointmentNoShows: 1 } });
+  await Notification.create({
+    user: appointment.user,
+    donor: appointment.donor,
+    type: "appointment_missed",
+    title: "You missed your donation appointment",
+    message: "We missed you at your donation appointment. You can book a new slot whenever you are ready.",
+    meta: { appointmentId: appointment._id, institutionId: appointment.institution },
+  });
+  return true;
+};
+
+module.exports = { MAX_SLOTS_PER_REQUEST, buildSlotsInput, claimSlot, releaseSlot, markNoShow };
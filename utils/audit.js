@@ -0,0 +1,89 @@
+// Audit helpers: write AuditLog entries with the request's IP and user agent, and
+// compute field-level before/after changes between two versions of a document.
+const mongoose = require("mongoose");
+const AuditLog = require("../models/AuditLog");
+
+// Bookkeeping fields that change on every write and say nothing about the edit.
+const IGNORED_FIELDS = ["_id", "__v", "createdAt", "updatedAt"];
+// Values that must never be copied into the log.
+const REDACTED_FIELDS = ["password", "tokenHash"];
+const REDACTED = "[redacted]";
+
+const toPlain = (doc) => (doc && typeof doc.toObject === "function" ? doc.toObject({ depopulate: true }) : doc || {});
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  !(value instanceof Date) &&
+  !(value instanceof mongoose.Types.ObjectId);
+
+// Normalise a leaf value so equal values compare equal and store cleanly (ids as strings).
+const normalise = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (Array.isArray(value)) return value.map(normalise);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, normalise(v)]));
+  }
+  return value;
+};
+
+// Flatten nested objects into dot paths; arrays, dates and ids are leaves.
+const flatten = (value, prefix = "", out = {}) => {
+  for (const [key, child] of Object.entries(value)) {
+    if (!prefix && IGNORED_FIELDS.includes(key)) continue;
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(child) && Object.keys(child).length > 0) {
+      flatten(child, path, out);
+    } else {
+      out[path] = normalise(child);
+    }
+  }
+  return out;
+};
+
+const sameValue = (a, b) => {
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+  }
+  return JSON.stringify(a) === JSON.stringify(b);
+};
+
+// Compare two versions of a document (Mongoose docs or plain objects).
+// Returns [{ field, before, after }] for every changed dot path, sorted by field.
+// options.fields limits the comparison to those top-level fields.
+const diffChanges = (before, after, { fields } = {}) => {
+  const flatBefore = flatten(toPlain(before));
+  const flatAfter = flatten(toPlain(after));
+  const inScope = (path) => !fields || fields.includes(path.split(".")[0]);
+
+  const paths = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+  return [...paths]
+    .filter(inScope)
+    .sort()
+    .reduce((changes, field) => {
+      const from = flatBefore[field] ?? null;
+      const to = flatAfter[field] ?? null;
+      if (sameValue(from, to)) return changes;
+      const redacted = REDACTED_FIELDS.includes(field.split(".").pop());
+      changes.push({ field, before: redacted ? REDACTED : from, after: redacted ? REDACTED : to });
+      return changes;
+    }, []);
+};
+
+// Write an audit entry for the current request. Pass before/after to record a diff
+// (or changes to record one computed elsewhere).
+const recordAudit = (req, { action, targetType, targetId, details, before, after, changes, fields }) =>
+  AuditLog.create({
+    user: req.user?.id,
+    action,
+    targetType,
+    targetId: targetId === undefined || targetId === null ? undefined : targetId.toString(),
+    details,
+    changes: changes || (before || after ? diffChanges(before, after, { fields }) : undefined),
+    ip: req.ip,
+    userAgent: req.get("user-agent"),
+  });
+
+module.exports = { diffChanges, recordAudit };
@@ -0,0 +1,119 @@
+// Donor badges and milestones. Evaluated whenever a donation starts counting (recorded by staff
+// or verified after a self-report); each new award is stored as a DonorBadge and the donor is notified.
+const BloodRequest = require("../models/BloodRequest");
+const Donor = require("../models/Donor");
+const DonorBadge = require("../models/DonorBadge");
+const Notification = require("../models/Notification");
+
+const RARE_GROUPS = ["A-", "B-", "AB-", "O-"];
+const RARE_GROUP_HERO_DONATIONS = 3;
+// A donation answers an urgent request when it is made no more than this many hours before the request's required date.
+const URGENT_WINDOW_HOURS = Number(process.env.BADGE_URGENT_WINDOW_HOURS || 48);
+const HOUR_MS = 60 * 60 * 1000;
+
+// Did the donation answer its blood request while the need was urgent? Donations after the required
+// date do not count: the need had already passed.
+const isUrgentResponse = (donation, request) => {
+  if (!donation || !request || !request.requiredDate) return false;
+  const lead = request.requiredDate.getTime() - donation.donationDate.getTime();
+  return lead >= 0 && lead <= URGENT_WINDOW_HOURS * HOUR_MS;
+};
+
+const milestone = (count) => ({
+  code: `donations_${count}`,
+  title: `${count} donations`,
+  description: `Made ${count} verified donations.`,
+  milestone: count,
+  earned: ({ totalDonations }) => totalDonations >= count,
+});
+
+// Each badge's earned(context) gets { donor, totalDonations, donation, request }.
+const BADGES = [
+  {
+    code: "first_donation",
+    title: "First donation",
+    description: "Made a first verified donation.",
+    milestone: 1,
+    earned: ({ totalDonations }) => totalDonations >= 1,
+  },
+  milestone(5),
+  milestone(10),
+  milestone(25),
+  {
+    code: "rare_group_hero",
+    title: "Rare group hero",
+    description: `Gave ${RARE_GROUP_HERO_DONATIONS} donations with a rare (Rh-negative) blood group.`,
+    earned: ({ donor, totalDonations }) =>
+      RARE_GROUPS.includes(donor.bloodGroup) && totalDonations >= RARE_GROUP_HERO_DONATIONS,
+  },
+  {
+    code: "emergency_responder",
+    title: "Emergency responder",
+    description: `Donated for a blood request needed within ${URGENT_WINDOW_HOURS} hours.`,
+    earned: ({ donation, request }) => isUrgentResponse(donation, request),
+  },
+];
+
+const BADGES_BY_CODE = new Map(BADGES.map((badge) => [badge.code, badge]));
+
+// Public description of a badge code ({ code, title, description }).
+const describeBadge = (code) => {
+  const badge = BADGES_BY_CODE.get(code);
+  return badge ? { code, title: badge.title, description: badge.description } : { code, title: code };
+};
+
+// Codes of every badge the context earns.
+const earnedBadges = (context) => BADGES.filter((badge) => badge.earned(context)).map((badge) => badge.code);
+
+// The next donation-count milestone after totalDonations, or null when all are reached.
+const nextMilestone = (totalDonations) => {
+  const next = BADGES.find((badge) => badge.milestone && badge.milestone > totalDonations);
+  return next ? { ...describeBadge(next.code), donationsNeeded: next.milestone - totalDonations } : null;
+};
+
+// Award the badges the donor has newly earned, optionally for the donation just counted.
+// Reads totalDonations from the donor, so call it after the stats are recomputed.
+// Returns the newly awarded badges.
+const awardBadges = async (donorId, { donation = null } = {}) => {
+  const donor = await Donor.findById(donorId);
+  if (!donor) return [];
+
+  const request = donation?.request ? await BloodRequest.findById(donation.request) : null;
+  const held = new Set((await DonorBadge.find({ donor: donor._id }).select("badge")).map((award) => award.badge));
+  const codes = earnedBadges({ donor, totalDonations: donor.totalDonations, donation, request }).filter(
+    (code) => !held.has(code)
+  );
+
+  const awarded = [];
+  for (const code of codes) {
+    try {
+      await DonorBadge.create({ donor: donor._id, badge: code, donation: donation?._id });
+    } catch (error) {
+      // Another evaluation awarded it first.
+      if (error.code === 11000) continue;
+      throw error;
+    }
+
+    const badge = describeBadge(code);
+    awarded.push(badge);
+    await Notification.create({
+      user: donor.user,
+      donor: donor._id,
+      type: "badge_awarded",
+      title: `You earned a badge: ${badge.title}`,
+      message: badge.description,
+      meta: { badge: code, donationId: donation?._id },
+    });
+  }
+  return awarded;
+};
+
+module.exports = {
+  RARE_GROUPS,
+  BADGES,
+  describeBadge,
+  earnedBadges,
+  nextMilestone,
+  isUrgentResponse,
+  awardBadges,
+};
@@ -0,0 +1,65 @@
+// ABO/Rh compatibility helpers used when matching donors to recipients.
+// Tables list which donor groups can give to each recipient group, per component.
+
+const BLOOD_GROUPS = ["A+", "A-", "B+", "B-", "AB+", "AB-", "O+", "O-"];
+const COMPONENTS = ["red_cells", "whole_blood", "plasma", "platelets"];
+
+// Red cells: donor red cells must not carry antigens the recipient has antibodies against.
+const RED_CELL_DONORS = {
+  "O-": ["O-"],
+  "O+": ["O+", "O-"],
+  "A-": ["A-", "O-"],
+  "A+": ["A+", "A-", "O+", "O-"],
+  "B-": ["B-", "O-"],
+  "B+": ["B+", "B-", "O+", "O-"],
+  "AB-": ["AB-", "A-", "B-", "O-"],
+  "AB+": ["AB+", "AB-", "A+", "A-", "B+", "B-", "O+", "O-"],
+};
+
+// Plasma: the reverse of red cells (AB is the universal plasma donor). Rh does not matter.
+const PLASMA_DONORS = {
+  O: ["O", "A", "B", "AB"],
+  A: ["A", "AB"],
+  B: ["B", "AB"],
+  AB: ["AB"],
+};
+
+const splitGroup = (group) => ({ abo: group.slice(0, -1), rh: group.slice(-1) });
+
+// Expand ABO-only plasma rules into full groups, optionally keeping Rh- recipients on Rh- donors.
+const plasmaDonorsFor = (recipientGroup, respectRh) => {
+  const { abo, rh } = splitGroup(recipientGroup);
+  return BLOOD_GROUPS.filter((group) => {
+    const donor = splitGroup(group);
+    if (!PLASMA_DONORS[abo].includes(donor.abo)) return false;
+    if (respectRh && rh === "-" && donor.rh === "+") return false;
+    return true;
+  });
+};
+
+// Return donor groups that can give the given component to the recipient group.
+// Whole blood is kept ABO/Rh identical; the exact group is always listed first.
+const getCompatibleDonorGroups = (recipientGroup, component = "red_cells") => {
+  if (!BLOOD_GROUPS.includes(recipientGroup)) return [];
+
+  let groups;
+  if (component === "whole_blood") {
+    groups = [recipientGroup];
+  } else if (component === "plasma") {
+    groups = plasmaDonorsFor(recipientGroup, false);
+  } else if (component === "platelets") {
+    groups = plasmaDonorsFor(recipientGroup, true);
+  } else {
+    groups = RED_CELL_DONORS[recipientGroup];
+  }
+
+  return [recipientGroup, ...groups.filter((g) => g !== recipientGroup)];
+};
+
+// Label a donor group against the recipient group: "exact", "compatible", or null if it cannot give.
+const getMatchType = (donorGroup, recipientGroup, component = "red_cells") => {
+  if (donorGroup === recipientGroup) return "exact";
+  return getCompatibleDonorGroups(recipientGroup, component).includes(donorGroup) ? "compatible" : null;
+};
+
+module.exports = { BLOOD_GROUPS, COMPONENTS, getCompatibleDonorGroups, getMatchType };
@@ -0,0 +1,77 @@
+// Minimal RFC 4180 CSV reader for admin imports (the counterpart of utils/exporter).
+// Handles quoted fields with commas, doubled quotes and line breaks; accepts CRLF or LF line endings.
+
+// Parse CSV text into rows of strings. Returns { rows } or { error }.
+const parseCsv = (text) => {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text; // drop a UTF-8 BOM
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i += 2;
+          continue;
+        }
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      i += 1;
+      continue;
+    }
+
+    if (char === '"') {
+      if (field !== "") {
+        return { error: `Unexpected quote in an unquoted field on line ${rows.length + 1}.` };
+      }
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+      if (char === "\r" && input[i + 1] === "\n") i += 1;
+    } else {
+      field += char;
+    }
+    i += 1;
+  }
+
+  if (inQuotes) {
+    return { error: "Unterminated quoted field at the end of the file." };
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return { rows };
+};
+
+// Turn parsed rows into objects keyed by the (trimmed) header row. Blank lines are dropped.
+// Each record keeps its 1-based line number in the file as `line` (the header is line 1).
+const toRecords = (rows) => {
+  const [header = [], ...data] = rows;
+  const keys = header.map((h) => h.trim());
+  const records = [];
+  data.forEach((values, index) => {
+    if (values.every((v) => v.trim() === "")) return;
+    const record = { line: index + 2, values: {} };
+    keys.forEach((key, k) => {
+      if (key) record.values[key] = (values[k] ?? "").trim();
+    });
+    records.push(record);
+  });
+  return { keys, records };
+};
+
+module.exports = { parseCsv, toRecords };
@@ -0,0 +1,57 @@
+// Create and lift donor deferrals, keeping Donor.deferralUntil in sync and telling the donor.
+const Deferral = require("../models/Deferral");
+const Donor = require("../models/Donor");
+const Notification = require("../models/Notification");
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+// Mirror the longest-running active deferral onto the donor (or clear it when none is left).
+const syncDonorDeferral = async (donorId, now = new Date()) => {
+  const latest = await Deferral.findOne({ donor: donorId, status: "active", until: { $gt: now } }).sort({ until: -1 });
+  const update = latest
+    ? { $set: { deferralUntil: latest.until, deferralReasonCode: latest.reasonCode, deferralReason: latest.reason } }
+    : { $unset: { deferralUntil: 1, deferralReasonCode: 1, deferralReason: 1 } };
+  return Donor.findByIdAndUpdate(donorId, update, { new: true });
+};
+
+// donor must be a Donor document; fields are the Deferral fields (reasonCode, reason, until, source, ...).
+const createDeferral = async (donor, fields) => {
+  const deferral = await Deferral.create({ ...fields, donor: donor._id });
+  await syncDonorDeferral(donor._id);
+
+  await Notification.create({
+    user: donor.user,
+    donor: donor._id,
+    type: "deferral_added",
+    title: "You are temporarily deferred from donating",
+    message: `${deferral.reason || "You have been deferred."} You can donate again from ${formatDate(deferral.until)}.`,
+    meta: { deferralId: deferral._id, reasonCode: deferral.reasonCode, until: deferral.until },
+  });
+
+  return deferral;
+};
+
+// Lift an active deferral early. The record stays for history.
+const liftDeferral = async (deferral, { liftedBy, liftReason }) => {
+  deferral.status = "lifted";
+  deferral.liftedAt = new Date();
+  deferral.liftedBy = liftedBy;
+  deferral.liftReason = liftReason;
+  await deferral.save();
+
+  const donor = await syncDonorDeferral(deferral.donor);
+  if (donor) {
+    await Notification.create({
+      user: donor.user,
+      donor: donor._id,
+      type: "deferral_lifted",
+      title: "Your deferral was lifted",
+      message: "An administrator lifted your donation deferral.",
+      meta: { deferralId: deferral._id, reasonCode: deferral.reasonCode },
+    });
+  }
+
+  return deferral;
+};
+
+module.exports = { syncDonorDeferral, createDeferral, liftDeferral };
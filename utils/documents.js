@@ -0,0 +1,115 @@
+// Donation certificates and donor cards: snapshots of what a document states, verification codes,
+// and the checks behind the public GET /api/verify/:code.
+const crypto = require("crypto");
+const IssuedDocument = require("../models/IssuedDocument");
+const Donation = require("../models/Donation");
+const Donor = require("../models/Donor");
+
+// No 0/O or 1/I, so codes survive being read out or retyped from paper.
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 12;
+
+// Random code like "K7QW-3MZP-XH2D".
+const generateCode = () => {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  const chars = [...bytes].map((byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join("");
+  return chars.match(/.{4}/g).join("-");
+};
+
+// Accept codes typed in lower case or without dashes.
+const normaliseCode = (code) => {
+  const chars = String(code || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+  return chars.length === CODE_LENGTH ? chars.match(/.{4}/g).join("-") : null;
+};
+
+const verificationUrl = (code) => {
+  const base = (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, "");
+  return `${base}/api/verify/${code}`;
+};
+
+const isoDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : null);
+
+// What a certificate states. donation must have donor and institution populated.
+const certificateSnapshot = (donation) => ({
+  donorName: donation.donor.fullName,
+  bloodGroup: donation.donor.bloodGroup,
+  donationDate: isoDate(donation.donationDate),
+  donationType: donation.donationType,
+  units: donation.units || 1,
+  institution: donation.institution?.name || null,
+  location: donation.location || null,
+});
+
+// What a donor card states.
+const cardSnapshot = (donor) => ({
+  donorName: donor.fullName,
+  bloodGroup: donor.bloodGroup,
+  city: donor.address?.city || null,
+  totalDonations: donor.totalDonations || 0,
+  lastDonationDate: isoDate(donor.lastDonationDate),
+});
+
+const sameSnapshot = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Reuse the latest document of this kind when it still states the same facts, otherwise issue a new code.
+const issueDocument = async ({ kind, donor, donation = null, snapshot, issuedTo }) => {
+  const latest = await IssuedDocument.findOne({ kind, donor: donor._id, donation: donation?._id }).sort({
+    issuedAt: -1,
+  });
+  if (latest && sameSnapshot(latest.snapshot, snapshot)) {
+    return latest;
+  }
+
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    try {
+      return await IssuedDocument.create({
+        code: generateCode(),
+        kind,
+        donor: donor._id,
+        donation: donation?._id,
+        snapshot,
+        issuedTo,
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  throw new Error("Could not generate a unique verification code.");
+};
+
+// Is an issued document still genuine? Certificates must match the donation as currently recorded
+// (still verified, not deleted or edited); cards must match the donor's name and blood group.
+// Returns { valid, reason }.
+const checkDocument = async (document) => {
+  if (document.kind === "donation_certificate") {
+    const donation = await Donation.findById(document.donation).populate("donor").populate("institution");
+    if (!donation || donation.isDeleted || donation.verificationStatus !== "verified" || !donation.donor) {
+      return { valid: false, reason: "The donation on this certificate is no longer on record." };
+    }
+    if (!sameSnapshot(certificateSnapshot(donation), document.snapshot)) {
+      return { valid: false, reason: "The donation record has changed since this certificate was issued." };
+    }
+    return { valid: true, reason: null };
+  }
+
+  const donor = await Donor.findById(document.donor);
+  if (!donor || donor.isDeleted) {
+    return { valid: false, reason: "The donor on this card is no longer registered." };
+  }
+  if (donor.fullName !== document.snapshot.donorName || donor.bloodGroup !== document.snapshot.bloodGroup) {
+    return { valid: false, reason: "The donor's details have changed since this card was issued." };
+  }
+  return { valid: true, reason: null };
+};
+
+module.exports = {
+  generateCode,
+  normaliseCode,
+  verificationUrl,
+  certificateSnapshot,
+  cardSnapshot,
+  issueDocument,
+  checkDocument,
+};
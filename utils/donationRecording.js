@@ -0,0 +1,205 @@
+// Shared donation recording used by /api/donations, event check-in and appointments.
+// Callers check permissions first; these helpers cover eligibility and the side effects of a donation.
+// Writes to a donation and the counters derived from it run in one MongoDB transaction.
+const mongoose = require("mongoose");
+const Donation = require("../models/Donation");
+const Pledge = require("../models/Pledge");
+const InventoryUnit = require("../models/InventoryUnit");
+const ScreeningResponse = require("../models/ScreeningResponse");
+const { loadActiveRules } = require("./eligibility");
+const { SCREENING_VALID_DAYS } = require("./screening");
+const { stockFromDonation, removeUnits } = require("./inventory");
+const { recomputeDonorStats, recomputeInstitutionStats } = require("./donationStats");
+const { recomputeRequestFulfilment } = require("./requestFulfilment");
+const { awardBadges } = require("./badges");
+
+// Most units one donation may record; each becomes an inventory unit, so this matches the manual stock-in cap.
+const MAX_DONATION_UNITS = 100;
+
+// Validate a donation's units (absent means 1). Returns { units } or { error }.
+const parseUnits = (value) => {
+  if (value === undefined) return { units: 1 };
+  if (!Number.isInteger(value) || value < 1 || value > MAX_DONATION_UNITS) {
+    return { error: `units must be an integer between 1 and ${MAX_DONATION_UNITS}.` };
+  }
+  return { units: value };
+};
+
+// Check the donor may donate now: eligibility rules plus, with SCREENING_REQUIRED=true,
+// a recent clear health screening. Returns { screening } or { error: { status, message, ...details } }.
+const checkReadyToDonate = async (donor, { donationType = "whole_blood" } = {}) => {
+  const rules = await loadActiveRules();
+  const eligibility = donor.isEligibleToDonate({ rules, donationType });
+  if (!eligibility.eligible) {
+    const wait =
+      eligibility.daysUntilEligible !== null ? ` Please wait ${eligibility.daysUntilEligible} more days.` : "";
+    return {
+      error: {
+        status: 400,
+        message: `Donor is not eligible to donate yet.${wait}`,
+        daysUntilEligible: eligibility.daysUntilEligible,
+        reasons: eligibility.reasons,
+        ruleSetVersion: eligibility.ruleSetVersion,
+      },
+    };
+  }
+
+  let screening = null;
+  if (process.env.SCREENING_REQUIRED === "true") {
+    screening = await ScreeningResponse.findOne({
+      donor: donor._id,
+      outcome: "clear",
+      validUntil: { $gte: new Date() },
+    }).sort({ createdAt: -1 });
+    if (!screening) {
+      return {
+        error: {
+          status: 400,
+          message: `A clear health screening from the last ${SCREENING_VALID_DAYS} days is required before donating.`,
+        },
+      };
+    }
+  }
+
+  return { screening };
+};
+
+// Recompute the donor, institution and request counters touched by some donations
+// (e.g. a donation before and after an edit). Each id is recomputed once.
+const recomputeAffectedStats = async (donations, { session = null } = {}) => {
+  const ids = (field) => [...new Set(donations.map((d) => d[field]?.toString()).filter(Boolean))];
+  for (const donorId of ids("donor")) {
+    await recomputeDonorStats(donorId, { session });
+  }
+  for (const institutionId of ids("institution")) {
+    await recomputeInstitutionStats(institutionId, { session });
+  }
+  for (const requestId of ids("request")) {
+    await recomputeRequestFulfilment(requestId, { session });
+  }
+};
+
+// Create the Donation, fulfil the pledge and recompute donor/institution/request stats in one
+// transaction, then stock the units and award any badges. fields holds the remaining Donation fields
+// (donationDate, donationType, units, request, event, ...).
+// Donations recorded by staff are verified by the recording user.
+const recordDonation = async ({ donor, institution = null, pledge = null, screening = null, fields, userId }) => {
+  const donation = await mongoose.connection.transaction(async (session) => {
+    const [created] = await Donation.create(
+      [
+        {
+          ...fields,
+          donor: donor._id,
+          institution: institution ? institution._id : undefined,
+          pledge: pledge ? pledge._id : undefined,
+          screening: screening ? screening._id : undefined,
+          verificationStatus: "verified",
+          reportedBy: userId,
+          reviewedBy: userId,
+          reviewedAt: new Date(),
+        },
+      ],
+      { session }
+    );
+
+    if (pledge) {
+      pledge.status = "fulfilled";
+      pledge.donation = created._id;
+      await pledge.save({ session });
+    }
+
+    await recomputeAffectedStats([created], { session });
+    return created;
+  });
+
+  // The donation is already recorded; stock and badge failures are logged rather than failing the request.
+  if (institution) {
+    try {
+      await stockFromDonation(donation, donor, userId);
+    } catch (stockError) {
+      console.error("Inventory stocking error:", stockError);
+    }
+  }
+  try {
+    await awardBadges(donor._id, { donation });
+  } catch (badgeError) {
+    console.error("Badge award error:", badgeError);
+  }
+
+  return donation;
+};
+
+// Edit a donation and recompute the stats of everything it touched before and after the edit.
+// Returns { donation, before } or null when the donation does not exist (or is deleted).
+const updateDonation = (donationId, changes) =>
+  mongoose.connection.transaction(async (session) => {
+    const donation = await Donation.findOne({ _id: donationId, isDeleted: false }).session(session);
+    if (!donation) return null;
+
+    const before = donation.toObject();
+    donation.set(changes);
+    await donation.save({ session });
+    await recomputeAffectedStats([before, donation], { session });
+    return { donation, before };
+  });
+
+// Soft delete a donation: reopen the pledge it fulfilled and recompute stats, then discard
+// its units still on the shelf. Returns the deleted donation or null.
+const deleteDonation = async (donationId, { userId }) => {
+  const donation = await mongoose.connection.transaction(async (session) => {
+    const deleted = await Donation.findOneAndUpdate(
+      { _id: donationId, isDeleted: false },
+      { isDeleted: true, deletedAt: new Date(), deletedBy: userId },
+      { new: true, session }
+    );
+    if (!deleted) return null;
+
+    if (deleted.pledge) {
+      await Pledge.updateOne(
+        { _id: deleted.pledge, status: "fulfilled", donation: deleted._id },
+        { status: "accepted", $unset: { donation: 1 } },
+        { session }
+      );
+    }
+    await recomputeAffectedStats([deleted], { session });
+    return deleted;
+  });
+  if (!donation) return null;
+
+  const units = await InventoryUnit.find({ donation: donation._id, status: "available" });
+  await removeUnits(units, { type: "discarded", reason: "Donation record deleted.", user: userId });
+  return donation;
+};
+
+// Undo a soft delete: the donation counts again and re-fulfils its pledge if that is still open.
+// Units discarded by the delete stay discarded. Returns the restored donation or null.
+const restoreDonation = (donationId) =>
+  mongoose.connection.transaction(async (session) => {
+    const restored = await Donation.findOneAndUpdate(
+      { _id: donationId, isDeleted: true },
+      { isDeleted: false, $unset: { deletedAt: 1, deletedBy: 1 } },
+      { new: true, session }
+    );
+    if (!restored) return null;
+
+    if (restored.pledge && restored.verificationStatus === "verified") {
+      await Pledge.updateOne(
+        { _id: restored.pledge, status: "accepted" },
+        { status: "fulfilled", donation: restored._id },
+        { session }
+      );
+    }
+    await recomputeAffectedStats([restored], { session });
+    return restored;
+  });
+
+module.exports = {
+  MAX_DONATION_UNITS,
+  parseUnits,
+  checkReadyToDonate,
+  recomputeAffectedStats,
+  recordDonation,
+  updateDonation,
+  deleteDonation,
+  restoreDonation,
+};
@@ -0,0 +1,102 @@
+// Recompute donor, institution and request donation counters from the Donation records themselves,
+// so every create, edit, delete, restore or import leaves them matching the source records.
+// Pass { session } to run inside a transaction (operations then run one at a time, as transactions require).
+const Donation = require("../models/Donation");
+const Donor = require("../models/Donor");
+const Institution = require("../models/Institution");
+const BloodRequest = require("../models/BloodRequest");
+
+// Filter for the donations that count (not deleted, verified; see utils/donationVerification),
+// optionally narrowed by extra conditions.
+const countedDonations = (extra = {}) => ({ isDeleted: false, verificationStatus: "verified", ...extra });
+
+// Set totalDonations, lastDonationDate and lastDonationType from the donor's donations.
+// Without a counted donation the last donation fields are left alone: they may have been declared at
+// sign-up or corrected by an admin, and clearing them would make a recent donor look eligible.
+const recomputeDonorStats = async (donorId, { session = null } = {}) => {
+  const match = countedDonations({ donor: donorId });
+  const totalDonations = await Donation.countDocuments(match).session(session);
+  const latest = await Donation.findOne(match).sort({ donationDate: -1, _id: -1 }).session(session);
+
+  const update = latest
+    ? { $set: { totalDonations, lastDonationDate: latest.donationDate, lastDonationType: latest.donationType } }
+    : { $set: { totalDonations: 0 } };
+  await Donor.updateOne({ _id: donorId }, update, { session });
+  return { totalDonations, lastDonationDate: latest ? latest.donationDate : null };
+};
+
+// Set an institution's totalDonations from its donations.
+const recomputeInstitutionStats = async (institutionId, { session = null } = {}) => {
+  const totalDonations = await Donation.countDocuments(countedDonations({ institution: institutionId })).session(
+    session
+  );
+  await Institution.updateOne({ _id: institutionId }, { totalDonations }, { session });
+  return { totalDonations };
+};
+
+// Count (or sum the units of) counted donations per value of field, e.g. "institution" or "request".
+const totalsBy = async (field, { units = false } = {}) => {
+  const rows = await Donation.aggregate([
+    { $match: countedDonations({ [field]: { $ne: null } }) },
+    { $group: { _id: `$${field}`, count: { $sum: 1 }, units: { $sum: { $ifNull: ["$units", 1] } } } },
+  ]);
+  return rows.map((r) => ({ _id: r._id, value: units ? r.units : r.count }));
+};
+
+// Bulk ops resetting field to 0 on documents of Model that have no counted donations (not in ids).
+// Only documents with a non-zero value are checked, one at a time: a single $nin listing every id
+// could outgrow MongoDB's document size limit.
+const resetOps = async (Model, field, ids) => {
+  const counted = new Set(ids.map(String));
+  const ops = [];
+  for await (const doc of Model.find({ [field]: { $ne: 0 } }).select("_id").lean().cursor()) {
+    if (counted.has(doc._id.toString())) continue;
+    ops.push({ updateOne: { filter: { _id: doc._id }, update: { $set: { [field]: 0 } } } });
+  }
+  return ops;
+};
+
+// Bulk ops setting field from totals, and resetting it to 0 on every other document.
+const counterOps = async (Model, totals, field) => [
+  ...totals.map((t) => ({ updateOne: { filter: { _id: t._id }, update: { $set: { [field]: t.value } } } })),
+  ...(await resetOps(Model, field, totals.map((t) => t._id))),
+];
+
+// Rebuild every donor, institution and request counter in bulk (admin maintenance).
+// Request statuses are left alone; only unitsFulfilled is corrected.
+// Returns how many documents of each kind changed.
+const recomputeAllStats = async () => {
+  const byDonor = await Donation.aggregate([
+    { $match: countedDonations() },
+    { $sort: { donationDate: -1, _id: -1 } },
+    {
+      $group: {
+        _id: "$donor",
+        totalDonations: { $sum: 1 },
+        lastDonationDate: { $first: "$donationDate" },
+        lastDonationType: { $first: "$donationType" },
+      },
+    },
+  ]);
+  // Donors without counted donations keep their last donation fields, as in recomputeDonorStats.
+  const donorOps = [
+    ...byDonor.map(({ _id, ...stats }) => ({ updateOne: { filter: { _id }, update: { $set: stats } } })),
+    ...(await resetOps(Donor, "totalDonations", byDonor.map((row) => row._id))),
+  ];
+
+  const donors = await Donor.bulkWrite(donorOps);
+  const institutions = await Institution.bulkWrite(
+    await counterOps(Institution, await totalsBy("institution"), "totalDonations")
+  );
+  const requests = await BloodRequest.bulkWrite(
+    await counterOps(BloodRequest, await totalsBy("request", { units: true }), "unitsFulfilled")
+  );
+
+  return {
+    donors: donors.modifiedCount,
+    institutions: institutions.modifiedCount,
+    requests: requests.modifiedCount,
+  };
+};
+
+module.exports = { countedDonations, recomputeDonorStats, recomputeInstitutionStats, recomputeAllStats };
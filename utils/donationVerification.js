@@ -0,0 +1,75 @@
+// Donation verification. Donations recorded by institution staff (or platform admins) are verified
+// on creation. Donors reporting their own donations wait in a review queue:
+//   self_reported  no institution given; a platform admin reviews it
+//   pending        names an institution; that institution's staff review it
+// Only verified donations count toward donor/institution stats, eligibility, request fulfilment and reports.
+const mongoose = require("mongoose");
+const Donation = require("../models/Donation");
+const Donor = require("../models/Donor");
+const Pledge = require("../models/Pledge");
+const Notification = require("../models/Notification");
+const { recomputeAffectedStats } = require("./donationRecording");
+const { awardBadges } = require("./badges");
+
+const VERIFICATION_STATUSES = ["self_reported", "pending", "verified", "rejected"];
+const REVIEWABLE_STATUSES = ["self_reported", "pending"];
+
+// Verify or reject a donation waiting for review. The status is claimed atomically so two
+// reviewers cannot both decide. Verifying applies the donation's effects: donor and institution
+// stats, the pledge it fulfils, the request it answers and any badges. Returns { donation } or { error }.
+const reviewDonation = async (donationId, { decision, reviewerId, note }) => {
+  const verified = decision === "verify";
+  const donation = await mongoose.connection.transaction(async (session) => {
+    const reviewed = await Donation.findOneAndUpdate(
+      { _id: donationId, isDeleted: false, verificationStatus: { $in: REVIEWABLE_STATUSES } },
+      {
+        verificationStatus: verified ? "verified" : "rejected",
+        reviewedBy: reviewerId,
+        reviewedAt: new Date(),
+        reviewNote: note,
+      },
+      { new: true, session }
+    );
+    if (reviewed && verified) {
+      if (reviewed.pledge) {
+        await Pledge.updateOne(
+          { _id: reviewed.pledge, status: "accepted" },
+          { status: "fulfilled", donation: reviewed._id },
+          { session }
+        );
+      }
+      await recomputeAffectedStats([reviewed], { session });
+    }
+    return reviewed;
+  });
+  if (!donation) {
+    return { error: { status: 400, message: "This donation has already been reviewed." } };
+  }
+
+  if (verified) {
+    try {
+      await awardBadges(donation.donor, { donation });
+    } catch (badgeError) {
+      console.error("Badge award error:", badgeError);
+    }
+  }
+
+  const donor = await Donor.findById(donation.donor).select("user");
+  if (donor?.user) {
+    const day = donation.donationDate.toISOString().slice(0, 10);
+    await Notification.create({
+      user: donor.user,
+      donor: donor._id,
+      type: verified ? "donation_verified" : "donation_rejected",
+      title: verified ? "Your donation was verified" : "Your reported donation was not verified",
+      message: verified
+        ? `Your donation on ${day} now counts toward your donation history.`
+        : `Your donation on ${day} could not be verified.${note ? ` Reason: ${note}` : ""}`,
+      meta: { donationId: donation._id },
+    });
+  }
+
+  return { donation };
+};
+
+module.exports = { VERIFICATION_STATUSES, REVIEWABLE_STATUSES, reviewDonation };
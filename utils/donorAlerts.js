@@ -0,0 +1,152 @@
+// Alert eligible, willing donors about a new blood request they can give to.
+// Every alerted donor gets an in-app Notification; donors who prefer phone/email also get an
+// SMS/email queued through utils/outbound. Quiet hours delay outbound delivery, and
+// alertPreferences.maxAlertsPerWeek caps how often a donor is alerted.
+const Notification = require("../models/Notification");
+const { findMatchingDonors } = require("./donorMatching");
+const { queueMessage, dispatchDueMessages } = require("./outbound");
+
+const ALERT_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const alertTimeZone = () => process.env.ALERT_TIMEZONE || "Asia/Dhaka";
+const maxAlertsPerRequest = () => Number(process.env.MAX_ALERTS_PER_REQUEST || 50);
+
+const localHour = (date, timeZone) =>
+  Number(new Intl.DateTimeFormat("en-US", { hour: "numeric", hourCycle: "h23", timeZone }).format(date));
+
+// Quiet hours may wrap midnight (e.g. 22 -> 7). Equal start/end means no quiet hours.
+const isQuietHour = (hour, start, end) => {
+  if (start === end) return false;
+  if (start < end) return hour >= start && hour < end;
+  return hour >= start || hour < end;
+};
+
+// When outbound alerts may be sent: now, or the first whole hour after quiet hours end.
+const nextDeliveryTime = (now, prefs, timeZone = alertTimeZone()) => {
+  const start = prefs?.quietHoursStart ?? 22;
+  const end = prefs?.quietHoursEnd ?? 7;
+  if (!isQuietHour(localHour(now, timeZone), start, end)) {
+    return now;
+  }
+
+  const candidate = new Date(now);
+  candidate.setUTCMinutes(0, 0, 0);
+  for (let i = 0; i < 24; i += 1) {
+    candidate.setTime(candidate.getTime() + HOUR_MS);
+    if (!isQuietHour(localHour(candidate, timeZone), start, end)) {
+      return candidate;
+    }
+  }
+  return now;
+};
+
+const alertText = (requestDoc) => {
+  const when = new Date(requestDoc.requiredDate).toDateString();
+  const where = requestDoc.hospital ? `${requestDoc.hospital}, ${requestDoc.city}` : requestDoc.city;
+  return `${requestDoc.unitsNeeded} unit(s) of ${requestDoc.bloodGroup} blood needed at ${where} by ${when}. Open the app to respond.`;
+};
+
+// Alert matching donors for a request and record them on request.alertedDonors.
+// Returns { alerted, capped, deferred }.
+const alertDonorsForRequest = async (requestDoc, now = new Date()) => {
+  const { eligibleDonors } = await findMatchingDonors(requestDoc, "admin", null);
+
+  const alreadyAlerted = new Set((requestDoc.alertedDonors || []).map((a) => a.donor.toString()));
+  const candidates = eligibleDonors
+    .filter(
+      (donor) =>
+        donor.allowRequestContact !== false &&
+        donor.alertPreferences?.enabled !== false &&
+        donor.user.toString() !== requestDoc.user.toString() &&
+        !alreadyAlerted.has(donor._id.toString())
+    )
+    .slice(0, maxAlertsPerRequest());
+
+  if (!candidates.length) {
+    return { alerted: 0, capped: 0, deferred: 0 };
+  }
+
+  // Count each candidate's alerts in the rolling window for frequency caps.
+  const recentCounts = await Notification.aggregate([
+    {
+      $match: {
+        type: "request_alert",
+        donor: { $in: candidates.map((d) => d._id) },
+        createdAt: { $gte: new Date(now.getTime() - ALERT_WINDOW_MS) },
+      },
+    },
+    { $group: { _id: "$donor", count: { $sum: 1 } } },
+  ]);
+  const countByDonor = new Map(recentCounts.map((r) => [r._id.toString(), r.count]));
+
+  const message = alertText(requestDoc);
+  const summary = { alerted: 0, capped: 0, deferred: 0 };
+  let queued = 0;
+
+  for (const donor of candidates) {
+    const cap = donor.alertPreferences?.maxAlertsPerWeek ?? 3;
+    if ((countByDonor.get(donor._id.toString()) || 0) >= cap) {
+      summary.capped += 1;
+      continue;
+    }
+
+    await Notification.create({
+      user: donor.user,
+      donor: donor._id,
+      type: "request_alert",
+      title: `Urgent: ${requestDoc.bloodGroup} blood needed in ${requestDoc.city}`,
+      message,
+      meta: {
+        requestId: requestDoc._id,
+        bloodGroup: requestDoc.bloodGroup,
+        city: requestDoc.city,
+        requiredDate: requestDoc.requiredDate,
+      },
+    });
+
+    const channels = ["in_app"];
+    const sendAfter = nextDeliveryTime(now, donor.alertPreferences);
+    let outbound = null;
+    if (donor.contactPreference === "email" && donor.email) {
+      outbound = { channel: "email", to: donor.email, subject: "A patient near you needs blood" };
+    } else if (donor.contactPreference === "phone" && donor.phone) {
+      outbound = { channel: "sms", to: donor.phone };
+    }
+
+    if (outbound) {
+      await queueMessage({
+        ...outbound,
+        body: message,
+        user: donor.user,
+        donor: donor._id,
+        type: "request_alert",
+        meta: { requestId: requestDoc._id },
+        sendAfter,
+      });
+      channels.push(outbound.channel);
+      queued += 1;
+    }
+
+    const deferred = outbound && sendAfter > now;
+    if (deferred) summary.deferred += 1;
+    requestDoc.alertedDonors.push({
+      donor: donor._id,
+      alertedAt: now,
+      channels,
+      deliverAfter: deferred ? sendAfter : undefined,
+    });
+    summary.alerted += 1;
+  }
+
+  await requestDoc.save();
+
+  // Deliver anything not held by quiet hours without blocking the caller.
+  if (queued > summary.deferred) {
+    dispatchDueMessages().catch((error) => console.error("Dispatch outbound messages error:", error));
+  }
+
+  return summary;
+};
+
+module.exports = { alertDonorsForRequest, isQuietHour, nextDeliveryTime };
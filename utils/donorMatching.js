@@ -0,0 +1,61 @@
+// Donor matching for blood requests, shared by request routes and donor alerting.
+const Donor = require("../models/Donor");
+const { DEFAULT_RADIUS_KM } = require("./geo");
+const { getCompatibleDonorGroups, getMatchType } = require("./bloodCompatibility");
+const { loadActiveRules, donationTypeForComponent } = require("./eligibility");
+
+// Helper: allowed donor visibilities per role.
+const allowedVisibilities = (role) => {
+  if (role === "admin") return ["public", "registered", "admin"];
+  if (role === "guest") return ["public"];
+  return ["public", "registered"];
+};
+
+// Helper: find donors matching a request (respect visibility, willingness, eligibility).
+// Includes ABO/Rh-compatible groups; each result is tagged exact/compatible with exact matches first.
+// With a geo point (explicit, or the request's own location) donors are searched by radius
+// instead of city and returned nearest first with their distance.
+const findMatchingDonors = async (requestDoc, viewerRole, viewerId, geo = null) => {
+  const component = requestDoc.component || "red_cells";
+  const filters = {
+    willingToDonate: true,
+    bloodGroup: { $in: getCompatibleDonorGroups(requestDoc.bloodGroup, component) },
+    visibility: { $in: allowedVisibilities(viewerRole) },
+    isDeleted: false,
+  };
+
+  const effectiveGeo =
+    geo ||
+    (requestDoc.location?.coordinates?.length === 2
+      ? { point: requestDoc.location, radiusKm: DEFAULT_RADIUS_KM }
+      : null);
+
+  let candidates;
+  if (effectiveGeo) {
+    candidates = await Donor.findNear(filters, effectiveGeo.point, effectiveGeo.radiusKm);
+  } else {
+    if (requestDoc.city) {
+      filters["address.city"] = { $regex: requestDoc.city, $options: "i" };
+    }
+    candidates = (await Donor.find(filters)).map((donor) => ({ donor, distanceKm: null }));
+  }
+
+  // Filter by eligibility under the active rules, tag the match type, then shape data based on viewer.
+  const rules = await loadActiveRules();
+  const donationType = donationTypeForComponent(component);
+  const eligibleDonors = candidates
+    .filter(({ donor }) => donor.isEligibleToDonate({ rules, donationType }).eligible)
+    .map((c) => ({ ...c, matchType: getMatchType(c.donor.bloodGroup, requestDoc.bloodGroup, component) }));
+  if (!effectiveGeo) {
+    eligibleDonors.sort((a, b) => (a.matchType === b.matchType ? 0 : a.matchType === "exact" ? -1 : 1));
+  }
+
+  const safeDonors = eligibleDonors.map(({ donor, matchType, distanceKm }) => {
+    const safe = { ...donor.toSafeObject(viewerRole, viewerId), matchType };
+    if (distanceKm !== null) safe.distanceKm = distanceKm;
+    return safe;
+  });
+  return { eligibleDonors: eligibleDonors.map(({ donor }) => donor), safeDonors };
+};
+
+module.exports = { allowedVisibilities, findMatchingDonors };
@@ -0,0 +1,212 @@
+// Donor eligibility engine driven by the active EligibilityRuleSet.
+// Evaluation is synchronous and reads only donor fields, so it can run inside Donor methods;
+// routes call loadActiveRules() first so the cached rules reflect the database.
+const EligibilityRuleSet = require("../models/EligibilityRuleSet");
+const { COMPONENTS } = require("./bloodCompatibility");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CACHE_TTL_MS = 60 * 1000;
+const DONATION_TYPES = COMPONENTS;
+// Used when a rule set has no interval for the donor's previous donation type.
+const FALLBACK_INTERVAL_DAYS = 90;
+
+// Built-in rules used until an admin activates a rule set (version 0).
+const DEFAULT_RULES = {
+  version: 0,
+  name: "Built-in defaults",
+  minAgeYears: 18,
+  maxAgeYears: 65,
+  minWeightKg: 50,
+  intervals: [
+    { previousType: "whole_blood", sex: "any", minDays: 90 },
+    { previousType: "red_cells", sex: "any", minDays: 112 },
+    { previousType: "plasma", sex: "any", minDays: 28 },
+    { previousType: "platelets", sex: "any", minDays: 14 },
+  ],
+};
+
+let cachedRules = null;
+let cachedAt = 0;
+
+const toRules = (ruleSet) => ({
+  version: ruleSet.version,
+  name: ruleSet.name,
+  minAgeYears: ruleSet.minAgeYears,
+  maxAgeYears: ruleSet.maxAgeYears,
+  minWeightKg: ruleSet.minWeightKg,
+  intervals: (ruleSet.intervals || []).map((i) => ({
+    previousType: i.previousType,
+    donationType: i.donationType || undefined,
+    sex: i.sex || "any",
+    minDays: i.minDays,
+  })),
+});
+
+// Rules from the last load (or the defaults if nothing has been loaded yet).
+const getCachedRules = () => cachedRules || DEFAULT_RULES;
+
+// Load the active rule set, reusing the cached copy for CACHE_TTL_MS.
+const loadActiveRules = async ({ refresh = false } = {}) => {
+  if (!refresh && cachedRules && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedRules;
+  }
+  const active = await EligibilityRuleSet.findOne({ active: true }).lean();
+  cachedRules = active ? toRules(active) : DEFAULT_RULES;
+  cachedAt = Date.now();
+  return cachedRules;
+};
+
+const clearRulesCache = () => {
+  cachedRules = null;
+  cachedAt = 0;
+};
+
+// Map a requested blood component to the kind of donation that supplies it.
+const donationTypeForComponent = (component) =>
+  component === "plasma" || component === "platelets" ? component : "whole_blood";
+
+// Pick the most specific interval rule: a donationType match beats a sex match; ties take the longest gap.
+const findIntervalDays = (rules, previousType, donationType, sex) => {
+  const candidates = rules.intervals.filter(
+    (i) =>
+      i.previousType === previousType &&
+      (!i.donationType || i.donationType === donationType) &&
+      (!i.sex || i.sex === "any" || i.sex === sex)
+  );
+  if (candidates.length === 0) return FALLBACK_INTERVAL_DAYS;
+
+  const score = (i) => (i.donationType ? 2 : 0) + (i.sex && i.sex !== "any" ? 1 : 0);
+  return candidates.reduce((best, i) => {
+    if (!best || score(i) > score(best) || (score(i) === score(best) && i.minDays > best.minDays)) return i;
+    return best;
+  }, null).minDays;
+};
+
+const addYears = (date, years) => {
+  const result = new Date(date);
+  result.setFullYear(result.getFullYear() + years);
+  return result;
+};
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+// Evaluate a donor against the rules.
+// Returns { eligible, daysUntilEligible, eligibleFrom, reasons, ruleSetVersion }; each reason is
+// { code, message, until? }. daysUntilEligible/eligibleFrom are null when a reason has no end date.
+const evaluateEligibility = (donor, rules = getCachedRules(), { donationType = "whole_blood", on = new Date() } = {}) => {
+  const reasons = [];
+
+  if (!donor.willingToDonate) {
+    reasons.push({ code: "not_willing", message: "Donor is not willing to donate currently." });
+  }
+
+  if (donor.deferralUntil && donor.deferralUntil > on) {
+    reasons.push({
+      code: "deferred",
+      message: `Donor is deferred until ${formatDate(donor.deferralUntil)}.`,
+      until: donor.deferralUntil,
+      reasonCode: donor.deferralReasonCode || undefined,
+    });
+  }
+
+  if (donor.dateOfBirth) {
+    const minAgeDate = addYears(donor.dateOfBirth, rules.minAgeYears);
+    const maxAgeDate = addYears(donor.dateOfBirth, rules.maxAgeYears + 1);
+    if (minAgeDate > on) {
+      reasons.push({
+        code: "too_young",
+        message: `Donors must be at least ${rules.minAgeYears} years old.`,
+        until: minAgeDate,
+      });
+    } else if (maxAgeDate <= on) {
+      reasons.push({ code: "too_old", message: `Donors must be at most ${rules.maxAgeYears} years old.` });
+    }
+  }
+
+  if (typeof donor.weightKg === "number" && donor.weightKg < rules.minWeightKg) {
+    reasons.push({ code: "underweight", message: `Donors must weigh at least ${rules.minWeightKg} kg.` });
+  }
+
+  if (donor.lastDonationDate) {
+    const previousType = donor.lastDonationType || "whole_blood";
+    const minDays = findIntervalDays(rules, previousType, donationType, donor.gender);
+    const until = new Date(donor.lastDonationDate.getTime() + minDays * DAY_MS);
+    if (until > on) {
+      reasons.push({
+        code: "recent_donation",
+        message: `Donated too recently: ${minDays} days are required after a ${previousType.replace("_", " ")} donation.`,
+        until,
+        minDays,
+      });
+    }
+  }
+
+  const eligible = reasons.length === 0;
+  let eligibleFrom = on;
+  if (!eligible) {
+    eligibleFrom = reasons.every((r) => r.until)
+      ? new Date(Math.max(...reasons.map((r) => r.until.getTime())))
+      : null;
+  }
+
+  return {
+    eligible,
+    daysUntilEligible: eligible ? 0 : eligibleFrom ? Math.ceil((eligibleFrom - on) / DAY_MS) : null,
+    eligibleFrom,
+    reasons,
+    ruleSetVersion: rules.version,
+  };
+};
+
+// Validate an admin-supplied rule set body. Returns { value } or { error }.
+const validateRuleSetInput = (body = {}) => {
+  const value = {
+    name: body.name,
+    notes: body.notes,
+    minAgeYears: body.minAgeYears ?? DEFAULT_RULES.minAgeYears,
+    maxAgeYears: body.maxAgeYears ?? DEFAULT_RULES.maxAgeYears,
+    minWeightKg: body.minWeightKg ?? DEFAULT_RULES.minWeightKg,
+    intervals: body.intervals ?? DEFAULT_RULES.intervals,
+  };
+
+  for (const field of ["minAgeYears", "maxAgeYears", "minWeightKg"]) {
+    if (typeof value[field] !== "number" || !Number.isFinite(value[field]) || value[field] < 0) {
+      return { error: `${field} must be a non-negative number.` };
+    }
+  }
+  if (value.minAgeYears > value.maxAgeYears) {
+    return { error: "minAgeYears cannot be greater than maxAgeYears." };
+  }
+
+  if (!Array.isArray(value.intervals) || value.intervals.length === 0) {
+    return { error: "intervals must be a non-empty array." };
+  }
+  for (const interval of value.intervals) {
+    if (!interval || !DONATION_TYPES.includes(interval.previousType)) {
+      return { error: `Each interval needs a previousType (${DONATION_TYPES.join(", ")}).` };
+    }
+    if (interval.donationType !== undefined && !DONATION_TYPES.includes(interval.donationType)) {
+      return { error: `Interval donationType must be one of: ${DONATION_TYPES.join(", ")}.` };
+    }
+    if (interval.sex !== undefined && !["any", "male", "female"].includes(interval.sex)) {
+      return { error: "Interval sex must be any, male or female." };
+    }
+    if (!Number.isInteger(interval.minDays) || interval.minDays < 0) {
+      return { error: "Interval minDays must be a non-negative integer." };
+    }
+  }
+
+  return { value };
+};
+
+module.exports = {
+  DONATION_TYPES,
+  DEFAULT_RULES,
+  getCachedRules,
+  loadActiveRules,
+  clearRulesCache,
+  donationTypeForComponent,
+  findIntervalDays,
+  evaluateEligibility,
+  validateRuleSetInput,
+};
@@ -0,0 +1,180 @@
+// Donation event helpers: input validation, time slots and organiser stats.
+const DonationEvent = require("../models/DonationEvent");
+const EventRegistration = require("../models/EventRegistration");
+const Donation = require("../models/Donation");
+const { BLOOD_GROUPS } = require("./bloodCompatibility");
+const { countedDonations } = require("./donationStats");
+
+const ACTIVE_STATUSES = ["registered", "checked_in"];
+const MINUTE_MS = 60 * 1000;
+
+// Validate create/update input. With an existing event, missing fields keep their current values.
+// Returns { value } or { error }.
+const validateEventInput = (body = {}, existing = null) => {
+  const value = {};
+  for (const field of ["title", "description", "venue", "address", "isPublic"]) {
+    if (body[field] !== undefined) value[field] = body[field];
+  }
+  if (!existing && !value.title) {
+    return { error: "title is required." };
+  }
+
+  const startsAt = body.startsAt !== undefined ? new Date(body.startsAt) : existing?.startsAt;
+  const endsAt = body.endsAt !== undefined ? new Date(body.endsAt) : existing?.endsAt;
+  if (!startsAt || !endsAt || isNaN(startsAt) || isNaN(endsAt)) {
+    return { error: "startsAt and endsAt must be valid dates." };
+  }
+  if (endsAt <= startsAt) {
+    return { error: "endsAt must be after startsAt." };
+  }
+  value.startsAt = startsAt;
+  value.endsAt = endsAt;
+
+  for (const field of ["capacity", "slotMinutes", "slotCapacity"]) {
+    if (body[field] === undefined) continue;
+    if (!Number.isInteger(body[field]) || body[field] < 1) {
+      return { error: `${field} must be a positive integer.` };
+    }
+    value[field] = body[field];
+  }
+  if (!existing && value.capacity === undefined) {
+    return { error: "capacity is required." };
+  }
+  if (value.slotMinutes !== undefined && value.slotMinutes < 5) {
+    return { error: "slotMinutes must be at least 5." };
+  }
+
+  if (body.targetBloodGroups !== undefined) {
+    if (!Array.isArray(body.targetBloodGroups) || !body.targetBloodGroups.every((g) => BLOOD_GROUPS.includes(g))) {
+      return { error: `targetBloodGroups must only contain: ${BLOOD_GROUPS.join(", ")}.` };
+    }
+    value.targetBloodGroups = body.targetBloodGroups;
+  }
+
+  return { value };
+};
+
+// Slot start/end times covering the event.
+const buildSlots = (event) => {
+  const slots = [];
+  const step = (event.slotMinutes || 30) * MINUTE_MS;
+  for (let t = event.startsAt.getTime(); t + step <= event.endsAt.getTime(); t += step) {
+    slots.push({ start: new Date(t), end: new Date(t + step) });
+  }
+  return slots;
+};
+
+const slotKey = (start) => String(start.getTime());
+
+// Each slot with its booked count and remaining places.
+const getSlotAvailability = async (event) => {
+  const capacity = event.slotCapacity || event.capacity;
+  return buildSlots(event).map((slot) => {
+    const booked = event.slotBooked?.get(slotKey(slot.start)) || 0;
+    return { ...slot, capacity, booked, available: Math.max(capacity - booked, 0) };
+  });
+};
+
+// Take one place in a scheduled event and in its slot starting at slotStart, in a single update so
+// concurrent sign-ups cannot overbook either. Returns the updated event, or null when either is full.
+const claimEventPlace = (eventId, slotStart) => {
+  const key = `slotBooked.${slotKey(slotStart)}`;
+  return DonationEvent.findOneAndUpdate(
+    {
+      _id: eventId,
+      status: "scheduled",
+      $expr: {
+        $and: [
+          { $lt: ["$booked", "$capacity"] },
+          { $lt: [{ $ifNull: [`$${key}`, 0] }, { $ifNull: ["$slotCapacity", "$capacity"] }] },
+        ],
+      },
+    },
+    { $inc: { booked: 1, [key]: 1 } },
+    { new: true }
+  );
+};
+
+// Give a place back to an event and its slot.
+const releaseEventPlace = (eventId, slotStart) => {
+  const key = `slotBooked.${slotKey(slotStart)}`;
+  return DonationEvent.updateOne(
+    { _id: eventId, booked: { $gt: 0 }, [key]: { $gt: 0 } },
+    { $inc: { booked: -1, [key]: -1 } }
+  );
+};
+
+// Live registrations per slot start: [{ _id: slotStart, booked }].
+const countLiveBySlot = (eventId) =>
+  EventRegistration.aggregate([
+    { $match: { event: eventId, status: { $in: ACTIVE_STATUSES } } },
+    { $group: { _id: "$slotStart", booked: { $sum: 1 } } },
+  ]);
+
+// Check an edit (validated value) keeps every live registration in a slot of the new grid, with room
+// for the donors already booked there. Returns an error message, or null when the edit is safe.
+const slotChangeError = async (event, value) => {
+  const counts = await countLiveBySlot(event._id);
+  if (!counts.length) return null;
+
+  const next = { ...event.toObject(), ...value };
+  const starts = new Set(buildSlots(next).map((slot) => slotKey(slot.start)));
+  if (counts.some((c) => !starts.has(slotKey(c._id)))) {
+    return "This change would move donors' booked slots; cancel their registrations first or keep the slot times.";
+  }
+  const busiest = Math.max(...counts.map((c) => c.booked));
+  if (busiest > (next.slotCapacity || next.capacity)) {
+    return `Slot capacity cannot be lower than the ${busiest} registrations in the busiest slot.`;
+  }
+  return null;
+};
+
+// Rebuild an event's booked counters from its live registrations.
+const syncEventBookings = async (eventId) => {
+  const counts = await countLiveBySlot(eventId);
+  const slotBooked = Object.fromEntries(counts.map((c) => [slotKey(c._id), c.booked]));
+  const booked = counts.reduce((sum, c) => sum + c.booked, 0);
+  await DonationEvent.updateOne({ _id: eventId }, { $set: { booked, slotBooked } });
+  return { booked, slotBooked };
+};
+
+// Attendance and yield for organisers.
+const getEventStats = async (event) => {
+  const byStatus = await EventRegistration.aggregate([
+    { $match: { event: event._id } },
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+  const counts = { registered: 0, checked_in: 0, cancelled: 0, no_show: 0 };
+  for (const row of byStatus) counts[row._id] = row.count;
+
+  const yieldRows = await Donation.aggregate([
+    { $match: countedDonations({ event: event._id }) },
+    { $lookup: { from: "donors", localField: "donor", foreignField: "_id", as: "donor" } },
+    { $unwind: "$donor" },
+    { $group: { _id: "$donor.bloodGroup", donations: { $sum: 1 }, units: { $sum: "$units" } } },
+    { $sort: { _id: 1 } },
+  ]);
+
+  const booked = counts.registered + counts.checked_in + counts.no_show;
+  return {
+    capacity: event.capacity,
+    registrations: counts,
+    fillRate: event.capacity ? Math.round(((counts.registered + counts.checked_in) / event.capacity) * 100) / 100 : 0,
+    attendanceRate: booked ? Math.round((counts.checked_in / booked) * 100) / 100 : 0,
+    donations: yieldRows.reduce((sum, r) => sum + r.donations, 0),
+    unitsCollected: yieldRows.reduce((sum, r) => sum + r.units, 0),
+    byBloodGroup: yieldRows.map((r) => ({ bloodGroup: r._id, donations: r.donations, units: r.units })),
+  };
+};
+
+module.exports = {
+  ACTIVE_STATUSES,
+  validateEventInput,
+  buildSlots,
+  getSlotAvailability,
+  claimEventPlace,
+  releaseEventPlace,
+  slotChangeError,
+  syncEventBookings,
+  getEventStats,
+};
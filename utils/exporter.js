@@ -0,0 +1,114 @@
+// Streaming exports in CSV (RFC 4180), XLSX and NDJSON.
+// Rows are read from a Mongoose cursor and written as they arrive, so large collections never sit in memory.
+const ExcelJS = require("exceljs");
+
+const EXPORT_FORMATS = ["csv", "xlsx", "ndjson"];
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ndjson: "application/x-ndjson; charset=utf-8",
+};
+
+// Spreadsheet apps treat cells starting with these as formulas (CSV/formula injection).
+const FORMULA_PREFIXES = ["=", "+", "-", "@", "\t", "\r"];
+
+// Prefix text that would be read as a formula with a single quote so it is shown as text.
+const neutraliseFormula = (value) =>
+  typeof value === "string" && FORMULA_PREFIXES.includes(value[0]) ? `'${value}` : value;
+
+// Normalise a value for spreadsheet output: dates to ISO strings, objects to JSON, formulas neutralised.
+const toCellValue = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object" && typeof value.toHexString === "function") return value.toString();
+  if (typeof value === "object") return neutraliseFormula(JSON.stringify(value));
+  return neutraliseFormula(value);
+};
+
+// Quote a CSV field when it contains a comma, quote or line break; embedded quotes are doubled.
+const escapeCsvCell = (value) => {
+  const text = String(toCellValue(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV record terminated by CRLF, as RFC 4180 specifies.
+const toCsvLine = (values) => `${values.map(escapeCsvCell).join(",")}\r\n`;
+
+// Value for NDJSON output (no neutralisation; consumers parse JSON, not formulas).
+const toJsonValue = (value) => {
+  if (value === undefined) return null;
+  if (value && typeof value === "object" && typeof value.toHexString === "function") return value.toString();
+  return value;
+};
+
+// Wait for the socket to drain when its buffer is full.
+// Resolves false once the client has gone away ("close" fires and "drain" never will), so callers stop.
+const drained = (res) => {
+  if (res.destroyed) return Promise.resolve(false);
+  if (!res.writableNeedDrain) return Promise.resolve(true);
+  return new Promise((resolve) => {
+    const settle = (drained) => () => {
+      res.off("drain", onDrain);
+      res.off("close", onClose);
+      resolve(drained);
+    };
+    const onDrain = settle(true);
+    const onClose = settle(false);
+    res.on("drain", onDrain);
+    res.on("close", onClose);
+  });
+};
+
+// Write a chunk, then wait for the socket as above.
+const write = (res, chunk) => {
+  if (res.destroyed) return Promise.resolve(false);
+  res.write(chunk);
+  return drained(res);
+};
+
+// Stream cursor documents to the response. columns: [{ header, value: (doc) => any }].
+// Errors after the first byte can no longer become a JSON response, so the stream is destroyed instead.
+const streamExport = async (res, { format, filename, columns, cursor }) => {
+  res.status(200);
+  res.setHeader("Content-Type", CONTENT_TYPES[format]);
+  res.setHeader("Content-Disposition", `attachment; filename=${filename}.${format}`);
+
+  try {
+    if (format === "xlsx") {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+      const sheet = workbook.addWorksheet(filename);
+      sheet.columns = columns.map((c) => ({ header: c.header, key: c.header }));
+      // The workbook is zipped into res, so wait on res between rows like the other formats do.
+      for await (const doc of cursor) {
+        sheet.addRow(columns.map((c) => toCellValue(c.value(doc)))).commit();
+        if (!(await drained(res))) return;
+      }
+      sheet.commit();
+      await workbook.commit();
+      return;
+    }
+
+    if (format === "csv" && !(await write(res, toCsvLine(columns.map((c) => c.header))))) {
+      return;
+    }
+    for await (const doc of cursor) {
+      let line;
+      if (format === "csv") {
+        line = toCsvLine(columns.map((c) => c.value(doc)));
+      } else {
+        const record = Object.fromEntries(columns.map((c) => [c.header, toJsonValue(c.value(doc))]));
+        line = `${JSON.stringify(record)}\n`;
+      }
+      if (!(await write(res, line))) return;
+    }
+    res.end();
+  } catch (error) {
+    console.error(`Export ${filename} stream error:`, error);
+    res.destroy(error);
+  } finally {
+    await cursor.close();
+  }
+};
+
+module.exports = { EXPORT_FORMATS, neutraliseFormula, escapeCsvCell, toCsvLine, streamExport };
@@ -0,0 +1,42 @@
+// Helpers for GeoJSON points and the "near=lat,lng&radiusKm=" query contract.
+
+const DEFAULT_RADIUS_KM = 25;
+const MAX_RADIUS_KM = 500;
+
+const isValidLat = (lat) => typeof lat === "number" && Number.isFinite(lat) && lat >= -90 && lat <= 90;
+const isValidLng = (lng) => typeof lng === "number" && Number.isFinite(lng) && lng >= -180 && lng <= 180;
+
+// Build a GeoJSON point (note GeoJSON order is [lng, lat]); returns null for missing/invalid coordinates.
+const toPoint = (lat, lng) => {
+  if (lat === undefined || lat === null || lng === undefined || lng === null || lat === "" || lng === "") {
+    return null;
+  }
+  const latNum = Number(lat);
+  const lngNum = Number(lng);
+  if (!isValidLat(latNum) || !isValidLng(lngNum)) return null;
+  return { type: "Point", coordinates: [lngNum, latNum] };
+};
+
+// Parse near/radiusKm query params. Returns { geo: null } when near is absent, or { error } when invalid.
+const parseNearQuery = (query) => {
+  const { near, radiusKm } = query;
+  if (!near) return { geo: null };
+
+  const [lat, lng] = near.toString().split(",");
+  const point = toPoint(lat, lng);
+  if (!point) {
+    return { error: "near must be in the form lat,lng with valid coordinates." };
+  }
+
+  let radius = DEFAULT_RADIUS_KM;
+  if (radiusKm !== undefined && radiusKm !== "") {
+    radius = Number(radiusKm);
+    if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_RADIUS_KM) {
+      return { error: `radiusKm must be a number between 0 and ${MAX_RADIUS_KM}.` };
+    }
+  }
+
+  return { geo: { point, radiusKm: radius } };
+};
+
+module.exports = { DEFAULT_RADIUS_KM, MAX_RADIUS_KM, toPoint, parseNearQuery };
@@ -0,0 +1,356 @@
+// Bulk import of donors and historical donations from CSV records (see utils/csvParser).
+// Importing is two steps: plan*() validates every row and works out what would happen (the dry run),
+// apply*() carries out the rows that are ready. Each row result is
+// { line, status, errors, ... } where status is ready|duplicate|invalid (plan) or created|failed (apply).
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Donor = require("../models/Donor");
+const Donation = require("../models/Donation");
+const Institution = require("../models/Institution");
+const AuthToken = require("../models/AuthToken");
+const { sendMail, appLink } = require("./mailer");
+const { recomputeDonorStats, recomputeInstitutionStats } = require("./donationStats");
+const { parseUnits } = require("./donationRecording");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Invite links for imported accounts stay valid longer than a normal reset link.
+const INVITE_TTL_MS = 7 * DAY_MS;
+
+const DONOR_COLUMNS = [
+  "fullName",
+  "email",
+  "phone",
+  "bloodGroup",
+  "gender",
+  "dateOfBirth",
+  "weightKg",
+  "emergencyContactName",
+  "emergencyContactPhone",
+  "willingToDonate",
+  "city",
+  "area",
+  "stateOrDivision",
+  "postalCode",
+  "notes",
+];
+const DONATION_COLUMNS = ["donorEmail", "donorPhone", "donationDate", "donationType", "units", "institution", "location", "notes"];
+
+// Phone numbers are compared without spaces, dashes, dots or brackets.
+const normalisePhone = (phone) => (phone ? phone.replace(/[\s\-().]/g, "") : phone);
+
+// Regex matching a stored phone number however it was punctuated.
+const phonePattern = (phone) =>
+  new RegExp(`^${[...normalisePhone(phone)].map((c) => c.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("[\\s\\-().]*")}$`);
+
+const dayKey = (donorId, date) => `${donorId}|${date.toISOString().slice(0, 10)}`;
+
+// Small typed readers that collect errors instead of throwing.
+const readers = (values, errors) => ({
+  text: (key) => values[key] || undefined,
+  number: (key) => {
+    if (!values[key]) return undefined;
+    const value = Number(values[key]);
+    if (!Number.isFinite(value)) errors.push(`${key} must be a number.`);
+    return value;
+  },
+  date: (key) => {
+    if (!values[key]) return undefined;
+    const value = new Date(values[key]);
+    if (isNaN(value)) errors.push(`${key} must be a date (YYYY-MM-DD).`);
+    return value;
+  },
+  boolean: (key) => {
+    if (!values[key]) return undefined;
+    const value = values[key].toLowerCase();
+    if (["true", "yes", "1", "y"].includes(value)) return true;
+    if (["false", "no", "0", "n"].includes(value)) return false;
+    errors.push(`${key} must be true or false.`);
+    return undefined;
+  },
+});
+
+// Schema validation errors as readable messages.
+const schemaErrors = (doc) => {
+  const error = doc.validateSync();
+  return error ? Object.values(error.errors).map((e) => e.message) : [];
+};
+
+const summarise = (rows) =>
+  rows.reduce(
+    (summary, row) => {
+      summary[row.status] = (summary[row.status] || 0) + 1;
+      return summary;
+    },
+    { total: rows.length }
+  );
+
+// Validate donor rows, dedupe on email/phone (within the file and against existing donors)
+// and decide whether each row creates a new account or links an existing one.
+// Donation counters are not imported; they come from imported donations.
+const planDonorImport = async (records) => {
+  const rows = records.map(({ line, values }) => {
+    const errors = [];
+    const read = readers(values, errors);
+    const fields = {
+      fullName: read.text("fullName"),
+      email: read.text("email")?.toLowerCase(),
+      phone: read.text("phone"),
+      bloodGroup: read.text("bloodGroup")?.toUpperCase(),
+      gender: read.text("gender")?.toLowerCase(),
+      dateOfBirth: read.date("dateOfBirth"),
+      weightKg: read.number("weightKg"),
+      emergencyContactName: read.text("emergencyContactName"),
+      emergencyContactPhone: read.text("emergencyContactPhone"),
+      willingToDonate: read.boolean("willingToDonate"),
+      address: {
+        city: read.text("city"),
+        area: read.text("area"),
+        stateOrDivision: read.text("stateOrDivision"),
+        postalCode: read.text("postalCode"),
+      },
+      notes: read.text("notes"),
+    };
+    // Every donor profile belongs to a User, and accounts are keyed by email.
+    if (!fields.email) {
+      errors.push("email is required to create or link the donor's account.");
+    }
+    errors.push(...schemaErrors(new Donor({ ...fields, user: new mongoose.Types.ObjectId() })));
+    return { line, status: errors.length ? "invalid" : "ready", errors, fields };
+  });
+
+  // Duplicates within the file.
+  const seenEmail = new Map();
+  const seenPhone = new Map();
+  for (const row of rows) {
+    if (row.status !== "ready") continue;
+    const phone = normalisePhone(row.fields.phone);
+    const earlier = seenEmail.get(row.fields.email) || seenPhone.get(phone);
+    if (earlier) {
+      row.status = "duplicate";
+      row.errors.push(`Same email or phone as line ${earlier}.`);
+      continue;
+    }
+    seenEmail.set(row.fields.email, row.line);
+    seenPhone.set(phone, row.line);
+  }
+
+  // Duplicates of existing donors (including soft-deleted ones, which still hold their email).
+  const ready = rows.filter((r) => r.status === "ready");
+  const emails = ready.map((r) => r.fields.email);
+  const phones = ready.map((r) => phonePattern(r.fields.phone));
+  const existing = await Donor.find({ $or: [{ email: { $in: emails } }, { phone: { $in: phones } }] }).select(
+    "email phone isDeleted"
+  );
+  for (const row of ready) {
+    const match = existing.find(
+      (d) => d.email === row.fields.email || normalisePhone(d.phone) === normalisePhone(row.fields.phone)
+    );
+    if (match) {
+      row.status = "duplicate";
+      row.donorId = match._id;
+      row.errors.push(`A donor with this email or phone already exists${match.isDeleted ? " (deleted)" : ""}.`);
+    }
+  }
+
+  // Link existing accounts, unless they already own a donor profile.
+  const stillReady = rows.filter((r) => r.status === "ready");
+  const users = await User.find({ email: { $in: stillReady.map((r) => r.fields.email) } }).select("email");
+  const profiles = await Donor.find({ user: { $in: users.map((u) => u._id) } }).select("user");
+  const withProfile = new Set(profiles.map((d) => d.user.toString()));
+  for (const row of stillReady) {
+    const user = users.find((u) => u.email === row.fields.email);
+    if (!user) {
+      row.userAction = "create";
+    } else if (withProfile.has(user._id.toString())) {
+      row.status = "invalid";
+      row.errors.push("The account with this email already has a donor profile.");
+    } else {
+      row.userAction = "link";
+      row.userId = user._id;
+    }
+  }
+
+  return { rows, summary: summarise(rows) };
+};
+
+// Email an imported user a link to choose their password. Failures are logged, not fatal.
+const sendInvite = async (user) => {
+  try {
+    const token = await AuthToken.issue(user._id, "password_reset", INVITE_TTL_MS);
+    await sendMail({
+      to: user.email,
+      subject: "Your blood donor account",
+      text:
+        `Hi ${user.name},\n\nA donor profile has been created for you. Open this link to set your password:\n` +
+        `${appLink("/reset-password", { token })}\n\nThis link expires in 7 days.`,
+    });
+  } catch (error) {
+    console.error("Send import invite error:", error);
+  }
+};
+
+// Create the ready rows of a donor plan. New accounts get a random password and, with sendInvites,
+// an email to set their own.
+const applyDonorImport = async (plan, { sendInvites = false } = {}) => {
+  const rows = [];
+  for (const row of plan.rows) {
+    if (row.status !== "ready") {
+      rows.push(row);
+      continue;
+    }
+    let createdUser = null;
+    try {
+      let userId = row.userId;
+      if (row.userAction === "create") {
+        createdUser = await User.create({
+          name: row.fields.fullName,
+          email: row.fields.email,
+          password: crypto.randomBytes(24).toString("hex"),
+        });
+        userId = createdUser._id;
+      }
+      const donor = await Donor.create({ ...row.fields, user: userId });
+      if (createdUser && sendInvites) {
+        await sendInvite(createdUser);
+      }
+      rows.push({ ...row, status: "created", donorId: donor._id, userId });
+    } catch (error) {
+      // Do not leave an account behind for a donor that could not be created.
+      if (createdUser) {
+        await User.deleteOne({ _id: createdUser._id });
+      }
+      const message = error.code === 11000 ? "A donor or account with this email already exists." : error.message;
+      rows.push({ ...row, status: "failed", errors: [...row.errors, message] });
+    }
+  }
+  return { rows, summary: summarise(rows) };
+};
+
+// Validate donation rows: find the donor by email or phone, the institution by name or ID,
+// and skip donations already recorded for the same donor on the same day.
+const planDonationImport = async (records) => {
+  const institutions = await Institution.find({ isDeleted: false }).select("name");
+  const findInstitution = (value) =>
+    institutions.find((i) => i._id.toString() === value || i.name.toLowerCase() === value.toLowerCase());
+
+  const emails = records.map((r) => r.values.donorEmail?.toLowerCase()).filter(Boolean);
+  const phones = records.filter((r) => r.values.donorPhone).map((r) => phonePattern(r.values.donorPhone));
+  const donors = await Donor.find({
+    isDeleted: false,
+    $or: [{ email: { $in: emails } }, { phone: { $in: phones } }],
+  }).select("email phone fullName");
+
+  const now = new Date();
+  const rows = records.map(({ line, values }) => {
+    const errors = [];
+    const read = readers(values, errors);
+
+    const email = read.text("donorEmail")?.toLowerCase();
+    const phone = normalisePhone(read.text("donorPhone"));
+    let donor = null;
+    if (!email && !phone) {
+      errors.push("donorEmail or donorPhone is required.");
+    } else {
+      donor =
+        (email && donors.find((d) => d.email === email)) ||
+        (phone && donors.find((d) => normalisePhone(d.phone) === phone)) ||
+        null;
+      if (!donor) errors.push("No donor found with this email or phone.");
+    }
+
+    let institution = null;
+    const institutionName = read.text("institution");
+    if (institutionName) {
+      institution = findInstitution(institutionName);
+      if (!institution) errors.push(`Institution "${institutionName}" not found.`);
+    }
+
+    const fields = {
+      donor: donor?._id,
+      institution: institution?._id,
+      donationDate: read.date("donationDate"),
+      donationType: read.text("donationType")?.toLowerCase(),
+      units: read.number("units"),
+      location: read.text("location"),
+      notes: read.text("notes"),
+    };
+    if (fields.donationDate && fields.donationDate > now) {
+      errors.push("donationDate cannot be in the future.");
+    }
+    // Same bounds as recorded donations; a non-number was already reported by read.number.
+    if (Number.isFinite(fields.units)) {
+      const { error } = parseUnits(fields.units);
+      if (error) errors.push(error);
+    }
+    // A placeholder donor keeps the schema check to the other fields when the donor was not found.
+    errors.push(...schemaErrors(new Donation({ ...fields, donor: fields.donor || new mongoose.Types.ObjectId() })));
+
+    return { line, status: errors.length ? "invalid" : "ready", errors, fields, donorName: donor?.fullName };
+  });
+
+  // Same donor on the same day: already recorded, or earlier in the file.
+  const ready = rows.filter((r) => r.status === "ready");
+  const recorded = await Donation.find({
+    donor: { $in: ready.map((r) => r.fields.donor) },
+    isDeleted: false,
+    verificationStatus: { $ne: "rejected" },
+  }).select("donor donationDate");
+  const seen = new Map(recorded.map((d) => [dayKey(d.donor, d.donationDate), null]));
+  for (const row of ready) {
+    const key = dayKey(row.fields.donor, row.fields.donationDate);
+    if (seen.has(key)) {
+      row.status = "duplicate";
+      const earlier = seen.get(key);
+      row.errors.push(
+        earlier ? `Same donor and date as line ${earlier}.` : "A donation on this date is already recorded for the donor."
+      );
+      continue;
+    }
+    seen.set(key, row.line);
+  }
+
+  return { rows, summary: summarise(rows) };
+};
+
+// Record the ready rows of a donation plan, then recompute the affected donors' and institutions' counters.
+// Historical donations are not stocked into inventory.
+const applyDonationImport = async (plan) => {
+  const rows = [];
+  const donorIds = new Set();
+  const institutionIds = new Set();
+
+  for (const row of plan.rows) {
+    if (row.status !== "ready") {
+      rows.push(row);
+      continue;
+    }
+    try {
+      const donation = await Donation.create(row.fields);
+      donorIds.add(donation.donor.toString());
+      if (donation.institution) institutionIds.add(donation.institution.toString());
+      rows.push({ ...row, status: "created", donationId: donation._id });
+    } catch (error) {
+      rows.push({ ...row, status: "failed", errors: [...row.errors, error.message] });
+    }
+  }
+
+  for (const donorId of donorIds) {
+    await recomputeDonorStats(donorId);
+  }
+  for (const institutionId of institutionIds) {
+    await recomputeInstitutionStats(institutionId);
+  }
+
+  return { rows, summary: summarise(rows) };
+};
+
+module.exports = {
+  DONOR_COLUMNS,
+  DONATION_COLUMNS,
+  normalisePhone,
+  planDonorImport,
+  applyDonorImport,
+  planDonationImport,
+  applyDonationImport,
+};
@@ -0,0 +1,257 @@
+// Blood inventory: stock units in and out of an institution, the movement ledger and low-stock alerts.
+const Institution = require("../models/Institution");
+const InventoryUnit = require("../models/InventoryUnit");
+const StockMovement = require("../models/StockMovement");
+const Notification = require("../models/Notification");
+const User = require("../models/User");
+const InstitutionMember = require("../models/InstitutionMember");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Default storage life per component when no expiry is given.
+const SHELF_LIFE_DAYS = { whole_blood: 35, red_cells: 42, plasma: 365, platelets: 5 };
+// Units expiring within this window are flagged in the stock summary.
+const EXPIRING_SOON_DAYS = 3;
+
+// Users told about low stock: the institution's staff, or platform admins if it has none yet.
+const inventoryRecipients = async (institutionId) => {
+  const members = await InstitutionMember.find({ institution: institutionId }).select("user");
+  if (members.length > 0) {
+    return members.map((m) => m.user);
+  }
+  const admins = await User.find({ role: "admin", isActive: true }).select("_id");
+  return admins.map((u) => u._id);
+};
+
+// Compare available stock with the institution's thresholds and alert once per shortage.
+// Only the given bloodGroup/component pairs are checked (all thresholds when omitted).
+const checkLowStock = async (institutionId, pairs = null) => {
+  const institution = await Institution.findById(institutionId);
+  if (!institution || !institution.inventoryThresholds?.length) return { alerted: 0 };
+
+  const relevant = institution.inventoryThresholds.filter(
+    (t) => !pairs || pairs.some((p) => p.bloodGroup === t.bloodGroup && p.component === t.component)
+  );
+
+  const low = [];
+  for (const threshold of relevant) {
+    const available = await InventoryUnit.countDocuments({
+      institution: institution._id,
+      status: "available",
+      bloodGroup: threshold.bloodGroup,
+      component: threshold.component,
+    });
+    if (available < threshold.minUnits) {
+      if (!threshold.lowSince) {
+        threshold.lowSince = new Date();
+        low.push({ threshold, available });
+      }
+    } else {
+      threshold.lowSince = undefined;
+    }
+  }
+  await institution.save();
+
+  if (low.length > 0) {
+    const recipients = await inventoryRecipients(institution._id);
+    for (const { threshold, available } of low) {
+      const label = `${threshold.bloodGroup} ${threshold.component.replace("_", " ")}`;
+      for (const user of recipients) {
+        await Notification.create({
+          user,
+          type: "inventory_low",
+          title: `Low stock: ${label}`,
+          message: `${institution.name} has ${available} unit(s) of ${label} left (alert level ${threshold.minUnits}).`,
+          meta: {
+            institutionId: institution._id,
+            bloodGroup: threshold.bloodGroup,
+            component: threshold.component,
+            available,
+            minUnits: threshold.minUnits,
+          },
+        });
+      }
+    }
+  }
+
+  return { alerted: low.length };
+};
+
+// Add units to stock and record a "collected" movement.
+const addUnits = async ({
+  institution,
+  bloodGroup,
+  component,
+  quantity = 1,
+  collectedAt = new Date(),
+  expiresAt,
+  source,
+  donation,
+  donor,
+  bagNumber,
+  reason,
+  user,
+}) => {
+  const expiry = expiresAt || new Date(collectedAt.getTime() + SHELF_LIFE_DAYS[component] * DAY_MS);
+  const docs = Array.from({ length: quantity }, (_, i) => ({
+    institution,
+    bloodGroup,
+    component,
+    source,
+    donation,
+    donor,
+    bagNumber: bagNumber && quantity > 1 ? `${bagNumber}-${i + 1}` : bagNumber,
+    collectedAt,
+    expiresAt: expiry,
+  }));
+  const units = await InventoryUnit.insertMany(docs);
+
+  await StockMovement.create({
+    institution,
+    type: "collected",
+    bloodGroup,
+    component,
+    quantity,
+    units: units.map((u) => u._id),
+    donation,
+    reason,
+    user,
+  });
+
+  // Back-dated entries may already be out of date; move those straight to expired.
+  const stale = units.filter((u) => u.expiresAt <= new Date());
+  if (stale.length > 0) {
+    await removeUnits(stale, { type: "expired", reason: "Passed expiry date.", user });
+  }
+
+  await checkLowStock(institution, [{ bloodGroup, component }]);
+  return units;
+};
+
+// Stock the units of a donation recorded at an institution.
+const stockFromDonation = async (donation, donor, userId) => {
+  if (!donation.institution) return [];
+  return addUnits({
+    institution: donation.institution,
+    bloodGroup: donor.bloodGroup,
+    component: donation.donationType || "whole_blood",
+    quantity: donation.units || 1,
+    collectedAt: donation.donationDate,
+    source: "donation",
+    donation: donation._id,
+    donor: donor._id,
+    user: userId,
+  });
+};
+
+// Take specific units out of stock (issued, discarded or expired) and record one movement per group/component.
+const removeUnits = async (units, { type, request, reason, user, now = new Date() }) => {
+  const removed = [];
+  for (const unit of units) {
+    // Claim each unit so two concurrent removals cannot take the same bag.
+    const claimed = await InventoryUnit.findOneAndUpdate(
+      { _id: unit._id, status: "available" },
+      { status: type, removedAt: now, removalReason: reason, issuedTo: request },
+      { new: true }
+    );
+    if (claimed) removed.push(claimed);
+  }
+
+  const groups = new Map();
+  for (const unit of removed) {
+    const key = `${unit.institution}|${unit.bloodGroup}|${unit.component}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(unit);
+  }
+  for (const group of groups.values()) {
+    const [first] = group;
+    await StockMovement.create({
+      institution: first.institution,
+      type,
+      bloodGroup: first.bloodGroup,
+      component: first.component,
+      quantity: -group.length,
+      units: group.map((u) => u._id),
+      request,
+      reason,
+      user,
+    });
+    await checkLowStock(first.institution, [{ bloodGroup: first.bloodGroup, component: first.component }]);
+  }
+
+  return removed;
+};
+
+// Issue units first-expiry-first-out. Returns { units } or { error } when stock is short.
+const issueUnits = async ({ institution, bloodGroup, component, quantity, request, reason, user }) => {
+  const candidates = await InventoryUnit.find({
+    institution,
+    status: "available",
+    bloodGroup,
+    component,
+    expiresAt: { $gt: new Date() },
+  })
+    .sort({ expiresAt: 1, _id: 1 })
+    .limit(quantity);
+
+  if (candidates.length < quantity) {
+    return { error: `Only ${candidates.length} unit(s) of ${bloodGroup} ${component} are available.` };
+  }
+
+  const units = await removeUnits(candidates, { type: "issued", request, reason, user });
+  return { units };
+};
+
+// Mark available units past their expiry as expired (scheduled job).
+const expireUnits = async (now = new Date()) => {
+  const due = await InventoryUnit.find({ status: "available", expiresAt: { $lte: now } });
+  const expired = await removeUnits(due, { type: "expired", reason: "Passed expiry date.", now });
+  return { expired: expired.length };
+};
+
+// Available stock per blood group/component with thresholds and soon-to-expire counts.
+const getStockSummary = async (institution) => {
+  const soon = new Date(Date.now() + EXPIRING_SOON_DAYS * DAY_MS);
+  const rows = await InventoryUnit.aggregate([
+    { $match: { institution: institution._id, status: "available" } },
+    {
+      $group: {
+        _id: { bloodGroup: "$bloodGroup", component: "$component" },
+        available: { $sum: 1 },
+        expiringSoon: { $sum: { $cond: [{ $lte: ["$expiresAt", soon] }, 1, 0] } },
+        nextExpiry: { $min: "$expiresAt" },
+      },
+    },
+  ]);
+
+  const byKey = new Map(
+    rows.map((r) => [
+      `${r._id.bloodGroup}|${r._id.component}`,
+      { ...r._id, available: r.available, expiringSoon: r.expiringSoon, nextExpiry: r.nextExpiry },
+    ])
+  );
+  for (const t of institution.inventoryThresholds || []) {
+    const key = `${t.bloodGroup}|${t.component}`;
+    if (!byKey.has(key)) {
+      byKey.set(key, { bloodGroup: t.bloodGroup, component: t.component, available: 0, expiringSoon: 0, nextExpiry: null });
+    }
+    const entry = byKey.get(key);
+    entry.minUnits = t.minUnits;
+    entry.low = entry.available < t.minUnits;
+  }
+
+  return [...byKey.values()].sort(
+    (a, b) => a.bloodGroup.localeCompare(b.bloodGroup) || a.component.localeCompare(b.component)
+  );
+};
+
+module.exports = {
+  SHELF_LIFE_DAYS,
+  EXPIRING_SOON_DAYS,
+  checkLowStock,
+  addUnits,
+  stockFromDonation,
+  removeUnits,
+  issueUnits,
+  expireUnits,
+  getStockSummary,
+};
@@ -0,0 +1,138 @@
+// Query-string filters shared by the list endpoints and the admin exports, so both accept the same params.
+// Each builder returns { filters } or { error }.
+const mongoose = require("mongoose");
+
+// Parse an optional date range into a Mongo condition on one field.
+const dateRange = (from, to, labels = ["from", "to"]) => {
+  if (!from && !to) return {};
+  const range = {};
+  if (from) {
+    const parsed = new Date(from);
+    if (isNaN(parsed)) return { error: `Invalid ${labels[0]} format.` };
+    range.$gte = parsed;
+  }
+  if (to) {
+    const parsed = new Date(to);
+    if (isNaN(parsed)) return { error: `Invalid ${labels[1]} format.` };
+    range.$lte = parsed;
+  }
+  return { range };
+};
+
+// GET /api/donors: bloodGroup, city, willing.
+const donorFilters = (query) => {
+  const { bloodGroup, city, willing } = query;
+  const filters = { isDeleted: false };
+
+  if (bloodGroup) {
+    filters.bloodGroup = bloodGroup;
+  }
+  if (city) {
+    // Case-insensitive match on address.city.
+    filters["address.city"] = { $regex: city, $options: "i" };
+  }
+  if (willing === "true" || willing === "false") {
+    filters.willingToDonate = willing === "true";
+  }
+
+  return { filters };
+};
+
+// GET /api/donations: donorId, institutionId, fromDate, toDate, verificationStatus.
+const donationFilters = (query) => {
+  const { donorId, institutionId, fromDate, toDate, verificationStatus } = query;
+  const filters = { isDeleted: false };
+
+  if (donorId) {
+    if (!mongoose.isValidObjectId(donorId)) return { error: "Invalid donor ID." };
+    filters.donor = donorId;
+  }
+  if (institutionId) {
+    if (!mongoose.isValidObjectId(institutionId)) return { error: "Invalid institution ID." };
+    filters.institution = institutionId;
+  }
+
+  const { range, error } = dateRange(fromDate, toDate, ["fromDate", "toDate"]);
+  if (error) return { error };
+  if (range) {
+    filters.donationDate = range;
+  }
+  if (verificationStatus) {
+    filters.verificationStatus = verificationStatus;
+  }
+
+  return { filters };
+};
+
+// GET /api/requests (admin): status.
+const requestFilters = (query) => {
+  const filters = { isDeleted: false };
+  if (query.status) {
+    filters.status = query.status;
+  }
+  return { filters };
+};
+
+// GET /api/institutions: type.
+const institutionFilters = (query) => {
+  const filters = { isDeleted: false };
+  if (query.type) {
+    filters.type = query.type;
+  }
+  return { filters };
+};
+
+// GET /api/users: role, isActive.
+const userFilters = (query) => {
+  const filters = {};
+  if (query.role) {
+    filters.role = query.role;
+  }
+  if (query.isActive === "true" || query.isActive === "false") {
+    filters.isActive = query.isActive === "true";
+  }
+  return { filters };
+};
+
+// GET /api/admin/audit: userId, action, targetType, targetId, from, to, q.
+// action may be a comma-separated list; q is a case-insensitive search over action, target and changed fields.
+const auditLogFilters = (query) => {
+  const filters = {};
+  if (query.userId) {
+    if (!mongoose.isValidObjectId(query.userId)) return { error: "Invalid user ID." };
+    filters.user = query.userId;
+  }
+  if (query.action) {
+    const actions = query.action.toString().split(",").map((a) => a.trim()).filter(Boolean);
+    filters.action = actions.length === 1 ? actions[0] : { $in: actions };
+  }
+  if (query.targetType) {
+    filters.targetType = query.targetType;
+  }
+  if (query.targetId) {
+    filters.targetId = query.targetId.toString();
+  }
+
+  const { range, error } = dateRange(query.from, query.to);
+  if (error) return { error };
+  if (range) {
+    filters.createdAt = range;
+  }
+
+  if (query.q) {
+    const pattern = { $regex: query.q.toString().replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), $options: "i" };
+    filters.$or = [{ action: pattern }, { targetType: pattern }, { targetId: pattern }, { "changes.field": pattern }];
+  }
+
+  return { filters };
+};
+
+module.exports = {
+  dateRange,
+  donorFilters,
+  donationFilters,
+  requestFilters,
+  institutionFilters,
+  userFilters,
+  auditLogFilters,
+};
@@ -0,0 +1,64 @@
+// Pluggable mail sending. Pick a built-in transport with MAIL_TRANSPORT, or register your own with setTransport.
+//   console (default) - log emails to stdout
+//   file              - append emails as JSON lines to MAIL_OUTBOX_FILE (default: <os tmpdir>/mail-outbox.ndjson)
+// A transport is any object with an async send({ from, to, subject, text }) method.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const consoleTransport = {
+  name: "console",
+  send: async (mail) => {
+    console.log(`[mail] to=${mail.to} subject="${mail.subject}"\n${mail.text}`);
+  },
+};
+
+const fileTransport = {
+  name: "file",
+  send: async (mail) => {
+    const file = path.resolve(process.env.MAIL_OUTBOX_FILE || path.join(os.tmpdir(), "mail-outbox.ndjson"));
+    const line = JSON.stringify({ ...mail, sentAt: new Date().toISOString() });
+    await fs.promises.appendFile(file, `${line}\n`);
+  },
+};
+
+// Keeps sent mail in an array; handy for tests.
+const createMemoryTransport = () => {
+  const outbox = [];
+  return {
+    name: "memory",
+    outbox,
+    send: async (mail) => {
+      outbox.push(mail);
+    },
+  };
+};
+
+const builtInTransports = { console: consoleTransport, file: fileTransport };
+
+let activeTransport = null;
+
+const getTransport = () => {
+  if (!activeTransport) {
+    activeTransport = builtInTransports[process.env.MAIL_TRANSPORT] || consoleTransport;
+  }
+  return activeTransport;
+};
+
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+const sendMail = ({ to, subject, text }) => {
+  const from = process.env.MAIL_FROM || "no-reply@blood-donation.local";
+  return getTransport().send({ from, to, subject, text });
+};
+
+// Build a link into the client app, e.g. appLink("/reset-password", { token }).
+const appLink = (pathname, params = {}) => {
+  const base = (process.env.APP_URL || "http://localhost:3000").replace(/\/$/, "");
+  const query = new URLSearchParams(params).toString();
+  return `${base}${pathname}${query ? `?${query}` : ""}`;
+};
+
+module.exports = { sendMail, setTransport, getTransport, createMemoryTransport, appLink };
@@ -0,0 +1,68 @@
+// Outbound email/SMS queue. Messages are stored as OutboundMessage documents and
+// delivered by dispatchDueMessages (right after queuing, and periodically).
+// Email goes through utils/mailer; SMS goes through a provider set with setSmsProvider.
+// An SMS provider is any object with an async send({ to, body }) method.
+const OutboundMessage = require("../models/OutboundMessage");
+const { sendMail } = require("./mailer");
+
+const MAX_ATTEMPTS = 3;
+
+const consoleSmsProvider = {
+  name: "console",
+  send: async ({ to, body }) => {
+    console.log(`[sms] to=${to}\n${body}`);
+  },
+};
+
+let smsProvider = consoleSmsProvider;
+
+const setSmsProvider = (provider) => {
+  smsProvider = provider;
+};
+
+const queueMessage = (message) => OutboundMessage.create(message);
+
+const deliver = (message) => {
+  if (message.channel === "sms") {
+    return smsProvider.send({ to: message.to, body: message.body });
+  }
+  return sendMail({ to: message.to, subject: message.subject, text: message.body });
+};
+
+// Send queued messages whose sendAfter has passed. Failed sends are retried up to MAX_ATTEMPTS.
+// Returns { sent, failed }.
+const dispatchDueMessages = async (limit = 100) => {
+  const due = await OutboundMessage.find({ status: "queued", sendAfter: { $lte: new Date() } })
+    .sort({ sendAfter: 1 })
+    .limit(limit);
+
+  let sent = 0;
+  let failed = 0;
+  for (const message of due) {
+    // Claim the message so concurrent dispatchers do not double-send.
+    const claimed = await OutboundMessage.findOneAndUpdate(
+      { _id: message._id, status: "queued", attempts: message.attempts },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!claimed) continue;
+
+    try {
+      await deliver(claimed);
+      claimed.status = "sent";
+      claimed.sentAt = new Date();
+      sent += 1;
+    } catch (error) {
+      claimed.lastError = error.message;
+      if (claimed.attempts >= MAX_ATTEMPTS) {
+        claimed.status = "failed";
+        failed += 1;
+      }
+    }
+    await claimed.save();
+  }
+
+  return { sent, failed };
+};
+
+module.exports = { queueMessage, dispatchDueMessages, setSmsProvider };
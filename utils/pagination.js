@@ -0,0 +1,113 @@
+// Shared pagination contract for list endpoints.
+// Query params: page, limit, sort (e.g. "-createdAt"), cursor (opaque, from meta.nextCursor).
+// Every paginated response carries meta: { total, page, limit, pages, sort, nextCursor }.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const encodeCursor = (value, id) => {
+  const payload = { v: value instanceof Date ? value.toISOString() : value, d: value instanceof Date, id: id.toString() };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (!payload || typeof payload.id !== "string") return null;
+    return { value: payload.d ? new Date(payload.v) : payload.v, id: payload.id };
+  } catch (err) {
+    return null;
+  }
+};
+
+// Parse and validate page/limit/sort/cursor. Returns { error } on bad input.
+// options.sortable whitelists sort fields; options.defaultSort is used when sort is absent.
+const parseListQuery = (query, { sortable, defaultSort }) => {
+  const page = query.page === undefined ? 1 : Number(query.page);
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: "page must be a positive integer." };
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${MAX_LIMIT}.` };
+  }
+
+  const sortParam = (query.sort || defaultSort).toString();
+  const sortField = sortParam.replace(/^-/, "");
+  if (!sortable.includes(sortField)) {
+    return { error: `sort must be one of: ${sortable.join(", ")} (prefix with - for descending).` };
+  }
+  const sortDir = sortParam.startsWith("-") ? -1 : 1;
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor.toString());
+    if (!cursor) {
+      return { error: "Invalid cursor." };
+    }
+  }
+
+  return {
+    page: cursor ? null : page,
+    limit,
+    skip: cursor ? 0 : (page - 1) * limit,
+    sortParam,
+    sortField,
+    sortDir,
+    // _id breaks ties so cursors are stable.
+    sort: { [sortField]: sortDir, _id: sortDir },
+    cursor,
+  };
+};
+
+// Narrow filters to documents after the cursor position.
+const applyCursor = (filters, listQuery) => {
+  const { cursor, sortField, sortDir } = listQuery;
+  if (!cursor) return filters;
+
+  const op = sortDir === 1 ? "$gt" : "$lt";
+  let after;
+  if (cursor.value === null || cursor.value === undefined) {
+    // Missing values sort lowest, so ascending continues into every non-null value.
+    after =
+      sortDir === 1
+        ? [{ [sortField]: { $ne: null } }, { [sortField]: null, _id: { $gt: cursor.id } }]
+        : [{ [sortField]: null, _id: { $lt: cursor.id } }];
+  } else {
+    after = [{ [sortField]: { [op]: cursor.value } }, { [sortField]: cursor.value, _id: { [op]: cursor.id } }];
+  }
+
+  return { $and: [filters, { $or: after }] };
+};
+
+const buildMeta = ({ total, listQuery, nextCursor = null, extra = {} }) => ({
+  ...extra,
+  total,
+  page: listQuery.page,
+  limit: listQuery.limit,
+  pages: Math.ceil(total / listQuery.limit),
+  sort: listQuery.sortParam,
+  nextCursor,
+});
+
+// Run a paginated find. decorate(query) can add populate/select calls.
+// Returns { items, meta } where meta.total counts every document matching filters.
+const paginate = async (Model, filters, listQuery, decorate = (query) => query) => {
+  const query = decorate(
+    Model.find(applyCursor(filters, listQuery))
+      .sort(listQuery.sort)
+      .skip(listQuery.skip)
+      .limit(listQuery.limit + 1)
+  );
+
+  const [docs, total] = await Promise.all([query, Model.countDocuments(filters)]);
+  const hasMore = docs.length > listQuery.limit;
+  const items = hasMore ? docs.slice(0, listQuery.limit) : docs;
+  const last = items[items.length - 1];
+  const nextCursor = hasMore && last ? encodeCursor(last.get(listQuery.sortField) ?? null, last._id) : null;
+
+  return { items, meta: buildMeta({ total, listQuery, nextCursor }) };
+};
+
+module.exports = { DEFAULT_LIMIT, MAX_LIMIT, parseListQuery, applyCursor, buildMeta, paginate };
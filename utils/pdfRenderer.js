@@ -0,0 +1,97 @@
+// Server-side PDF layouts for donation certificates and donor cards, using pdfkit's built-in fonts.
+// Each layout takes the document snapshot (see utils/documents) plus its verification code and URL.
+const PDFDocument = require("pdfkit");
+
+const ACCENT = "#b71c1c";
+const MUTED = "#555555";
+// ISO/IEC 7810 ID-1 (credit card) size in points.
+const CARD_SIZE = [243, 153];
+
+const DONATION_TYPE_LABELS = {
+  whole_blood: "whole blood",
+  red_cells: "red cells",
+  plasma: "plasma",
+  platelets: "platelets",
+};
+
+// Stream a PDF download to res. draw(doc) lays out the content.
+const sendPdf = (res, { filename, title, size = "A4", layout = "portrait", margin = 50, draw }) => {
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+  const doc = new PDFDocument({ size, layout, margin, info: { Title: title, Author: "Blood Donation" } });
+  doc.pipe(res);
+  draw(doc);
+  doc.end();
+};
+
+// A4 landscape certificate for one donation.
+const drawCertificate = (doc, { snapshot, code, url, issuedAt }) => {
+  const { width, height } = doc.page;
+  const inner = { x: 50, width: width - 100 };
+  const where = snapshot.institution || snapshot.location;
+
+  doc.lineWidth(3).strokeColor(ACCENT).rect(25, 25, width - 50, height - 50).stroke();
+
+  doc.font("Helvetica-Bold").fontSize(30).fillColor(ACCENT).text("Certificate of Blood Donation", inner.x, 90, {
+    width: inner.width,
+    align: "center",
+  });
+  doc.moveDown(1.5);
+  doc
+    .font("Helvetica")
+    .fontSize(14)
+    .fillColor("black")
+    .text("This certifies that", { width: inner.width, align: "center" });
+  doc.moveDown(0.5);
+  doc.font("Helvetica-Bold").fontSize(26).text(snapshot.donorName, { width: inner.width, align: "center" });
+  doc.moveDown(0.5);
+  doc
+    .font("Helvetica")
+    .fontSize(14)
+    .text(
+      `blood group ${snapshot.bloodGroup}, donated ${snapshot.units} unit(s) of ` +
+        `${DONATION_TYPE_LABELS[snapshot.donationType] || snapshot.donationType} on ${snapshot.donationDate}` +
+        `${where ? ` at ${where}` : ""}.`,
+      { width: inner.width, align: "center" }
+    );
+  doc.moveDown(1);
+  doc.font("Helvetica-Oblique").text("Thank you for helping save lives.", { width: inner.width, align: "center" });
+
+  doc
+    .font("Helvetica")
+    .fontSize(10)
+    .fillColor(MUTED)
+    .text(`Verification code: ${code}`, inner.x, height - 110, { width: inner.width, align: "center" })
+    .text(`Verify at ${url}`, { width: inner.width, align: "center" })
+    .text(`Issued ${issuedAt.toISOString().slice(0, 10)}`, { width: inner.width, align: "center" });
+};
+
+// Wallet-sized donor card.
+const drawDonorCard = (doc, { snapshot, code, url }) => {
+  const [width, height] = CARD_SIZE;
+
+  doc.rect(0, 0, width, 26).fill(ACCENT);
+  doc.font("Helvetica-Bold").fontSize(11).fillColor("white").text("BLOOD DONOR CARD", 10, 8, { width: width - 20 });
+
+  doc.font("Helvetica-Bold").fontSize(28).fillColor(ACCENT).text(snapshot.bloodGroup, width - 75, 36, {
+    width: 65,
+    align: "right",
+  });
+
+  doc.font("Helvetica-Bold").fontSize(11).fillColor("black").text(snapshot.donorName, 10, 36, { width: 150 });
+  doc.font("Helvetica").fontSize(8).fillColor(MUTED);
+  if (snapshot.city) doc.text(snapshot.city, { width: 150 });
+  doc.moveDown(0.4);
+  doc.fillColor("black").text(`Donations: ${snapshot.totalDonations}`, { width: 150 });
+  doc.text(`Last donation: ${snapshot.lastDonationDate || "-"}`, { width: 150 });
+
+  doc
+    .font("Helvetica")
+    .fontSize(6)
+    .fillColor(MUTED)
+    .text(`Code ${code}`, 10, height - 24, { width: width - 20 })
+    .text(url, { width: width - 20 });
+};
+
+module.exports = { CARD_SIZE, sendPdf, drawCertificate, drawDonorCard };
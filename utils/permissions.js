@@ -0,0 +1,40 @@
+// Permission model. Platform admins (User.role "admin") hold every permission.
+// Institution-scoped permissions are granted through InstitutionMember roles.
+const InstitutionMember = require("../models/InstitutionMember");
+
+const INSTITUTION_ROLES = ["institution_admin", "staff"];
+
+// Permissions that can be granted per institution.
+const INSTITUTION_ROLE_PERMISSIONS = {
+  institution_admin: [
+    "institution:update",
+    "institution:members",
+    "inventory:read",
+    "inventory:manage",
+    "donations:record",
+    "events:manage",
+    "events:checkin",
+    "appointments:manage",
+  ],
+  staff: ["inventory:read", "inventory:manage", "donations:record", "events:checkin", "appointments:manage"],
+};
+
+// Everything else (users:manage, donors:manage, requests:manage, deferrals:manage,
+// institutions:manage, donations:manage, system:manage) is platform-admin only.
+
+const isPlatformAdmin = (user) => Boolean(user && user.role === "admin");
+
+// Membership of a user in an institution, or null.
+const getMembership = (userId, institutionId) => InstitutionMember.findOne({ user: userId, institution: institutionId });
+
+// Does the user hold the permission (for the institution, when it is institution-scoped)?
+const hasPermission = async (user, permission, institutionId = null) => {
+  if (!user) return false;
+  if (isPlatformAdmin(user)) return true;
+  if (!institutionId) return false;
+
+  const membership = await getMembership(user.id, institutionId);
+  return Boolean(membership && INSTITUTION_ROLE_PERMISSIONS[membership.role]?.includes(permission));
+};
+
+module.exports = { INSTITUTION_ROLES, INSTITUTION_ROLE_PERMISSIONS, isPlatformAdmin, getMembership, hasPermission };
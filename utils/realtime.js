@@ -0,0 +1,49 @@
+// In-process hub for Server-Sent Events (SSE).
+// Each connected client is an open response stream registered under its user id.
+// Note: delivery only reaches clients connected to this process.
+
+const clients = new Map(); // userId -> Set of response streams
+
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const addClient = (userId, res) => {
+  const key = userId.toString();
+  if (!clients.has(key)) {
+    clients.set(key, new Set());
+  }
+  clients.get(key).add(res);
+};
+
+const removeClient = (userId, res) => {
+  const key = userId.toString();
+  const set = clients.get(key);
+  if (!set) return;
+  set.delete(res);
+  if (set.size === 0) {
+    clients.delete(key);
+  }
+};
+
+// Push an event to every open stream of a user. Returns how many streams received it.
+const publishToUser = (userId, event, data) => {
+  if (!userId) return 0;
+  const set = clients.get(userId.toString());
+  if (!set) return 0;
+  for (const res of set) {
+    try {
+      writeEvent(res, event, data);
+    } catch (error) {
+      console.error("Realtime publish error:", error);
+    }
+  }
+  return set.size;
+};
+
+const publishToUsers = (userIds, event, data) =>
+  userIds.reduce((sent, userId) => sent + publishToUser(userId, event, data), 0);
+
+const connectedCount = (userId) => clients.get(userId.toString())?.size || 0;
+
+module.exports = { writeEvent, addClient, removeClient, publishToUser, publishToUsers, connectedCount };
@@ -0,0 +1,44 @@
+// Roll up donated units onto a blood request and mark it fulfilled once enough blood is in.
+const Donation = require("../models/Donation");
+const BloodRequest = require("../models/BloodRequest");
+const Notification = require("../models/Notification");
+const { countedDonations } = require("./donationStats");
+
+// Recompute unitsFulfilled from the request's donations. Open requests that reach
+// unitsNeeded flip to fulfilled and the owner is notified. Returns the updated request.
+// Pass { session } to run inside a transaction.
+const recomputeRequestFulfilment = async (requestId, { session = null } = {}) => {
+  const bloodRequest = await BloodRequest.findById(requestId).session(session);
+  if (!bloodRequest) return null;
+
+  const [totals] = await Donation.aggregate([
+    { $match: countedDonations({ request: bloodRequest._id }) },
+    { $group: { _id: null, units: { $sum: "$units" } } },
+  ]).session(session);
+  bloodRequest.unitsFulfilled = totals?.units || 0;
+
+  const justFulfilled = bloodRequest.status === "open" && bloodRequest.unitsFulfilled >= bloodRequest.unitsNeeded;
+  if (justFulfilled) {
+    bloodRequest.status = "fulfilled";
+  }
+  await bloodRequest.save({ session });
+
+  if (justFulfilled) {
+    await Notification.create(
+      [
+        {
+          user: bloodRequest.user,
+          type: "request_fulfilled",
+          title: "Your blood request is fulfilled",
+          message: `All ${bloodRequest.unitsNeeded} unit(s) of ${bloodRequest.bloodGroup} blood have been donated.`,
+          meta: { requestId: bloodRequest._id },
+        },
+      ],
+      { session }
+    );
+  }
+
+  return bloodRequest;
+};
+
+module.exports = { recomputeRequestFulfilment };
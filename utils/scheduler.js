@@ -0,0 +1,98 @@
+// In-process job scheduler with a MongoDB-backed lock (JobLock), so that with several
+// API instances each job still runs once per interval. Every run is recorded in JobRun.
+const crypto = require("crypto");
+const os = require("os");
+const JobLock = require("../models/JobLock");
+const JobRun = require("../models/JobRun");
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString("hex")}`;
+const TICK_MS = 60 * 1000;
+
+const jobs = new Map(); // name -> { name, description, intervalMs, lockTtlMs, handler }
+
+// Register a job. handler() may return a plain object that is stored as the run result.
+const defineJob = ({ name, description, intervalMs, lockTtlMs = 10 * 60 * 1000, handler }) => {
+  jobs.set(name, { name, description, intervalMs, lockTtlMs, handler });
+};
+
+const listJobs = () => Array.from(jobs.values()).map(({ handler, ...job }) => job);
+
+// Try to take the job's lock. Scheduled runs also wait for the shared nextRunAt; forced runs do not.
+// Returns the lock document, or null if another instance holds it (or it is not due yet).
+const acquireLock = async (job, { force = false } = {}) => {
+  const now = new Date();
+  const conditions = [{ $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] }];
+  if (!force) {
+    conditions.push({ $or: [{ nextRunAt: null }, { nextRunAt: { $lte: now } }] });
+  }
+
+  try {
+    return await JobLock.findOneAndUpdate(
+      { name: job.name, $and: conditions },
+      {
+        lockedBy: INSTANCE_ID,
+        lockedUntil: new Date(now.getTime() + job.lockTtlMs),
+        nextRunAt: new Date(now.getTime() + job.intervalMs),
+        lastStartedAt: now,
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // The upsert collides with an existing (locked or not yet due) document.
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+const releaseLock = (name) =>
+  JobLock.updateOne({ name, lockedBy: INSTANCE_ID }, { lockedBy: null, lockedUntil: null, lastFinishedAt: new Date() });
+
+// Run a job if its lock can be taken. Returns the JobRun document, or null when skipped.
+const runJob = async (name, { trigger = "schedule" } = {}) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  const lock = await acquireLock(job, { force: trigger === "manual" });
+  if (!lock) return null;
+
+  const run = await JobRun.create({ job: name, instanceId: INSTANCE_ID, trigger });
+  try {
+    const result = await job.handler();
+    run.status = "succeeded";
+    run.result = result || {};
+  } catch (error) {
+    console.error(`Job ${name} failed:`, error);
+    run.status = "failed";
+    run.error = error.message;
+  } finally {
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+    await run.save();
+    await releaseLock(name);
+  }
+  return run;
+};
+
+let timer = null;
+
+// Check every registered job once a minute; the lock decides which are due.
+const startScheduler = () => {
+  if (timer) return;
+  const tick = () => {
+    for (const name of jobs.keys()) {
+      runJob(name).catch((error) => console.error(`Scheduler error for ${name}:`, error));
+    }
+  };
+  timer = setInterval(tick, TICK_MS);
+  timer.unref();
+  console.log(`Job scheduler started (${jobs.size} jobs, instance ${INSTANCE_ID}).`);
+};
+
+const stopScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = { defineJob, listJobs, runJob, startScheduler, stopScheduler, INSTANCE_ID };
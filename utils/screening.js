@@ -0,0 +1,97 @@
+// Pre-donation screening questionnaire: validation and the deferrals each answer triggers.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How long a clear screening stays valid for recording a donation.
+const SCREENING_VALID_DAYS = Number(process.env.SCREENING_VALID_DAYS || 7);
+
+const DEFERRAL_REASON_CODES = [
+  "recent_illness",
+  "medication",
+  "tattoo_piercing",
+  "malaria_travel",
+  "low_hemoglobin",
+  "pregnancy",
+  "surgery",
+  "other",
+];
+
+// Deferral length per answer. Dated answers (tattoo, travel) count from that date, the rest from today.
+const SCREENING_RULES = {
+  recentIllness: { reasonCode: "recent_illness", days: 14, reason: "Fever, cold or other illness in the last 14 days." },
+  takingMedication: { reasonCode: "medication", days: 7, reason: "Currently taking medication." },
+  recentTattooOrPiercing: {
+    reasonCode: "tattoo_piercing",
+    days: 180,
+    dateField: "tattooOrPiercingDate",
+    reason: "Tattoo or piercing in the last 6 months.",
+  },
+  recentTravel: {
+    reasonCode: "malaria_travel",
+    days: 365,
+    dateField: "travelReturnDate",
+    reason: "Travel to a malaria-risk area in the last 12 months.",
+  },
+};
+
+const SCREENING_QUESTIONS = Object.keys(SCREENING_RULES);
+
+const parseOptionalDate = (value) => {
+  if (value === undefined || value === null || value === "") return { date: undefined };
+  const date = new Date(value);
+  return isNaN(date) ? { error: true } : { date };
+};
+
+// Validate raw answers. Returns { answers } or { error }.
+const validateAnswers = (raw = {}, now = new Date()) => {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { error: "answers must be an object." };
+  }
+  const answers = {};
+  for (const question of SCREENING_QUESTIONS) {
+    if (typeof raw[question] !== "boolean") {
+      return { error: `${question} must be true or false.` };
+    }
+    answers[question] = raw[question];
+  }
+
+  for (const field of ["tattooOrPiercingDate", "travelReturnDate"]) {
+    const { date, error } = parseOptionalDate(raw[field]);
+    if (error) {
+      return { error: `Invalid ${field} format.` };
+    }
+    if (date && date > now) {
+      return { error: `${field} cannot be in the future.` };
+    }
+    answers[field] = date;
+  }
+
+  if (raw.medicationName) answers.medicationName = raw.medicationName.toString();
+  if (raw.travelDestination) answers.travelDestination = raw.travelDestination.toString();
+
+  return { answers };
+};
+
+// Work out the deferrals a set of answers requires.
+// Returns [{ reasonCode, reason, until }]; answers whose deferral has already run out are skipped.
+const evaluateScreening = (answers, now = new Date()) => {
+  const deferrals = [];
+  for (const [question, rule] of Object.entries(SCREENING_RULES)) {
+    if (!answers[question]) continue;
+
+    const from = (rule.dateField && answers[rule.dateField]) || now;
+    const until = new Date(from.getTime() + rule.days * DAY_MS);
+    if (until <= now) continue;
+
+    deferrals.push({ reasonCode: rule.reasonCode, reason: rule.reason, until });
+  }
+  return deferrals;
+};
+
+module.exports = {
+  DEFERRAL_REASON_CODES,
+  SCREENING_QUESTIONS,
+  SCREENING_RULES,
+  SCREENING_VALID_DAYS,
+  validateAnswers,
+  evaluateScreening,
+};